@@ -0,0 +1,75 @@
+// Service worker: shows bus notifications delivered by Web Push
+
+// Display settings for each notification type
+const NOTIFICATION_STYLES = {
+  arrival: { tag: 'bus-arrival', requireInteraction: false },
+  delay: { tag: 'bus-delay', requireInteraction: false },
+  emergency: { tag: 'bus-emergency', requireInteraction: true },
+  route_change: { tag: 'route-change', requireInteraction: false }
+};
+
+const DEFAULT_TITLE = 'JPR Bus Tracker';
+
+const showBusNotification = (payload = {}) => {
+  const style = NOTIFICATION_STYLES[payload.type] || { tag: 'bus-info', requireInteraction: false };
+
+  return self.registration.showNotification(payload.title || DEFAULT_TITLE, {
+    body: payload.message || payload.body || '',
+    icon: '/favicon.ico',
+    badge: '/favicon.ico',
+    // One notification per alert; a repeat of the same alert replaces it
+    tag: payload.notificationId ? `${style.tag}-${payload.notificationId}` : style.tag,
+    renotify: payload.type === 'emergency',
+    requireInteraction: style.requireInteraction,
+    timestamp: payload.timestamp || Date.now(),
+    data: {
+      url: payload.url || '/',
+      notificationId: payload.notificationId || null,
+      type: payload.type || null
+    }
+  });
+};
+
+const parsePushData = (event) => {
+  if (!event.data) return {};
+  try {
+    return event.data.json();
+  } catch {
+    return { message: event.data.text() };
+  }
+};
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  event.waitUntil(showBusNotification(parsePushData(event)));
+});
+
+// Local test harness: pages post { type: 'TEST_PUSH', payload } to simulate a push
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'TEST_PUSH') {
+    event.waitUntil(showBusNotification(event.data.payload));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const targetUrl = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const existing = windowClients.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        existing.postMessage({ type: 'NOTIFICATION_CLICK', data: event.notification.data });
+        return existing.focus();
+      }
+      return self.clients.openWindow(targetUrl);
+    })
+  );
+});
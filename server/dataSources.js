@@ -0,0 +1,92 @@
+// Live network data for the realtime server: the Firestore emulator or an in-memory stand-in
+import { connectFirestoreEmulator } from 'firebase/firestore';
+import { db } from '../src/lib/firebase.js';
+import { listenToDriverLocations, getDriverStatus } from '../src/lib/locationService.js';
+import { listenToRoutes } from '../src/lib/routeService.js';
+import { listenToStops } from '../src/lib/stopService.js';
+import { listenToActiveSchedules } from '../src/lib/adherenceService.js';
+import { listenToSegmentStats } from '../src/lib/etaService.js';
+
+const emptyNetwork = () => ({
+  vehicles: [],
+  routes: [],
+  stops: [],
+  schedules: [],
+  segmentStats: {}
+});
+
+/**
+ * Keep a live copy of the network from Firestore. The server reads without
+ * signing in, so it is meant for the emulator (started without rules, or with
+ * rules that allow unauthenticated reads of these collections).
+ * @param {string} emulatorHost - "host:port", defaults to FIRESTORE_EMULATOR_HOST
+ * @returns {Object} { getNetwork, close }
+ */
+export const createFirestoreSource = (emulatorHost = process.env.FIRESTORE_EMULATOR_HOST) => {
+  if (!emulatorHost) {
+    throw new Error('Set FIRESTORE_EMULATOR_HOST (e.g. 127.0.0.1:8080) or run with --memory');
+  }
+
+  const [host, port] = emulatorHost.split(':');
+  connectFirestoreEmulator(db, host, Number(port));
+
+  const network = emptyNetwork();
+  const unsubscribers = [
+    listenToDriverLocations((vehicles) => { network.vehicles = vehicles; }),
+    listenToRoutes((routes) => { network.routes = routes; }, { activeOnly: true }),
+    listenToStops((stops) => { network.stops = stops; }),
+    listenToActiveSchedules((schedules) => { network.schedules = schedules; }),
+    listenToSegmentStats((segmentStats) => { network.segmentStats = segmentStats; })
+  ];
+
+  return {
+    getNetwork: () => network,
+    close: () => unsubscribers.forEach((unsubscribe) => unsubscribe())
+  };
+};
+
+// Accept collections either as arrays of docs with an id or as { [id]: data }
+const toDocuments = (collection = []) => {
+  if (Array.isArray(collection)) return collection;
+  return Object.entries(collection).map(([id, data]) => ({ id, ...data }));
+};
+
+/**
+ * In-memory network, seeded from data shaped like the Firestore collections:
+ * { driverLocations, routes, stops, schedules, routeSegmentStats }.
+ * Vehicles without a lastSeen are treated as reporting right now, so fixtures
+ * stay live; setVehicle/removeVehicle let a host process feed positions in.
+ * @returns {Object} { getNetwork, setVehicle, removeVehicle, close }
+ */
+export const createMemorySource = (data = {}) => {
+  const vehicles = new Map(toDocuments(data.driverLocations).map((vehicle) => [vehicle.id, vehicle]));
+  const network = {
+    ...emptyNetwork(),
+    routes: toDocuments(data.routes).filter((route) => route.isActive !== false),
+    stops: toDocuments(data.stops),
+    schedules: toDocuments(data.schedules).filter((schedule) => schedule.isActive !== false),
+    segmentStats: Object.fromEntries(
+      toDocuments(data.routeSegmentStats).map(({ id, segments }) => [id, segments || {}])
+    )
+  };
+
+  return {
+    getNetwork: () => {
+      const now = Date.now();
+      const live = [...vehicles.values()]
+        .filter((vehicle) => vehicle.isActive !== false)
+        .map((vehicle) => {
+          const withFix = { ...vehicle, lastSeen: vehicle.lastSeen ?? now };
+          return { ...withFix, status: getDriverStatus(withFix, now) };
+        });
+      return { ...network, vehicles: live };
+    },
+    setVehicle: (id, location) => {
+      vehicles.set(id, { ...vehicles.get(id), ...location, id, lastSeen: location.lastSeen ?? Date.now() });
+    },
+    removeVehicle: (id) => {
+      vehicles.delete(id);
+    },
+    close: () => {}
+  };
+};
@@ -0,0 +1,168 @@
+// Build GTFS-Realtime VehiclePositions and TripUpdates feeds from live driver locations
+import { DRIVER_STATUS } from '../src/lib/locationService.js';
+import { ETA_DEFAULTS, findRouteForVehicle, predictArrivals } from '../src/lib/etaEngine.js';
+import { computeAdherence, parseFrequencyMinutes } from '../src/lib/scheduleAdherence.js';
+import { gtfsIdOf, formatGtfsDate } from '../src/lib/gtfsExport.js';
+import { toMillis } from '../src/lib/timeUtils.js';
+import { hasCoordinates } from '../src/lib/stopService.js';
+
+export const GTFS_REALTIME_VERSION = '2.0';
+
+const toSeconds = (millis) => Math.floor(millis / 1000);
+
+const buildHeader = (now) => ({
+  gtfs_realtime_version: GTFS_REALTIME_VERSION,
+  incrementality: 'FULL_DATASET',
+  timestamp: toSeconds(now)
+});
+
+/**
+ * Index the network snapshot once per feed
+ * @param {Object} network - { vehicles, routes, stops, schedules, segmentStats }
+ */
+const indexNetwork = ({ vehicles = [], routes = [], stops = [], schedules = [], segmentStats = {} }) => ({
+  vehicles: vehicles.filter((vehicle) => vehicle.status !== DRIVER_STATUS.OFFLINE && hasCoordinates(vehicle)),
+  routes,
+  schedules,
+  segmentStats,
+  routesById: new Map(routes.map((route) => [route.id, route])),
+  schedulesById: new Map(schedules.map((schedule) => [schedule.id, schedule])),
+  stopsById: Object.fromEntries(stops.map((stop) => [stop.id, stop]))
+});
+
+/**
+ * Work out which trip a vehicle is running and where it is heading next
+ * @returns {Object} { trip, route, adherence, arrivals }
+ */
+const describeVehicle = (vehicle, network, now) => {
+  // Fresh matching first; the adherence the driver's app last recorded is the fallback
+  const adherence = computeAdherence(vehicle, network.schedules, network.routes, now) || vehicle.adherence || null;
+  const schedule = adherence?.scheduleId ? network.schedulesById.get(adherence.scheduleId) : null;
+  const route = (schedule && network.routesById.get(schedule.routeId)) ||
+    findRouteForVehicle(vehicle, network.routes);
+
+  let trip = null;
+  if (schedule && route) {
+    trip = {
+      trip_id: gtfsIdOf(schedule),
+      route_id: gtfsIdOf(route),
+      start_date: formatGtfsDate(new Date(now)),
+      schedule_relationship: 'SCHEDULED'
+    };
+    // Frequency-based trips are only identified by their start time
+    if (parseFrequencyMinutes(schedule.frequency) && adherence.tripDeparture) {
+      trip.start_time = `${adherence.tripDeparture}:00`;
+    }
+  } else if (route) {
+    trip = { route_id: gtfsIdOf(route), schedule_relationship: 'UNSCHEDULED' };
+  }
+
+  const arrivals = route
+    ? predictArrivals(vehicle, route, network.stopsById, network.segmentStats[route.id], now)
+    : [];
+
+  return { trip, route, adherence, arrivals };
+};
+
+// Stop sequence numbers as written to stop_times.txt by the static export
+const getStopSequences = (route, stopsById) => {
+  const sequences = {};
+  (route.stopIds || [])
+    .filter((stopId) => stopsById[stopId])
+    .forEach((stopId, index) => {
+      if (!(stopId in sequences)) sequences[stopId] = index + 1;
+    });
+  return sequences;
+};
+
+const vehicleDescriptor = (vehicle) => ({
+  id: vehicle.id,
+  label: vehicle.busNumber || undefined
+});
+
+const fixTime = (vehicle, now) => toMillis(vehicle.recordedAt || vehicle.timestamp) || now;
+
+/**
+ * VehiclePositions feed for every live vehicle
+ * @param {Object} network - { vehicles, routes, stops, schedules, segmentStats }
+ * @param {number} now - Current time in ms
+ * @returns {Object} FeedMessage using gtfs-realtime.proto field names
+ */
+export const buildVehiclePositionsFeed = (network, now = Date.now()) => {
+  const indexed = indexNetwork(network);
+
+  const entity = indexed.vehicles.map((vehicle) => {
+    const { trip, route, arrivals } = describeVehicle(vehicle, indexed, now);
+    const position = {
+      latitude: vehicle.latitude,
+      longitude: vehicle.longitude,
+      bearing: Number.isFinite(vehicle.heading) ? vehicle.heading : undefined,
+      // Driver locations carry the Geolocation API speed, already in m/s
+      speed: Number.isFinite(vehicle.speed) ? vehicle.speed : undefined
+    };
+
+    const vehiclePosition = {
+      trip: trip || undefined,
+      vehicle: vehicleDescriptor(vehicle),
+      position,
+      timestamp: toSeconds(fixTime(vehicle, now))
+    };
+
+    const [next] = arrivals;
+    if (next) {
+      const stop = indexed.stopsById[next.stopId];
+      vehiclePosition.stop_id = gtfsIdOf(stop);
+      vehiclePosition.current_stop_sequence = getStopSequences(route, indexed.stopsById)[next.stopId];
+      vehiclePosition.current_status = Math.abs(next.distanceMeters) <= ETA_DEFAULTS.passedStopTolerance
+        ? 'STOPPED_AT'
+        : 'IN_TRANSIT_TO';
+    }
+
+    return { id: vehicle.id, vehicle: vehiclePosition };
+  });
+
+  return { header: buildHeader(now), entity };
+};
+
+/**
+ * TripUpdates feed for every live vehicle matched to a scheduled trip.
+ * Predicted stop arrivals come from the ETA engine; the trip-level delay is
+ * the schedule adherence deviation.
+ * @param {Object} network - { vehicles, routes, stops, schedules, segmentStats }
+ * @param {number} now - Current time in ms
+ * @returns {Object} FeedMessage using gtfs-realtime.proto field names
+ */
+export const buildTripUpdatesFeed = (network, now = Date.now()) => {
+  const indexed = indexNetwork(network);
+  const entity = [];
+
+  indexed.vehicles.forEach((vehicle) => {
+    const { trip, route, adherence, arrivals } = describeVehicle(vehicle, indexed, now);
+    if (!trip || trip.schedule_relationship !== 'SCHEDULED') return;
+
+    const delayMinutes = adherence?.deviationMinutes;
+    const sequences = getStopSequences(route, indexed.stopsById);
+    const stopTimeUpdates = arrivals.map((arrival) => ({
+      stop_sequence: sequences[arrival.stopId],
+      stop_id: gtfsIdOf(indexed.stopsById[arrival.stopId]),
+      arrival: { time: toSeconds(arrival.arrivalTime) },
+      schedule_relationship: 'SCHEDULED'
+    }));
+
+    // A trip update must say something: either stop predictions or a delay
+    if (stopTimeUpdates.length === 0 && !Number.isFinite(delayMinutes)) return;
+
+    entity.push({
+      id: vehicle.id,
+      trip_update: {
+        trip,
+        vehicle: vehicleDescriptor(vehicle),
+        stop_time_update: stopTimeUpdates,
+        timestamp: toSeconds(fixTime(vehicle, now)),
+        delay: Number.isFinite(delayMinutes) ? delayMinutes * 60 : undefined
+      }
+    });
+  });
+
+  return { header: buildHeader(now), entity };
+};
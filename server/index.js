@@ -0,0 +1,111 @@
+// GTFS-Realtime HTTP server
+//
+//   npm run gtfs-rt                                 # Firestore emulator (FIRESTORE_EMULATOR_HOST)
+//   npm run gtfs-rt -- --memory server/sample-network.json
+//
+// Endpoints:
+//   /gtfs-rt/vehicle-positions   protobuf VehiclePositions feed
+//   /gtfs-rt/trip-updates        protobuf TripUpdates feed
+//   add ?format=json to either for a readable debug view
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { buildVehiclePositionsFeed, buildTripUpdatesFeed } from './gtfsRealtime.js';
+import { encodeFeedMessage } from './protobuf.js';
+import { createFirestoreSource, createMemorySource } from './dataSources.js';
+
+const DEFAULT_PORT = 8787;
+
+const FEEDS = {
+  '/gtfs-rt/vehicle-positions': buildVehiclePositionsFeed,
+  '/gtfs-rt/trip-updates': buildTripUpdatesFeed
+};
+
+const parseArgs = (args) => {
+  const options = { port: Number(process.env.GTFS_RT_PORT) || DEFAULT_PORT, memory: null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = Number(args[++i]);
+    if (args[i] === '--memory') {
+      // The fixture path is optional; without it the network starts empty
+      options.memory = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : '';
+    }
+  }
+  return options;
+};
+
+const send = (res, status, contentType, body) => {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Cache-Control': 'no-cache',
+    // Third-party journey planners fetch the feed from their own origins
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(body);
+};
+
+/**
+ * Create the HTTP server for a data source
+ * @param {Object} source - Data source with getNetwork()
+ * @returns {http.Server}
+ */
+const createGtfsRealtimeServer = (source) => http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method !== 'GET') {
+    send(res, 405, 'text/plain', 'Method not allowed');
+    return;
+  }
+
+  if (url.pathname === '/') {
+    send(res, 200, 'application/json', JSON.stringify({ feeds: Object.keys(FEEDS) }, null, 2));
+    return;
+  }
+
+  const buildFeed = FEEDS[url.pathname];
+  if (!buildFeed) {
+    send(res, 404, 'text/plain', 'Not found');
+    return;
+  }
+
+  try {
+    const feed = buildFeed(source.getNetwork(), Date.now());
+    if (url.searchParams.get('format') === 'json') {
+      send(res, 200, 'application/json', JSON.stringify(feed, null, 2));
+    } else {
+      send(res, 200, 'application/x-protobuf', encodeFeedMessage(feed));
+    }
+  } catch (error) {
+    console.error('Error building GTFS-Realtime feed:', error);
+    send(res, 500, 'text/plain', 'Failed to build feed');
+  }
+});
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  let source;
+  if (options.memory !== null) {
+    const data = options.memory ? JSON.parse(await readFile(options.memory, 'utf8')) : {};
+    source = createMemorySource(data);
+    console.log(`Serving in-memory network${options.memory ? ` from ${options.memory}` : ''}`);
+  } else {
+    source = createFirestoreSource();
+    console.log(`Serving Firestore emulator data from ${process.env.FIRESTORE_EMULATOR_HOST}`);
+  }
+
+  const server = createGtfsRealtimeServer(source);
+  server.listen(options.port, () => {
+    console.log(`GTFS-Realtime feeds on http://localhost:${options.port}/gtfs-rt/`);
+  });
+
+  const shutdown = () => {
+    source.close();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
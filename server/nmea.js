@@ -0,0 +1,174 @@
+// NMEA 0183 parsing for hardware GPS trackers (RMC and GGA sentences)
+
+const KNOTS_TO_MPS = 0.514444;
+
+// Rough horizontal error per unit of HDOP for consumer GPS receivers (meters)
+const HDOP_TO_METERS = 5;
+
+// Accuracy assumed for fixes without a GGA sentence to report HDOP (meters)
+const DEFAULT_ACCURACY = 10;
+
+/**
+ * Validate the optional "*hh" checksum and split a sentence into fields
+ * @returns {Array<string>|null} Fields with the address (e.g. 'GPRMC') first, or null if invalid
+ */
+export const splitSentence = (sentence) => {
+  const trimmed = sentence.trim();
+  if (!trimmed.startsWith('$')) return null;
+
+  const [body, checksum] = trimmed.slice(1).split('*');
+  if (checksum !== undefined) {
+    let computed = 0;
+    for (let i = 0; i < body.length; i++) computed ^= body.charCodeAt(i);
+    if (computed !== parseInt(checksum, 16)) return null;
+  }
+
+  return body.split(',');
+};
+
+// "ddmm.mmmm" / "dddmm.mmmm" plus hemisphere into decimal degrees
+const parseCoordinate = (value, hemisphere) => {
+  if (!value) return null;
+  const dot = value.indexOf('.');
+  const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+  const degrees = Number(value.slice(0, degreeDigits)) + Number(value.slice(degreeDigits)) / 60;
+  if (!Number.isFinite(degrees)) return null;
+  return hemisphere === 'S' || hemisphere === 'W' ? -degrees : degrees;
+};
+
+const optionalNumber = (value) => (value === '' || value === undefined ? null : Number(value));
+
+// RMC carries the date; GGA only the time of day, taken as the same UTC day
+const parseUtcTime = (time, date, fallbackDate) => {
+  if (!time) return null;
+  const hours = Number(time.slice(0, 2));
+  const minutes = Number(time.slice(2, 4));
+  const seconds = Number(time.slice(4));
+
+  let year;
+  let month;
+  let day;
+  if (date) {
+    day = Number(date.slice(0, 2));
+    month = Number(date.slice(2, 4)) - 1;
+    year = 2000 + Number(date.slice(4, 6));
+  } else {
+    year = fallbackDate.getUTCFullYear();
+    month = fallbackDate.getUTCMonth();
+    day = fallbackDate.getUTCDate();
+  }
+
+  const timestamp = Date.UTC(year, month, day, hours, minutes, 0) + Math.round(seconds * 1000);
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+/**
+ * Parse an RMC or GGA sentence
+ * @returns {Object|null} { type, timestamp, latitude, longitude, ... } or null
+ *   for other sentences, bad checksums and fixes the receiver marks invalid
+ */
+export const parseNmeaSentence = (sentence, now = new Date()) => {
+  const fields = splitSentence(sentence);
+  if (!fields) return null;
+
+  const type = fields[0].slice(-3);
+
+  if (type === 'RMC') {
+    const [, time, validity, lat, latHemisphere, lon, lonHemisphere, speedKnots, course, date] = fields;
+    if (validity !== 'A') return null;
+
+    const latitude = parseCoordinate(lat, latHemisphere);
+    const longitude = parseCoordinate(lon, lonHemisphere);
+    if (latitude === null || longitude === null) return null;
+
+    const knots = optionalNumber(speedKnots);
+    return {
+      type,
+      timestamp: parseUtcTime(time, date, now),
+      latitude,
+      longitude,
+      speed: knots === null ? null : knots * KNOTS_TO_MPS,
+      heading: optionalNumber(course)
+    };
+  }
+
+  if (type === 'GGA') {
+    const [, time, lat, latHemisphere, lon, lonHemisphere, quality, satellites, hdop, altitude] = fields;
+    if (!quality || quality === '0') return null;
+
+    const latitude = parseCoordinate(lat, latHemisphere);
+    const longitude = parseCoordinate(lon, lonHemisphere);
+    if (latitude === null || longitude === null) return null;
+
+    return {
+      type,
+      timestamp: parseUtcTime(time, null, now),
+      latitude,
+      longitude,
+      satellites: optionalNumber(satellites),
+      hdop: optionalNumber(hdop),
+      altitude: optionalNumber(altitude)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Parse the "$PGID,<deviceId>*hh" login sentence trackers send to identify themselves
+ * @returns {string|null} Device ID
+ */
+export const parseLoginSentence = (sentence) => {
+  const fields = splitSentence(sentence);
+  if (!fields || fields[0] !== 'PGID' || !fields[1]) return null;
+  return fields[1].trim();
+};
+
+const toPosition = (fix, gga) => ({
+  coords: {
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    accuracy: gga?.hdop ? gga.hdop * HDOP_TO_METERS : DEFAULT_ACCURACY,
+    altitude: gga?.altitude ?? null,
+    heading: fix.heading ?? null,
+    speed: fix.speed ?? null
+  },
+  timestamp: fix.timestamp || Date.now()
+});
+
+/**
+ * Per-connection NMEA state. A tracker logs in with $PGID, then streams
+ * sentences; RMC gives position, speed and course, and a GGA for the same
+ * second adds HDOP and altitude. Receivers that only send GGA still produce
+ * fixes (without speed or heading).
+ * @returns {Object} { push(line) => { deviceId, position } | null, deviceId }
+ */
+export const createNmeaSession = (deviceId = null) => {
+  const session = { deviceId };
+  let lastGga = null;
+  let sawRmc = false;
+
+  session.push = (line) => {
+    const login = parseLoginSentence(line);
+    if (login) {
+      session.deviceId = login;
+      return null;
+    }
+
+    const fix = parseNmeaSentence(line);
+    if (!fix || !session.deviceId) return null;
+
+    if (fix.type === 'GGA') {
+      lastGga = fix;
+      if (sawRmc) return null;
+      return { deviceId: session.deviceId, position: toPosition(fix, fix) };
+    }
+
+    sawRmc = true;
+    // GGA and RMC of one epoch share the time of day
+    const gga = lastGga && lastGga.timestamp % 86400000 === fix.timestamp % 86400000 ? lastGga : null;
+    return { deviceId: session.deviceId, position: toPosition(fix, gga) };
+  };
+
+  return session;
+};
@@ -0,0 +1,91 @@
+// OsmAnd / Traccar Client HTTP protocol parsing
+
+const KNOTS_TO_MPS = 0.514444;
+
+// Rough horizontal error per unit of HDOP for consumer GPS receivers (meters)
+const HDOP_TO_METERS = 5;
+
+const optionalNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Unix seconds, milliseconds or an ISO date
+const parseTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return Date.now();
+  const number = Number(value);
+  if (Number.isFinite(number)) return number < 1e12 ? number * 1000 : number;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : Date.now();
+};
+
+/**
+ * Parse the query-string form: ?id=..&lat=..&lon=..&timestamp=..&speed=..
+ * Speed is in knots, as in the OsmAnd protocol Traccar implements.
+ * @param {URLSearchParams} params - Query string or form body
+ * @returns {Object|null} { deviceId, position } or null when incomplete
+ */
+export const parseOsmAndParams = (params) => {
+  const deviceId = params.get('id') || params.get('deviceid');
+
+  let latitude = optionalNumber(params.get('lat'));
+  let longitude = optionalNumber(params.get('lon'));
+  // Some clients send a single "location=lat,lon" parameter instead
+  if ((latitude === null || longitude === null) && params.get('location')) {
+    [latitude, longitude] = params.get('location').split(',').map(optionalNumber);
+  }
+
+  if (!deviceId || latitude === null || longitude === null) return null;
+  if (params.get('valid') === 'false' || params.get('valid') === '0') return null;
+
+  const knots = optionalNumber(params.get('speed'));
+  const hdop = optionalNumber(params.get('hdop'));
+
+  return {
+    deviceId,
+    position: {
+      coords: {
+        latitude,
+        longitude,
+        accuracy: optionalNumber(params.get('accuracy')) ?? (hdop !== null ? hdop * HDOP_TO_METERS : null),
+        altitude: optionalNumber(params.get('altitude')),
+        heading: optionalNumber(params.get('bearing') ?? params.get('heading')),
+        speed: knots === null ? null : knots * KNOTS_TO_MPS
+      },
+      timestamp: parseTimestamp(params.get('timestamp'))
+    }
+  };
+};
+
+/**
+ * Parse the JSON body newer Traccar Client apps post:
+ * { device_id, location: { timestamp, coords: { latitude, longitude, speed, heading, accuracy, altitude } } }
+ * Speed here is already in m/s.
+ * @returns {Object|null} { deviceId, position } or null when incomplete
+ */
+export const parseTraccarJson = (body) => {
+  const deviceId = body?.device_id || body?.deviceId;
+  const coords = body?.location?.coords;
+  const latitude = optionalNumber(coords?.latitude);
+  const longitude = optionalNumber(coords?.longitude);
+  if (!deviceId || latitude === null || longitude === null) return null;
+
+  // The Geolocation-style payload reports -1 for an unknown heading or speed
+  const heading = optionalNumber(coords.heading);
+  const speed = optionalNumber(coords.speed);
+  return {
+    deviceId: String(deviceId),
+    position: {
+      coords: {
+        latitude,
+        longitude,
+        accuracy: optionalNumber(coords.accuracy),
+        altitude: optionalNumber(coords.altitude),
+        heading: heading !== null && heading >= 0 ? heading : null,
+        speed: speed !== null && speed >= 0 ? speed : null
+      },
+      timestamp: parseTimestamp(body.location.timestamp)
+    }
+  };
+};
@@ -0,0 +1,192 @@
+// Minimal protocol buffer encoder for the GTFS-Realtime messages we publish
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+// Enum values from gtfs-realtime.proto
+const ENUMS = {
+  Incrementality: { FULL_DATASET: 0, DIFFERENTIAL: 1 },
+  TripScheduleRelationship: { SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3 },
+  StopScheduleRelationship: { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 },
+  VehicleStopStatus: { INCOMING_AT: 0, STOPPED_AT: 1, IN_TRANSIT_TO: 2 }
+};
+
+// The subset of gtfs-realtime.proto we publish: field name -> [number, type, repeated]
+const MESSAGES = {
+  FeedMessage: {
+    header: [1, 'FeedHeader'],
+    entity: [2, 'FeedEntity', true]
+  },
+  FeedHeader: {
+    gtfs_realtime_version: [1, 'string'],
+    incrementality: [2, 'enum:Incrementality'],
+    timestamp: [3, 'uint64']
+  },
+  FeedEntity: {
+    id: [1, 'string'],
+    is_deleted: [2, 'bool'],
+    trip_update: [3, 'TripUpdate'],
+    vehicle: [4, 'VehiclePosition']
+  },
+  TripUpdate: {
+    trip: [1, 'TripDescriptor'],
+    stop_time_update: [2, 'StopTimeUpdate', true],
+    vehicle: [3, 'VehicleDescriptor'],
+    timestamp: [4, 'uint64'],
+    delay: [5, 'int32']
+  },
+  StopTimeEvent: {
+    delay: [1, 'int32'],
+    time: [2, 'int64'],
+    uncertainty: [3, 'int32']
+  },
+  StopTimeUpdate: {
+    stop_sequence: [1, 'uint32'],
+    arrival: [2, 'StopTimeEvent'],
+    departure: [3, 'StopTimeEvent'],
+    stop_id: [4, 'string'],
+    schedule_relationship: [5, 'enum:StopScheduleRelationship']
+  },
+  VehiclePosition: {
+    trip: [1, 'TripDescriptor'],
+    position: [2, 'Position'],
+    current_stop_sequence: [3, 'uint32'],
+    current_status: [4, 'enum:VehicleStopStatus'],
+    timestamp: [5, 'uint64'],
+    stop_id: [7, 'string'],
+    vehicle: [8, 'VehicleDescriptor']
+  },
+  Position: {
+    latitude: [1, 'float'],
+    longitude: [2, 'float'],
+    bearing: [3, 'float'],
+    odometer: [4, 'double'],
+    speed: [5, 'float']
+  },
+  TripDescriptor: {
+    trip_id: [1, 'string'],
+    start_time: [2, 'string'],
+    start_date: [3, 'string'],
+    schedule_relationship: [4, 'enum:TripScheduleRelationship'],
+    route_id: [5, 'string'],
+    direction_id: [6, 'uint32']
+  },
+  VehicleDescriptor: {
+    id: [1, 'string'],
+    label: [2, 'string'],
+    license_plate: [3, 'string']
+  }
+};
+
+const textEncoder = new TextEncoder();
+
+// Negative int32/int64 values are sign-extended to ten bytes, as protobuf requires
+const writeVarint = (bytes, value) => {
+  let remaining = BigInt.asUintN(64, BigInt(Math.trunc(value)));
+  while (remaining > 0x7fn) {
+    bytes.push(Number(remaining & 0x7fn) | 0x80);
+    remaining >>= 7n;
+  }
+  bytes.push(Number(remaining));
+};
+
+const writeTag = (bytes, fieldNumber, wireType) => {
+  writeVarint(bytes, (fieldNumber << 3) | wireType);
+};
+
+const writeLengthDelimited = (bytes, fieldNumber, payload) => {
+  writeTag(bytes, fieldNumber, WIRE_LENGTH_DELIMITED);
+  writeVarint(bytes, payload.length);
+  for (let i = 0; i < payload.length; i++) bytes.push(payload[i]);
+};
+
+const writeFixed = (bytes, fieldNumber, value, size) => {
+  const view = new DataView(new ArrayBuffer(size));
+  if (size === 4) {
+    view.setFloat32(0, value, true);
+  } else {
+    view.setFloat64(0, value, true);
+  }
+  writeTag(bytes, fieldNumber, size === 4 ? WIRE_FIXED32 : WIRE_FIXED64);
+  for (let i = 0; i < size; i++) bytes.push(view.getUint8(i));
+};
+
+const writeField = (bytes, fieldNumber, type, value) => {
+  if (type.startsWith('enum:')) {
+    const enumValues = ENUMS[type.slice(5)];
+    if (!(value in enumValues)) {
+      throw new Error(`Unknown ${type.slice(5)} value: ${value}`);
+    }
+    writeTag(bytes, fieldNumber, WIRE_VARINT);
+    writeVarint(bytes, enumValues[value]);
+    return;
+  }
+
+  switch (type) {
+    case 'string':
+      writeLengthDelimited(bytes, fieldNumber, textEncoder.encode(String(value)));
+      break;
+    case 'bool':
+      writeTag(bytes, fieldNumber, WIRE_VARINT);
+      writeVarint(bytes, value ? 1 : 0);
+      break;
+    case 'int32':
+    case 'int64':
+    case 'uint32':
+    case 'uint64':
+      writeTag(bytes, fieldNumber, WIRE_VARINT);
+      writeVarint(bytes, value);
+      break;
+    case 'float':
+      writeFixed(bytes, fieldNumber, value, 4);
+      break;
+    case 'double':
+      writeFixed(bytes, fieldNumber, value, 8);
+      break;
+    default:
+      writeLengthDelimited(bytes, fieldNumber, encodeFields(type, value));
+  }
+};
+
+const encodeFields = (messageName, message) => {
+  const fields = MESSAGES[messageName];
+  const bytes = [];
+
+  // Fields go out in field-number order, as the reference encoders write them
+  Object.entries(fields)
+    .sort(([, a], [, b]) => a[0] - b[0])
+    .forEach(([name, [fieldNumber, type, repeated]]) => {
+      const value = message[name];
+      if (value === undefined || value === null) return;
+
+      if (repeated) {
+        value.forEach((item) => writeField(bytes, fieldNumber, type, item));
+      } else {
+        writeField(bytes, fieldNumber, type, value);
+      }
+    });
+
+  return bytes;
+};
+
+/**
+ * Encode a GTFS-Realtime message. Messages are plain objects using the
+ * .proto field names; enums are given by name and unset fields are skipped.
+ * @param {string} messageName - e.g. 'FeedMessage'
+ * @param {Object} message - Message contents
+ * @returns {Uint8Array} Protocol buffer bytes
+ */
+export const encodeMessage = (messageName, message) => {
+  if (!MESSAGES[messageName]) {
+    throw new Error(`Unknown message type: ${messageName}`);
+  }
+  return Uint8Array.from(encodeFields(messageName, message));
+};
+
+/**
+ * Encode a GTFS-Realtime FeedMessage
+ * @returns {Uint8Array}
+ */
+export const encodeFeedMessage = (feed) => encodeMessage('FeedMessage', feed);
@@ -0,0 +1,91 @@
+// Tracker fix pipeline: device lookup, noise filtering, sampling and location writes
+import { createLocationFilter } from '../src/lib/locationFilter.js';
+import {
+  DEFAULT_SAMPLING_PRESET,
+  getSamplingThresholds,
+  shouldUploadFix
+} from '../src/lib/samplingPolicy.js';
+import { HEARTBEAT_INTERVAL, OFFLINE_AFTER_MISSED_HEARTBEATS } from '../src/lib/locationService.js';
+
+// Accuracy assumed when a tracker doesn't report one (meters)
+const DEFAULT_ACCURACY = 20;
+
+// A tracker silent for this long has gone offline; its next fix starts a new session
+const SESSION_TIMEOUT = HEARTBEAT_INTERVAL * OFFLINE_AFTER_MISSED_HEARTBEATS;
+
+/**
+ * driverLocations document ID for a tracker
+ */
+export const trackerVehicleId = (deviceId) => `tracker-${String(deviceId).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+
+/**
+ * Create the ingestion pipeline. Fixes from each device go through the same
+ * noise filter and sampling policy as phones sharing their location, and are
+ * handled one at a time per device so writes land in order.
+ * @param {Object} options
+ * @param {Object} options.devices - { [deviceId]: { busNumber, route, displayName, email } }
+ * @param {Function} options.write - async (vehicleId, driverInfo, position, { newSession }) => { success, error }
+ * @param {string} options.preset - Sampling preset (SAMPLING_PRESETS key)
+ * @returns {Object} { handleFix(deviceId, position) => Promise<{ accepted, written, reason }> }
+ */
+export const createTrackerIngest = ({ devices, write, preset = DEFAULT_SAMPLING_PRESET }) => {
+  const sessions = new Map();
+
+  const getSession = (deviceId, now) => {
+    const existing = sessions.get(deviceId);
+    if (existing && now - existing.lastWriteAt <= SESSION_TIMEOUT) return existing;
+
+    const session = {
+      filter: createLocationFilter(),
+      lastUploaded: null,
+      lastWriteAt: now,
+      pending: existing?.pending || Promise.resolve()
+    };
+    sessions.set(deviceId, session);
+    return session;
+  };
+
+  const processFix = async (deviceId, device, session, position) => {
+    const fix = {
+      ...position,
+      coords: { ...position.coords, accuracy: position.coords.accuracy ?? DEFAULT_ACCURACY }
+    };
+
+    const decision = session.filter.process(fix);
+    if (!decision.accepted) return { accepted: false, written: false, reason: decision.reason };
+
+    const thresholds = getSamplingThresholds(preset, decision.filtered.coords.speed, null);
+    const { upload, reason } = shouldUploadFix(session.lastUploaded, decision.filtered, thresholds);
+    if (!upload) return { accepted: true, written: false, reason };
+
+    const driverInfo = {
+      displayName: device.displayName || `Tracker ${deviceId}`,
+      email: device.email || '',
+      busNumber: device.busNumber,
+      route: device.route
+    };
+    const result = await write(trackerVehicleId(deviceId), driverInfo, decision.filtered, {
+      newSession: !session.lastUploaded
+    });
+
+    if (result.success) {
+      session.lastUploaded = decision.filtered;
+      session.lastWriteAt = Date.now();
+    }
+    return { accepted: true, written: result.success, reason: result.success ? reason : result.error };
+  };
+
+  const handleFix = (deviceId, position) => {
+    const device = devices[deviceId];
+    if (!device) {
+      return Promise.resolve({ accepted: false, written: false, reason: 'unknown-device' });
+    }
+
+    const session = getSession(deviceId, Date.now());
+    const result = session.pending.then(() => processFix(deviceId, device, session, position));
+    session.pending = result.catch(() => {});
+    return result;
+  };
+
+  return { handleFix };
+};
@@ -0,0 +1,224 @@
+// Hardware GPS tracker ingestion server
+//
+//   npm run trackers -- --devices server/trackers.json
+//
+// Protocols:
+//   HTTP  (default port 5055)  OsmAnd query strings and Traccar Client JSON
+//   TCP and UDP (default 5010) NMEA RMC/GGA, after a "$PGID,<deviceId>*hh" login
+//
+// Fixes are written to driverLocations/tracker-<deviceId> in the same shape
+// as a driver's phone. Writes go to the Firestore emulator when
+// FIRESTORE_EMULATOR_HOST is set, otherwise to Firestore signed in as the
+// admin account in TRACKER_EMAIL / TRACKER_PASSWORD. --dry-run only logs.
+import http from 'node:http';
+import net from 'node:net';
+import dgram from 'node:dgram';
+import { readFile } from 'node:fs/promises';
+import { connectFirestoreEmulator, doc, setDoc } from 'firebase/firestore';
+import { signInWithEmailAndPassword } from 'firebase/auth';
+import { db, auth } from '../src/lib/firebase.js';
+import { buildDriverLocation, updateDriverLocation } from '../src/lib/locationService.js';
+import { createTrackerIngest } from './trackerIngest.js';
+import { createNmeaSession } from './nmea.js';
+import { parseOsmAndParams, parseTraccarJson } from './osmand.js';
+
+const DEFAULT_HTTP_PORT = 5055;
+const DEFAULT_NMEA_PORT = 5010;
+
+// Guards against clients that never send a newline or a sane body
+const MAX_LINE_LENGTH = 1024;
+const MAX_BODY_LENGTH = 64 * 1024;
+
+// Idle TCP connections and UDP sender sessions are dropped after this long
+const IDLE_TIMEOUT = 10 * 60 * 1000;
+
+const parseArgs = (args) => {
+  const options = {
+    devices: process.env.TRACKER_DEVICES || 'server/trackers.json',
+    httpPort: DEFAULT_HTTP_PORT,
+    nmeaPort: DEFAULT_NMEA_PORT,
+    dryRun: false
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--devices') options.devices = args[++i];
+    if (args[i] === '--http-port') options.httpPort = Number(args[++i]);
+    if (args[i] === '--nmea-port') options.nmeaPort = Number(args[++i]);
+    if (args[i] === '--dry-run') options.dryRun = true;
+  }
+  return options;
+};
+
+const writeToFirestore = async (vehicleId, driverInfo, position, { newSession }) => {
+  if (!newSession) return updateDriverLocation(vehicleId, position);
+
+  try {
+    await setDoc(doc(db, 'driverLocations', vehicleId), {
+      ...buildDriverLocation(vehicleId, driverInfo.email, driverInfo, position),
+      source: 'tracker'
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error starting tracker location:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const writeToLog = async (vehicleId, driverInfo, position, { newSession }) => {
+  const { latitude, longitude, speed } = position.coords;
+  console.log(
+    `${newSession ? 'start' : 'update'} ${vehicleId} (bus ${driverInfo.busNumber}): ` +
+    `${latitude.toFixed(6)}, ${longitude.toFixed(6)} at ${(speed || 0).toFixed(1)} m/s`
+  );
+  return { success: true };
+};
+
+const connectFirestore = async () => {
+  const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+  if (emulatorHost) {
+    const [host, port] = emulatorHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+    console.log(`Writing to the Firestore emulator at ${emulatorHost}`);
+    return;
+  }
+
+  const { TRACKER_EMAIL: email, TRACKER_PASSWORD: password } = process.env;
+  if (!email || !password) {
+    throw new Error('Set FIRESTORE_EMULATOR_HOST, or TRACKER_EMAIL and TRACKER_PASSWORD for an admin account, or use --dry-run');
+  }
+  await signInWithEmailAndPassword(auth, email, password);
+  console.log(`Writing to Firestore as ${email}`);
+};
+
+const logResult = (deviceId, result) => {
+  if (!result.accepted && result.reason === 'unknown-device') {
+    console.warn(`Ignoring fix from unknown device ${deviceId}`);
+  }
+};
+
+const createHttpServer = (ingest) => http.createServer((req, res) => {
+  let body = '';
+  let tooLarge = false;
+
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_LENGTH) {
+      tooLarge = true;
+      req.destroy();
+    }
+  });
+
+  req.on('end', async () => {
+    if (tooLarge) return;
+
+    const url = new URL(req.url, 'http://localhost');
+    let report = null;
+    try {
+      if ((req.headers['content-type'] || '').includes('application/json')) {
+        report = parseTraccarJson(JSON.parse(body));
+      } else {
+        // OsmAnd sends everything in the query string; some clients post it as a form
+        report = parseOsmAndParams(url.search ? url.searchParams : new URLSearchParams(body));
+      }
+    } catch {
+      report = null;
+    }
+
+    if (!report) {
+      res.writeHead(400).end('Invalid position report');
+      return;
+    }
+
+    const result = await ingest.handleFix(report.deviceId, report.position);
+    logResult(report.deviceId, result);
+    if (result.reason === 'unknown-device') {
+      res.writeHead(404).end('Unknown device');
+    } else {
+      res.writeHead(200).end();
+    }
+  });
+});
+
+// Feed newline-separated NMEA text through a session
+const handleNmeaLines = (session, text, ingest) => {
+  text.split(/\r?\n/).forEach((line) => {
+    const report = line.length <= MAX_LINE_LENGTH ? session.push(line) : null;
+    if (report) {
+      ingest.handleFix(report.deviceId, report.position).then((result) => logResult(report.deviceId, result));
+    }
+  });
+};
+
+const createTcpServer = (ingest) => net.createServer((socket) => {
+  const session = createNmeaSession();
+  let buffer = '';
+
+  socket.setEncoding('ascii');
+  socket.setTimeout(IDLE_TIMEOUT, () => socket.destroy());
+  socket.on('error', () => socket.destroy());
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const lastNewline = buffer.lastIndexOf('\n');
+    if (lastNewline === -1) {
+      if (buffer.length > MAX_LINE_LENGTH) socket.destroy();
+      return;
+    }
+    handleNmeaLines(session, buffer.slice(0, lastNewline), ingest);
+    buffer = buffer.slice(lastNewline + 1);
+  });
+});
+
+const createUdpServer = (ingest) => {
+  const socket = dgram.createSocket('udp4');
+  // UDP trackers log in once, so sessions are kept per sender address
+  const sessions = new Map();
+
+  socket.on('message', (message, remote) => {
+    const key = `${remote.address}:${remote.port}`;
+    const entry = sessions.get(key) || { session: createNmeaSession() };
+    entry.lastSeen = Date.now();
+    sessions.set(key, entry);
+    handleNmeaLines(entry.session, message.toString('ascii'), ingest);
+  });
+
+  const pruneTimer = setInterval(() => {
+    const cutoff = Date.now() - IDLE_TIMEOUT;
+    sessions.forEach((entry, key) => {
+      if (entry.lastSeen < cutoff) sessions.delete(key);
+    });
+  }, IDLE_TIMEOUT);
+  pruneTimer.unref();
+
+  return socket;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const { devices = {} } = JSON.parse(await readFile(options.devices, 'utf8'));
+  console.log(`Loaded ${Object.keys(devices).length} tracker(s) from ${options.devices}`);
+
+  if (!options.dryRun) await connectFirestore();
+
+  const ingest = createTrackerIngest({
+    devices,
+    write: options.dryRun ? writeToLog : writeToFirestore
+  });
+
+  const httpServer = createHttpServer(ingest).listen(options.httpPort);
+  const tcpServer = createTcpServer(ingest).listen(options.nmeaPort);
+  const udpServer = createUdpServer(ingest);
+  udpServer.bind(options.nmeaPort);
+  console.log(`OsmAnd/Traccar HTTP on port ${options.httpPort}, NMEA TCP/UDP on port ${options.nmeaPort}`);
+
+  const shutdown = () => {
+    udpServer.close();
+    tcpServer.close();
+    httpServer.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -10,24 +10,36 @@ import DriverVerificationForm from './components/DriverVerificationForm.jsx';
 import AdminUserVerificationPanel from './components/AdminUserVerificationPanel.jsx';
 import DriverLocationControl from './components/DriverLocationControl.jsx';
 import AdminDashboard from './components/AdminDashboard.jsx';
+import NotificationSystem from './components/NotificationSystem.jsx';
 import { AuthProvider } from './hooks/useAuth.jsx';
 import { useAuth } from './hooks/useAuth.jsx';
 import useUserRole from './hooks/useUserRole.js';
-import { useBusLocations } from './hooks/useBusData.js';
+import useDriverSweeper from './hooks/useDriverSweeper.js';
+import useNotificationEngine from './hooks/useNotificationEngine.js';
+import useBroadcastScheduler from './hooks/useBroadcastScheduler.js';
+import useVehicles from './hooks/useVehicles.js';
+import { VEHICLE_SOURCE_LABELS, formatVehicleSpeed, getVehicleTitle } from './lib/vehicleModel.js';
+import { DRIVER_STATUS } from './lib/locationService.js';
 import './App.css';
 
 // Main App Content Component
 const AppContent = () => {
   const { user } = useAuth();
   const { userProfile, isDriver, isStudent, isAdmin, isPending, isVerified } = useUserRole();
-  const { buses, loading, connected, refreshData } = useBusLocations();
-  const [selectedBus, setSelectedBus] = useState(null);
-  const [selectedDriver, setSelectedDriver] = useState(null);
+  const { vehicles, loading, connected, simulated, refresh } = useVehicles();
+  const [selectedVehicle, setSelectedVehicle] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showVerificationForm, setShowVerificationForm] = useState(false);
   const [showAdminPanel, setShowAdminPanel] = useState(false);
   const [showAdminDashboard, setShowAdminDashboard] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+
+  // Admin sessions mark silent drivers offline and run the notification rules and
+  // scheduled broadcasts; with no admin tab open, none of these run
+  useDriverSweeper(isAdmin);
+  useNotificationEngine(isAdmin);
+  useBroadcastScheduler(isAdmin);
 
   // Check if mobile
   useEffect(() => {
@@ -51,25 +63,17 @@ const AppContent = () => {
     setSidebarOpen(!sidebarOpen);
   };
 
-  const handleBusSelect = (bus) => {
-    setSelectedBus(bus);
-    setSelectedDriver(null); // Clear driver selection
+  const handleVehicleSelect = (vehicle) => {
+    setSelectedVehicle(vehicle);
     if (isMobile) {
       setSidebarOpen(false);
     }
   };
 
-  const handleDriverSelect = (driver) => {
-    setSelectedDriver(driver);
-    setSelectedBus(null); // Clear bus selection
-    if (isMobile) {
-      setSidebarOpen(false);
-    }
-  };
-
-
-  // Use only real bus data from Firebase
-  const displayBuses = buses;
+  // Keep the info panel in step with the latest position of the selected vehicle
+  const currentVehicle = selectedVehicle
+    ? vehicles.find((vehicle) => vehicle.id === selectedVehicle.id) || selectedVehicle
+    : null;
 
   // Show a basic map view for unverified users
   if (user && !isVerified && !isPending && !showVerificationForm && !showAdminPanel && !showAdminDashboard) {
@@ -87,7 +91,7 @@ const AppContent = () => {
           </div>
         </div>
         <div className="flex-1">
-          <BusMap buses={displayBuses} />
+          <BusMap vehicles={vehicles} simulated={simulated} />
         </div>
       </div>
     );
@@ -124,6 +128,25 @@ const AppContent = () => {
     );
   }
 
+  // Show notification inbox and settings
+  if (showNotifications) {
+    return (
+      <div className="min-h-screen bg-background p-4">
+        <div className="max-w-4xl mx-auto">
+          <div className="mb-4">
+            <Button
+              variant="outline"
+              onClick={() => setShowNotifications(false)}
+            >
+              ← Back to Map
+            </Button>
+          </div>
+          <NotificationSystem />
+        </div>
+      </div>
+    );
+  }
+
   // Show admin panel
   if (isAdmin && showAdminPanel) {
     return (
@@ -186,7 +209,7 @@ const AppContent = () => {
           
           {/* User Profile positioned below title */}
           <div className="mb-1">
-            <UserProfile compact />
+            <UserProfile compact onOpenNotifications={() => setShowNotifications(true)} />
           </div>
 
           {/* Role-based Action Buttons */}
@@ -236,14 +259,13 @@ const AppContent = () => {
         {/* Bus/Driver List */}
         <div className="flex-1 overflow-hidden">
           <BusSidebar
-            buses={displayBuses}
-            selectedBus={selectedBus}
-            onBusSelect={handleBusSelect}
-            selectedDriver={selectedDriver}
-            onDriverSelect={handleDriverSelect}
+            vehicles={vehicles}
+            selectedVehicle={currentVehicle}
+            onVehicleSelect={handleVehicleSelect}
             loading={loading}
             connected={connected}
-            onRefresh={refreshData}
+            simulated={simulated}
+            onRefresh={refresh}
           />
         </div>
       </div>
@@ -267,52 +289,39 @@ const AppContent = () => {
       {/* Main content */}
       <div className="flex-1 relative overflow-hidden">
         <BusMap
-          buses={displayBuses}
-          selectedBus={selectedBus}
-          onBusSelect={handleBusSelect}
-          selectedDriver={selectedDriver}
-          onDriverSelect={handleDriverSelect}
+          vehicles={vehicles}
+          selectedVehicle={currentVehicle}
+          onVehicleSelect={handleVehicleSelect}
+          canReplay={isAdmin}
+          simulated={simulated}
           className="h-full w-full"
         />
         
         {/* Info Panel for selected items */}
-        {(selectedBus || selectedDriver) && (
+        {currentVehicle && (
           <div className={`absolute ${isMobile ? 'top-16 left-2 right-2' : 'top-4 right-4'} bg-white rounded-lg shadow-lg p-3 ${isMobile ? '' : 'max-w-sm'} z-[500]`}>
-            {selectedBus && (
-              <div>
-                <h3 className="font-semibold text-base md:text-lg mb-2">{selectedBus.busId}</h3>
-                <div className="space-y-1 text-xs md:text-sm">
-                  <p><strong>Route:</strong> {selectedBus.route}</p>
-                  <p><strong>Status:</strong> {selectedBus.status}</p>
-                  <p><strong>Speed:</strong> {selectedBus.speed || 0} km/h</p>
-                </div>
-              </div>
-            )}
-            
-            {selectedDriver && (
-              <div>
-                <div className="flex items-center gap-2 mb-2">
+            <div>
+              <div className="flex items-center gap-2 mb-2">
+                {currentVehicle.status === DRIVER_STATUS.ONLINE && (
                   <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
-                  <h3 className="font-semibold text-base md:text-lg">Live Driver</h3>
-                </div>
-                <div className="space-y-1 text-xs md:text-sm">
-                  <p><strong>Driver:</strong> {selectedDriver.displayName}</p>
-                  <p><strong>Bus:</strong> {selectedDriver.busNumber}</p>
-                  <p><strong>Route:</strong> {selectedDriver.route}</p>
-                  <p><strong>Speed:</strong> {Math.round((selectedDriver.speed || 0) * 3.6)} km/h</p>
-                </div>
+                )}
+                <h3 className="font-semibold text-base md:text-lg">{getVehicleTitle(currentVehicle)}</h3>
               </div>
-            )}
+              <div className="space-y-1 text-xs md:text-sm">
+                {currentVehicle.displayName && <p><strong>Driver:</strong> {currentVehicle.displayName}</p>}
+                <p><strong>Route:</strong> {currentVehicle.route || 'Unknown Route'}</p>
+                <p><strong>Status:</strong> {currentVehicle.status}</p>
+                <p><strong>Speed:</strong> {formatVehicleSpeed(currentVehicle.speed)}</p>
+                <p><strong>Source:</strong> {VEHICLE_SOURCE_LABELS[currentVehicle.source]}</p>
+              </div>
+            </div>
             
             <Button
               variant="ghost"
               size="sm"
               className="absolute top-2 right-2 h-8 w-8 p-0 touch-manipulation min-h-[44px] min-w-[44px] bg-white hover:bg-gray-100 rounded-full shadow-sm"
               type="button"
-              onClick={() => {
-                setSelectedBus(null);
-                setSelectedDriver(null);
-              }}
+              onClick={() => setSelectedVehicle(null)}
               aria-label="Close info panel"
             >
               <span className="text-lg font-bold">×</span>
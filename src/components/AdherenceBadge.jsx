@@ -0,0 +1,20 @@
+// "On time / 6 min late" badge for a live bus
+import React from 'react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { ADHERENCE_COLORS, formatAdherence } from '../lib/scheduleAdherence.js';
+
+const AdherenceBadge = ({ adherence, className = '' }) => {
+  if (!adherence) return null;
+
+  return (
+    <Badge
+      className={`text-white text-xs ${className}`}
+      style={{ backgroundColor: ADHERENCE_COLORS[adherence.status] }}
+      title={adherence.expectedAt ? `Trip ${adherence.tripDeparture}, expected here at ${adherence.expectedAt}` : undefined}
+    >
+      {formatAdherence(adherence)}
+    </Badge>
+  );
+};
+
+export default AdherenceBadge;
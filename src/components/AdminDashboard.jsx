@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button.jsx';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
 import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx';
 import { 
   Users, 
@@ -16,21 +17,20 @@ import {
   AlertTriangle,
   CheckCircle,
   TrendingUp,
-  Activity
+  Activity,
+  Loader2
 } from 'lucide-react';
-import { 
-  collection, 
-  onSnapshot, 
-  query, 
-  where,
-  orderBy,
-  limit
-} from 'firebase/firestore';
-import { db } from '../lib/firebase.js';
+import { usersRepository, routesRepository, schedulesRepository } from '../lib/repositories/index.js';
+import { countLegacyBuses, migrateLegacyBuses } from '../lib/vehicleService.js';
+import { countNotificationsMissingInboxFields, backfillInboxFields } from '../lib/inboxService.js';
 import AdminUserVerificationPanel from './AdminUserVerificationPanel.jsx';
 import BusRouteManager from './BusRouteManager.jsx';
+import BusStopManager from './BusStopManager.jsx';
 import BusScheduleManager from './BusScheduleManager.jsx';
 import NotificationSystem from './NotificationSystem.jsx';
+import NotificationComposer from './NotificationComposer.jsx';
+import GtfsImportPanel from './GtfsImportPanel.jsx';
+import GtfsExportPanel from './GtfsExportPanel.jsx';
 
 const AdminDashboard = () => {
   const [stats, setStats] = useState({
@@ -44,17 +44,62 @@ const AdminDashboard = () => {
   const [recentActivity, setRecentActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
+  const [legacyBusCount, setLegacyBusCount] = useState(0);
+  const [migratingBuses, setMigratingBuses] = useState(false);
+  const [migrationMessage, setMigrationMessage] = useState('');
+  const [legacyNotificationCount, setLegacyNotificationCount] = useState(0);
+  const [backfillingNotifications, setBackfillingNotifications] = useState(false);
+
+  // Buses still in the legacy collection are shown through the compat layer until migrated
+  useEffect(() => {
+    countLegacyBuses().then((result) => {
+      if (result.success) setLegacyBusCount(result.count);
+    });
+    // Notifications from before the inbox stay hidden from it until backfilled
+    countNotificationsMissingInboxFields().then((result) => {
+      if (result.success) setLegacyNotificationCount(result.count);
+    });
+  }, []);
+
+  const handleMigrateBuses = async () => {
+    setMigratingBuses(true);
+    setMigrationMessage('');
+
+    const result = await migrateLegacyBuses();
+    if (result.success) {
+      setMigrationMessage(
+        `Migrated ${result.migrated} bus(es) to live vehicle locations` +
+        (result.skipped ? `; removed ${result.skipped} without a position.` : '.')
+      );
+      setLegacyBusCount(0);
+    } else {
+      setMigrationMessage(`Migration failed: ${result.error}`);
+    }
+    setMigratingBuses(false);
+  };
+
+  const handleBackfillNotifications = async () => {
+    setBackfillingNotifications(true);
+    setMigrationMessage('');
+
+    const result = await backfillInboxFields();
+    if (result.success) {
+      setMigrationMessage(`Updated ${result.updated} notification(s) so they show in users' inboxes.`);
+      setLegacyNotificationCount(0);
+    } else {
+      setMigrationMessage(`Update failed: ${result.error}`);
+    }
+    setBackfillingNotifications(false);
+  };
 
   useEffect(() => {
     // Listen to users for stats
-    const usersQuery = collection(db, 'users');
-    const unsubscribeUsers = onSnapshot(usersQuery, (snapshot) => {
+    const unsubscribeUsers = usersRepository.listen((users) => {
       let totalUsers = 0;
       let pendingVerifications = 0;
       let activeDrivers = 0;
 
-      snapshot.forEach((doc) => {
-        const userData = doc.data();
+      users.forEach((userData) => {
         totalUsers++;
         
         if (userData.isPending) {
@@ -75,40 +120,23 @@ const AdminDashboard = () => {
     });
 
     // Listen to routes
-    const routesQuery = collection(db, 'routes');
-    const unsubscribeRoutes = onSnapshot(routesQuery, (snapshot) => {
+    const unsubscribeRoutes = routesRepository.listen((routes) => {
       setStats(prev => ({
         ...prev,
-        totalRoutes: snapshot.size
+        totalRoutes: routes.length
       }));
     });
 
     // Listen to schedules
-    const schedulesQuery = query(
-      collection(db, 'schedules'),
-      where('isActive', '==', true)
-    );
-    const unsubscribeSchedules = onSnapshot(schedulesQuery, (snapshot) => {
+    const unsubscribeSchedules = schedulesRepository.listen((schedules) => {
       setStats(prev => ({
         ...prev,
-        activeSchedules: snapshot.size
+        activeSchedules: schedules.length
       }));
-    });
+    }, { activeOnly: true });
 
     // Listen to recent activity (login events)
-    const activityQuery = query(
-      collection(db, 'login'),
-      orderBy('timestamp', 'desc'),
-      limit(10)
-    );
-    const unsubscribeActivity = onSnapshot(activityQuery, (snapshot) => {
-      const activities = [];
-      snapshot.forEach((doc) => {
-        activities.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+    const unsubscribeActivity = usersRepository.listenToRecentLogins(10, (activities) => {
       setRecentActivity(activities);
       setLoading(false);
     });
@@ -180,16 +208,56 @@ const AdminDashboard = () => {
       </div>
 
       <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-4">
-        <TabsList className="grid w-full grid-cols-6">
+        <TabsList className="grid w-full grid-cols-8">
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="users">Users</TabsTrigger>
           <TabsTrigger value="routes">Routes</TabsTrigger>
+          <TabsTrigger value="stops">Stops</TabsTrigger>
           <TabsTrigger value="schedules">Schedules</TabsTrigger>
+          <TabsTrigger value="gtfs">GTFS</TabsTrigger>
           <TabsTrigger value="notifications">Notifications</TabsTrigger>
           <TabsTrigger value="analytics">Analytics</TabsTrigger>
         </TabsList>
 
         <TabsContent value="overview" className="space-y-6">
+          {legacyBusCount > 0 && (
+            <Alert>
+              <Bus className="h-4 w-4" />
+              <AlertDescription className="flex items-center justify-between gap-4">
+                <span>
+                  {legacyBusCount} bus record(s) are still in the old buses collection. Migrate them
+                  so every vehicle is stored in one place.
+                </span>
+                <Button size="sm" onClick={handleMigrateBuses} disabled={migratingBuses}>
+                  {migratingBuses && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Migrate
+                </Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {legacyNotificationCount > 0 && (
+            <Alert>
+              <Bell className="h-4 w-4" />
+              <AlertDescription className="flex items-center justify-between gap-4">
+                <span>
+                  {legacyNotificationCount} older notification(s) don't show in users' inboxes yet.
+                  Update them to add the read and archive fields the inbox needs.
+                </span>
+                <Button size="sm" onClick={handleBackfillNotifications} disabled={backfillingNotifications}>
+                  {backfillingNotifications && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Update
+                </Button>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {migrationMessage && (
+            <Alert>
+              <AlertDescription>{migrationMessage}</AlertDescription>
+            </Alert>
+          )}
+
           {/* Stats Overview */}
           <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
             <StatCard
@@ -286,11 +354,21 @@ const AdminDashboard = () => {
           <BusRouteManager />
         </TabsContent>
 
+        <TabsContent value="stops">
+          <BusStopManager />
+        </TabsContent>
+
         <TabsContent value="schedules">
           <BusScheduleManager />
         </TabsContent>
 
-        <TabsContent value="notifications">
+        <TabsContent value="gtfs" className="space-y-6">
+          <GtfsImportPanel />
+          <GtfsExportPanel />
+        </TabsContent>
+
+        <TabsContent value="notifications" className="space-y-6">
+          <NotificationComposer />
           <NotificationSystem />
         </TabsContent>
 
@@ -28,17 +28,8 @@ import {
   XCircle,
   Eye
 } from 'lucide-react';
-import { 
-  collection, 
-  query, 
-  where, 
-  onSnapshot, 
-  doc, 
-  updateDoc, 
-  serverTimestamp,
-  orderBy 
-} from 'firebase/firestore';
-import { db } from '../lib/firebase.js';
+import { usersRepository } from '../lib/repositories/index.js';
+import { toMillis } from '../lib/timeUtils.js';
 import { useAuth } from '../hooks/useAuth.jsx';
 import { verifyUser } from '../lib/userRoleService.js';
 
@@ -53,44 +44,17 @@ const AdminUserVerificationPanel = ({ onClose }) => {
 
   useEffect(() => {
     // Listen to pending users
-    const pendingQuery = query(
-      collection(db, 'users'),
-      where("isPending", "==", true)
-    );
-
-    const unsubscribePending = onSnapshot(pendingQuery, (snapshot) => {
-      const users = snapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }))
+    const unsubscribePending = usersRepository.listenToPending((records) => {
+      const users = records
         .filter(user => user.isVerified === false)
-        .sort((a, b) => {
-          const aTime = a.createdAt?.seconds || 0;
-          const bTime = b.createdAt?.seconds || 0;
-          return bTime - aTime;
-        });
+        .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
       setPendingUsers(users);
       setLoading(false);
     });
 
     // Listen to verified users
-    const verifiedQuery = query(
-      collection(db, 'users'),
-      where("isVerified", "==", true)
-    );
-
-    const unsubscribeVerified = onSnapshot(verifiedQuery, (snapshot) => {
-      const users = snapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }))
-        .sort((a, b) => {
-          const aTime = a.verifiedAt?.seconds || 0;
-          const bTime = b.verifiedAt?.seconds || 0;
-          return bTime - aTime;
-        });
+    const unsubscribeVerified = usersRepository.listenToVerified((records) => {
+      const users = records.sort((a, b) => toMillis(b.verifiedAt) - toMillis(a.verifiedAt));
       setVerifiedUsers(users);
     });
 
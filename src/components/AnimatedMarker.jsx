@@ -0,0 +1,55 @@
+// Leaflet marker that glides between fixes instead of jumping
+import React, { useEffect, useRef, useState } from 'react';
+import { Marker } from 'react-leaflet';
+import {
+  createMotionState,
+  updateMotionTarget,
+  getDisplayedPosition
+} from '../lib/markerMotion.js';
+
+const AnimatedMarker = ({
+  latitude,
+  longitude,
+  speed = 0,
+  heading = 0,
+  extrapolate = true,
+  children,
+  ...markerProps
+}) => {
+  const markerRef = useRef(null);
+  const motionRef = useRef(null);
+  const frameRef = useRef(null);
+  // Leaflet owns the position after mount; a stable prop keeps react-leaflet from snapping it back
+  const [initialPosition] = useState(() => [latitude, longitude]);
+
+  useEffect(() => {
+    const fix = { latitude, longitude, speed, heading };
+    const now = performance.now();
+
+    motionRef.current = motionRef.current
+      ? updateMotionTarget(motionRef.current, fix, now)
+      : createMotionState(fix, now);
+
+    const step = (time) => {
+      const position = getDisplayedPosition(motionRef.current, time, { extrapolate });
+      if (markerRef.current) {
+        markerRef.current.setLatLng([position.latitude, position.longitude]);
+      }
+      // Stop the loop once the marker has nowhere left to go
+      frameRef.current = position.settled ? null : requestAnimationFrame(step);
+    };
+
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [latitude, longitude, speed, heading, extrapolate]);
+
+  return (
+    <Marker ref={markerRef} position={initialPosition} {...markerProps}>
+      {children}
+    </Marker>
+  );
+};
+
+export default AnimatedMarker;
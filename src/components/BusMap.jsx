@@ -1,10 +1,21 @@
-// Map component for displaying buses and live driver locations
+// Map component for displaying vehicles, routes and trip replays
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { Button } from '@/components/ui/button.jsx';
-import { MapPin, Loader2 } from 'lucide-react';
-import { listenToDriverLocations } from '../lib/locationService.js';
+import { MapPin, Loader2, History } from 'lucide-react';
+import { DRIVER_STATUS } from '../lib/locationService.js';
+import { VEHICLE_SOURCES, VEHICLE_SOURCE_LABELS, formatVehicleSpeed, getVehicleTitle } from '../lib/vehicleModel.js';
+import { formatLastUpdated } from '../lib/timeUtils.js';
+import AnimatedMarker from './AnimatedMarker.jsx';
+import TripReplayPanel from './TripReplayPanel.jsx';
+import RouteOverlays from './RouteOverlays.jsx';
+import useRouteNetwork from '../hooks/useRouteNetwork.js';
+import useScheduleAdherence from '../hooks/useScheduleAdherence.js';
+import AdherenceBadge from './AdherenceBadge.jsx';
+import { ADHERENCE_COLORS, formatAdherence } from '../lib/scheduleAdherence.js';
+import useTripReplay from '../hooks/useTripReplay.js';
+import { DEFAULT_MAP_CENTER, TILE_LAYER } from '../lib/mapConfig.js';
 
 // Fix for default markers in React Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -55,42 +66,38 @@ const createUserLocationIcon = () => {
     popupAnchor: [0, -38]
   });
 };
-// Custom bus icon for static bus data
-const createBusIcon = (status = 'active') => {
-  const color = status === 'active' ? '#2563eb' : '#6b7280';
-  return L.divIcon({
-    className: 'custom-bus-marker',
-    html: `
-      <div style="
-        background-color: ${color};
-        width: 20px;
-        height: 20px;
-        border-radius: 50%;
-        border: 3px solid white;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      ">
+// Marker colours for each vehicle status
+const DRIVER_STATUS_COLORS = {
+  [DRIVER_STATUS.ONLINE]: '#16a34a',
+  [DRIVER_STATUS.STALE]: '#f97316',
+  [DRIVER_STATUS.OFFLINE]: '#dc2626'
+};
+
+// Schedule label shown under a vehicle marker
+const createAdherenceLabel = (adherence) => {
+  if (!adherence) return '';
+  return `
         <div style="
-          width: 8px;
-          height: 8px;
-          background-color: white;
-          border-radius: 50%;
-        "></div>
-      </div>
-    `,
-    iconSize: [26, 26],
-    iconAnchor: [13, 13],
-    popupAnchor: [0, -13]
-  });
+          position: absolute;
+          top: 26px;
+          left: 50%;
+          transform: translateX(-50%);
+          white-space: nowrap;
+          background-color: ${ADHERENCE_COLORS[adherence.status]};
+          color: white;
+          font-size: 10px;
+          font-weight: 600;
+          padding: 1px 5px;
+          border-radius: 8px;
+          box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+        ">${formatAdherence(adherence)}</div>`;
 };
 
-// Custom driver icon for live driver locations
-const createDriverIcon = (isActive = true) => {
-  const color = isActive ? '#16a34a' : '#dc2626';
+// Vehicle icon coloured by status; the yellow dot marks a live GPS source
+const createVehicleIcon = (status = DRIVER_STATUS.ONLINE, adherence = null, live = true) => {
+  const color = DRIVER_STATUS_COLORS[status] || DRIVER_STATUS_COLORS[DRIVER_STATUS.OFFLINE];
   return L.divIcon({
-    className: 'custom-driver-marker',
+    className: 'custom-vehicle-marker',
     html: `
       <div style="
         background-color: ${color};
@@ -109,7 +116,7 @@ const createDriverIcon = (isActive = true) => {
           height: 10px;
           background-color: white;
           border-radius: 50%;
-        "></div>
+        "></div>${live ? `
         <div style="
           position: absolute;
           top: -2px;
@@ -119,7 +126,7 @@ const createDriverIcon = (isActive = true) => {
           background-color: #fbbf24;
           border-radius: 50%;
           border: 1px solid white;
-        "></div>
+        "></div>` : ''}${createAdherenceLabel(adherence)}
       </div>
     `,
     iconSize: [30, 30],
@@ -128,30 +135,91 @@ const createDriverIcon = (isActive = true) => {
   });
 };
 
+// Replay marker rotated to the recorded heading
+const createReplayIcon = (heading = 0) => {
+  return L.divIcon({
+    className: 'custom-replay-marker',
+    html: `
+      <div style="
+        width: 28px;
+        height: 28px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transform: rotate(${heading}deg);
+      ">
+        <div style="
+          width: 0;
+          height: 0;
+          border-left: 10px solid transparent;
+          border-right: 10px solid transparent;
+          border-bottom: 24px solid #7c3aed;
+          filter: drop-shadow(0 2px 3px rgba(0,0,0,0.4));
+        "></div>
+      </div>
+    `,
+    iconSize: [28, 28],
+    iconAnchor: [14, 14],
+    popupAnchor: [0, -14]
+  });
+};
+
+// Recorded track with the replayed portion highlighted
+const ReplayLayer = ({ track, frame }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (track.length > 0) {
+      const bounds = L.latLngBounds(track.map((point) => [point.latitude, point.longitude]));
+      map.fitBounds(bounds, { padding: [40, 40] });
+    }
+  }, [track, map]);
+
+  if (track.length === 0) return null;
+
+  const fullPath = track.map((point) => [point.latitude, point.longitude]);
+  const playedPath = frame
+    ? [...fullPath.slice(0, frame.index + 1), [frame.latitude, frame.longitude]]
+    : [];
+
+  return (
+    <>
+      <Polyline positions={fullPath} pathOptions={{ color: '#9ca3af', weight: 4, opacity: 0.7 }} />
+      {playedPath.length > 1 && (
+        <Polyline positions={playedPath} pathOptions={{ color: '#7c3aed', weight: 5 }} />
+      )}
+      {frame && (
+        <Marker
+          position={[frame.latitude, frame.longitude]}
+          icon={createReplayIcon(frame.heading)}
+        >
+          <Popup>
+            <div className="p-2 min-w-[160px] text-sm">
+              <h3 className="font-semibold mb-1">Replay</h3>
+              <p><strong>Time:</strong> {new Date(frame.time).toLocaleTimeString()}</p>
+              <p><strong>Speed:</strong> {Math.round((frame.speed || 0) * 3.6)} km/h</p>
+              <p><strong>Heading:</strong> {Math.round(frame.heading || 0)}°</p>
+            </div>
+          </Popup>
+        </Marker>
+      )}
+    </>
+  );
+};
+
 // Component to handle map updates
 const MapUpdater = ({ 
-  buses, 
-  selectedBus, 
-  onBusSelect, 
-  driverLocations, 
-  selectedDriver, 
-  onDriverSelect,
+  selectedVehicle, 
   userLocation,
   onShowUserLocation 
 }) => {
   const map = useMap();
 
   useEffect(() => {
-    if (selectedBus && selectedBus.latitude && selectedBus.longitude) {
-      map.setView([selectedBus.latitude, selectedBus.longitude], 15);
-    }
-  }, [selectedBus, map]);
-
-  useEffect(() => {
-    if (selectedDriver && selectedDriver.latitude && selectedDriver.longitude) {
-      map.setView([selectedDriver.latitude, selectedDriver.longitude], 15);
+    if (selectedVehicle && selectedVehicle.latitude && selectedVehicle.longitude) {
+      map.setView([selectedVehicle.latitude, selectedVehicle.longitude], 15);
     }
-  }, [selectedDriver, map]);
+  }, [selectedVehicle, map]);
 
   useEffect(() => {
     if (userLocation) {
@@ -172,20 +240,24 @@ const MapUpdater = ({
 };
 
 const BusMap = ({ 
-  buses = [], 
-  selectedBus, 
-  onBusSelect,
-  selectedDriver,
-  onDriverSelect,
+  vehicles = [], 
+  selectedVehicle,
+  onVehicleSelect,
+  canReplay = false,
+  simulated = false,
   className = "" 
 }) => {
-  const [driverLocations, setDriverLocations] = useState([]);
   const [userLocation, setUserLocation] = useState(null);
   const [locationLoading, setLocationLoading] = useState(false);
   const [locationError, setLocationError] = useState('');
   const [isMobile, setIsMobile] = useState(false);
   const [mapReady, setMapReady] = useState(false);
+  const [replayOpen, setReplayOpen] = useState(false);
+  const [replayTrack, setReplayTrack] = useState([]);
   const mapRef = useRef();
+  const replay = useTripReplay(replayTrack);
+  const { routes, stopsById } = useRouteNetwork();
+  const adherenceByVehicle = useScheduleAdherence(vehicles);
 
   // Check if mobile
   useEffect(() => {
@@ -216,15 +288,6 @@ const BusMap = ({
       window.removeEventListener('resize', handleOrientationChange);
     };
   }, []);
-  // Listen to live driver locations
-  useEffect(() => {
-    const unsubscribe = listenToDriverLocations((drivers) => {
-      setDriverLocations(drivers);
-    });
-
-    return () => unsubscribe();
-  }, []);
-
   const handleShowUserLocation = async () => {
     setLocationLoading(true);
     setLocationError('');
@@ -264,54 +327,17 @@ const BusMap = ({
       }
     );
   };
-  const formatLastUpdated = (timestamp) => {
-    if (!timestamp) return 'Unknown';
-    
-    const date = timestamp.seconds 
-      ? new Date(timestamp.seconds * 1000)
-      : new Date(timestamp);
-    
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    
-    const diffHours = Math.floor(diffMins / 60);
-    if (diffHours < 24) return `${diffHours}h ago`;
-    
-    return date.toLocaleDateString();
-  };
-
-  const formatSpeed = (speed) => {
-    if (!speed || speed === 0) return 'Stationary';
-    return `${Math.round(speed * 3.6)} km/h`;
-  };
-
   const formatAccuracy = (accuracy) => {
     if (!accuracy) return 'Unknown';
     return accuracy < 1000 ? `${Math.round(accuracy)}m` : `${(accuracy / 1000).toFixed(1)}km`;
   };
 
-  // Default center (New York City)
-  const defaultCenter = [40.7128, -74.0060];
-  
   // Calculate center based on available data
   const getMapCenter = () => {
     // Always return a valid center
-    if (!buses || buses.length === 0) {
-      if (!driverLocations || driverLocations.length === 0) {
-        return defaultCenter;
-      }
-    }
-    
-    const allLocations = [
-      ...buses.filter(bus => bus.latitude && bus.longitude),
-      ...driverLocations.filter(driver => driver.latitude && driver.longitude)
-    ];
+    const allLocations = vehicles.filter(vehicle => vehicle.latitude && vehicle.longitude);
     
-    if (allLocations.length === 0) return defaultCenter;
+    if (allLocations.length === 0) return DEFAULT_MAP_CENTER;
     
     const avgLat = allLocations.reduce((sum, loc) => sum + loc.latitude, 0) / allLocations.length;
     const avgLng = allLocations.reduce((sum, loc) => sum + loc.longitude, 0) / allLocations.length;
@@ -338,8 +364,8 @@ const BusMap = ({
   return (
     <div className={`h-full w-full relative ${className}`} style={{ minHeight: isMobile ? '100vh' : '400px' }}>
       {/* Show My Location Button */}
-      <div className={`absolute z-[1000] pointer-events-auto ${
-        isMobile ? 'bottom-20 right-4' : 'top-4 left-4'
+      <div className={`absolute z-[1000] pointer-events-auto flex gap-2 ${
+        isMobile ? 'bottom-20 right-4 flex-col' : 'top-4 left-4'
       }`}>
         <Button
           onClick={handleShowUserLocation}
@@ -356,8 +382,46 @@ const BusMap = ({
           )}
           {!isMobile && 'Show My Location'}
         </Button>
+
+        {canReplay && !replayOpen && (
+          <Button
+            onClick={() => setReplayOpen(true)}
+            variant="outline"
+            className={`bg-white shadow-lg touch-manipulation min-h-[44px] ${
+              isMobile ? 'rounded-full w-14 h-14 p-0' : ''
+            }`}
+            size="sm"
+            aria-label="Open trip replay"
+          >
+            <History className={`h-4 w-4 ${isMobile ? '' : 'mr-2'}`} />
+            {!isMobile && 'Trip Replay'}
+          </Button>
+        )}
       </div>
 
+      {/* Simulation Banner */}
+      {simulated && (
+        <div className="absolute z-[1000] pointer-events-none top-4 left-1/2 -translate-x-1/2 bg-amber-100 border border-amber-400 text-amber-800 text-xs font-medium px-3 py-1 rounded shadow">
+          Simulated buses — not live data
+        </div>
+      )}
+
+      {/* Trip Replay Panel */}
+      {canReplay && replayOpen && (
+        <div className={`absolute z-[1000] pointer-events-auto ${
+          isMobile ? 'top-16 left-2 right-2' : 'bottom-6 left-4'
+        }`}>
+          <TripReplayPanel
+            replay={replay}
+            onTrackLoad={(points) => setReplayTrack(points)}
+            onClose={() => {
+              setReplayOpen(false);
+              setReplayTrack([]);
+            }}
+          />
+        </div>
+      )}
+
       {/* Location Error Alert */}
       {locationError && (
         <div className={`absolute z-[1000] bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded shadow-lg pointer-events-auto ${
@@ -406,25 +470,19 @@ const BusMap = ({
           }, 100);
         }}
       >
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          maxZoom={19}
-          minZoom={3}
-          tileSize={256}
-          zoomOffset={0}
-        />
+        <TileLayer {...TILE_LAYER} />
         
         <MapUpdater 
-          buses={buses}
-          selectedBus={selectedBus}
-          onBusSelect={onBusSelect}
-          driverLocations={driverLocations}
-          selectedDriver={selectedDriver}
-          onDriverSelect={onDriverSelect}
+          selectedVehicle={selectedVehicle}
           userLocation={userLocation}
         />
 
+        {/* Route Overlays */}
+        <RouteOverlays routes={routes} stopsById={stopsById} />
+
+        {/* Trip Replay */}
+        {replayOpen && <ReplayLayer track={replayTrack} frame={replay.frame} />}
+
         {/* User Location Marker */}
         {userLocation && (
           <Marker
@@ -447,92 +505,62 @@ const BusMap = ({
             </Popup>
           </Marker>
         )}
-        {/* Static Bus Markers */}
-        {buses.map((bus) => {
-          if (!bus.latitude || !bus.longitude) return null;
-          
-          return (
-            <Marker
-              key={`bus-${bus.id}`}
-              position={[bus.latitude, bus.longitude]}
-              icon={createBusIcon(bus.status)}
-              eventHandlers={{
-                click: () => onBusSelect && onBusSelect(bus)
-              }}
-            >
-              <Popup>
-                <div className="p-2 min-w-[200px]">
-                  <h3 className="font-semibold text-lg mb-2">{bus.busId}</h3>
-                  <div className="space-y-1 text-sm">
-                    <p><strong>Route:</strong> {bus.route}</p>
-                    <p><strong>Status:</strong> 
-                      <span className={`ml-1 px-2 py-1 rounded text-xs ${
-                        bus.status === 'active' ? 'bg-green-100 text-green-800' :
-                        bus.status === 'maintenance' ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-gray-100 text-gray-800'
-                      }`}>
-                        {bus.status}
-                      </span>
-                    </p>
-                    <p><strong>Speed:</strong> {bus.speed || 0} km/h</p>
-                    <p><strong>Last Updated:</strong> {formatLastUpdated(bus.lastUpdated)}</p>
-                    <p className="text-xs text-gray-500 mt-2">
-                      {bus.latitude.toFixed(6)}, {bus.longitude.toFixed(6)}
-                    </p>
-                  </div>
-                </div>
-              </Popup>
-            </Marker>
-          );
-        })}
+        {/* Vehicle Markers */}
+        {vehicles.map((vehicle) => {
+          if (!vehicle.latitude || !vehicle.longitude) return null;
+
+          const adherence = adherenceByVehicle[vehicle.id];
+          const live = vehicle.source !== VEHICLE_SOURCES.LEGACY;
 
-        {/* Live Driver Markers */}
-        {driverLocations.map((driver) => {
-          if (!driver.latitude || !driver.longitude) return null;
-          
-          const isRecent = driver.timestamp && 
-            (new Date() - new Date(driver.timestamp.seconds * 1000)) < 300000; // 5 minutes
-          
           return (
-            <Marker
-              key={`driver-${driver.id}`}
-              position={[driver.latitude, driver.longitude]}
-              icon={createDriverIcon(isRecent)}
+            <AnimatedMarker
+              key={`vehicle-${vehicle.id}`}
+              latitude={vehicle.latitude}
+              longitude={vehicle.longitude}
+              speed={vehicle.speed}
+              heading={vehicle.heading}
+              extrapolate={live && vehicle.status === DRIVER_STATUS.ONLINE}
+              icon={createVehicleIcon(vehicle.status, adherence, live)}
               eventHandlers={{
-                click: () => onDriverSelect && onDriverSelect(driver)
+                click: () => onVehicleSelect && onVehicleSelect(vehicle)
               }}
             >
               <Popup>
                 <div className="p-2 min-w-[220px]">
                   <div className="flex items-center gap-2 mb-2">
-                    <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
-                    <h3 className="font-semibold text-lg">Live Driver</h3>
+                    <div
+                      className={`w-3 h-3 rounded-full ${live ? 'animate-pulse' : ''}`}
+                      style={{ backgroundColor: DRIVER_STATUS_COLORS[vehicle.status] }}
+                    ></div>
+                    <h3 className="font-semibold text-lg">{getVehicleTitle(vehicle)}</h3>
                   </div>
                   
                   <div className="space-y-1 text-sm">
-                    <p><strong>Driver:</strong> {driver.displayName || 'Unknown'}</p>
-                    <p><strong>Bus Number:</strong> {driver.busNumber || 'N/A'}</p>
-                    <p><strong>Route:</strong> {driver.route || 'N/A'}</p>
-                    <p><strong>Speed:</strong> {formatSpeed(driver.speed)}</p>
-                    <p><strong>Accuracy:</strong> {formatAccuracy(driver.accuracy)}</p>
-                    <p><strong>Last Update:</strong> {formatLastUpdated(driver.timestamp)}</p>
-                    
-                    <div className="mt-3 p-2 bg-green-50 rounded border border-green-200">
-                      <p className="text-xs text-green-800 font-medium">
-                        🔴 LIVE TRACKING
-                      </p>
-                      <p className="text-xs text-green-700">
-                        Real-time location from driver's device
+                    {vehicle.displayName && (
+                      <p><strong>Driver:</strong> {vehicle.displayName}</p>
+                    )}
+                    <p><strong>Route:</strong> {vehicle.route || 'N/A'}</p>
+                    <p><strong>Speed:</strong> {formatVehicleSpeed(vehicle.speed)}</p>
+                    {vehicle.accuracy !== null && (
+                      <p><strong>Accuracy:</strong> {formatAccuracy(vehicle.accuracy)}</p>
+                    )}
+                    <p><strong>Last Update:</strong> {formatLastUpdated(vehicle.updatedAt)}</p>
+                    <p><strong>Status:</strong> <span className="capitalize">{vehicle.status}</span></p>
+                    <p><strong>Source:</strong> {VEHICLE_SOURCE_LABELS[vehicle.source]}</p>
+                    {adherence && (
+                      <p className="flex items-center gap-1">
+                        <strong>Schedule:</strong>
+                        <AdherenceBadge adherence={adherence} />
                       </p>
-                    </div>
+                    )}
                     
                     <p className="text-xs text-gray-500 mt-2">
-                      {driver.latitude.toFixed(6)}, {driver.longitude.toFixed(6)}
+                      {vehicle.latitude.toFixed(6)}, {vehicle.longitude.toFixed(6)}
                     </p>
                   </div>
                 </div>
               </Popup>
-            </Marker>
+            </AnimatedMarker>
           );
         })}
       </MapContainer>
@@ -25,18 +25,23 @@ import {
   Clock, 
   Route,
   Save,
-  X
+  X,
+  Loader2,
+  Map as MapIcon,
+  Timer
 } from 'lucide-react';
-import { 
-  collection, 
-  addDoc, 
-  updateDoc, 
-  deleteDoc, 
-  doc, 
-  onSnapshot,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { db } from '../lib/firebase.js';
+import { routesRepository } from '../lib/repositories/index.js';
+import StopPicker from './StopPicker.jsx';
+import RouteMapEditor from './RouteMapEditor.jsx';
+import { hasRouteGeometry } from '../lib/routeService.js';
+import { rebuildSegmentStats } from '../lib/etaService.js';
+import {
+  listenToStops,
+  syncRouteStops,
+  getRouteStops,
+  hasLegacyStops,
+  migrateLegacyRouteStops
+} from '../lib/stopService.js';
 
 const BusRouteManager = () => {
   const [routes, setRoutes] = useState([]);
@@ -44,33 +49,39 @@ const BusRouteManager = () => {
   const [error, setError] = useState('');
   const [editingRoute, setEditingRoute] = useState(null);
   const [showAddDialog, setShowAddDialog] = useState(false);
+  const [stops, setStops] = useState([]);
+  const [migrating, setMigrating] = useState(false);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [mapEditingRouteId, setMapEditingRouteId] = useState(null);
+  const [rebuildingRouteId, setRebuildingRouteId] = useState(null);
   const [formData, setFormData] = useState({
     routeName: '',
     routeNumber: '',
     startPoint: '',
     endPoint: '',
-    stops: '',
+    stopIds: [],
     estimatedDuration: '',
     operatingHours: '',
     description: ''
   });
 
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, 'routes'), (snapshot) => {
-      const routesData = [];
-      snapshot.forEach((doc) => {
-        routesData.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+    const unsubscribe = routesRepository.listen((routesData) => {
       setRoutes(routesData);
       setLoading(false);
     });
 
-    return () => unsubscribe();
+    const unsubscribeStops = listenToStops(setStops);
+
+    return () => {
+      unsubscribe();
+      unsubscribeStops();
+    };
   }, []);
 
+  const stopsById = Object.fromEntries(stops.map((stop) => [stop.id, stop]));
+  const legacyRouteCount = routes.filter(hasLegacyStops).length;
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -84,7 +95,7 @@ const BusRouteManager = () => {
       routeNumber: '',
       startPoint: '',
       endPoint: '',
-      stops: '',
+      stopIds: [],
       estimatedDuration: '',
       operatingHours: '',
       description: ''
@@ -99,13 +110,11 @@ const BusRouteManager = () => {
     }
 
     try {
-      await addDoc(collection(db, 'routes'), {
+      const routeId = await routesRepository.create({
         ...formData,
-        stops: formData.stops.split(',').map(stop => stop.trim()).filter(stop => stop),
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
         isActive: true
       });
+      await syncRouteStops(routeId, [], formData.stopIds);
 
       setShowAddDialog(false);
       resetForm();
@@ -122,7 +131,7 @@ const BusRouteManager = () => {
       routeNumber: route.routeNumber || '',
       startPoint: route.startPoint || '',
       endPoint: route.endPoint || '',
-      stops: Array.isArray(route.stops) ? route.stops.join(', ') : '',
+      stopIds: Array.isArray(route.stopIds) ? route.stopIds : [],
       estimatedDuration: route.estimatedDuration || '',
       operatingHours: route.operatingHours || '',
       description: route.description || ''
@@ -137,11 +146,13 @@ const BusRouteManager = () => {
     }
 
     try {
-      await updateDoc(doc(db, 'routes', editingRoute), {
+      const previousRoute = routes.find((route) => route.id === editingRoute);
+      await routesRepository.update(editingRoute, {
         ...formData,
-        stops: formData.stops.split(',').map(stop => stop.trim()).filter(stop => stop),
-        updatedAt: serverTimestamp()
+        // Picking stops by hand supersedes any unconverted stop names
+        ...(formData.stopIds.length > 0 && { stops: routesRepository.deleteField() })
       });
+      await syncRouteStops(editingRoute, previousRoute?.stopIds || [], formData.stopIds);
 
       resetForm();
       setError('');
@@ -154,7 +165,9 @@ const BusRouteManager = () => {
   const handleDeleteRoute = async (routeId) => {
     if (window.confirm('Are you sure you want to delete this route?')) {
       try {
-        await deleteDoc(doc(db, 'routes', routeId));
+        const route = routes.find((r) => r.id === routeId);
+        await routesRepository.remove(routeId);
+        await syncRouteStops(routeId, route?.stopIds || [], []);
       } catch (err) {
         setError('Failed to delete route');
         console.error('Error deleting route:', err);
@@ -162,6 +175,39 @@ const BusRouteManager = () => {
     }
   };
 
+  const handleMigrateStops = async () => {
+    setMigrating(true);
+    setStatusMessage('');
+
+    const result = await migrateLegacyRouteStops();
+    if (result.success) {
+      setStatusMessage(
+        `Converted ${result.routesMigrated} route(s) and created ${result.stopsCreated} stop(s). ` +
+        'New stops need coordinates in the Stops tab.'
+      );
+      setError('');
+    } else {
+      setError(result.error || 'Failed to migrate stops');
+    }
+    setMigrating(false);
+  };
+
+  const handleRebuildTravelTimes = async (route) => {
+    setRebuildingRouteId(route.id);
+    setStatusMessage('');
+
+    const result = await rebuildSegmentStats(route, routes, stopsById);
+    if (result.success) {
+      setStatusMessage(
+        `Route ${route.routeNumber}: travel times rebuilt from ${result.tripsUsed} recorded trip(s).`
+      );
+      setError('');
+    } else {
+      setError(result.error || 'Failed to rebuild travel times');
+    }
+    setRebuildingRouteId(null);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-8">
@@ -258,13 +304,11 @@ const BusRouteManager = () => {
               </div>
               
               <div className="col-span-2 space-y-2">
-                <Label htmlFor="stops">Stops (comma-separated)</Label>
-                <Textarea
-                  id="stops"
-                  value={formData.stops}
-                  onChange={(e) => handleInputChange('stops', e.target.value)}
-                  placeholder="e.g., Main Street, City Hall, Shopping Mall, Hospital"
-                  rows={3}
+                <Label>Stops (in order)</Label>
+                <StopPicker
+                  stops={stops}
+                  value={formData.stopIds}
+                  onChange={(stopIds) => handleInputChange('stopIds', stopIds)}
                 />
               </div>
               
@@ -305,6 +349,28 @@ const BusRouteManager = () => {
         </Alert>
       )}
 
+      {legacyRouteCount > 0 && (
+        <Alert>
+          <MapPin className="h-4 w-4" />
+          <AlertDescription className="flex items-center justify-between gap-4">
+            <span>
+              {legacyRouteCount} route(s) still store stops as plain names. Convert them to
+              stop records so they can be placed on the map.
+            </span>
+            <Button size="sm" onClick={handleMigrateStops} disabled={migrating}>
+              {migrating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Convert Stops
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {statusMessage && (
+        <Alert>
+          <AlertDescription>{statusMessage}</AlertDescription>
+        </Alert>
+      )}
+
       <div className="grid gap-4">
         {routes.length === 0 ? (
           <Card>
@@ -327,7 +393,7 @@ const BusRouteManager = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <CardTitle className="flex items-center gap-2">
-                      <Route className="h-5 w-5" />
+                      <Route className="h-5 w-5" style={route.color ? { color: route.color } : undefined} />
                       {route.routeName}
                     </CardTitle>
                     <CardDescription>
@@ -340,6 +406,30 @@ const BusRouteManager = () => {
                       {route.isActive ? 'Active' : 'Inactive'}
                     </Badge>
                     
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setMapEditingRouteId(route.id)}
+                      aria-label="Edit route map"
+                    >
+                      <MapIcon className="h-4 w-4" />
+                    </Button>
+
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRebuildTravelTimes(route)}
+                      disabled={!hasRouteGeometry(route) || rebuildingRouteId === route.id}
+                      aria-label="Rebuild travel times from trip history"
+                      title="Rebuild travel times from trip history"
+                    >
+                      {rebuildingRouteId === route.id ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <Timer className="h-4 w-4" />
+                      )}
+                    </Button>
+
                     <Button
                       variant="outline"
                       size="sm"
@@ -374,14 +464,37 @@ const BusRouteManager = () => {
                       <strong>Hours:</strong> {route.operatingHours}
                     </span>
                   </div>
+
+                  <div className="flex items-center gap-2">
+                    <MapIcon className="h-4 w-4 text-muted-foreground" />
+                    <span className="text-sm">
+                      <strong>Map:</strong>{' '}
+                      {hasRouteGeometry(route)
+                        ? `${route.path.length} points • ${((route.pathLength || 0) / 1000).toFixed(1)} km`
+                        : 'Not drawn yet'}
+                    </span>
+                  </div>
                 </div>
                 
-                {route.stops && route.stops.length > 0 && (
+                {getRouteStops(route, stopsById).length > 0 && (
                   <div className="mt-4">
                     <p className="text-sm font-medium mb-2">Stops:</p>
+                    <div className="flex flex-wrap gap-1">
+                      {getRouteStops(route, stopsById).map((stop, index) => (
+                        <Badge key={stop.id} variant="outline" className="text-xs">
+                          {index + 1}. {stop.name}
+                        </Badge>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {hasLegacyStops(route) && (
+                  <div className="mt-4">
+                    <p className="text-sm font-medium mb-2">Stops (not converted):</p>
                     <div className="flex flex-wrap gap-1">
                       {route.stops.map((stop, index) => (
-                        <Badge key={index} variant="outline" className="text-xs">
+                        <Badge key={index} variant="secondary" className="text-xs">
                           {stop}
                         </Badge>
                       ))}
@@ -400,6 +513,13 @@ const BusRouteManager = () => {
         )}
       </div>
 
+      <RouteMapEditor
+        route={routes.find((route) => route.id === mapEditingRouteId)}
+        stops={stops}
+        open={!!mapEditingRouteId}
+        onOpenChange={(open) => !open && setMapEditingRouteId(null)}
+      />
+
       {/* Edit Route Dialog */}
       <Dialog open={!!editingRoute} onOpenChange={() => resetForm()}>
         <DialogContent className="max-w-2xl">
@@ -472,13 +592,11 @@ const BusRouteManager = () => {
             </div>
             
             <div className="col-span-2 space-y-2">
-              <Label htmlFor="editStops">Stops (comma-separated)</Label>
-              <Textarea
-                id="editStops"
-                value={formData.stops}
-                onChange={(e) => handleInputChange('stops', e.target.value)}
-                placeholder="e.g., Main Street, City Hall, Shopping Mall, Hospital"
-                rows={3}
+              <Label>Stops (in order)</Label>
+              <StopPicker
+                stops={stops}
+                value={formData.stopIds}
+                onChange={(stopIds) => handleInputChange('stopIds', stopIds)}
               />
             </div>
             
@@ -30,18 +30,7 @@ import {
   Edit,
   Trash2
 } from 'lucide-react';
-import { 
-  collection, 
-  addDoc, 
-  updateDoc, 
-  deleteDoc, 
-  doc, 
-  onSnapshot,
-  serverTimestamp,
-  query,
-  orderBy 
-} from 'firebase/firestore';
-import { db } from '../lib/firebase.js';
+import { routesRepository, schedulesRepository } from '../lib/repositories/index.js';
 
 const BusScheduleManager = () => {
   const [schedules, setSchedules] = useState([]);
@@ -72,34 +61,13 @@ const BusScheduleManager = () => {
 
   useEffect(() => {
     // Listen to schedules
-    const schedulesQuery = query(
-      collection(db, 'schedules'),
-      orderBy('departureTime', 'asc')
-    );
-    
-    const unsubscribeSchedules = onSnapshot(schedulesQuery, (snapshot) => {
-      const schedulesData = [];
-      snapshot.forEach((doc) => {
-        schedulesData.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+    const unsubscribeSchedules = schedulesRepository.listen((schedulesData) => {
       setSchedules(schedulesData);
       setLoading(false);
-    });
+    }, { byDeparture: true });
 
     // Listen to routes
-    const unsubscribeRoutes = onSnapshot(collection(db, 'routes'), (snapshot) => {
-      const routesData = [];
-      snapshot.forEach((doc) => {
-        routesData.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      setRoutes(routesData);
-    });
+    const unsubscribeRoutes = routesRepository.listen(setRoutes);
 
     return () => {
       unsubscribeSchedules();
@@ -145,12 +113,10 @@ const BusScheduleManager = () => {
     try {
       const selectedRoute = routes.find(r => r.id === formData.routeId);
       
-      await addDoc(collection(db, 'schedules'), {
+      await schedulesRepository.create({
         ...formData,
         routeName: selectedRoute?.routeName || '',
-        routeNumber: selectedRoute?.routeNumber || '',
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
+        routeNumber: selectedRoute?.routeNumber || ''
       });
 
       setShowAddDialog(false);
@@ -184,11 +150,10 @@ const BusScheduleManager = () => {
     try {
       const selectedRoute = routes.find(r => r.id === formData.routeId);
       
-      await updateDoc(doc(db, 'schedules', editingSchedule), {
+      await schedulesRepository.update(editingSchedule, {
         ...formData,
         routeName: selectedRoute?.routeName || '',
-        routeNumber: selectedRoute?.routeNumber || '',
-        updatedAt: serverTimestamp()
+        routeNumber: selectedRoute?.routeNumber || ''
       });
 
       resetForm();
@@ -202,7 +167,7 @@ const BusScheduleManager = () => {
   const handleDeleteSchedule = async (scheduleId) => {
     if (window.confirm('Are you sure you want to delete this schedule?')) {
       try {
-        await deleteDoc(doc(db, 'schedules', scheduleId));
+        await schedulesRepository.remove(scheduleId);
       } catch (err) {
         setError('Failed to delete schedule');
         console.error('Error deleting schedule:', err);
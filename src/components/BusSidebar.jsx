@@ -1,5 +1,5 @@
-// Sidebar component for displaying buses and live driver locations
-import React, { useState, useEffect } from 'react';
+// Sidebar component listing vehicles and stop arrivals
+import React, { useState } from 'react';
 import { Button } from '@/components/ui/button.jsx';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx';
 import { Badge } from '@/components/ui/badge.jsx';
@@ -13,63 +13,39 @@ import {
   RefreshCw, 
   Bus, 
   User, 
-  Navigation,
-  Circle
+  Circle,
+  Timer
 } from 'lucide-react';
-import { formatLastUpdated } from '../lib/busService.js';
-import { listenToDriverLocations } from '../lib/locationService.js';
+import { formatLastUpdated } from '../lib/timeUtils.js';
+import { DRIVER_STATUS } from '../lib/locationService.js';
+import { VEHICLE_SOURCES, VEHICLE_SOURCE_LABELS, formatVehicleSpeed, getVehicleTitle } from '../lib/vehicleModel.js';
+import StopArrivalsBoard from './StopArrivalsBoard.jsx';
+import AdherenceBadge from './AdherenceBadge.jsx';
+import useScheduleAdherence from '../hooks/useScheduleAdherence.js';
 
 const BusSidebar = ({ 
-  buses = [], 
-  selectedBus = null, 
-  onBusSelect = () => {},
-  selectedDriver = null,
-  onDriverSelect = () => {},
+  vehicles = [], 
+  selectedVehicle = null, 
+  onVehicleSelect = () => {},
   loading = false,
   connected = true,
+  simulated = false,
   onRefresh = () => {}
 }) => {
-  const [driverLocations, setDriverLocations] = useState([]);
   const [activeTab, setActiveTab] = useState('buses');
+  const adherenceByVehicle = useScheduleAdherence(vehicles);
 
-  // Listen to live driver locations
-  useEffect(() => {
-    const unsubscribe = listenToDriverLocations((drivers) => {
-      setDriverLocations(drivers);
-    });
-
-    return () => unsubscribe();
-  }, []);
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'active': return 'bg-green-500';
-      case 'inactive': return 'bg-gray-500';
-      case 'maintenance': return 'bg-orange-500';
-      default: return 'bg-gray-400';
-    }
-  };
-
-  const getStatusBadgeVariant = (status) => {
+  const getStatusStyle = (status) => {
     switch (status) {
-      case 'active': return 'default';
-      case 'inactive': return 'secondary';
-      case 'maintenance': return 'destructive';
-      default: return 'outline';
+      case DRIVER_STATUS.ONLINE:
+        return { label: 'LIVE', card: 'border-l-green-500 bg-green-50', dot: 'text-green-500 animate-pulse', badge: 'default' };
+      case DRIVER_STATUS.STALE:
+        return { label: 'STALE', card: 'border-l-orange-500 bg-orange-50', dot: 'text-orange-500', badge: 'secondary' };
+      default:
+        return { label: 'OFFLINE', card: 'border-l-red-500 bg-red-50', dot: 'text-red-500', badge: 'outline' };
     }
   };
 
-  const formatSpeed = (speed) => {
-    if (!speed || speed === 0) return 'Stationary';
-    return `${Math.round(speed * 3.6)} km/h`;
-  };
-
-  const isDriverRecent = (timestamp) => {
-    if (!timestamp) return false;
-    const date = timestamp.seconds ? new Date(timestamp.seconds * 1000) : new Date(timestamp);
-    return (new Date() - date) < 300000; // 5 minutes
-  };
-
   return (
     <div className="sidebar w-full h-full flex flex-col">
       {/* Header */}
@@ -92,19 +68,29 @@ const BusSidebar = ({
           <span className={connected ? 'text-green-700' : 'text-red-700'}>
             {connected ? 'Connected' : 'Disconnected'}
           </span>
+          {simulated && (
+            <Badge variant="secondary" className="ml-auto text-xs bg-amber-100 text-amber-800">
+              Simulation
+            </Badge>
+          )}
         </div>
+        {simulated && (
+          <p className="mt-2 text-xs text-amber-800">
+            Showing simulated buses, not live positions.
+          </p>
+        )}
       </div>
 
-      {/* Tabs for Buses and Live Drivers */}
+      {/* Tabs for Buses and Stop Arrivals */}
       <Tabs value={activeTab} onValueChange={setActiveTab} className="flex-1 flex flex-col">
         <TabsList className="grid w-full grid-cols-2 mx-2 mt-2">
           <TabsTrigger value="buses" className="flex items-center gap-2">
             <Bus className="h-4 w-4" />
-            Buses ({buses.length})
+            Buses ({vehicles.length})
           </TabsTrigger>
-          <TabsTrigger value="drivers" className="flex items-center gap-2">
-            <User className="h-4 w-4" />
-            Live ({driverLocations.length})
+          <TabsTrigger value="arrivals" className="flex items-center gap-2">
+            <Timer className="h-4 w-4" />
+            Arrivals
           </TabsTrigger>
         </TabsList>
 
@@ -112,127 +98,70 @@ const BusSidebar = ({
         <TabsContent value="buses" className="flex-1 mt-2">
           <ScrollArea className="h-full px-2">
             <div className="space-y-1 pb-2">
-              {loading && buses.length === 0 ? (
+              {loading && vehicles.length === 0 ? (
                 <div className="text-center py-8 text-muted-foreground">
                   <RefreshCw className="h-8 w-8 animate-spin mx-auto mb-2" />
                   Loading buses...
                 </div>
-              ) : buses.length === 0 ? (
+              ) : vehicles.length === 0 ? (
                 <div className="text-center py-8 text-muted-foreground">
                   <Bus className="h-8 w-8 mx-auto mb-2" />
-                  No buses available
+                  <p>No buses on the road</p>
+                  <p className="text-xs mt-1">Buses appear here when a driver or tracker starts reporting</p>
                 </div>
               ) : (
-                buses.map((bus) => (
-                  <Card
-                    key={bus.id}
-                    className={`cursor-pointer transition-all hover:shadow-md ${
-                      selectedBus?.id === bus.id ? 'ring-2 ring-blue-500 bg-blue-50' : ''
-                    }`}
-                    onClick={() => onBusSelect(bus)}
-                  >
-                    <CardHeader className="pb-1">
-                      <div className="flex items-center justify-between">
-                        <CardTitle className="text-base md:text-lg">{bus.busId}</CardTitle>
-                        <Badge variant={getStatusBadgeVariant(bus.status)}>
-                          {bus.status}
-                        </Badge>
-                      </div>
-                    </CardHeader>
-                    <CardContent className="pt-0">
-                      <div className="space-y-1 text-xs md:text-sm">
-                        <div className="flex items-center gap-2">
-                          <Route className="h-4 w-4 text-muted-foreground" />
-                          <span>{bus.route}</span>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <Zap className="h-4 w-4 text-muted-foreground" />
-                          <span>{bus.speed || 0} km/h</span>
-                        </div>
-                        <div className="flex items-center gap-2">
-                          <Clock className="h-4 w-4 text-muted-foreground" />
-                          <span>{formatLastUpdated(bus.lastUpdated)}</span>
-                        </div>
-                        {bus.latitude && bus.longitude && (
-                          <div className="flex items-center gap-2">
-                            <MapPin className="h-4 w-4 text-muted-foreground" />
-                            <span className="text-xs font-mono">
-                              {bus.latitude.toFixed(4)}, {bus.longitude.toFixed(4)}
-                            </span>
-                          </div>
-                        )}
-                      </div>
-                    </CardContent>
-                  </Card>
-                ))
-              )}
-            </div>
-          </ScrollArea>
-        </TabsContent>
-
-        {/* Live Drivers Tab */}
-        <TabsContent value="drivers" className="flex-1 mt-2">
-          <ScrollArea className="h-full px-2">
-            <div className="space-y-1 pb-2">
-              {driverLocations.length === 0 ? (
-                <div className="text-center py-8 text-muted-foreground">
-                  <Navigation className="h-8 w-8 mx-auto mb-2" />
-                  <p>No live drivers</p>
-                  <p className="text-xs mt-1">Drivers will appear here when they start sharing location</p>
-                </div>
-              ) : (
-                driverLocations.map((driver) => {
-                  const isRecent = isDriverRecent(driver.timestamp);
+                vehicles.map((vehicle) => {
+                  const isLive = vehicle.status === DRIVER_STATUS.ONLINE && vehicle.source !== VEHICLE_SOURCES.LEGACY;
+                  const statusStyle = getStatusStyle(vehicle.status);
                   
                   return (
                     <Card
-                      key={driver.id}
-                      className={`cursor-pointer transition-all hover:shadow-md border-l-4 ${
-                        isRecent ? 'border-l-green-500 bg-green-50' : 'border-l-orange-500 bg-orange-50'
-                      } ${
-                        selectedDriver?.id === driver.id ? 'ring-2 ring-blue-500' : ''
+                      key={vehicle.id}
+                      className={`cursor-pointer transition-all hover:shadow-md border-l-4 ${statusStyle.card} ${
+                        selectedVehicle?.id === vehicle.id ? 'ring-2 ring-blue-500' : ''
                       }`}
-                      onClick={() => onDriverSelect(driver)}
+                      onClick={() => onVehicleSelect(vehicle)}
                     >
                       <CardHeader className="pb-1">
                         <div className="flex items-center justify-between">
                           <CardTitle className="text-base md:text-lg flex items-center gap-2">
-                            <Circle className={`h-3 w-3 ${isRecent ? 'text-green-500 animate-pulse' : 'text-orange-500'}`} fill="currentColor" />
-                            {driver.displayName || 'Driver'}
+                            <Circle className={`h-3 w-3 ${statusStyle.dot}`} fill="currentColor" />
+                            {getVehicleTitle(vehicle)}
                           </CardTitle>
-                          <Badge variant={isRecent ? 'default' : 'secondary'} className="text-xs">
-                            {isRecent ? 'LIVE' : 'OFFLINE'}
+                          <Badge variant={statusStyle.badge} className="text-xs">
+                            {statusStyle.label}
                           </Badge>
                         </div>
                       </CardHeader>
                       <CardContent className="pt-0">
                         <div className="space-y-1 text-xs md:text-sm">
                           <div className="flex items-center gap-2">
-                            <Bus className="h-4 w-4 text-muted-foreground" />
-                            <span>{driver.busNumber || 'Unknown Bus'}</span>
+                            <User className="h-4 w-4 text-muted-foreground" />
+                            <span>{vehicle.displayName || VEHICLE_SOURCE_LABELS[vehicle.source]}</span>
                           </div>
                           <div className="flex items-center gap-2">
                             <Route className="h-4 w-4 text-muted-foreground" />
-                            <span>{driver.route || 'Unknown Route'}</span>
+                            <span>{vehicle.route || 'Unknown Route'}</span>
+                            <AdherenceBadge adherence={adherenceByVehicle[vehicle.id]} className="ml-auto" />
                           </div>
                           <div className="flex items-center gap-2">
                             <Zap className="h-4 w-4 text-muted-foreground" />
-                            <span>{formatSpeed(driver.speed)}</span>
+                            <span>{formatVehicleSpeed(vehicle.speed)}</span>
                           </div>
                           <div className="flex items-center gap-2">
                             <Clock className="h-4 w-4 text-muted-foreground" />
-                            <span>{formatLastUpdated(driver.timestamp)}</span>
+                            <span>{formatLastUpdated(vehicle.updatedAt)}</span>
                           </div>
-                          {driver.latitude && driver.longitude && (
+                          {vehicle.latitude && vehicle.longitude && (
                             <div className="flex items-center gap-2">
                               <MapPin className="h-4 w-4 text-muted-foreground" />
                               <span className="text-xs font-mono">
-                                {driver.latitude.toFixed(4)}, {driver.longitude.toFixed(4)}
+                                {vehicle.latitude.toFixed(4)}, {vehicle.longitude.toFixed(4)}
                               </span>
                             </div>
                           )}
                           
-                          {isRecent && (
+                          {isLive && (
                             <div className="mt-1 p-1 bg-green-100 rounded text-xs text-green-800">
                               🔴 Real-time tracking active
                             </div>
@@ -246,6 +175,13 @@ const BusSidebar = ({
             </div>
           </ScrollArea>
         </TabsContent>
+
+        {/* Stop Arrivals Tab */}
+        <TabsContent value="arrivals" className="flex-1 mt-2">
+          <ScrollArea className="h-full px-2">
+            <StopArrivalsBoard />
+          </ScrollArea>
+        </TabsContent>
       </Tabs>
     </div>
   );
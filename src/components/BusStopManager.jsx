@@ -0,0 +1,385 @@
+// Bus stop management component for admins
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx';
+import {
+  Plus,
+  Edit,
+  Trash2,
+  MapPin,
+  Route,
+  Save,
+  AlertTriangle,
+  Accessibility
+} from 'lucide-react';
+import {
+  STOP_ACCESSIBILITY,
+  EMPTY_ACCESSIBILITY,
+  listenToStops,
+  createStop,
+  updateStop,
+  deleteStop,
+  hasCoordinates
+} from '../lib/stopService.js';
+import { listenToRoutes } from '../lib/routeService.js';
+
+const EMPTY_FORM = {
+  code: '',
+  name: '',
+  latitude: '',
+  longitude: '',
+  description: '',
+  accessibility: EMPTY_ACCESSIBILITY
+};
+
+const BusStopManager = () => {
+  const [stops, setStops] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showDialog, setShowDialog] = useState(false);
+  const [editingStop, setEditingStop] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    const unsubscribeStops = listenToStops((stopsData) => {
+      setStops(stopsData);
+      setLoading(false);
+    });
+
+    const unsubscribeRoutes = listenToRoutes(setRoutes, {
+      onError: (err) => {
+        setError(err.message || 'Failed to load routes');
+        setLoading(false);
+      }
+    });
+
+    return () => {
+      unsubscribeStops();
+      unsubscribeRoutes();
+    };
+  }, []);
+
+  const routesById = Object.fromEntries(routes.map((route) => [route.id, route]));
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleAccessibilityChange = (key, checked) => {
+    setFormData(prev => ({
+      ...prev,
+      accessibility: { ...prev.accessibility, [key]: checked }
+    }));
+  };
+
+  const openAddDialog = () => {
+    setFormData(EMPTY_FORM);
+    setEditingStop(null);
+    setError('');
+    setShowDialog(true);
+  };
+
+  const openEditDialog = (stop) => {
+    setFormData({
+      code: stop.code || '',
+      name: stop.name || '',
+      latitude: stop.latitude ?? '',
+      longitude: stop.longitude ?? '',
+      description: stop.description || '',
+      accessibility: { ...EMPTY_ACCESSIBILITY, ...stop.accessibility }
+    });
+    setEditingStop(stop.id);
+    setError('');
+    setShowDialog(true);
+  };
+
+  const validateForm = () => {
+    if (!formData.name.trim()) {
+      return 'Stop name is required';
+    }
+
+    const latitude = formData.latitude === '' ? null : Number(formData.latitude);
+    const longitude = formData.longitude === '' ? null : Number(formData.longitude);
+    if ((latitude === null) !== (longitude === null)) {
+      return 'Enter both latitude and longitude, or leave both empty';
+    }
+    if (latitude !== null && (!Number.isFinite(latitude) || Math.abs(latitude) > 90)) {
+      return 'Latitude must be between -90 and 90';
+    }
+    if (longitude !== null && (!Number.isFinite(longitude) || Math.abs(longitude) > 180)) {
+      return 'Longitude must be between -180 and 180';
+    }
+    return '';
+  };
+
+  const handleSave = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const result = editingStop
+      ? await updateStop(editingStop, formData)
+      : await createStop(formData);
+
+    if (result.success) {
+      setShowDialog(false);
+      setEditingStop(null);
+      setError('');
+    } else {
+      setError(result.error || 'Failed to save stop');
+    }
+  };
+
+  const handleDelete = async (stop) => {
+    const routeCount = stop.routeIds?.length || 0;
+    const message = routeCount > 0
+      ? `This stop is served by ${routeCount} route(s) and will be removed from them. Delete it?`
+      : 'Are you sure you want to delete this stop?';
+
+    if (window.confirm(message)) {
+      const result = await deleteStop(stop.id);
+      if (!result.success) {
+        setError(result.error || 'Failed to delete stop');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="text-center">
+          <MapPin className="h-8 w-8 animate-pulse mx-auto mb-2" />
+          <p>Loading stops...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold">Stop Management</h2>
+          <p className="text-muted-foreground">Manage bus stop locations and facilities</p>
+        </div>
+
+        <Button onClick={openAddDialog}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Stop
+        </Button>
+      </div>
+
+      {error && !showDialog && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {stops.length === 0 ? (
+          <Card className="md:col-span-2">
+            <CardContent className="p-8 text-center">
+              <MapPin className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
+              <h3 className="text-lg font-semibold mb-2">No Stops Found</h3>
+              <p className="text-muted-foreground mb-4">
+                Add stops here, then pick them in order when editing a route.
+              </p>
+              <Button onClick={openAddDialog}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Stop
+              </Button>
+            </CardContent>
+          </Card>
+        ) : (
+          stops.map((stop) => (
+            <Card key={stop.id}>
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <CardTitle className="flex items-center gap-2">
+                      <MapPin className="h-5 w-5" />
+                      {stop.name}
+                    </CardTitle>
+                    <CardDescription>
+                      {stop.code ? `Code ${stop.code}` : 'No code'}
+                      {' • '}
+                      {hasCoordinates(stop)
+                        ? `${stop.latitude.toFixed(5)}, ${stop.longitude.toFixed(5)}`
+                        : 'No coordinates'}
+                    </CardDescription>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <Button variant="outline" size="sm" onClick={() => openEditDialog(stop)}>
+                      <Edit className="h-4 w-4" />
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => handleDelete(stop)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              </CardHeader>
+
+              <CardContent className="space-y-3">
+                {!hasCoordinates(stop) && (
+                  <div className="flex items-center gap-2 text-sm text-yellow-700">
+                    <AlertTriangle className="h-4 w-4" />
+                    Needs a location before it can be used for ETAs
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-1">
+                  {STOP_ACCESSIBILITY.filter(({ key }) => stop.accessibility?.[key]).map(({ key, label }) => (
+                    <Badge key={key} variant="secondary" className="text-xs">
+                      {key === 'wheelchairAccessible' && <Accessibility className="h-3 w-3 mr-1" />}
+                      {label}
+                    </Badge>
+                  ))}
+                </div>
+
+                <div className="flex items-center gap-2 flex-wrap">
+                  <Route className="h-4 w-4 text-muted-foreground" />
+                  {(stop.routeIds || []).length === 0 ? (
+                    <span className="text-sm text-muted-foreground">Not served by any route</span>
+                  ) : (
+                    stop.routeIds.map((routeId) => (
+                      <Badge key={routeId} variant="outline" className="text-xs">
+                        {routesById[routeId]?.routeNumber || 'Unknown route'}
+                      </Badge>
+                    ))
+                  )}
+                </div>
+
+                {stop.description && (
+                  <p className="text-sm text-muted-foreground">{stop.description}</p>
+                )}
+              </CardContent>
+            </Card>
+          ))
+        )}
+      </div>
+
+      <Dialog open={showDialog} onOpenChange={setShowDialog}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editingStop ? 'Edit Stop' : 'Add New Stop'}</DialogTitle>
+            <DialogDescription>
+              Stops are shared between routes; served routes are set from the route form.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="stopName">Name *</Label>
+              <Input
+                id="stopName"
+                value={formData.name}
+                onChange={(e) => handleInputChange('name', e.target.value)}
+                placeholder="e.g., City Hall"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="stopCode">Code</Label>
+              <Input
+                id="stopCode"
+                value={formData.code}
+                onChange={(e) => handleInputChange('code', e.target.value)}
+                placeholder="e.g., CH01"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="stopLatitude">Latitude</Label>
+              <Input
+                id="stopLatitude"
+                type="number"
+                step="any"
+                value={formData.latitude}
+                onChange={(e) => handleInputChange('latitude', e.target.value)}
+                placeholder="e.g., 40.7128"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="stopLongitude">Longitude</Label>
+              <Input
+                id="stopLongitude"
+                type="number"
+                step="any"
+                value={formData.longitude}
+                onChange={(e) => handleInputChange('longitude', e.target.value)}
+                placeholder="e.g., -74.0060"
+              />
+            </div>
+
+            <div className="col-span-2 space-y-2">
+              <Label>Accessibility</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {STOP_ACCESSIBILITY.map(({ key, label }) => (
+                  <div key={key} className="flex items-center justify-between p-2 border rounded">
+                    <Label htmlFor={`stop-${key}`} className="text-sm font-normal">{label}</Label>
+                    <Switch
+                      id={`stop-${key}`}
+                      checked={!!formData.accessibility[key]}
+                      onCheckedChange={(checked) => handleAccessibilityChange(key, checked)}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="col-span-2 space-y-2">
+              <Label htmlFor="stopDescription">Description</Label>
+              <Textarea
+                id="stopDescription"
+                value={formData.description}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+                placeholder="Landmarks, boarding side, etc."
+                rows={2}
+              />
+            </div>
+          </div>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowDialog(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave}>
+              <Save className="h-4 w-4 mr-2" />
+              {editingStop ? 'Update Stop' : 'Add Stop'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default BusStopManager;
@@ -4,6 +4,14 @@ import { Button } from '@/components/ui/button.jsx';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
 import { Badge } from '@/components/ui/badge.jsx';
 import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
 import { 
   MapPin, 
   Play, 
@@ -13,10 +21,22 @@ import {
   CheckCircle,
   Navigation,
   Clock,
-  Zap
+  Zap,
+  CloudOff,
+  UploadCloud,
+  Battery,
+  BatteryLow,
+  BatteryCharging
 } from 'lucide-react';
 import useLocationSharing from '../hooks/useLocationSharing.js';
 import useUserRole from '../hooks/useUserRole.js';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { useAdherenceRecorder } from '../hooks/useScheduleAdherence.js';
+import AdherenceBadge from './AdherenceBadge.jsx';
+import GpsSimulatorPanel from './GpsSimulatorPanel.jsx';
+import { formatLastUpdated } from '../lib/timeUtils.js';
+import { SAMPLING_PRESETS } from '../lib/samplingPolicy.js';
+import { GPS_SIMULATOR_AVAILABLE } from '../lib/gpsSimulator.js';
 
 const DriverLocationControl = () => {
   const { userProfile, canShare, isDriver, isVerified } = useUserRole();
@@ -27,12 +47,27 @@ const DriverLocationControl = () => {
     locationPermission,
     currentPosition,
     accuracy,
+    queuedCount,
+    lastSyncedAt,
+    isOnline,
+    filterLog,
+    samplingPreset,
+    battery,
+    lastUploadReason,
+    changeSamplingPreset,
     canStartSharing,
     needsPermission,
     toggleSharing,
     requestPermission,
     clearError
   } = useLocationSharing();
+  const { user } = useAuth();
+  const adherence = useAdherenceRecorder({
+    userId: user?.uid,
+    driverInfo: userProfile?.driverInfo,
+    position: currentPosition,
+    isSharing
+  });
 
   // Don't show for non-drivers
   if (!isDriver) {
@@ -172,6 +207,47 @@ const DriverLocationControl = () => {
                 {userProfile?.driverInfo?.route || 'Not set'}
               </p>
             </div>
+            {adherence && (
+              <div className="col-span-2 flex items-center justify-between">
+                <p className="font-medium">Schedule ({adherence.tripDeparture} trip)</p>
+                <AdherenceBadge adherence={adherence} />
+              </div>
+            )}
+          </div>
+
+          {/* Sampling Policy */}
+          <div className="space-y-1">
+            <div className="flex items-center justify-between">
+              <Label className="text-xs">Update mode</Label>
+              {battery && (
+                <span className="flex items-center gap-1 text-xs text-muted-foreground">
+                  {battery.charging ? (
+                    <BatteryCharging className="h-3 w-3" />
+                  ) : battery.level <= 0.2 ? (
+                    <BatteryLow className="h-3 w-3 text-orange-600" />
+                  ) : (
+                    <Battery className="h-3 w-3" />
+                  )}
+                  {Math.round(battery.level * 100)}%
+                </span>
+              )}
+            </div>
+            <Select value={samplingPreset} onValueChange={changeSamplingPreset}>
+              <SelectTrigger size="sm" className="w-full text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="z-[1100]">
+                {Object.values(SAMPLING_PRESETS).map((preset) => (
+                  <SelectItem key={preset.id} value={preset.id}>
+                    {preset.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              {SAMPLING_PRESETS[samplingPreset].description}
+              {battery && !battery.charging && battery.level <= 0.2 && ' Low battery: updates are being spaced out.'}
+            </p>
           </div>
 
           {/* Location Info */}
@@ -195,6 +271,46 @@ const DriverLocationControl = () => {
                   )}
                 </div>
               </div>
+
+              <div className="flex items-center justify-between text-xs">
+                <div className="flex items-center gap-2">
+                  {isOnline ? (
+                    <UploadCloud className="h-3 w-3" />
+                  ) : (
+                    <CloudOff className="h-3 w-3 text-orange-600" />
+                  )}
+                  <span className="font-medium">Queued:</span>
+                  <span className={queuedCount > 0 ? 'text-orange-700' : ''}>
+                    {queuedCount} {queuedCount === 1 ? 'point' : 'points'}
+                  </span>
+                </div>
+                <span className="text-muted-foreground">
+                  Synced {lastSyncedAt ? formatLastUpdated(lastSyncedAt) : 'never'}
+                  {lastUploadReason && ` (${lastUploadReason})`}
+                </span>
+              </div>
+
+              {!isOnline && (
+                <p className="text-xs text-orange-700">
+                  Offline • fixes are saved and will upload when the signal returns
+                </p>
+              )}
+
+              {filterLog.length > 0 && (
+                <details className="text-xs text-gray-600">
+                  <summary className="cursor-pointer">
+                    GPS filter ({filterLog.filter((entry) => !entry.accepted).length} of {filterLog.length} recent fixes rejected)
+                  </summary>
+                  <div className="mt-1 max-h-32 overflow-y-auto space-y-0.5 font-mono">
+                    {filterLog.map((entry) => (
+                      <p key={`${entry.timestamp}-${entry.reason}`} className={entry.accepted ? '' : 'text-red-700'}>
+                        {new Date(entry.timestamp).toLocaleTimeString()} {entry.reason} ±{formatAccuracy(entry.rawAccuracy)}
+                        {entry.correction !== null && ` Δ${Math.round(entry.correction)}m`}
+                      </p>
+                    ))}
+                  </div>
+                </details>
+              )}
             </div>
           )}
 
@@ -212,6 +328,9 @@ const DriverLocationControl = () => {
             </details>
           )}
 
+          {/* GPS Simulator (developer builds) */}
+          {GPS_SIMULATOR_AVAILABLE && <GpsSimulatorPanel locked={isSharing} />}
+
           {/* Control Button */}
           <Button
             onClick={handleToggleSharing}
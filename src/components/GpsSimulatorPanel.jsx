@@ -0,0 +1,241 @@
+// Developer panel that replaces the device GPS with a simulated track
+import React, { useState, useEffect } from 'react';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import { FlaskConical } from 'lucide-react';
+import useRouteNetwork from '../hooks/useRouteNetwork.js';
+import { hasRouteGeometry } from '../lib/routeService.js';
+import {
+  GPS_SIMULATOR_DEFAULTS,
+  parseTrackFile,
+  loadSimulatorSettings,
+  getActiveGpsSimulator,
+  enableGpsSimulator,
+  disableGpsSimulator
+} from '../lib/gpsSimulator.js';
+
+const FILE_SOURCE = 'file';
+
+const PERMISSION_OPTIONS = [
+  { value: 'granted', label: 'Granted' },
+  { value: 'prompt', label: 'Ask (granted on request)' },
+  { value: 'denied', label: 'Denied' }
+];
+
+/**
+ * @param {Object} props - { locked } prevents switching the simulator on or
+ *   off while location sharing is running
+ */
+const GpsSimulatorPanel = ({ locked = false }) => {
+  const { routes } = useRouteNetwork();
+  const [settings, setSettings] = useState(() => ({
+    ...GPS_SIMULATOR_DEFAULTS,
+    trackSource: '',
+    trackName: '',
+    track: [],
+    ...loadSimulatorSettings()
+  }));
+  const [enabled, setEnabled] = useState(() => !!getActiveGpsSimulator());
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const drawnRoutes = routes.filter(hasRouteGeometry);
+
+  // Show how far along the track the simulated bus is
+  useEffect(() => {
+    if (!enabled) {
+      setProgress(null);
+      return;
+    }
+
+    const timer = setInterval(() => {
+      const simulator = getActiveGpsSimulator();
+      setProgress(simulator ? simulator.getState() : null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  const applySettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    if (enabled) enableGpsSimulator(next);
+  };
+
+  const handleToggle = (checked) => {
+    setError('');
+    if (!checked) {
+      disableGpsSimulator();
+      setEnabled(false);
+      return;
+    }
+    if (settings.track.length < 2) {
+      setError('Pick a route or load a GPX/GeoJSON track first');
+      return;
+    }
+    enableGpsSimulator(settings);
+    setEnabled(true);
+  };
+
+  const handleRouteChange = (value) => {
+    if (value === FILE_SOURCE) {
+      setSettings((prev) => ({ ...prev, trackSource: FILE_SOURCE }));
+      return;
+    }
+    const route = drawnRoutes.find((item) => item.id === value);
+    if (!route) return;
+
+    setError('');
+    applySettings({
+      trackSource: route.id,
+      trackName: `Route ${route.routeNumber || route.routeName}`,
+      track: route.path.map(({ latitude, longitude }) => ({ latitude, longitude }))
+    });
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const track = parseTrackFile(await file.text());
+      setError('');
+      applySettings({ trackSource: FILE_SOURCE, trackName: file.name, track });
+    } catch (err) {
+      setError(err.message || 'Could not read the track file');
+    }
+  };
+
+  const handleNumberChange = (key, scale = 1) => (e) => {
+    const value = Number(e.target.value);
+    if (Number.isFinite(value) && value >= 0) applySettings({ [key]: value * scale });
+  };
+
+  return (
+    <details className="text-xs text-gray-600" open={enabled}>
+      <summary className="cursor-pointer flex items-center gap-1">
+        <FlaskConical className="h-3 w-3" />
+        GPS simulator {enabled ? `• ${settings.trackName}` : '(off)'}
+      </summary>
+
+      <div className="mt-2 space-y-2 p-2 bg-gray-50 border rounded">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="gpsSimEnabled" className="text-xs">Replace device GPS</Label>
+          <Switch
+            id="gpsSimEnabled"
+            checked={enabled}
+            disabled={locked}
+            onCheckedChange={handleToggle}
+          />
+        </div>
+        {locked && (
+          <p className="text-gray-500">Stop sharing to switch the simulator on or off.</p>
+        )}
+
+        <div className="space-y-1">
+          <Label className="text-xs">Track</Label>
+          <Select value={settings.trackSource} onValueChange={handleRouteChange}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue placeholder="Pick a route or file" />
+            </SelectTrigger>
+            <SelectContent>
+              {drawnRoutes.map((route) => (
+                <SelectItem key={route.id} value={route.id}>
+                  Route {route.routeNumber || route.routeName}
+                </SelectItem>
+              ))}
+              <SelectItem value={FILE_SOURCE}>GPX / GeoJSON file…</SelectItem>
+            </SelectContent>
+          </Select>
+          {settings.trackSource === FILE_SOURCE && (
+            <Input
+              type="file"
+              accept=".gpx,.geojson,.json"
+              className="h-8 text-xs"
+              onChange={handleFileChange}
+            />
+          )}
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="gpsSimSpeed" className="text-xs">Speed km/h</Label>
+            <Input
+              id="gpsSimSpeed"
+              type="number"
+              min="0"
+              className="h-8 text-xs"
+              value={Math.round(settings.speed * 3.6)}
+              onChange={handleNumberChange('speed', 1 / 3.6)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="gpsSimNoise" className="text-xs">Noise m</Label>
+            <Input
+              id="gpsSimNoise"
+              type="number"
+              min="0"
+              className="h-8 text-xs"
+              value={settings.noise}
+              onChange={handleNumberChange('noise')}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="gpsSimDropout" className="text-xs">Dropout %</Label>
+            <Input
+              id="gpsSimDropout"
+              type="number"
+              min="0"
+              max="100"
+              className="h-8 text-xs"
+              value={Math.round(settings.dropoutRate * 100)}
+              onChange={handleNumberChange('dropoutRate', 0.01)}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <div className="flex-1 space-y-1">
+            <Label className="text-xs">Permission</Label>
+            <Select value={settings.permission} onValueChange={(value) => applySettings({ permission: value })}>
+              <SelectTrigger className="h-8 text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PERMISSION_OPTIONS.map(({ value, label }) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-center gap-2 pt-4">
+            <Switch
+              id="gpsSimLoop"
+              checked={settings.loop}
+              onCheckedChange={(checked) => applySettings({ loop: checked })}
+            />
+            <Label htmlFor="gpsSimLoop" className="text-xs">Loop</Label>
+          </div>
+        </div>
+
+        {progress && (
+          <p className="font-mono">
+            {Math.round(progress.distance)} / {Math.round(progress.trackLength)} m • permission {progress.permission}
+            {progress.watching > 0 && ' • watching'}
+          </p>
+        )}
+
+        {error && <p className="text-red-700">{error}</p>}
+      </div>
+    </details>
+  );
+};
+
+export default GpsSimulatorPanel;
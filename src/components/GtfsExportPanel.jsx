@@ -0,0 +1,204 @@
+// Admin tool for validating the network and downloading it as a GTFS feed
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Download, ListChecks, Loader2, AlertTriangle, XCircle, CheckCircle } from 'lucide-react';
+import { loadNetwork } from '../lib/gtfsService.js';
+import { validateNetworkForExport, buildGtfsTables, createGtfsFeed } from '../lib/gtfsExport.js';
+
+const AGENCY_STORAGE_KEY = 'busTracker.gtfsAgency';
+
+const DEFAULT_AGENCY = {
+  name: '',
+  url: '',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+  lang: 'en'
+};
+
+const loadSavedAgency = () => {
+  try {
+    return { ...DEFAULT_AGENCY, ...JSON.parse(localStorage.getItem(AGENCY_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_AGENCY;
+  }
+};
+
+const GtfsExportPanel = () => {
+  const [agency, setAgency] = useState(loadSavedAgency);
+  const [validation, setValidation] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [statusMessage, setStatusMessage] = useState('');
+
+  const handleAgencyChange = (field, value) => {
+    const next = { ...agency, [field]: value };
+    setAgency(next);
+    setValidation(null);
+    try {
+      localStorage.setItem(AGENCY_STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Storage may be unavailable (private mode); the details just aren't remembered
+    }
+  };
+
+  const runValidation = async () => {
+    const network = await loadNetwork();
+    if (!network.success) {
+      setError(network.error || 'Failed to load routes and schedules');
+      return null;
+    }
+
+    const result = validateNetworkForExport(network.data, agency);
+    setValidation(result);
+    return { network: network.data, result };
+  };
+
+  const handleValidate = async () => {
+    setWorking(true);
+    setError('');
+    setStatusMessage('');
+    await runValidation();
+    setWorking(false);
+  };
+
+  const handleExport = async () => {
+    setWorking(true);
+    setError('');
+    setStatusMessage('');
+
+    try {
+      const validated = await runValidation();
+      if (!validated || validated.result.errors.length > 0) return;
+
+      const tables = buildGtfsTables(validated.network, agency);
+      const blob = await createGtfsFeed(tables);
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gtfs-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setStatusMessage(
+        `Exported ${tables['routes.txt'].length} route(s), ${tables['stops.txt'].length} stop(s) ` +
+        `and ${tables['trips.txt'].length} trip(s)`
+      );
+    } catch (err) {
+      console.error('Error exporting GTFS feed:', err);
+      setError(err.message || 'Failed to export GTFS feed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Download className="h-5 w-5" />
+          Export GTFS Feed
+        </CardTitle>
+        <CardDescription>
+          Publish active routes, stops and schedules as a GTFS zip for journey planners
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {statusMessage && (
+          <Alert>
+            <CheckCircle className="h-4 w-4" />
+            <AlertDescription>{statusMessage}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="agencyName">Agency name *</Label>
+            <Input
+              id="agencyName"
+              value={agency.name}
+              onChange={(e) => handleAgencyChange('name', e.target.value)}
+              placeholder="JPR Transport Office"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="agencyUrl">Agency website *</Label>
+            <Input
+              id="agencyUrl"
+              value={agency.url}
+              onChange={(e) => handleAgencyChange('url', e.target.value)}
+              placeholder="https://example.edu/transport"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="agencyTimezone">Timezone *</Label>
+            <Input
+              id="agencyTimezone"
+              value={agency.timezone}
+              onChange={(e) => handleAgencyChange('timezone', e.target.value)}
+              placeholder="America/New_York"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="agencyLang">Language</Label>
+            <Input
+              id="agencyLang"
+              value={agency.lang}
+              onChange={(e) => handleAgencyChange('lang', e.target.value)}
+              placeholder="en"
+            />
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={handleValidate} disabled={working}>
+            {working ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <ListChecks className="h-4 w-4 mr-2" />
+            )}
+            Validate
+          </Button>
+          <Button onClick={handleExport} disabled={working || validation?.errors.length > 0}>
+            <Download className="h-4 w-4 mr-2" />
+            Download GTFS
+          </Button>
+        </div>
+
+        {validation && (
+          <div className="space-y-2">
+            {validation.errors.length === 0 && validation.warnings.length === 0 && (
+              <p className="flex items-center gap-2 text-sm text-green-700">
+                <CheckCircle className="h-4 w-4" />
+                The network is ready to export
+              </p>
+            )}
+            {validation.errors.map((message) => (
+              <p key={message} className="flex items-start gap-2 text-sm text-red-700">
+                <XCircle className="h-4 w-4 mt-0.5 shrink-0" />
+                {message}
+              </p>
+            ))}
+            {validation.warnings.map((message) => (
+              <p key={message} className="flex items-start gap-2 text-sm text-yellow-700">
+                <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+                {message}
+              </p>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GtfsExportPanel;
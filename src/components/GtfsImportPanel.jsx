@@ -0,0 +1,228 @@
+// Admin tool for importing a GTFS static feed with a dry-run preview
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { ScrollArea } from '@/components/ui/scroll-area.jsx';
+import { Upload, FileSearch, Loader2, CheckCircle, AlertTriangle } from 'lucide-react';
+import {
+  IMPORT_ACTIONS,
+  readGtfsArchive,
+  buildGtfsNetwork,
+  planGtfsImport
+} from '../lib/gtfsImport.js';
+import { loadNetwork, applyGtfsImport } from '../lib/gtfsService.js';
+
+const SECTIONS = [
+  { key: 'routes', label: 'Routes' },
+  { key: 'stops', label: 'Stops' },
+  { key: 'schedules', label: 'Schedules' }
+];
+
+// Long feeds list thousands of trips; the preview only needs a sample
+const MAX_PREVIEW_ENTRIES = 200;
+
+const GtfsImportPanel = () => {
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [statusMessage, setStatusMessage] = useState('');
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setPlan(null);
+    setError('');
+    setStatusMessage('');
+  };
+
+  const handleAnalyze = async () => {
+    if (!file) return;
+
+    setAnalyzing(true);
+    setError('');
+    setStatusMessage('');
+    setPlan(null);
+
+    try {
+      const { tables, missing } = await readGtfsArchive(await file.arrayBuffer());
+      if (missing.length > 0) {
+        setError(`The feed is missing ${missing.join(', ')}`);
+        return;
+      }
+
+      const existing = await loadNetwork();
+      if (!existing.success) {
+        setError(existing.error || 'Failed to load current routes and schedules');
+        return;
+      }
+
+      setPlan(planGtfsImport(buildGtfsNetwork(tables), existing.data));
+    } catch (err) {
+      console.error('Error reading GTFS feed:', err);
+      setError(err.message || 'Failed to read GTFS feed');
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError('');
+    setProgress({ written: 0, total: 0 });
+
+    const result = await applyGtfsImport(plan, (written, total) => setProgress({ written, total }));
+    if (result.success) {
+      setStatusMessage(`Imported ${result.written} change(s) from ${file.name}`);
+      setPlan(null);
+    } else {
+      setError(result.error || 'Failed to import GTFS feed');
+    }
+
+    setProgress(null);
+    setImporting(false);
+  };
+
+  const changeCount = plan
+    ? SECTIONS.reduce((count, { key }) =>
+      count + plan.summary[key][IMPORT_ACTIONS.CREATE] + plan.summary[key][IMPORT_ACTIONS.UPDATE], 0)
+    : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Upload className="h-5 w-5" />
+          Import GTFS Feed
+        </CardTitle>
+        <CardDescription>
+          Load routes, stops and schedules from a GTFS zip. Review the changes before anything is written;
+          existing data is updated or added to, never deleted. Each direction of a route, and each short turn
+          or branch with its own stop order, is imported as a separate route.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {statusMessage && (
+          <Alert>
+            <CheckCircle className="h-4 w-4" />
+            <AlertDescription>{statusMessage}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex flex-wrap items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="gtfsFile">GTFS zip</Label>
+            <Input id="gtfsFile" type="file" accept=".zip" onChange={handleFileChange} />
+          </div>
+          <Button onClick={handleAnalyze} disabled={!file || analyzing || importing}>
+            {analyzing ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FileSearch className="h-4 w-4 mr-2" />
+            )}
+            Preview Import
+          </Button>
+        </div>
+
+        {plan && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {SECTIONS.map(({ key, label }) => (
+                <div key={key} className="p-3 border rounded-lg space-y-1">
+                  <p className="font-medium">{label}</p>
+                  <div className="flex flex-wrap gap-2 text-xs">
+                    <Badge className="bg-green-100 text-green-800">
+                      {plan.summary[key][IMPORT_ACTIONS.CREATE]} new
+                    </Badge>
+                    <Badge className="bg-blue-100 text-blue-800">
+                      {plan.summary[key][IMPORT_ACTIONS.UPDATE]} changed
+                    </Badge>
+                    <Badge variant="secondary">
+                      {plan.summary[key][IMPORT_ACTIONS.UNCHANGED]} unchanged
+                    </Badge>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {plan.warnings.length > 0 && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  <ul className="list-disc pl-4 space-y-1">
+                    {plan.warnings.slice(0, 10).map((warning) => (
+                      <li key={warning}>{warning}</li>
+                    ))}
+                    {plan.warnings.length > 10 && <li>…and {plan.warnings.length - 10} more</li>}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {SECTIONS.map(({ key, label }) => {
+              const changes = plan[key].filter((entry) => entry.action !== IMPORT_ACTIONS.UNCHANGED);
+              if (changes.length === 0) return null;
+
+              return (
+                <div key={key} className="space-y-2">
+                  <p className="text-sm font-medium">{label} changes</p>
+                  <ScrollArea className="h-48 border rounded-lg">
+                    <div className="p-2 space-y-1">
+                      {changes.slice(0, MAX_PREVIEW_ENTRIES).map((entry) => (
+                        <div key={entry.id} className="flex items-start gap-2 text-xs">
+                          <Badge
+                            variant="outline"
+                            className={entry.action === IMPORT_ACTIONS.CREATE ? 'text-green-700' : 'text-blue-700'}
+                          >
+                            {entry.action === IMPORT_ACTIONS.CREATE ? 'New' : 'Update'}
+                          </Badge>
+                          <span className="font-medium">{entry.label}</span>
+                          {entry.changes.length > 0 && (
+                            <span className="text-muted-foreground">{entry.changes.join(', ')}</span>
+                          )}
+                        </div>
+                      ))}
+                      {changes.length > MAX_PREVIEW_ENTRIES && (
+                        <p className="text-xs text-muted-foreground">
+                          …and {changes.length - MAX_PREVIEW_ENTRIES} more
+                        </p>
+                      )}
+                    </div>
+                  </ScrollArea>
+                </div>
+              );
+            })}
+
+            <div className="flex items-center gap-2">
+              <Button onClick={handleImport} disabled={importing || changeCount === 0}>
+                {importing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {changeCount === 0 ? 'Nothing to Import' : `Import ${changeCount} Change(s)`}
+              </Button>
+              <Button variant="outline" onClick={() => setPlan(null)} disabled={importing}>
+                Discard
+              </Button>
+              {progress && progress.total > 0 && (
+                <span className="text-sm text-muted-foreground">
+                  {progress.written} / {progress.total} written
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GtfsImportPanel;
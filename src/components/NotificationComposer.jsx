@@ -0,0 +1,435 @@
+// Admin composer for sending alerts to groups of users
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { ScrollArea } from '@/components/ui/scroll-area.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import { Send, Users, Loader2, CalendarClock, Megaphone, X } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth.jsx';
+import { listenToRoutes } from '../lib/routeService.js';
+import { getAllUsers, USER_ROLES } from '../lib/userRoleService.js';
+import { toMillis } from '../lib/timeUtils.js';
+import {
+  BROADCAST_TYPES,
+  BROADCAST_TARGETS,
+  BROADCAST_STATUS,
+  resolveRecipients,
+  createBroadcast,
+  cancelBroadcast,
+  listenToBroadcasts
+} from '../lib/broadcastService.js';
+
+const EMPTY_FORM = {
+  type: BROADCAST_TYPES[0].value,
+  title: '',
+  message: '',
+  targetType: BROADCAST_TARGETS.ALL,
+  role: USER_ROLES.STUDENT,
+  routeIds: [],
+  userIds: [],
+  schedule: false,
+  scheduledFor: ''
+};
+
+const STATUS_BADGES = {
+  [BROADCAST_STATUS.SCHEDULED]: 'bg-blue-100 text-blue-800',
+  [BROADCAST_STATUS.SENDING]: 'bg-yellow-100 text-yellow-800',
+  [BROADCAST_STATUS.SENT]: 'bg-green-100 text-green-800',
+  [BROADCAST_STATUS.CANCELLED]: 'bg-gray-100 text-gray-800',
+  [BROADCAST_STATUS.FAILED]: 'bg-red-100 text-red-800'
+};
+
+const NotificationComposer = () => {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [routes, setRoutes] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [userSearch, setUserSearch] = useState('');
+  const [broadcasts, setBroadcasts] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const unsubscribeRoutes = listenToRoutes(setRoutes);
+    const unsubscribeBroadcasts = listenToBroadcasts(setBroadcasts);
+
+    getAllUsers().then((result) => {
+      if (result.success) setUsers(result.data);
+    });
+
+    return () => {
+      unsubscribeRoutes();
+      unsubscribeBroadcasts();
+    };
+  }, []);
+
+  const buildTarget = () => ({
+    type: formData.targetType,
+    ...(formData.targetType === BROADCAST_TARGETS.ROLE && { role: formData.role }),
+    ...(formData.targetType === BROADCAST_TARGETS.ROUTE && { routeIds: formData.routeIds }),
+    ...(formData.targetType === BROADCAST_TARGETS.USERS && { userIds: formData.userIds })
+  });
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    setPreview(null);
+  };
+
+  const toggleListValue = (field, value) => {
+    const current = formData[field];
+    handleInputChange(
+      field,
+      current.includes(value) ? current.filter((v) => v !== value) : [...current, value]
+    );
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError('');
+    const result = await resolveRecipients(buildTarget(), formData.type);
+    if (result.success) {
+      setPreview({ count: result.userIds.length, optedOut: result.optedOut });
+    } else {
+      setError(result.error || 'Failed to count recipients');
+    }
+    setPreviewing(false);
+  };
+
+  const validateForm = () => {
+    if (!formData.title.trim() || !formData.message.trim()) {
+      return 'Title and message are required';
+    }
+    if (formData.targetType === BROADCAST_TARGETS.ROUTE && formData.routeIds.length === 0) {
+      return 'Select at least one route';
+    }
+    if (formData.targetType === BROADCAST_TARGETS.USERS && formData.userIds.length === 0) {
+      return 'Select at least one user';
+    }
+    if (formData.schedule) {
+      const scheduledFor = new Date(formData.scheduledFor);
+      if (Number.isNaN(scheduledFor.getTime()) || scheduledFor.getTime() <= Date.now()) {
+        return 'Pick a delivery time in the future';
+      }
+    }
+    return '';
+  };
+
+  const handleSend = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSending(true);
+    setError('');
+    setSuccess('');
+
+    const selectedRoutes = routes.filter((route) => formData.routeIds.includes(route.id));
+    const result = await createBroadcast({
+      type: formData.type,
+      title: formData.title.trim(),
+      message: formData.message.trim(),
+      target: buildTarget(),
+      routeInfo: selectedRoutes.length === 1
+        ? { routeId: selectedRoutes[0].id, routeNumber: selectedRoutes[0].routeNumber }
+        : null,
+      scheduledFor: formData.schedule ? new Date(formData.scheduledFor) : null,
+      createdBy: user?.uid || null
+    });
+
+    if (result.success) {
+      setSuccess(result.scheduled
+        ? `Scheduled for ${new Date(formData.scheduledFor).toLocaleString()}`
+        : `Sent to ${result.recipientCount} user(s)`);
+      setFormData(EMPTY_FORM);
+      setPreview(null);
+    } else {
+      setError(result.error || 'Failed to send broadcast');
+    }
+    setSending(false);
+  };
+
+  const handleCancel = async (broadcastId) => {
+    const result = await cancelBroadcast(broadcastId);
+    if (!result.success) {
+      setError(result.error || 'Failed to cancel broadcast');
+    }
+  };
+
+  const filteredUsers = users.filter((u) => {
+    const search = userSearch.trim().toLowerCase();
+    if (!search) return true;
+    return (u.displayName || '').toLowerCase().includes(search) ||
+      (u.email || '').toLowerCase().includes(search);
+  });
+
+  const formatBroadcastTime = (broadcast) => {
+    const millis = toMillis(broadcast.sentAt || broadcast.scheduledFor || broadcast.createdAt);
+    return millis ? new Date(millis).toLocaleString() : '';
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Megaphone className="h-5 w-5" />
+            Send an Alert
+          </CardTitle>
+          <CardDescription>
+            Compose a notification and deliver it to a group of users now or later
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Type</Label>
+              <Select value={formData.type} onValueChange={(value) => handleInputChange('type', value)}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BROADCAST_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Recipients</Label>
+              <Select
+                value={formData.targetType}
+                onValueChange={(value) => handleInputChange('targetType', value)}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={BROADCAST_TARGETS.ALL}>Everyone</SelectItem>
+                  <SelectItem value={BROADCAST_TARGETS.ROLE}>By role</SelectItem>
+                  <SelectItem value={BROADCAST_TARGETS.ROUTE}>Route subscribers</SelectItem>
+                  <SelectItem value={BROADCAST_TARGETS.USERS}>Specific users</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {formData.targetType === BROADCAST_TARGETS.ROLE && (
+            <div className="space-y-2">
+              <Label>Role</Label>
+              <Select value={formData.role} onValueChange={(value) => handleInputChange('role', value)}>
+                <SelectTrigger className="w-full md:w-60">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.values(USER_ROLES).map((role) => (
+                    <SelectItem key={role} value={role} className="capitalize">{role}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {formData.targetType === BROADCAST_TARGETS.ROUTE && (
+            <div className="space-y-2">
+              <Label>Routes</Label>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {routes.map((route) => (
+                  <Button
+                    key={route.id}
+                    type="button"
+                    variant={formData.routeIds.includes(route.id) ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => toggleListValue('routeIds', route.id)}
+                    className="justify-start"
+                  >
+                    {route.routeNumber} - {route.routeName}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {formData.targetType === BROADCAST_TARGETS.USERS && (
+            <div className="space-y-2">
+              <Label htmlFor="userSearch">Users ({formData.userIds.length} selected)</Label>
+              <Input
+                id="userSearch"
+                value={userSearch}
+                onChange={(e) => setUserSearch(e.target.value)}
+                placeholder="Search by name or email"
+              />
+              <ScrollArea className="h-40 border rounded">
+                <div className="p-2 space-y-1">
+                  {filteredUsers.map((u) => (
+                    <label
+                      key={u.id}
+                      className="flex items-center gap-2 text-sm p-1 rounded hover:bg-muted cursor-pointer"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={formData.userIds.includes(u.id)}
+                        onChange={() => toggleListValue('userIds', u.id)}
+                      />
+                      <span className="flex-1">{u.displayName || u.email}</span>
+                      <Badge variant="outline" className="text-xs capitalize">{u.role}</Badge>
+                    </label>
+                  ))}
+                </div>
+              </ScrollArea>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="broadcastTitle">Title *</Label>
+            <Input
+              id="broadcastTitle"
+              value={formData.title}
+              onChange={(e) => handleInputChange('title', e.target.value)}
+              placeholder="e.g., Route R1 diverted via Main Street"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="broadcastMessage">Message *</Label>
+            <Textarea
+              id="broadcastMessage"
+              value={formData.message}
+              onChange={(e) => handleInputChange('message', e.target.value)}
+              placeholder="What should riders know?"
+              rows={3}
+            />
+          </div>
+
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex items-center gap-2">
+              <Switch
+                id="scheduleBroadcast"
+                checked={formData.schedule}
+                onCheckedChange={(checked) => handleInputChange('schedule', checked)}
+              />
+              <Label htmlFor="scheduleBroadcast">Schedule for later</Label>
+            </div>
+            {formData.schedule && (
+              <Input
+                type="datetime-local"
+                value={formData.scheduledFor}
+                onChange={(e) => handleInputChange('scheduledFor', e.target.value)}
+                className="md:w-64"
+              />
+            )}
+          </div>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {success && (
+            <Alert>
+              <AlertDescription>{success}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Button variant="outline" size="sm" onClick={handlePreview} disabled={previewing}>
+                {previewing ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Users className="h-4 w-4 mr-2" />
+                )}
+                Preview Recipients
+              </Button>
+              {preview && (
+                <span>
+                  {preview.count} recipient(s)
+                  {preview.optedOut > 0 && ` • ${preview.optedOut} opted out`}
+                </span>
+              )}
+            </div>
+
+            <Button onClick={handleSend} disabled={sending}>
+              {sending ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : formData.schedule ? (
+                <CalendarClock className="h-4 w-4 mr-2" />
+              ) : (
+                <Send className="h-4 w-4 mr-2" />
+              )}
+              {formData.schedule ? 'Schedule' : 'Send Now'}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {broadcasts.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Recent Broadcasts</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {broadcasts.map((broadcast) => (
+              <div key={broadcast.id} className="flex items-start justify-between gap-3 p-3 border rounded-lg">
+                <div className="space-y-1">
+                  <p className="font-medium text-sm">{broadcast.title}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {broadcast.type} • {formatBroadcastTime(broadcast)}
+                    {broadcast.status === BROADCAST_STATUS.SENT && ` • ${broadcast.recipientCount} recipient(s)`}
+                  </p>
+                  {broadcast.channelFailures > 0 && (
+                    <p className="text-xs text-amber-800">
+                      Push or email failed for {broadcast.channelFailures} recipient(s)
+                    </p>
+                  )}
+                  {broadcast.error && broadcast.status !== BROADCAST_STATUS.SENT && (
+                    <p className="text-xs text-red-600">
+                      {broadcast.status === BROADCAST_STATUS.SCHEDULED ? 'Retrying: ' : ''}{broadcast.error}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge className={STATUS_BADGES[broadcast.status]}>{broadcast.status}</Badge>
+                  {broadcast.status === BROADCAST_STATUS.SCHEDULED && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      onClick={() => handleCancel(broadcast.id)}
+                      aria-label="Cancel scheduled broadcast"
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export default NotificationComposer;
@@ -0,0 +1,281 @@
+// Notification inbox with read state, archive, type filters and infinite scrolling
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import {
+  Bell,
+  BellOff,
+  Clock,
+  MapPin,
+  AlertTriangle,
+  Settings,
+  Archive,
+  ArchiveRestore,
+  CheckCheck,
+  Mail,
+  MailOpen,
+  Loader2
+} from 'lucide-react';
+import { useNotificationInbox, useUnreadNotificationCount } from '../hooks/useNotificationInbox.js';
+import {
+  setNotificationRead,
+  setNotificationArchived,
+  markAllNotificationsRead,
+  UNREAD_COUNT_LIMIT
+} from '../lib/inboxService.js';
+import { NOTIFICATION_TYPES } from '../lib/notificationRules.js';
+
+const ALL_TYPES = 'all';
+
+const TYPE_FILTERS = [
+  { value: ALL_TYPES, label: 'All types' },
+  { value: NOTIFICATION_TYPES.ARRIVAL, label: 'Arrivals' },
+  { value: NOTIFICATION_TYPES.DELAY, label: 'Delays' },
+  { value: NOTIFICATION_TYPES.ROUTE_CHANGE, label: 'Route changes' },
+  { value: NOTIFICATION_TYPES.EMERGENCY, label: 'Emergencies' }
+];
+
+const getNotificationIcon = (type) => {
+  switch (type) {
+    case 'arrival':
+      return <MapPin className="h-4 w-4 text-green-500" />;
+    case 'delay':
+      return <Clock className="h-4 w-4 text-yellow-500" />;
+    case 'emergency':
+      return <AlertTriangle className="h-4 w-4 text-red-500" />;
+    case 'route_change':
+      return <Settings className="h-4 w-4 text-blue-500" />;
+    default:
+      return <Bell className="h-4 w-4 text-gray-500" />;
+  }
+};
+
+const getNotificationBadge = (type) => {
+  switch (type) {
+    case 'arrival':
+      return <Badge className="bg-green-100 text-green-800">Arrival</Badge>;
+    case 'delay':
+      return <Badge className="bg-yellow-100 text-yellow-800">Delay</Badge>;
+    case 'emergency':
+      return <Badge className="bg-red-100 text-red-800">Emergency</Badge>;
+    case 'route_change':
+      return <Badge className="bg-blue-100 text-blue-800">Route Change</Badge>;
+    default:
+      return <Badge variant="secondary">Info</Badge>;
+  }
+};
+
+const formatNotificationTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+
+  const diffHours = Math.floor(diffMins / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+
+  return date.toLocaleDateString();
+};
+
+const NotificationInbox = ({ userId }) => {
+  const [view, setView] = useState('inbox');
+  const [typeFilter, setTypeFilter] = useState(ALL_TYPES);
+  const [markingAll, setMarkingAll] = useState(false);
+  const sentinelRef = useRef(null);
+
+  const { notifications, hasMore, loading, error, loadMore } = useNotificationInbox(userId, {
+    type: typeFilter === ALL_TYPES ? null : typeFilter,
+    archived: view === 'archived'
+  });
+  const unreadCount = useUnreadNotificationCount(userId);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
+
+  const handleMarkAllRead = async () => {
+    setMarkingAll(true);
+    await markAllNotificationsRead(userId);
+    setMarkingAll(false);
+  };
+
+  const unreadLabel = unreadCount >= UNREAD_COUNT_LIMIT ? `${UNREAD_COUNT_LIMIT - 1}+` : unreadCount;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bell className="h-5 w-5" />
+          Inbox
+          {unreadCount > 0 && (
+            <Badge variant="destructive">{unreadLabel} unread</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          Your bus tracking notifications
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <Tabs value={view} onValueChange={setView}>
+            <TabsList>
+              <TabsTrigger value="inbox">Inbox</TabsTrigger>
+              <TabsTrigger value="archived">Archived</TabsTrigger>
+            </TabsList>
+          </Tabs>
+
+          <div className="flex items-center gap-2">
+            <Select value={typeFilter} onValueChange={setTypeFilter}>
+              <SelectTrigger size="sm" className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TYPE_FILTERS.map((filter) => (
+                  <SelectItem key={filter.value} value={filter.value}>
+                    {filter.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {view === 'inbox' && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleMarkAllRead}
+                disabled={markingAll || unreadCount === 0}
+              >
+                {markingAll ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <CheckCheck className="h-4 w-4 mr-2" />
+                )}
+                Mark all read
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {error ? (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>Couldn't load notifications: {error}</AlertDescription>
+          </Alert>
+        ) : !loading && notifications.length === 0 ? (
+          <div className="text-center py-8">
+            <BellOff className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
+            <h3 className="text-lg font-semibold mb-2">
+              {view === 'archived' ? 'No Archived Notifications' : 'No Notifications'}
+            </h3>
+            <p className="text-muted-foreground">
+              {view === 'archived'
+                ? 'Notifications you archive will appear here.'
+                : "You'll see bus updates and alerts here when they arrive."}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {notifications.map((notification) => (
+              <div
+                key={notification.id}
+                className={`flex items-start gap-3 p-4 rounded-lg border ${
+                  notification.read ? 'bg-muted/30' : 'bg-background border-l-4 border-l-primary'
+                }`}
+              >
+                <div className="mt-0.5">
+                  {getNotificationIcon(notification.type)}
+                </div>
+
+                <div className="flex-1 space-y-1">
+                  <div className="flex items-center justify-between">
+                    <h4 className={notification.read ? 'font-medium' : 'font-semibold'}>
+                      {notification.title}
+                    </h4>
+                    <div className="flex items-center gap-2">
+                      {getNotificationBadge(notification.type)}
+                      <span className="text-xs text-muted-foreground">
+                        {formatNotificationTime(notification.createdAt)}
+                      </span>
+                    </div>
+                  </div>
+
+                  <p className="text-sm text-muted-foreground">
+                    {notification.message}
+                  </p>
+
+                  {notification.routeInfo && (
+                    <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                      <Badge variant="outline" className="text-xs">
+                        {notification.routeInfo.routeNumber}
+                      </Badge>
+                      {notification.routeInfo.busNumber && (
+                        <span>Bus {notification.routeInfo.busNumber}</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex flex-col gap-1">
+                  {!notification.archived && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-8 w-8 p-0"
+                      onClick={() => setNotificationRead(notification.id, !notification.read)}
+                      aria-label={notification.read ? 'Mark as unread' : 'Mark as read'}
+                      title={notification.read ? 'Mark as unread' : 'Mark as read'}
+                    >
+                      {notification.read ? <Mail className="h-4 w-4" /> : <MailOpen className="h-4 w-4" />}
+                    </Button>
+                  )}
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-8 w-8 p-0"
+                    onClick={() => setNotificationArchived(notification.id, !notification.archived)}
+                    aria-label={notification.archived ? 'Move to inbox' : 'Archive'}
+                    title={notification.archived ? 'Move to inbox' : 'Archive'}
+                  >
+                    {notification.archived ? <ArchiveRestore className="h-4 w-4" /> : <Archive className="h-4 w-4" />}
+                  </Button>
+                </div>
+              </div>
+            ))}
+
+            <div ref={sentinelRef} />
+            {loading && (
+              <div className="flex items-center justify-center gap-2 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Loading notifications...
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationInbox;
@@ -6,6 +6,7 @@ import { Badge } from '@/components/ui/badge.jsx';
 import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
 import { Switch } from '@/components/ui/switch.jsx';
 import { Label } from '@/components/ui/label.jsx';
+import { Input } from '@/components/ui/input.jsx';
 import { 
   Select,
   SelectContent,
@@ -15,40 +16,47 @@ import {
 } from '@/components/ui/select.jsx';
 import { 
   Bell, 
-  BellOff, 
-  Clock, 
   MapPin, 
-  AlertTriangle,
   CheckCircle,
-  Settings
+  Settings,
+  Moon,
+  Send,
+  X
 } from 'lucide-react';
-import { 
-  collection, 
-  doc,
-  setDoc,
-  onSnapshot,
-  serverTimestamp,
-  query,
-  where,
-  orderBy,
-  limit
-} from 'firebase/firestore';
-import { db } from '../lib/firebase.js';
+import { routesRepository, notificationsRepository } from '../lib/repositories/index.js';
 import { useAuth } from '../hooks/useAuth.jsx';
 import useUserRole from '../hooks/useUserRole.js';
+import { listenToStops } from '../lib/stopService.js';
+import { NOTIFICATION_RULE_DEFAULTS, NOTIFICATION_TYPES } from '../lib/notificationRules.js';
+import {
+  NOTIFICATION_CHANNELS,
+  CHANNEL_LABELS,
+  DELIVERY_MODES,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  normalizeNotificationSettings
+} from '../lib/notificationPreferences.js';
+import { subscribeToPush } from '../lib/pushService.js';
+import PushNotificationSettings from './PushNotificationSettings.jsx';
+import NotificationInbox from './NotificationInbox.jsx';
+
+const CHANNEL_TYPES = [
+  { type: NOTIFICATION_TYPES.ARRIVAL, label: 'Bus arrival' },
+  { type: NOTIFICATION_TYPES.DELAY, label: 'Delays' },
+  { type: NOTIFICATION_TYPES.ROUTE_CHANGE, label: 'Route changes' },
+  { type: NOTIFICATION_TYPES.EMERGENCY, label: 'Emergencies' }
+];
+
+// Emergencies can't be switched off per route
+const ROUTE_TYPES = CHANNEL_TYPES.filter(({ type }) => type !== NOTIFICATION_TYPES.EMERGENCY);
+
+const STOP_LEAD_TIMES = [2, 5, 10, 15];
 
 const NotificationSystem = () => {
   const { user } = useAuth();
   const { userProfile } = useUserRole();
-  const [notifications, setNotifications] = useState([]);
-  const [settings, setSettings] = useState({
-    busArrival: true,
-    busDelay: true,
-    routeChanges: true,
-    emergencyAlerts: true,
-    selectedRoutes: []
-  });
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
   const [routes, setRoutes] = useState([]);
+  const [stops, setStops] = useState([]);
   const [loading, setLoading] = useState(true);
   const [permission, setPermission] = useState('default');
 
@@ -58,50 +66,23 @@ const NotificationSystem = () => {
       setPermission(Notification.permission);
     }
 
-    // Listen to user notifications
     if (user) {
-      const notificationsQuery = query(
-        collection(db, 'notifications'),
-        where('userId', '==', user.uid),
-        orderBy('createdAt', 'desc'),
-        limit(20)
-      );
-
-      const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
-        const notificationsData = [];
-        snapshot.forEach((doc) => {
-          notificationsData.push({
-            id: doc.id,
-            ...doc.data()
-          });
-        });
-        setNotifications(notificationsData);
-        setLoading(false);
-      });
-
       // Listen to routes
-      const unsubscribeRoutes = onSnapshot(collection(db, 'routes'), (snapshot) => {
-        const routesData = [];
-        snapshot.forEach((doc) => {
-          routesData.push({
-            id: doc.id,
-            ...doc.data()
-          });
-        });
-        setRoutes(routesData);
-      });
+      const unsubscribeRoutes = routesRepository.listen(setRoutes);
+
+      const unsubscribeStops = listenToStops(setStops);
 
       // Load user notification settings
-      const settingsRef = doc(db, 'userSettings', user.uid);
-      const unsubscribeSettings = onSnapshot(settingsRef, (doc) => {
-        if (doc.exists()) {
-          setSettings(prev => ({ ...prev, ...doc.data().notifications }));
+      const unsubscribeSettings = notificationsRepository.listenToSettings(user.uid, (notifications) => {
+        if (notifications) {
+          setSettings(normalizeNotificationSettings(notifications));
         }
+        setLoading(false);
       });
 
       return () => {
-        unsubscribeNotifications();
         unsubscribeRoutes();
+        unsubscribeStops();
         unsubscribeSettings();
       };
     }
@@ -109,9 +90,10 @@ const NotificationSystem = () => {
 
   const requestNotificationPermission = async () => {
     if ('Notification' in window) {
-      const permission = await Notification.requestPermission();
-      setPermission(permission);
-      return permission === 'granted';
+      // Subscribing asks for permission and registers this device for push
+      const result = await subscribeToPush(user.uid);
+      setPermission(Notification.permission);
+      return result.success;
     }
     return false;
   };
@@ -120,10 +102,7 @@ const NotificationSystem = () => {
     if (!user) return;
 
     try {
-      await setDoc(doc(db, 'userSettings', user.uid), {
-        notifications: newSettings,
-        updatedAt: serverTimestamp()
-      }, { merge: true });
+      await notificationsRepository.saveSettings(user.uid, newSettings);
 
       setSettings(newSettings);
     } catch (error) {
@@ -144,50 +123,35 @@ const NotificationSystem = () => {
     handleSettingChange('selectedRoutes', newRoutes);
   };
 
-  const getNotificationIcon = (type) => {
-    switch (type) {
-      case 'arrival':
-        return <MapPin className="h-4 w-4 text-green-500" />;
-      case 'delay':
-        return <Clock className="h-4 w-4 text-yellow-500" />;
-      case 'emergency':
-        return <AlertTriangle className="h-4 w-4 text-red-500" />;
-      case 'route_change':
-        return <Settings className="h-4 w-4 text-blue-500" />;
-      default:
-        return <Bell className="h-4 w-4 text-gray-500" />;
-    }
+  const handleStopSelection = (stopId) => {
+    const newStops = settings.selectedStops.includes(stopId)
+      ? settings.selectedStops.filter(id => id !== stopId)
+      : [...settings.selectedStops, stopId];
+
+    handleSettingChange('selectedStops', newStops);
   };
 
-  const getNotificationBadge = (type) => {
-    switch (type) {
-      case 'arrival':
-        return <Badge className="bg-green-100 text-green-800">Arrival</Badge>;
-      case 'delay':
-        return <Badge className="bg-yellow-100 text-yellow-800">Delay</Badge>;
-      case 'emergency':
-        return <Badge className="bg-red-100 text-red-800">Emergency</Badge>;
-      case 'route_change':
-        return <Badge className="bg-blue-100 text-blue-800">Route Change</Badge>;
-      default:
-        return <Badge variant="secondary">Info</Badge>;
-    }
+  const handleNestedSettingChange = (key, field, value) => {
+    handleSettingChange(key, { ...settings[key], [field]: value });
   };
 
-  const formatNotificationTime = (timestamp) => {
-    if (!timestamp) return '';
-    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    
-    const diffHours = Math.floor(diffMins / 60);
-    if (diffHours < 24) return `${diffHours}h ago`;
-    
-    return date.toLocaleDateString();
+  const handleChannelToggle = (type, channel) => {
+    const current = settings.channels[type] || [];
+    const next = current.includes(channel)
+      ? current.filter((c) => c !== channel)
+      : [...current, channel];
+    handleNestedSettingChange('channels', type, next);
+  };
+
+  // Per-route switches only store types that are turned off
+  const handleRouteTypeToggle = (routeId, type) => {
+    const current = settings.routePreferences[routeId] || {};
+    const next = { ...current, [type]: current[type] === false };
+    handleNestedSettingChange('routePreferences', routeId, next);
+  };
+
+  const handleStopLeadTime = (stopId, minutes) => {
+    handleNestedSettingChange('stopPreferences', stopId, { approachMinutes: Number(minutes) });
   };
 
   if (loading) {
@@ -313,75 +277,218 @@ const NotificationSystem = () => {
                 </Button>
               ))}
             </div>
+            {settings.selectedRoutes.length > 0 && (
+              <div className="space-y-2 pt-2">
+                <p className="text-sm text-muted-foreground">Alert types per route</p>
+                {settings.selectedRoutes.map((routeId) => {
+                  const route = routes.find((r) => r.id === routeId);
+                  const routePrefs = settings.routePreferences[routeId] || {};
+                  return (
+                    <div key={routeId} className="flex flex-wrap items-center gap-2">
+                      <span className="text-sm font-medium w-32 truncate">
+                        {route ? route.routeNumber : 'Removed route'}
+                      </span>
+                      {ROUTE_TYPES.map(({ type, label }) => (
+                        <Button
+                          key={type}
+                          type="button"
+                          size="sm"
+                          variant={routePrefs[type] === false ? 'outline' : 'secondary'}
+                          onClick={() => handleRouteTypeToggle(routeId, type)}
+                        >
+                          {label}
+                        </Button>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Stop Selection */}
+          <div className="space-y-2">
+            <Label>Stops to Watch</Label>
+            <p className="text-sm text-muted-foreground">
+              Arrival alerts are sent about {NOTIFICATION_RULE_DEFAULTS.approachMinutes} minutes
+              before a bus reaches one of these stops
+            </p>
+            <div className="space-y-2">
+              {settings.selectedStops.map((stopId) => {
+                const stop = stops.find((s) => s.id === stopId);
+                const leadTime = settings.stopPreferences[stopId]?.approachMinutes ||
+                  NOTIFICATION_RULE_DEFAULTS.approachMinutes;
+                return (
+                  <div key={stopId} className="flex items-center gap-2">
+                    <Badge variant="secondary" className="flex items-center gap-1">
+                      <MapPin className="h-3 w-3" />
+                      {stop?.name || 'Removed stop'}
+                      <button
+                        type="button"
+                        onClick={() => handleStopSelection(stopId)}
+                        aria-label={`Stop watching ${stop?.name || 'stop'}`}
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                    </Badge>
+                    <Select
+                      value={String(leadTime)}
+                      onValueChange={(value) => handleStopLeadTime(stopId, value)}
+                    >
+                      <SelectTrigger size="sm" className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {STOP_LEAD_TIMES.map((minutes) => (
+                          <SelectItem key={minutes} value={String(minutes)}>
+                            {minutes} min before
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                );
+              })}
+            </div>
+            <Select value="" onValueChange={handleStopSelection}>
+              <SelectTrigger className="w-full md:w-72">
+                <SelectValue placeholder="Add a stop..." />
+              </SelectTrigger>
+              <SelectContent>
+                {stops
+                  .filter((stop) => (stop.routeIds || []).length > 0 && !settings.selectedStops.includes(stop.id))
+                  .map((stop) => (
+                    <SelectItem key={stop.id} value={stop.id}>
+                      {stop.name}{stop.code ? ` (${stop.code})` : ''}
+                    </SelectItem>
+                  ))}
+              </SelectContent>
+            </Select>
           </div>
         </CardContent>
       </Card>
 
-      {/* Recent Notifications */}
+      {/* Delivery Preferences */}
       <Card>
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
-            <Bell className="h-5 w-5" />
-            Recent Notifications
+            <Send className="h-5 w-5" />
+            Delivery
           </CardTitle>
           <CardDescription>
-            Your latest bus tracking notifications
+            Choose how and when notifications reach you
           </CardDescription>
         </CardHeader>
-        <CardContent>
-          {notifications.length === 0 ? (
-            <div className="text-center py-8">
-              <BellOff className="h-12 w-12 mx-auto text-muted-foreground mb-4" />
-              <h3 className="text-lg font-semibold mb-2">No Notifications</h3>
-              <p className="text-muted-foreground">
-                You'll see bus updates and alerts here when they arrive.
-              </p>
-            </div>
-          ) : (
-            <div className="space-y-4">
-              {notifications.map((notification) => (
-                <div
-                  key={notification.id}
-                  className={`flex items-start gap-3 p-4 rounded-lg border ${
-                    notification.read ? 'bg-muted/30' : 'bg-background'
-                  }`}
-                >
-                  <div className="mt-0.5">
-                    {getNotificationIcon(notification.type)}
-                  </div>
-                  
-                  <div className="flex-1 space-y-1">
-                    <div className="flex items-center justify-between">
-                      <h4 className="font-medium">{notification.title}</h4>
-                      <div className="flex items-center gap-2">
-                        {getNotificationBadge(notification.type)}
-                        <span className="text-xs text-muted-foreground">
-                          {formatNotificationTime(notification.createdAt)}
-                        </span>
-                      </div>
-                    </div>
-                    
-                    <p className="text-sm text-muted-foreground">
-                      {notification.message}
-                    </p>
-                    
-                    {notification.routeInfo && (
-                      <div className="flex items-center gap-2 text-xs text-muted-foreground">
-                        <Badge variant="outline" className="text-xs">
-                          {notification.routeInfo.routeNumber}
-                        </Badge>
-                        {notification.routeInfo.busNumber && (
-                          <span>Bus {notification.routeInfo.busNumber}</span>
-                        )}
-                      </div>
-                    )}
-                  </div>
+        <CardContent className="space-y-6">
+          {/* Channels */}
+          <div className="space-y-2">
+            <Label>Channels</Label>
+            <p className="text-sm text-muted-foreground">
+              Pick where each type is sent. Emergencies always appear in your notification list
+            </p>
+            <div className="space-y-2">
+              {CHANNEL_TYPES.map(({ type, label }) => (
+                <div key={type} className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium w-32">{label}</span>
+                  {Object.values(NOTIFICATION_CHANNELS).map((channel) => (
+                    <Button
+                      key={channel}
+                      type="button"
+                      size="sm"
+                      variant={(settings.channels[type] || []).includes(channel) ? 'default' : 'outline'}
+                      onClick={() => handleChannelToggle(type, channel)}
+                    >
+                      {CHANNEL_LABELS[channel]}
+                    </Button>
+                  ))}
                 </div>
               ))}
             </div>
-          )}
+          </div>
+
+          {/* Instant vs digest */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label>Push and email delivery</Label>
+              <Select
+                value={settings.delivery.mode}
+                onValueChange={(value) => handleNestedSettingChange('delivery', 'mode', value)}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DELIVERY_MODES.INSTANT}>Instantly</SelectItem>
+                  <SelectItem value={DELIVERY_MODES.DIGEST}>Daily digest</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {settings.delivery.mode === DELIVERY_MODES.DIGEST && (
+              <div className="space-y-2">
+                <Label htmlFor="digestTime">Digest time</Label>
+                <Input
+                  id="digestTime"
+                  type="time"
+                  value={settings.delivery.digestTime}
+                  onChange={(e) => handleNestedSettingChange('delivery', 'digestTime', e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Quiet hours */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="space-y-0.5">
+                <Label htmlFor="quietHours" className="flex items-center gap-2">
+                  <Moon className="h-4 w-4" />
+                  Quiet Hours
+                </Label>
+                <p className="text-sm text-muted-foreground">
+                  Push and email wait until these hours end and arrive as one summary; emergencies still come through
+                </p>
+              </div>
+              <Switch
+                id="quietHours"
+                checked={settings.quietHours.enabled}
+                onCheckedChange={(checked) => handleNestedSettingChange('quietHours', 'enabled', checked)}
+              />
+            </div>
+            {settings.quietHours.enabled && (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-1">
+                  <Label htmlFor="quietStart">From</Label>
+                  <Input
+                    id="quietStart"
+                    type="time"
+                    value={settings.quietHours.start}
+                    onChange={(e) => handleNestedSettingChange('quietHours', 'start', e.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="quietEnd">Until</Label>
+                  <Input
+                    id="quietEnd"
+                    type="time"
+                    value={settings.quietHours.end}
+                    onChange={(e) => handleNestedSettingChange('quietHours', 'end', e.target.value)}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
         </CardContent>
       </Card>
+
+      {/* Push Notifications */}
+      <PushNotificationSettings
+        userId={user.uid}
+        permission={permission}
+        onPermissionChange={setPermission}
+      />
+
+      {/* Inbox */}
+      <NotificationInbox userId={user.uid} />
     </div>
   );
 };
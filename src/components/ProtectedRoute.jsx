@@ -6,13 +6,13 @@ import AuthPage from './AuthPage.jsx';
 import PendingVerification from './PendingVerification.jsx';
 import BusMap from './BusMap.jsx';
 import BusSidebar from './BusSidebar.jsx';
-import { useBusLocations } from '../hooks/useBusData.js';
+import useVehicles from '../hooks/useVehicles.js';
 import { Loader2 } from 'lucide-react';
 
 const ProtectedRoute = ({ children }) => {
   const { user, loading, initialized } = useAuth();
   const { userProfile, isVerified, isPending, loading: roleLoading } = useUserRole();
-  const { buses, loading: busLoading, connected } = useBusLocations();
+  const { vehicles, simulated } = useVehicles();
 
   // Show loading spinner while authentication state is being determined
   if (!initialized || loading || roleLoading) {
@@ -48,7 +48,7 @@ const ProtectedRoute = ({ children }) => {
           </div>
         </div>
         <div className="flex-1">
-          <BusMap buses={buses} />
+          <BusMap vehicles={vehicles} simulated={simulated} />
         </div>
       </div>
     );
@@ -0,0 +1,177 @@
+// Push notification subscription management and local test harness
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import { BellRing, Loader2, Send } from 'lucide-react';
+import {
+  PUSH_STATUS,
+  getPushStatus,
+  subscribeToPush,
+  unsubscribeFromPush,
+  buildPushPayload,
+  deliverTestPush
+} from '../lib/pushService.js';
+import { NOTIFICATION_TYPES } from '../lib/notificationRules.js';
+
+const STATUS_LABELS = {
+  [PUSH_STATUS.UNSUPPORTED]: 'Not supported',
+  [PUSH_STATUS.DENIED]: 'Blocked',
+  [PUSH_STATUS.DISABLED]: 'Off',
+  [PUSH_STATUS.LOCAL_ONLY]: 'Local only',
+  [PUSH_STATUS.SUBSCRIBED]: 'On'
+};
+
+const TEST_MESSAGES = {
+  [NOTIFICATION_TYPES.ARRIVAL]: {
+    title: 'Bus approaching',
+    message: 'Test: your bus is about 3 minutes from your stop.'
+  },
+  [NOTIFICATION_TYPES.DELAY]: {
+    title: 'Bus delayed',
+    message: 'Test: your bus is running 8 minutes late.'
+  },
+  [NOTIFICATION_TYPES.EMERGENCY]: {
+    title: 'Emergency alert',
+    message: 'Test: service suspended on all routes.'
+  }
+};
+
+const PushNotificationSettings = ({ userId, permission, onPermissionChange }) => {
+  const [status, setStatus] = useState(PUSH_STATUS.DISABLED);
+  const [testType, setTestType] = useState(NOTIFICATION_TYPES.ARRIVAL);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const refreshStatus = useCallback(async () => {
+    const current = await getPushStatus();
+    setStatus(current);
+    if ('Notification' in window) {
+      onPermissionChange?.(Notification.permission);
+    }
+  }, [onPermissionChange]);
+
+  // Permission can also change from the banner above the settings
+  useEffect(() => {
+    refreshStatus();
+  }, [permission, refreshStatus]);
+
+  const handleEnable = async () => {
+    setBusy(true);
+    setError('');
+    const result = await subscribeToPush(userId);
+    if (!result.success) {
+      setError(result.error || 'Failed to enable push notifications');
+    }
+    await refreshStatus();
+    setBusy(false);
+  };
+
+  const handleDisable = async () => {
+    setBusy(true);
+    setError('');
+    const result = await unsubscribeFromPush(userId);
+    if (!result.success) {
+      setError(result.error || 'Failed to disable push notifications');
+    }
+    await refreshStatus();
+    setBusy(false);
+  };
+
+  const handleTestPush = async () => {
+    setError('');
+    const result = await deliverTestPush(
+      buildPushPayload({ id: `test-${Date.now()}`, type: testType, ...TEST_MESSAGES[testType] })
+    );
+    if (!result.success) {
+      setError(result.error || 'Failed to deliver test push');
+    }
+  };
+
+  const isEnabled = status === PUSH_STATUS.SUBSCRIBED || status === PUSH_STATUS.LOCAL_ONLY;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5" />
+          Push Notifications
+          <Badge variant={status === PUSH_STATUS.SUBSCRIBED ? 'default' : 'secondary'}>
+            {STATUS_LABELS[status]}
+          </Badge>
+        </CardTitle>
+        <CardDescription>
+          Receive arrival, delay and emergency alerts on this device even when the tracker is closed
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {status === PUSH_STATUS.LOCAL_ONLY && (
+          <p className="text-sm text-muted-foreground">
+            No push key is configured, so only test pushes from this page can be shown.
+          </p>
+        )}
+
+        {status === PUSH_STATUS.DENIED && (
+          <p className="text-sm text-muted-foreground">
+            Notifications are blocked for this site. Allow them in your browser settings to enable push.
+          </p>
+        )}
+
+        {status !== PUSH_STATUS.UNSUPPORTED && status !== PUSH_STATUS.DENIED && (
+          <div className="flex flex-wrap items-end gap-2">
+            {isEnabled ? (
+              <Button variant="outline" size="sm" onClick={handleDisable} disabled={busy}>
+                {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Disable on this device
+              </Button>
+            ) : (
+              <Button size="sm" onClick={handleEnable} disabled={busy}>
+                {busy && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Enable on this device
+              </Button>
+            )}
+
+            {isEnabled && (
+              <>
+                <div className="space-y-1">
+                  <Label>Test push</Label>
+                  <Select value={testType} onValueChange={setTestType}>
+                    <SelectTrigger size="sm" className="w-36">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NOTIFICATION_TYPES.ARRIVAL}>Bus arrival</SelectItem>
+                      <SelectItem value={NOTIFICATION_TYPES.DELAY}>Delay</SelectItem>
+                      <SelectItem value={NOTIFICATION_TYPES.EMERGENCY}>Emergency</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <Button variant="secondary" size="sm" onClick={handleTestPush}>
+                  <Send className="h-4 w-4 mr-2" />
+                  Send test
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PushNotificationSettings;
@@ -0,0 +1,433 @@
+// Map-based editor for drawing a route's path and placing its stops
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Polyline,
+  CircleMarker,
+  Tooltip,
+  useMap,
+  useMapEvents
+} from 'react-leaflet';
+import L from 'leaflet';
+import { Button } from '@/components/ui/button.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { ScrollArea } from '@/components/ui/scroll-area.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog.jsx';
+import { Undo2, Trash2, Magnet, MapPin, Save, Loader2, Crosshair } from 'lucide-react';
+import { DEFAULT_MAP_CENTER, TILE_LAYER, ROUTE_COLORS, DEFAULT_ROUTE_COLOR } from '../lib/mapConfig.js';
+import { pathLength, projectPointOnPath } from '../lib/geoUtils.js';
+import { getRouteStops, hasCoordinates } from '../lib/stopService.js';
+import { saveRouteGeometry } from '../lib/routeService.js';
+
+// Stops further than this from the drawn line are flagged in the stop list
+const OFF_ROUTE_WARNING_METERS = 50;
+
+const createVertexIcon = (color) => {
+  return L.divIcon({
+    className: 'route-vertex-marker',
+    html: `
+      <div style="
+        width: 12px;
+        height: 12px;
+        background-color: white;
+        border: 3px solid ${color};
+        border-radius: 2px;
+        box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+      "></div>
+    `,
+    iconSize: [12, 12],
+    iconAnchor: [6, 6]
+  });
+};
+
+const createStopIcon = (number, highlighted) => {
+  return L.divIcon({
+    className: 'route-stop-marker',
+    html: `
+      <div style="
+        width: 22px;
+        height: 22px;
+        background-color: ${highlighted ? '#f97316' : '#111827'};
+        color: white;
+        border: 2px solid white;
+        border-radius: 50%;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.4);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 11px;
+        font-weight: 600;
+      ">${number}</div>
+    `,
+    iconSize: [22, 22],
+    iconAnchor: [11, 11]
+  });
+};
+
+const toPoint = (latlng) => ({ latitude: latlng.lat, longitude: latlng.lng });
+
+const formatMeters = (meters) => {
+  return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(2)}km`;
+};
+
+// Routes map clicks to the editor
+const EditorEvents = ({ onClick }) => {
+  useMapEvents({
+    click: (event) => onClick(toPoint(event.latlng))
+  });
+  return null;
+};
+
+// Frames the existing geometry once the dialog has finished opening
+const FitToGeometry = ({ points }) => {
+  const map = useMap();
+  // Only frame on open; re-framing while editing would fight the user
+  const initialPoints = useRef(points);
+
+  useEffect(() => {
+    const points = initialPoints.current;
+    const timer = setTimeout(() => {
+      map.invalidateSize();
+      if (points.length > 1) {
+        map.fitBounds(
+          L.latLngBounds(points.map((point) => [point.latitude, point.longitude])),
+          { padding: [30, 30] }
+        );
+      } else if (points.length === 1) {
+        map.setView([points[0].latitude, points[0].longitude], 15);
+      }
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [map]);
+
+  return null;
+};
+
+const RouteMapEditor = ({ route, stops, open, onOpenChange }) => {
+  const [path, setPath] = useState([]);
+  const [color, setColor] = useState(DEFAULT_ROUTE_COLOR);
+  const [routeStops, setRouteStops] = useState([]);
+  const [snapStops, setSnapStops] = useState(true);
+  const [placingStopId, setPlacingStopId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Stop edits made elsewhere while the editor is open should not reset the draft,
+  // so the latest route and stops are read from refs when a route is opened
+  const routeRef = useRef(route);
+  const stopsRef = useRef(stops);
+  const routeId = route?.id;
+
+  useEffect(() => {
+    routeRef.current = route;
+    stopsRef.current = stops;
+  }, [route, stops]);
+
+  useEffect(() => {
+    if (!open || !routeId) return;
+
+    const current = routeRef.current;
+    const stopsById = Object.fromEntries(stopsRef.current.map((stop) => [stop.id, stop]));
+    setPath(current.path || []);
+    setColor(current.color || DEFAULT_ROUTE_COLOR);
+    setRouteStops(getRouteStops(current, stopsById).map((stop) => ({ ...stop, moved: false })));
+    setPlacingStopId(null);
+    setError('');
+  }, [open, routeId]);
+
+  if (!route) return null;
+
+  const snapToPath = (point) => {
+    if (!snapStops || path.length < 2) return point;
+    const projection = projectPointOnPath(point, path);
+    return { latitude: projection.latitude, longitude: projection.longitude };
+  };
+
+  const moveStop = (stopId, point) => {
+    const position = snapToPath(point);
+    setRouteStops((prev) => prev.map((stop) => (
+      stop.id === stopId ? { ...stop, ...position, moved: true } : stop
+    )));
+  };
+
+  const handleMapClick = (point) => {
+    if (placingStopId) {
+      moveStop(placingStopId, point);
+      setPlacingStopId(null);
+      return;
+    }
+    setPath((prev) => [...prev, point]);
+  };
+
+  const moveVertex = (index, point) => {
+    setPath((prev) => prev.map((vertex, i) => (i === index ? point : vertex)));
+  };
+
+  const removeVertex = (index) => {
+    setPath((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const insertVertex = (index, point) => {
+    setPath((prev) => [...prev.slice(0, index), point, ...prev.slice(index)]);
+  };
+
+  const handleSnapAll = () => {
+    if (path.length < 2) {
+      setError('Draw the route path before snapping stops');
+      return;
+    }
+    setError('');
+    setRouteStops((prev) => prev.map((stop) => {
+      if (!hasCoordinates(stop)) return stop;
+      const projection = projectPointOnPath(stop, path);
+      return {
+        ...stop,
+        latitude: projection.latitude,
+        longitude: projection.longitude,
+        moved: true
+      };
+    }));
+  };
+
+  const handleSave = async () => {
+    if (path.length === 1) {
+      setError('A route path needs at least two points');
+      return;
+    }
+
+    setSaving(true);
+    const result = await saveRouteGeometry(route.id, { path, color, stops: routeStops });
+    setSaving(false);
+
+    if (result.success) {
+      onOpenChange(false);
+    } else {
+      setError(result.error || 'Failed to save route geometry');
+    }
+  };
+
+  const placedStops = routeStops.filter(hasCoordinates);
+  const initialPoints = [...(route.path || []), ...placedStops];
+  const center = initialPoints.length > 0
+    ? [initialPoints[0].latitude, initialPoints[0].longitude]
+    : DEFAULT_MAP_CENTER;
+  const linePositions = path.map((point) => [point.latitude, point.longitude]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-5xl">
+        <DialogHeader>
+          <DialogTitle>Edit Route Map • {route.routeNumber}</DialogTitle>
+          <DialogDescription>
+            Click the map to add points, drag squares to adjust, right-click a square to remove it
+            and click a midpoint dot to insert a point.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-4 md:grid-cols-[1fr_260px]">
+          <div
+            className={`h-[420px] rounded border overflow-hidden ${placingStopId ? 'cursor-crosshair' : ''}`}
+          >
+            <MapContainer center={center} zoom={13} className="h-full w-full">
+              <TileLayer {...TILE_LAYER} />
+              <FitToGeometry points={initialPoints} />
+              <EditorEvents onClick={handleMapClick} />
+
+              {linePositions.length > 1 && (
+                <Polyline positions={linePositions} pathOptions={{ color, weight: 5, opacity: 0.8 }} />
+              )}
+
+              {path.slice(1).map((point, i) => (
+                <CircleMarker
+                  key={`mid-${i}`}
+                  center={[
+                    (path[i].latitude + point.latitude) / 2,
+                    (path[i].longitude + point.longitude) / 2
+                  ]}
+                  radius={4}
+                  bubblingMouseEvents={false}
+                  pathOptions={{ color, fillColor: 'white', fillOpacity: 1, weight: 2 }}
+                  eventHandlers={{
+                    click: (event) => insertVertex(i + 1, toPoint(event.latlng))
+                  }}
+                />
+              ))}
+
+              {path.map((point, index) => (
+                <Marker
+                  key={`vertex-${index}`}
+                  position={[point.latitude, point.longitude]}
+                  icon={createVertexIcon(color)}
+                  draggable
+                  eventHandlers={{
+                    drag: (event) => moveVertex(index, toPoint(event.target.getLatLng())),
+                    contextmenu: () => removeVertex(index)
+                  }}
+                />
+              ))}
+
+              {routeStops.map((stop, index) => hasCoordinates(stop) && (
+                <Marker
+                  key={`stop-${stop.id}`}
+                  position={[stop.latitude, stop.longitude]}
+                  icon={createStopIcon(index + 1, stop.moved)}
+                  draggable
+                  zIndexOffset={1000}
+                  eventHandlers={{
+                    dragend: (event) => moveStop(stop.id, toPoint(event.target.getLatLng()))
+                  }}
+                >
+                  <Tooltip direction="top" offset={[0, -10]}>{stop.name}</Tooltip>
+                </Marker>
+              ))}
+            </MapContainer>
+          </div>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label>Colour</Label>
+              <div className="flex flex-wrap gap-2">
+                {ROUTE_COLORS.map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    onClick={() => setColor(option)}
+                    className={`h-7 w-7 rounded-full border-2 ${
+                      color === option ? 'border-gray-900' : 'border-white shadow'
+                    }`}
+                    style={{ backgroundColor: option }}
+                    aria-label={`Use colour ${option}`}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm">
+                <strong>Path:</strong> {path.length} points • {formatMeters(pathLength(path))}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPath((prev) => prev.slice(0, -1))}
+                  disabled={path.length === 0}
+                >
+                  <Undo2 className="h-4 w-4 mr-1" />
+                  Undo
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setPath([])}
+                  disabled={path.length === 0}
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Clear
+                </Button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="snapStops">Snap stops to line</Label>
+                <Switch id="snapStops" checked={snapStops} onCheckedChange={setSnapStops} />
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                className="w-full"
+                onClick={handleSnapAll}
+                disabled={placedStops.length === 0}
+              >
+                <Magnet className="h-4 w-4 mr-1" />
+                Snap All Stops Now
+              </Button>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Stops</Label>
+              {routeStops.length === 0 ? (
+                <p className="text-xs text-muted-foreground">
+                  This route has no stops. Add them in the route form.
+                </p>
+              ) : (
+                <ScrollArea className="h-40">
+                  <div className="space-y-1 pr-2">
+                    {routeStops.map((stop, index) => {
+                      const projection = hasCoordinates(stop) && path.length > 1
+                        ? projectPointOnPath(stop, path)
+                        : null;
+                      return (
+                        <div key={stop.id} className="flex items-center gap-2 text-xs p-1 border rounded">
+                          <span className="w-4 text-muted-foreground">{index + 1}.</span>
+                          <span className="flex-1 truncate">{stop.name}</span>
+                          {!hasCoordinates(stop) ? (
+                            <Badge variant="secondary" className="text-xs">Not placed</Badge>
+                          ) : projection && projection.offset > OFF_ROUTE_WARNING_METERS && (
+                            <Badge variant="outline" className="text-xs text-yellow-700">
+                              {formatMeters(projection.offset)} off
+                            </Badge>
+                          )}
+                          <Button
+                            variant={placingStopId === stop.id ? 'default' : 'ghost'}
+                            size="sm"
+                            className="h-6 w-6 p-0"
+                            onClick={() => setPlacingStopId(placingStopId === stop.id ? null : stop.id)}
+                            aria-label={`Place ${stop.name} on the map`}
+                          >
+                            <Crosshair className="h-3 w-3" />
+                          </Button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </ScrollArea>
+              )}
+              {placingStopId && (
+                <p className="text-xs text-blue-700 flex items-center gap-1">
+                  <MapPin className="h-3 w-3" />
+                  Click the map to place the selected stop
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving}>
+            {saving ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Save className="h-4 w-4 mr-2" />
+            )}
+            Save Geometry
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RouteMapEditor;
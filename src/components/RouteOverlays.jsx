@@ -0,0 +1,52 @@
+// Coloured route lines and their stops on the main map
+import React from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import { hasRouteGeometry } from '../lib/routeService.js';
+import { getRouteStops, hasCoordinates } from '../lib/stopService.js';
+import { DEFAULT_ROUTE_COLOR } from '../lib/mapConfig.js';
+
+const RouteOverlays = ({ routes, stopsById }) => {
+  const drawnRoutes = routes.filter(hasRouteGeometry);
+
+  // A stop shared by several routes is drawn once, in the first route's colour
+  const stopMarkers = {};
+  drawnRoutes.forEach((route) => {
+    getRouteStops(route, stopsById).filter(hasCoordinates).forEach((stop) => {
+      if (!stopMarkers[stop.id]) {
+        stopMarkers[stop.id] = { stop, color: route.color || DEFAULT_ROUTE_COLOR, routes: [] };
+      }
+      stopMarkers[stop.id].routes.push(route.routeNumber);
+    });
+  });
+
+  return (
+    <>
+      {drawnRoutes.map((route) => (
+        <Polyline
+          key={`route-${route.id}`}
+          positions={route.path.map((point) => [point.latitude, point.longitude])}
+          pathOptions={{ color: route.color || DEFAULT_ROUTE_COLOR, weight: 5, opacity: 0.6 }}
+        >
+          <Tooltip sticky>
+            Route {route.routeNumber} • {route.routeName}
+          </Tooltip>
+        </Polyline>
+      ))}
+
+      {Object.values(stopMarkers).map(({ stop, color, routes: routeNumbers }) => (
+        <CircleMarker
+          key={`stop-${stop.id}`}
+          center={[stop.latitude, stop.longitude]}
+          radius={5}
+          pathOptions={{ color, fillColor: 'white', fillOpacity: 1, weight: 3 }}
+        >
+          <Tooltip direction="top" offset={[0, -4]}>
+            {stop.name}{stop.code ? ` (${stop.code})` : ''} • {routeNumbers.join(', ')}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default RouteOverlays;
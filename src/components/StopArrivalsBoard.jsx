@@ -0,0 +1,128 @@
+// Per-stop arrivals board with live ETAs
+import React, { useState } from 'react';
+import { Card, CardContent } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import { Bus, Clock, MapPin, RefreshCw, Signal, SignalLow } from 'lucide-react';
+import useStopEtas from '../hooks/useStopEtas.js';
+import useRouteNetwork from '../hooks/useRouteNetwork.js';
+import { DEFAULT_ROUTE_COLOR } from '../lib/mapConfig.js';
+
+const SELECTED_STOP_KEY = 'busTracker.arrivalsStop';
+
+const loadSelectedStop = () => {
+  try {
+    return localStorage.getItem(SELECTED_STOP_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const formatEta = (seconds) => {
+  if (seconds < 60) return 'Due';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatDistance = (meters) => {
+  return meters < 1000 ? `${Math.round(meters)}m away` : `${(meters / 1000).toFixed(1)}km away`;
+};
+
+const StopArrivalsBoard = () => {
+  const [stopId, setStopId] = useState(loadSelectedStop);
+  const { stops } = useRouteNetwork();
+  const { stop, arrivals, loading } = useStopEtas(stopId);
+
+  const servedStops = stops.filter((s) => (s.routeIds || []).length > 0);
+
+  const handleStopChange = (value) => {
+    setStopId(value);
+    try {
+      localStorage.setItem(SELECTED_STOP_KEY, value);
+    } catch {
+      // Storage may be unavailable (private mode); the choice just isn't remembered
+    }
+  };
+
+  return (
+    <div className="space-y-2 pb-2">
+      <Select value={stopId} onValueChange={handleStopChange}>
+        <SelectTrigger className="w-full">
+          <SelectValue placeholder="Choose your stop" />
+        </SelectTrigger>
+        <SelectContent className="z-[1100]">
+          {servedStops.map((s) => (
+            <SelectItem key={s.id} value={s.id}>
+              {s.name}{s.code ? ` (${s.code})` : ''}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      {!stopId ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <MapPin className="h-8 w-8 mx-auto mb-2" />
+          <p>Pick a stop to see when the next buses arrive</p>
+        </div>
+      ) : loading ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <RefreshCw className="h-8 w-8 animate-spin mx-auto mb-2" />
+          Loading arrivals...
+        </div>
+      ) : arrivals.length === 0 ? (
+        <div className="text-center py-8 text-muted-foreground">
+          <Bus className="h-8 w-8 mx-auto mb-2" />
+          <p>No buses on the way to {stop?.name || 'this stop'}</p>
+          <p className="text-xs mt-1">Arrivals appear once a bus on a serving route is live</p>
+        </div>
+      ) : (
+        arrivals.map((arrival) => (
+          <Card key={arrival.driverId} className="py-3">
+            <CardContent className="px-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <Badge
+                    className="text-white"
+                    style={{ backgroundColor: arrival.route.color || DEFAULT_ROUTE_COLOR }}
+                  >
+                    {arrival.route.routeNumber}
+                  </Badge>
+                  <span className="text-sm font-medium">{arrival.busNumber || 'Bus'}</span>
+                </div>
+                <span className="text-lg font-bold">{formatEta(arrival.etaSeconds)}</span>
+              </div>
+              <div className="flex items-center justify-between mt-1 text-xs text-muted-foreground">
+                <span className="flex items-center gap-1">
+                  <Clock className="h-3 w-3" />
+                  {new Date(arrival.arrivalTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  {' • '}
+                  {formatDistance(arrival.distanceMeters)}
+                </span>
+                {arrival.stale ? (
+                  <span className="flex items-center gap-1 text-orange-600">
+                    <SignalLow className="h-3 w-3" />
+                    Signal lost
+                  </span>
+                ) : (
+                  <span className="flex items-center gap-1">
+                    <Signal className="h-3 w-3" />
+                    {arrival.source === 'estimate' ? 'Approx.' : 'Live'}
+                  </span>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default StopArrivalsBoard;
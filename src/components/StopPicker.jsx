@@ -0,0 +1,119 @@
+// Ordered stop selection for the route form
+import React from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import { ArrowUp, ArrowDown, X, MapPin, AlertTriangle } from 'lucide-react';
+import { hasCoordinates } from '../lib/stopService.js';
+
+const StopPicker = ({ stops, value = [], onChange }) => {
+  const stopsById = Object.fromEntries(stops.map((stop) => [stop.id, stop]));
+  const availableStops = stops.filter((stop) => !value.includes(stop.id));
+
+  const handleAdd = (stopId) => {
+    onChange([...value, stopId]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= value.length) return;
+
+    const next = [...value];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2">
+      {value.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No stops selected yet.</p>
+      ) : (
+        <ol className="space-y-1 max-h-48 overflow-y-auto">
+          {value.map((stopId, index) => {
+            const stop = stopsById[stopId];
+            return (
+              <li
+                key={stopId}
+                className="flex items-center gap-2 p-2 border rounded text-sm"
+              >
+                <span className="w-5 text-xs text-muted-foreground">{index + 1}.</span>
+                <MapPin className="h-4 w-4 text-muted-foreground" />
+                <span className="flex-1 truncate">
+                  {stop ? stop.name : 'Unknown stop'}
+                  {stop?.code && (
+                    <Badge variant="outline" className="ml-2 text-xs">{stop.code}</Badge>
+                  )}
+                </span>
+                {stop && !hasCoordinates(stop) && (
+                  <AlertTriangle
+                    className="h-4 w-4 text-yellow-600"
+                    aria-label="Stop has no coordinates"
+                  />
+                )}
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 w-7 p-0"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  aria-label="Move stop up"
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 w-7 p-0"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === value.length - 1}
+                  aria-label="Move stop down"
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 w-7 p-0"
+                  onClick={() => handleRemove(index)}
+                  aria-label="Remove stop"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <Select value="" onValueChange={handleAdd} disabled={availableStops.length === 0}>
+        <SelectTrigger className="w-full">
+          <SelectValue
+            placeholder={stops.length === 0 ? 'Create stops in the Stops tab first' : 'Add a stop...'}
+          />
+        </SelectTrigger>
+        <SelectContent>
+          {availableStops.map((stop) => (
+            <SelectItem key={stop.id} value={stop.id}>
+              {stop.name}{stop.code ? ` (${stop.code})` : ''}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+};
+
+export default StopPicker;
@@ -0,0 +1,278 @@
+// Trip replay controls for scrubbing through a driver's recorded trips
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Slider } from '@/components/ui/slider.jsx';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { ScrollArea } from '@/components/ui/scroll-area.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select.jsx';
+import {
+  History,
+  Play,
+  Pause,
+  Search,
+  Loader2,
+  X,
+  Zap,
+  Compass
+} from 'lucide-react';
+import { getVerifiedDrivers } from '../lib/userRoleService.js';
+import { listTrips, getTripTrack } from '../lib/tripHistoryService.js';
+import { toMillis } from '../lib/timeUtils.js';
+import { REPLAY_SPEEDS } from '../hooks/useTripReplay.js';
+
+const toDateInputValue = (date) => date.toISOString().slice(0, 10);
+
+const TripReplayPanel = ({ replay, onTrackLoad, onClose }) => {
+  const [drivers, setDrivers] = useState([]);
+  const [driverId, setDriverId] = useState('');
+  const [fromDate, setFromDate] = useState(toDateInputValue(new Date()));
+  const [toDate, setToDate] = useState(toDateInputValue(new Date()));
+  const [trips, setTrips] = useState([]);
+  const [selectedTripId, setSelectedTripId] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [loadingTrack, setLoadingTrack] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getVerifiedDrivers().then((result) => {
+      if (result.success) {
+        setDrivers(result.data);
+      } else {
+        setError(result.error || 'Failed to load drivers');
+      }
+    });
+  }, []);
+
+  const handleSearch = async () => {
+    if (!driverId) {
+      setError('Select a driver first');
+      return;
+    }
+
+    setSearching(true);
+    setError('');
+    setTrips([]);
+    setSelectedTripId(null);
+    onTrackLoad([], null);
+
+    const result = await listTrips(driverId, {
+      from: new Date(`${fromDate}T00:00:00`),
+      to: new Date(`${toDate}T23:59:59`)
+    });
+
+    if (result.success) {
+      setTrips(result.data);
+      if (result.data.length === 0) {
+        setError('No trips recorded for this driver in the selected range');
+      }
+    } else {
+      setError(result.error || 'Failed to load trips');
+    }
+    setSearching(false);
+  };
+
+  const handleSelectTrip = async (trip) => {
+    setSelectedTripId(trip.id);
+    setLoadingTrack(true);
+    setError('');
+
+    const result = await getTripTrack(driverId, trip.id);
+    if (result.success) {
+      if (result.data.length === 0) {
+        setError('This trip has no recorded points');
+      }
+      onTrackLoad(result.data, trip);
+    } else {
+      setError(result.error || 'Failed to load track');
+    }
+    setLoadingTrack(false);
+  };
+
+  const formatTripTime = (timestamp) => {
+    const millis = toMillis(timestamp);
+    return millis ? new Date(millis).toLocaleString() : 'Unknown';
+  };
+
+  const formatDistance = (meters = 0) => {
+    return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+  };
+
+  const { frame } = replay;
+  const hasTrack = replay.endTime > replay.startTime;
+
+  return (
+    <Card className="w-80 max-w-[calc(100vw-2rem)] shadow-lg gap-3 py-4">
+      <CardHeader className="px-4">
+        <CardTitle className="flex items-center justify-between text-base">
+          <span className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Trip Replay
+          </span>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={onClose}
+            aria-label="Close trip replay"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-3 px-4">
+        <div className="space-y-1">
+          <Label>Driver</Label>
+          <Select value={driverId} onValueChange={setDriverId}>
+            <SelectTrigger className="w-full">
+              <SelectValue placeholder="Select a driver" />
+            </SelectTrigger>
+            <SelectContent className="z-[1100]">
+              {drivers.map((driver) => (
+                <SelectItem key={driver.id} value={driver.id}>
+                  {driver.displayName || driver.email}
+                  {driver.driverInfo?.busNumber ? ` • ${driver.driverInfo.busNumber}` : ''}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="replayFrom">From</Label>
+            <Input
+              id="replayFrom"
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="replayTo">To</Label>
+            <Input
+              id="replayTo"
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <Button className="w-full" size="sm" onClick={handleSearch} disabled={searching}>
+          {searching ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Search className="h-4 w-4 mr-2" />
+          )}
+          Find Trips
+        </Button>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription className="text-xs">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {trips.length > 0 && (
+          <ScrollArea className="max-h-32">
+            <div className="space-y-1">
+              {trips.map((trip) => (
+                <button
+                  key={trip.id}
+                  type="button"
+                  onClick={() => handleSelectTrip(trip)}
+                  className={`w-full text-left p-2 rounded border text-xs ${
+                    selectedTripId === trip.id ? 'ring-2 ring-blue-500 bg-blue-50' : 'hover:bg-muted'
+                  }`}
+                >
+                  <p className="font-medium">{formatTripTime(trip.startedAt)}</p>
+                  <p className="text-muted-foreground">
+                    Bus {trip.busNumber} • {trip.pointCount || 0} points • {formatDistance(trip.distanceMeters)}
+                  </p>
+                </button>
+              ))}
+            </div>
+          </ScrollArea>
+        )}
+
+        {loadingTrack && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading track...
+          </div>
+        )}
+
+        {hasTrack && (
+          <div className="space-y-2 pt-2 border-t">
+            <Slider
+              min={replay.startTime}
+              max={replay.endTime}
+              step={1000}
+              value={[replay.currentTime]}
+              onValueChange={([value]) => replay.seek(value)}
+            />
+
+            <div className="flex items-center justify-between text-xs text-muted-foreground">
+              <span>{new Date(replay.startTime).toLocaleTimeString()}</span>
+              <span className="font-medium text-foreground">
+                {new Date(replay.currentTime).toLocaleTimeString()}
+              </span>
+              <span>{new Date(replay.endTime).toLocaleTimeString()}</span>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Button
+                size="sm"
+                onClick={replay.isPlaying ? replay.pause : replay.play}
+                aria-label={replay.isPlaying ? 'Pause replay' : 'Play replay'}
+              >
+                {replay.isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              </Button>
+
+              <Select
+                value={String(replay.playbackSpeed)}
+                onValueChange={(value) => replay.setPlaybackSpeed(Number(value))}
+              >
+                <SelectTrigger size="sm" className="w-24">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="z-[1100]">
+                  {REPLAY_SPEEDS.map((speed) => (
+                    <SelectItem key={speed} value={String(speed)}>
+                      {speed}×
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {frame && (
+              <div className="flex items-center gap-3 text-xs">
+                <span className="flex items-center gap-1">
+                  <Zap className="h-3 w-3" />
+                  {Math.round((frame.speed || 0) * 3.6)} km/h
+                </span>
+                <span className="flex items-center gap-1">
+                  <Compass className="h-3 w-3" />
+                  {Math.round(frame.heading || 0)}°
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TripReplayPanel;
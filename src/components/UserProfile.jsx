@@ -11,12 +11,15 @@ import {
   DropdownMenuSeparator, 
   DropdownMenuTrigger 
 } from '@/components/ui/dropdown-menu.jsx';
-import { User, LogOut, Mail, Shield, ChevronDown } from 'lucide-react';
+import { User, LogOut, Mail, Shield, ChevronDown, Bell } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth.jsx';
 import { signOutUser } from '../lib/authService.js';
+import { useUnreadNotificationCount } from '../hooks/useNotificationInbox.js';
+import { UNREAD_COUNT_LIMIT } from '../lib/inboxService.js';
 
-const UserProfile = ({ compact = false }) => {
+const UserProfile = ({ compact = false, onOpenNotifications }) => {
   const { user } = useAuth();
+  const unreadCount = useUnreadNotificationCount(compact ? user?.uid : null);
   const [isLoggingOut, setIsLoggingOut] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(false);
 
@@ -37,6 +40,8 @@ const UserProfile = ({ compact = false }) => {
 
   // Compact version for header/navbar
   if (compact) {
+    const unreadLabel = unreadCount >= UNREAD_COUNT_LIMIT ? `${UNREAD_COUNT_LIMIT - 1}+` : unreadCount;
+
     return (
       <DropdownMenu open={dropdownOpen} onOpenChange={setDropdownOpen}>
         <DropdownMenuTrigger asChild>
@@ -47,8 +52,16 @@ const UserProfile = ({ compact = false }) => {
             aria-expanded={dropdownOpen}
             aria-haspopup="true"
           >
-            <div className="w-8 h-8 bg-primary rounded-full flex items-center justify-center">
+            <div className="relative w-8 h-8 bg-primary rounded-full flex items-center justify-center">
               <User className="h-4 w-4 text-primary-foreground" />
+              {unreadCount > 0 && (
+                <span
+                  className="absolute -top-1 -right-2 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold leading-[18px] text-center"
+                  aria-label={`${unreadCount} unread notifications`}
+                >
+                  {unreadLabel}
+                </span>
+              )}
             </div>
             <div className="flex-1 text-left">
               <span className="text-sm truncate block">{user.displayName || 'User'}</span>
@@ -77,6 +90,15 @@ const UserProfile = ({ compact = false }) => {
             <Shield className="mr-2 h-4 w-4" />
             {user.emailVerified ? 'Verified' : 'Unverified'}
           </DropdownMenuItem>
+          {onOpenNotifications && (
+            <DropdownMenuItem onSelect={onOpenNotifications}>
+              <Bell className="mr-2 h-4 w-4" />
+              <span className="flex-1">Notifications</span>
+              {unreadCount > 0 && (
+                <Badge variant="destructive" className="ml-2">{unreadLabel}</Badge>
+              )}
+            </DropdownMenuItem>
+          )}
           <DropdownMenuSeparator />
           <DropdownMenuItem 
             onClick={handleLogout}
@@ -0,0 +1,30 @@
+// React hook that sends scheduled broadcasts while an admin is signed in
+import { useEffect } from 'react';
+import { processDueBroadcasts } from '../lib/broadcastService.js';
+
+export const BROADCAST_CHECK_INTERVAL = 60000;
+
+/**
+ * Periodically deliver broadcasts whose scheduled time has passed
+ * @param {boolean} enabled - Only admins may fan out notifications
+ */
+export const useBroadcastScheduler = (enabled) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const runScheduler = async () => {
+      const result = await processDueBroadcasts();
+      if (!result.success) {
+        console.warn(`Broadcast scheduler: scheduled broadcasts could not be checked (${result.error})`);
+      } else if (result.sent > 0) {
+        console.log(`Broadcast scheduler: ${result.sent} scheduled broadcast(s) sent`);
+      }
+    };
+
+    runScheduler();
+    const interval = setInterval(runScheduler, BROADCAST_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [enabled]);
+};
+
+export default useBroadcastScheduler;
@@ -0,0 +1,28 @@
+// React hook that runs the stale driver sweeper while an admin is signed in
+import { useEffect } from 'react';
+import { sweepStaleDrivers } from '../lib/locationService.js';
+
+export const SWEEP_INTERVAL = 60000;
+
+/**
+ * Periodically mark silent drivers offline and archive old location docs
+ * @param {boolean} enabled - Only admins may write other drivers' location docs
+ */
+export const useDriverSweeper = (enabled) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const runSweep = async () => {
+      const result = await sweepStaleDrivers();
+      if (result.success && (result.markedOffline > 0 || result.archived > 0)) {
+        console.log(`Driver sweep: ${result.markedOffline} marked offline, ${result.archived} archived`);
+      }
+    };
+
+    runSweep();
+    const interval = setInterval(runSweep, SWEEP_INTERVAL);
+    return () => clearInterval(interval);
+  }, [enabled]);
+};
+
+export default useDriverSweeper;
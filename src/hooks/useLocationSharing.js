@@ -1,5 +1,5 @@
 // React hook for managing live location sharing
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from './useAuth.jsx';
 import useUserRole from './useUserRole.js';
 import {
@@ -8,10 +8,38 @@ import {
   stopLocationSharing,
   watchPosition,
   requestLocationPermission,
-  isLocationAvailable
+  isLocationAvailable,
+  sendHeartbeat,
+  HEARTBEAT_INTERVAL
 } from '../lib/locationService.js';
+import {
+  enqueueLocation,
+  flushLocationQueue,
+  countQueuedLocations,
+  getRetryDelay
+} from '../lib/locationQueue.js';
+import { startTrip, endTrip, appendTripPoint } from '../lib/tripHistoryService.js';
+import { createLocationFilter } from '../lib/locationFilter.js';
+import {
+  SAMPLING_PRESETS,
+  getSamplingThresholds,
+  shouldUploadFix,
+  watchBatteryStatus,
+  loadSamplingPreset,
+  saveSamplingPreset
+} from '../lib/samplingPolicy.js';
+
+// Number of recent filter decisions kept for debugging
+const FILTER_LOG_SIZE = 25;
 
-export const useLocationSharing = () => {
+// Firestore resolves a write only once the server has it. Offline, the SDK keeps
+// the write pending and sends it on reconnect, so stopping doesn't wait for it.
+const unlessOffline = (write) => (navigator.onLine ? write : Promise.resolve({ success: true }));
+
+/**
+ * @param {Object} options - { filterConfig } overrides for the GPS noise filter
+ */
+export const useLocationSharing = ({ filterConfig } = {}) => {
   const { user } = useAuth();
   const { userProfile, canShare, isDriver, isVerified } = useUserRole();
   const [isSharing, setIsSharing] = useState(false);
@@ -20,9 +48,29 @@ export const useLocationSharing = () => {
   const [locationPermission, setLocationPermission] = useState('unknown');
   const [currentPosition, setCurrentPosition] = useState(null);
   const [accuracy, setAccuracy] = useState(null);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [filterLog, setFilterLog] = useState([]);
+  const [samplingPreset, setSamplingPreset] = useState(loadSamplingPreset);
+  const [battery, setBattery] = useState(null);
+  const [lastUploadReason, setLastUploadReason] = useState(null);
   
   const watchIdRef = useRef(null);
   const updateIntervalRef = useRef(null);
+  const flushingRef = useRef(false);
+  const flushAgainRef = useRef(false);
+  const sharingRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const retryAttemptRef = useRef(0);
+  const tripIdRef = useRef(null);
+  const filterRef = useRef(null);
+  const lastUploadedRef = useRef(null);
+  const samplingPresetRef = useRef(samplingPreset);
+  const batteryRef = useRef(null);
+  if (!filterRef.current) {
+    filterRef.current = createLocationFilter(filterConfig);
+  }
 
   // Check location permission on mount
   useEffect(() => {
@@ -38,9 +86,106 @@ export const useLocationSharing = () => {
       if (updateIntervalRef.current) {
         clearInterval(updateIntervalRef.current);
       }
+      if (retryTimerRef.current) {
+        clearTimeout(retryTimerRef.current);
+      }
+    };
+  }, []);
+
+  // Upload queued fixes in order, retrying with backoff on failure
+  const flushQueue = useCallback(async () => {
+    if (!user) return;
+    if (flushingRef.current) {
+      // Fixes queued after the running flush read the queue get their own pass
+      flushAgainRef.current = true;
+      return;
+    }
+
+    if (retryTimerRef.current) {
+      clearTimeout(retryTimerRef.current);
+      retryTimerRef.current = null;
+    }
+
+    if (!navigator.onLine) {
+      setQueuedCount(await countQueuedLocations(user.uid));
+      return;
+    }
+
+    flushingRef.current = true;
+    try {
+      const result = await flushLocationQueue(user.uid, async (entry) => {
+        // Fixes left from a stopped session only complete that trip's history;
+        // uploading them as live positions would re-create the deleted location doc
+        const live = sharingRef.current && entry.tripId === tripIdRef.current;
+        if (!live && !entry.tripId) return { success: true };
+
+        if (live) {
+          const updateResult = await updateDriverLocation(user.uid, entry.position);
+          if (!updateResult.success || !entry.tripId) return updateResult;
+        }
+
+        // Breadcrumb for the trip history
+        return appendTripPoint(user.uid, entry.tripId, entry.position);
+      });
+
+      if (result.flushed > 0) {
+        setLastSyncedAt(new Date());
+      }
+
+      if (result.success) {
+        retryAttemptRef.current = 0;
+      } else {
+        const delay = getRetryDelay(retryAttemptRef.current);
+        retryAttemptRef.current += 1;
+        console.warn(`Location upload failed, retrying in ${delay}ms:`, result.error);
+        retryTimerRef.current = setTimeout(() => {
+          retryTimerRef.current = null;
+          flushQueue();
+        }, delay);
+      }
+    } finally {
+      flushingRef.current = false;
+      setQueuedCount(await countQueuedLocations(user.uid));
+    }
+
+    if (flushAgainRef.current && !retryTimerRef.current) {
+      flushAgainRef.current = false;
+      flushQueue();
+    }
+  }, [user]);
+
+  // Track connectivity and flush the queue as soon as the signal returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      retryAttemptRef.current = 0;
+      flushQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
     };
+  }, [flushQueue]);
+
+  // Battery level feeds the sampling policy
+  useEffect(() => {
+    return watchBatteryStatus((status) => {
+      batteryRef.current = status;
+      setBattery(status);
+    });
   }, []);
 
+  // Pick up fixes left over from a previous session
+  useEffect(() => {
+    if (user) {
+      flushQueue();
+    }
+  }, [user, flushQueue]);
+
   const checkLocationPermission = async () => {
     if (!isLocationAvailable()) {
       setLocationPermission('unavailable');
@@ -127,20 +272,51 @@ export const useLocationSharing = () => {
         route: userProfile.driverInfo?.route
       });
 
-      const result = await startLocationSharing(user.uid, user.email, {
+      const driverInfo = {
         displayName: userProfile.displayName,
         busNumber: userProfile.driverInfo?.busNumber,
         route: userProfile.driverInfo?.route
-      });
+      };
+
+      const result = await startLocationSharing(user.uid, user.email, driverInfo);
 
       if (result.success) {
         console.log('Location sharing started successfully');
+        sharingRef.current = true;
+
+        // Open a trip so every accepted fix is kept in the history
+        const tripResult = await startTrip(user.uid, driverInfo);
+        if (tripResult.success) {
+          tripIdRef.current = tripResult.tripId;
+          await enqueueLocation(user.uid, result.position, { tripId: tripResult.tripId });
+          flushQueue();
+        } else {
+          console.warn('Trip history unavailable for this session:', tripResult.error);
+          tripIdRef.current = null;
+        }
+
+        // Seed the noise filter with the starting fix
+        filterRef.current.reset();
+        const seed = filterRef.current.process(result.position);
+        recordFilterDecision(seed);
+        lastUploadedRef.current = seed.filtered;
+
         setIsSharing(true);
         setCurrentPosition(result.position);
         setAccuracy(result.position.coords.accuracy);
         
         // Start watching position changes
         startWatchingPosition();
+
+        // Keep the lease alive even when no new fixes are uploaded
+        if (updateIntervalRef.current) {
+          clearInterval(updateIntervalRef.current);
+        }
+        updateIntervalRef.current = setInterval(() => {
+          if (navigator.onLine) {
+            sendHeartbeat(user.uid);
+          }
+        }, HEARTBEAT_INTERVAL);
         
         return { success: true };
       } else {
@@ -174,8 +350,23 @@ export const useLocationSharing = () => {
         updateIntervalRef.current = null;
       }
 
+      if (retryTimerRef.current) {
+        clearTimeout(retryTimerRef.current);
+        retryTimerRef.current = null;
+      }
+
+      // From here on, queued fixes are uploaded as trip breadcrumbs only
+      sharingRef.current = false;
+      const tripId = tripIdRef.current;
+      tripIdRef.current = null;
+      flushQueue();
+
+      if (tripId) {
+        await unlessOffline(endTrip(user.uid, tripId));
+      }
+
       // Remove from database
-      const result = await stopLocationSharing(user.uid);
+      const result = await unlessOffline(stopLocationSharing(user.uid));
       
       if (result.success) {
         setIsSharing(false);
@@ -195,25 +386,44 @@ export const useLocationSharing = () => {
     }
   };
 
-  const startWatchingPosition = () => {
+  const recordFilterDecision = (decision) => {
+    if (!decision.accepted) {
+      console.debug(`GPS fix rejected (${decision.reason}):`, decision.raw);
+    }
+    setFilterLog((log) => [decision, ...log].slice(0, FILTER_LOG_SIZE));
+  };
+
+  const startWatchingPosition = (presetId = samplingPresetRef.current) => {
     if (watchIdRef.current) {
       navigator.geolocation.clearWatch(watchIdRef.current);
     }
 
     watchIdRef.current = watchPosition(
       async (position) => {
-        setCurrentPosition(position);
         setAccuracy(position.coords.accuracy);
+
+        // Drop inaccurate fixes and jumps, smooth the rest
+        const decision = filterRef.current.process(position);
+        recordFilterDecision(decision);
+        if (!decision.accepted) return;
+
+        setCurrentPosition(decision.filtered);
+
+        // Throttle writes by distance, time, speed band and battery
+        const fix = decision.filtered;
+        const thresholds = getSamplingThresholds(samplingPresetRef.current, fix.coords.speed, batteryRef.current);
+        const sample = shouldUploadFix(lastUploadedRef.current, fix, thresholds);
+        if (!sample.upload) return;
+        lastUploadedRef.current = fix;
+        setLastUploadReason(sample.reason);
         
-        // Update location in database
-        try {
-          const updateResult = await updateDriverLocation(user.uid, position);
-          if (!updateResult.success) {
-            setError('Failed to update location');
-          }
-        } catch (err) {
-          setError('Location update failed');
+        // Buffer the fix, then upload everything queued so far in order
+        const queued = await enqueueLocation(user.uid, decision.filtered, { tripId: tripIdRef.current });
+        if (!queued.success) {
+          setError('Failed to queue location update');
+          return;
         }
+        flushQueue();
       },
       (error) => {
         setError(`Location tracking error: ${error.message}`);
@@ -223,14 +433,23 @@ export const useLocationSharing = () => {
           stopSharing();
         }
       },
-      {
-        enableHighAccuracy: true,
-        timeout: 10000,
-        maximumAge: 5000
-      }
+      SAMPLING_PRESETS[presetId].watchOptions
     );
   };
 
+  const changeSamplingPreset = (presetId) => {
+    if (!SAMPLING_PRESETS[presetId]) return;
+
+    samplingPresetRef.current = presetId;
+    setSamplingPreset(presetId);
+    saveSamplingPreset(presetId);
+
+    // Restart the watch so the new accuracy and caching options apply
+    if (isSharing) {
+      startWatchingPosition(presetId);
+    }
+  };
+
   const toggleSharing = async () => {
     console.log('Toggle sharing called, current state:', isSharing);
     
@@ -255,6 +474,14 @@ export const useLocationSharing = () => {
     locationPermission,
     currentPosition,
     accuracy,
+    queuedCount,
+    lastSyncedAt,
+    isOnline,
+    filterLog,
+    samplingPreset,
+    battery,
+    lastUploadReason,
+    changeSamplingPreset,
     canStartSharing,
     needsPermission,
     canShare: isDriver && isVerified,
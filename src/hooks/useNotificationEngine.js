@@ -0,0 +1,100 @@
+// React hook that runs the bus notification rules while an admin is signed in
+import { useEffect } from 'react';
+import { listenToDriverLocations } from '../lib/locationService.js';
+import { listenToRoutes } from '../lib/routeService.js';
+import { listenToStops } from '../lib/stopService.js';
+import { listenToSegmentStats } from '../lib/etaService.js';
+import { listenToActiveSchedules } from '../lib/adherenceService.js';
+import {
+  listenToNotificationSubscribers,
+  deliverNotifications,
+  processDigests
+} from '../lib/notificationService.js';
+import { evaluateNotificationRules, applyCooldowns, recordCooldowns } from '../lib/notificationRules.js';
+
+export const NOTIFICATION_CHECK_INTERVAL = 30000;
+export const DIGEST_CHECK_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Periodically evaluate approach and delay rules against live positions,
+ * write the resulting notifications and send due digests. This runs in the
+ * browser, so arrival and delay alerts only go out while an admin has the app
+ * open.
+ * @param {boolean} enabled - Only admins may read all settings and write notifications
+ */
+export const useNotificationEngine = (enabled) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const state = {
+      drivers: [],
+      routes: [],
+      stopsById: {},
+      segmentStats: {},
+      schedules: [],
+      subscribers: [],
+      settingsByUser: {},
+      lastSent: {},
+      running: false
+    };
+
+    const unsubscribers = [
+      listenToDriverLocations((drivers) => { state.drivers = drivers; }),
+      listenToRoutes((routes) => { state.routes = routes; }, { activeOnly: true }),
+      listenToStops((stops) => {
+        state.stopsById = Object.fromEntries(stops.map((stop) => [stop.id, stop]));
+      }),
+      listenToSegmentStats((stats) => { state.segmentStats = stats; }),
+      listenToActiveSchedules((schedules) => { state.schedules = schedules; }),
+      listenToNotificationSubscribers((subscribers) => {
+        state.subscribers = subscribers;
+        state.settingsByUser = Object.fromEntries(
+          subscribers.map(({ userId, notifications }) => [userId, notifications])
+        );
+      })
+    ];
+
+    const runRules = async () => {
+      if (state.running || state.subscribers.length === 0 || state.drivers.length === 0) return;
+      state.running = true;
+
+      try {
+        const now = Date.now();
+        const drafts = evaluateNotificationRules({ ...state, now });
+        const { due } = applyCooldowns(drafts, state.lastSent, now);
+
+        if (due.length > 0) {
+          const result = await deliverNotifications(due, state.settingsByUser, now);
+          // Failed drafts get another try on the next pass instead of waiting out the cooldown
+          state.lastSent = recordCooldowns(result.delivered, state.lastSent, now);
+          if (result.created > 0) {
+            console.log(`Notification rules: ${result.created} notification(s) sent`);
+          }
+        }
+      } catch (error) {
+        console.error('Error running notification rules:', error);
+      } finally {
+        state.running = false;
+      }
+    };
+
+    const runDigests = async () => {
+      if (state.subscribers.length === 0) return;
+      const result = await processDigests(state.settingsByUser);
+      if (result.success && result.sent > 0) {
+        console.log(`Notification digests: ${result.sent} digest(s) sent`);
+      }
+    };
+
+    const interval = setInterval(runRules, NOTIFICATION_CHECK_INTERVAL);
+    const digestInterval = setInterval(runDigests, DIGEST_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      clearInterval(digestInterval);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [enabled]);
+};
+
+export default useNotificationEngine;
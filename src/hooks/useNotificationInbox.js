@@ -0,0 +1,65 @@
+// React hooks for the notification inbox and unread badge
+import { useState, useEffect } from 'react';
+import { listenToInbox, listenToUnreadCount, INBOX_PAGE_SIZE } from '../lib/inboxService.js';
+
+/**
+ * Live, infinitely paged inbox for a user
+ * @param {string} userId - Signed-in user ID
+ * @param {Object} filters - { type, archived }
+ * @returns {Object} { notifications, hasMore, loading, error, loadMore }
+ */
+export const useNotificationInbox = (userId, { type = null, archived = false } = {}) => {
+  const [max, setMax] = useState(INBOX_PAGE_SIZE);
+  const [notifications, setNotifications] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // A new filter starts again from the first page
+  useEffect(() => {
+    setMax(INBOX_PAGE_SIZE);
+  }, [userId, type, archived]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    setLoading(true);
+    const unsubscribe = listenToInbox(userId, { type, archived, max }, (data, more) => {
+      setNotifications(data);
+      setHasMore(more);
+      setError(null);
+      setLoading(false);
+    }, (listenError) => {
+      setError(listenError.message || 'Failed to load notifications');
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [userId, type, archived, max]);
+
+  const loadMore = () => {
+    if (hasMore && !loading) {
+      setMax((current) => current + INBOX_PAGE_SIZE);
+    }
+  };
+
+  return { notifications, hasMore, loading, error, loadMore };
+};
+
+/**
+ * Live count of unread inbox notifications
+ */
+export const useUnreadNotificationCount = (userId) => {
+  const [count, setCount] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setCount(0);
+      return;
+    }
+    return listenToUnreadCount(userId, setCount, () => setCount(0));
+  }, [userId]);
+
+  return count;
+};
+
+export default useNotificationInbox;
@@ -0,0 +1,46 @@
+// React hook for the live route and stop network
+import { useState, useEffect, useMemo } from 'react';
+import { listenToRoutes } from '../lib/routeService.js';
+import { listenToStops } from '../lib/stopService.js';
+
+/**
+ * Subscribe to active routes and all stops
+ * @returns {Object} { routes, stops, stopsById, loading }
+ */
+export const useRouteNetwork = () => {
+  const [routes, setRoutes] = useState([]);
+  const [stops, setStops] = useState([]);
+  const [routesLoaded, setRoutesLoaded] = useState(false);
+  const [stopsLoaded, setStopsLoaded] = useState(false);
+
+  useEffect(() => {
+    const unsubscribeRoutes = listenToRoutes((routesData) => {
+      setRoutes(routesData);
+      setRoutesLoaded(true);
+    }, { activeOnly: true });
+
+    const unsubscribeStops = listenToStops((stopsData) => {
+      setStops(stopsData);
+      setStopsLoaded(true);
+    });
+
+    return () => {
+      unsubscribeRoutes();
+      unsubscribeStops();
+    };
+  }, []);
+
+  const stopsById = useMemo(
+    () => Object.fromEntries(stops.map((stop) => [stop.id, stop])),
+    [stops]
+  );
+
+  return {
+    routes,
+    stops,
+    stopsById,
+    loading: !routesLoaded || !stopsLoaded
+  };
+};
+
+export default useRouteNetwork;
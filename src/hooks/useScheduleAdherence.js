@@ -0,0 +1,89 @@
+// React hooks for live schedule adherence
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { listenToActiveSchedules, recordAdherenceEvent, ADHERENCE_RECORD_INTERVAL } from '../lib/adherenceService.js';
+import { computeAdherence } from '../lib/scheduleAdherence.js';
+import useRouteNetwork from './useRouteNetwork.js';
+
+// Deviation changes with the clock even when the bus is parked
+export const ADHERENCE_REFRESH_INTERVAL = 30000;
+
+const useAdherenceInputs = () => {
+  const { routes } = useRouteNetwork();
+  const [schedules, setSchedules] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const unsubscribe = listenToActiveSchedules(setSchedules);
+    const timer = setInterval(() => setNow(Date.now()), ADHERENCE_REFRESH_INTERVAL);
+
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, []);
+
+  return { routes, schedules, now };
+};
+
+/**
+ * Adherence for a list of live vehicles
+ * @param {Array} vehicles - Driver locations
+ * @returns {Object} Map of vehicle ID to adherence (vehicles without a schedule are omitted)
+ */
+export const useScheduleAdherence = (vehicles) => {
+  const { routes, schedules, now } = useAdherenceInputs();
+
+  return useMemo(() => {
+    const byVehicle = {};
+    vehicles.forEach((vehicle) => {
+      const adherence = computeAdherence(vehicle, schedules, routes, now);
+      if (adherence) byVehicle[vehicle.id] = adherence;
+    });
+    return byVehicle;
+  }, [vehicles, schedules, routes, now]);
+};
+
+/**
+ * Driver-side adherence: evaluates the driver's own position and records
+ * adherence events whenever the status changes (and periodically otherwise)
+ * @param {Object} options - { userId, driverInfo, position, isSharing }
+ * @returns {Object|null} Current adherence
+ */
+export const useAdherenceRecorder = ({ userId, driverInfo, position, isSharing }) => {
+  const { routes, schedules, now } = useAdherenceInputs();
+  const lastRecordedRef = useRef(null);
+
+  const adherence = useMemo(() => {
+    if (!isSharing || !position) return null;
+
+    const vehicle = {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      busNumber: driverInfo?.busNumber,
+      route: driverInfo?.route
+    };
+    return computeAdherence(vehicle, schedules, routes, now);
+  }, [isSharing, position, driverInfo, schedules, routes, now]);
+
+  useEffect(() => {
+    if (!isSharing) {
+      lastRecordedRef.current = null;
+      return;
+    }
+    if (!adherence || !userId) return;
+
+    const last = lastRecordedRef.current;
+    const changed = !last ||
+      last.status !== adherence.status ||
+      last.scheduleId !== adherence.scheduleId;
+    const due = !last || Date.now() - last.at >= ADHERENCE_RECORD_INTERVAL;
+    if (!changed && !due) return;
+
+    lastRecordedRef.current = { ...adherence, at: Date.now() };
+    recordAdherenceEvent(userId, driverInfo, adherence);
+  }, [adherence, isSharing, userId, driverInfo]);
+
+  return adherence;
+};
+
+export default useScheduleAdherence;
@@ -0,0 +1,74 @@
+// React hook for live arrival predictions at a stop
+import { useState, useEffect, useMemo } from 'react';
+import { DRIVER_STATUS } from '../lib/locationService.js';
+import { listenToVehicles } from '../lib/vehicleService.js';
+import { listenToSegmentStats } from '../lib/etaService.js';
+import { findRouteForVehicle, predictArrivals } from '../lib/etaEngine.js';
+import useRouteNetwork from './useRouteNetwork.js';
+
+// Countdowns are recomputed this often even without new fixes
+export const ETA_REFRESH_INTERVAL = 10000;
+
+/**
+ * Upcoming arrivals at a stop from every live bus on a route serving it
+ * @param {string} stopId - Stop document ID
+ * @returns {Object} { stop, arrivals, loading } with arrivals sorted soonest first
+ */
+export const useStopEtas = (stopId) => {
+  const { routes, stopsById, loading } = useRouteNetwork();
+  const [drivers, setDrivers] = useState([]);
+  const [segmentStats, setSegmentStats] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const unsubscribeDrivers = listenToVehicles(setDrivers);
+    const unsubscribeStats = listenToSegmentStats(setSegmentStats);
+    const timer = setInterval(() => setNow(Date.now()), ETA_REFRESH_INTERVAL);
+
+    return () => {
+      unsubscribeDrivers();
+      unsubscribeStats();
+      clearInterval(timer);
+    };
+  }, []);
+
+  const arrivals = useMemo(() => {
+    if (!stopId) return [];
+
+    const results = [];
+    drivers.forEach((driver) => {
+      if (driver.status === DRIVER_STATUS.OFFLINE) return;
+
+      const route = findRouteForVehicle(driver, routes);
+      if (!route || !(route.stopIds || []).includes(stopId)) return;
+
+      const prediction = predictArrivals(
+        driver,
+        route,
+        stopsById,
+        segmentStats[route.id],
+        now
+      ).find((arrival) => arrival.stopId === stopId);
+
+      if (prediction) {
+        results.push({
+          ...prediction,
+          driverId: driver.id,
+          busNumber: driver.busNumber,
+          route,
+          stale: driver.status === DRIVER_STATUS.STALE
+        });
+      }
+    });
+
+    return results.sort((a, b) => a.etaSeconds - b.etaSeconds);
+  }, [stopId, drivers, routes, stopsById, segmentStats, now]);
+
+  return {
+    stop: stopsById[stopId] || null,
+    arrivals,
+    loading
+  };
+};
+
+export default useStopEtas;
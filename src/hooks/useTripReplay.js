@@ -0,0 +1,79 @@
+// React hook for playing back a recorded trip track
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { getReplayFrame, getTrackTimeRange } from '../lib/tripReplay.js';
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
+
+/**
+ * Hook for scrubbing and playing a trip track
+ * @param {Array} points - Track points ordered by recordedAt
+ * @returns {Object} Playback state and controls
+ */
+export const useTripReplay = (points = []) => {
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(10);
+  const frameRef = useRef(null);
+
+  const { start, end } = useMemo(() => getTrackTimeRange(points), [points]);
+
+  // Rewind whenever a new track is loaded
+  useEffect(() => {
+    setIsPlaying(false);
+    setCurrentTime(start);
+  }, [points, start]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let lastTick = performance.now();
+    const tick = (now) => {
+      const elapsed = now - lastTick;
+      lastTick = now;
+
+      setCurrentTime((time) => {
+        const next = time + elapsed * playbackSpeed;
+        if (next >= end) {
+          setIsPlaying(false);
+          return end;
+        }
+        return next;
+      });
+
+      frameRef.current = requestAnimationFrame(tick);
+    };
+
+    frameRef.current = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [isPlaying, playbackSpeed, end]);
+
+  const play = useCallback(() => {
+    if (points.length < 2) return;
+    // Restart from the beginning when the track already finished
+    setCurrentTime((time) => (time >= end ? start : time));
+    setIsPlaying(true);
+  }, [points, start, end]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const seek = useCallback((time) => {
+    setCurrentTime(Math.min(Math.max(time, start), end));
+  }, [start, end]);
+
+  const frame = useMemo(() => getReplayFrame(points, currentTime), [points, currentTime]);
+
+  return {
+    frame,
+    currentTime,
+    startTime: start,
+    endTime: end,
+    isPlaying,
+    playbackSpeed,
+    setPlaybackSpeed,
+    play,
+    pause,
+    seek
+  };
+};
+
+export default useTripReplay;
@@ -0,0 +1,46 @@
+// React hook for the unified live vehicle list
+import { useState, useEffect, useCallback } from 'react';
+import { listenToVehicles, VEHICLE_DATA_SOURCE, VEHICLE_DATA_SOURCES } from '../lib/vehicleService.js';
+
+/**
+ * Subscribe to every vehicle (live drivers, trackers and legacy records, or
+ * simulated buses when the simulation data source is configured)
+ * @returns {Object} { vehicles, loading, connected, simulated, refresh }
+ */
+export const useVehicles = () => {
+  const [vehicles, setVehicles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [connected, setConnected] = useState(false);
+  const [subscription, setSubscription] = useState(0);
+
+  useEffect(() => {
+    setLoading(true);
+
+    const unsubscribe = listenToVehicles((vehicleData) => {
+      setVehicles(vehicleData);
+      setLoading(false);
+      setConnected(true);
+    }, () => {
+      // Surface the outage instead of showing a stale or empty map as healthy
+      setLoading(false);
+      setConnected(false);
+    });
+
+    // Don't stay in the loading state forever if Firestore never answers
+    const timeout = setTimeout(() => setLoading(false), 5000);
+
+    return () => {
+      clearTimeout(timeout);
+      unsubscribe();
+    };
+  }, [subscription]);
+
+  // Re-subscribe from scratch, e.g. after a dropped connection
+  const refresh = useCallback(() => setSubscription((count) => count + 1), []);
+
+  const simulated = VEHICLE_DATA_SOURCE === VEHICLE_DATA_SOURCES.SIMULATION;
+
+  return { vehicles, loading, connected, simulated, refresh };
+};
+
+export default useVehicles;
@@ -0,0 +1,88 @@
+// Schedule adherence service: active schedules and recorded adherence events
+import {
+  collection,
+  doc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+
+const ADHERENCE_EVENTS_COLLECTION = 'adherenceEvents';
+
+// A driver's client re-records unchanged adherence at most this often
+export const ADHERENCE_RECORD_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Listen to active schedules
+ * @param {Function} callback - Receives the schedule list
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToActiveSchedules = (callback) => {
+  const q = query(collection(db, 'schedules'), where('isActive', '==', true));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+  }, (error) => {
+    console.error('Error listening to schedules:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Store an adherence reading and mirror it onto the driver's location doc
+ * @param {string} userId - Driver user ID
+ * @param {Object} driverInfo - { busNumber, route }
+ * @param {Object} adherence - Output of computeAdherence
+ */
+export const recordAdherenceEvent = async (userId, driverInfo, adherence) => {
+  try {
+    const batch = writeBatch(db);
+
+    batch.set(doc(collection(db, ADHERENCE_EVENTS_COLLECTION)), {
+      userId,
+      busNumber: driverInfo?.busNumber || null,
+      route: driverInfo?.route || null,
+      ...adherence,
+      recordedAt: serverTimestamp()
+    });
+
+    // update() rather than set() so a late write can't recreate a stopped driver's doc
+    batch.update(doc(db, 'driverLocations', userId), {
+      adherence: { ...adherence, updatedAt: serverTimestamp() }
+    });
+
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording adherence event:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Recent adherence events, newest first (admin reporting). Filtering by driver
+ * needs the adherenceEvents index from firestore.indexes.json.
+ * @param {Object} filters - { userId, max }
+ */
+export const getAdherenceEvents = async ({ userId, max = 100 } = {}) => {
+  try {
+    const constraints = userId ? [where('userId', '==', userId)] : [];
+    const q = query(
+      collection(db, ADHERENCE_EVENTS_COLLECTION),
+      ...constraints,
+      orderBy('recordedAt', 'desc'),
+      limit(max)
+    );
+
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })) };
+  } catch (error) {
+    console.error('Error getting adherence events:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,362 @@
+// Broadcast service for admin-composed alerts fanned out to user notifications
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  updateDoc,
+  writeBatch,
+  deleteField,
+  increment,
+  Timestamp,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { getAllUsers } from './userRoleService.js';
+import { NOTIFICATION_TYPES } from './notificationRules.js';
+import { wantsNotification, planDelivery } from './notificationPreferences.js';
+import { getDeliveryFields, sendNotificationChannels } from './notificationService.js';
+
+const BROADCASTS_COLLECTION = 'broadcasts';
+
+// Firestore allows 500 writes per batch; stay below it
+const FAN_OUT_BATCH_SIZE = 400;
+
+// A failed send goes back on the schedule until it has been tried this often
+export const MAX_SEND_ATTEMPTS = 3;
+
+// A broadcast still marked sending this long after it was claimed was left
+// behind by a session that closed mid-send, and may be claimed again
+export const SEND_LEASE = 10 * 60 * 1000;
+
+export const BROADCAST_TYPES = [
+  { value: NOTIFICATION_TYPES.DELAY, label: 'Delay' },
+  { value: NOTIFICATION_TYPES.ROUTE_CHANGE, label: 'Route change' },
+  { value: NOTIFICATION_TYPES.EMERGENCY, label: 'Emergency' }
+];
+
+export const BROADCAST_TARGETS = {
+  ALL: 'all',
+  ROLE: 'role',
+  ROUTE: 'route',
+  USERS: 'users'
+};
+
+export const BROADCAST_STATUS = {
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+const getAllNotificationSettings = async () => {
+  const snapshot = await getDocs(collection(db, 'userSettings'));
+  const settings = {};
+  snapshot.forEach((doc) => {
+    settings[doc.id] = doc.data().notifications || {};
+  });
+  return settings;
+};
+
+/**
+ * Work out who a broadcast reaches
+ * @param {Object} target - { type, role, routeIds, userIds }
+ * @param {string} notificationType - Broadcast type, used for opt-outs
+ * @returns {Promise<Object>} { success, userIds, optedOut, settings }
+ */
+export const resolveRecipients = async (target, notificationType) => {
+  try {
+    const settings = await getAllNotificationSettings();
+    let candidates = [];
+
+    switch (target.type) {
+      case BROADCAST_TARGETS.ROLE: {
+        const result = await getAllUsers(target.role);
+        if (!result.success) return result;
+        candidates = result.data.map((user) => user.id);
+        break;
+      }
+      case BROADCAST_TARGETS.ROUTE: {
+        const routeIds = target.routeIds || [];
+        candidates = Object.entries(settings)
+          .filter(([, prefs]) => (prefs.selectedRoutes || []).some((id) => routeIds.includes(id)))
+          .map(([userId]) => userId);
+        break;
+      }
+      case BROADCAST_TARGETS.USERS:
+        candidates = [...new Set(target.userIds || [])];
+        break;
+      default: {
+        const result = await getAllUsers();
+        if (!result.success) return result;
+        candidates = result.data.map((user) => user.id);
+      }
+    }
+
+    // Route-targeted alerts honour per-route opt-outs; any targeted route still wanted is enough
+    const routeIds = target.type === BROADCAST_TARGETS.ROUTE ? target.routeIds || [] : [null];
+    const userIds = candidates.filter((userId) =>
+      routeIds.some((routeId) => wantsNotification(settings[userId], notificationType, routeId))
+    );
+
+    return { success: true, userIds, optedOut: candidates.length - userIds.length, settings };
+  } catch (error) {
+    console.error('Error resolving broadcast recipients:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Write one notification per recipient. Notification IDs are derived from the
+ * broadcast so a retried fan-out overwrites instead of duplicating. Recipients
+ * whose push or email could not be queued are counted in the broadcast's
+ * `channelFailures`; retries skip them because their in-app copy exists.
+ */
+const fanOut = async (broadcastId, broadcast, userIds, settings = {}) => {
+  const now = Date.now();
+
+  for (let i = 0; i < userIds.length; i += FAN_OUT_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    const external = [];
+
+    userIds.slice(i, i + FAN_OUT_BATCH_SIZE).forEach((userId) => {
+      const id = `broadcast_${broadcastId}_${userId}`;
+      const plan = planDelivery(settings[userId], broadcast.type, now);
+      if (plan.channels.length > 0) external.push({ id, userId, channels: plan.channels });
+
+      batch.set(doc(db, 'notifications', id), {
+        userId,
+        type: broadcast.type,
+        title: broadcast.title,
+        message: broadcast.message,
+        routeInfo: broadcast.routeInfo || null,
+        broadcastId,
+        source: 'broadcast',
+        ...getDeliveryFields(plan),
+        read: false,
+        archived: false,
+        createdAt: serverTimestamp()
+      });
+    });
+    await batch.commit();
+
+    let channelFailures = 0;
+    for (const { id, userId, channels } of external) {
+      const result = await sendNotificationChannels(userId, { id, ...broadcast }, channels);
+      if (!result.success) channelFailures++;
+    }
+    if (channelFailures > 0) {
+      await updateDoc(doc(db, BROADCASTS_COLLECTION, broadcastId), {
+        channelFailures: increment(channelFailures)
+      });
+    }
+  }
+};
+
+// Users that already have their copy of a broadcast from an earlier attempt
+const getDeliveredRecipients = async (broadcastId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'notifications'),
+    where('broadcastId', '==', broadcastId)
+  ));
+  return new Set(snapshot.docs.map((doc) => doc.data().userId));
+};
+
+/**
+ * Resolve recipients and deliver a broadcast that has been claimed for sending.
+ * A failed send is put back on the schedule, or marked failed once it has used
+ * up MAX_SEND_ATTEMPTS.
+ */
+const sendBroadcast = async (broadcastId, broadcast) => {
+  const broadcastRef = doc(db, BROADCASTS_COLLECTION, broadcastId);
+
+  try {
+    const recipients = await resolveRecipients(broadcast.target, broadcast.type);
+    if (!recipients.success) throw new Error(recipients.error);
+
+    // Retries and re-claimed sends skip users that already have their copy, so
+    // read notifications stay read and nobody gets the push or email twice
+    const delivered = await getDeliveredRecipients(broadcastId);
+    const pending = recipients.userIds.filter((userId) => !delivered.has(userId));
+
+    await fanOut(broadcastId, broadcast, pending, recipients.settings);
+    await updateDoc(broadcastRef, {
+      status: BROADCAST_STATUS.SENT,
+      recipientCount: recipients.userIds.length,
+      sentAt: serverTimestamp(),
+      error: deleteField()
+    });
+
+    return { success: true, recipientCount: recipients.userIds.length };
+  } catch (error) {
+    console.error('Error sending broadcast:', error);
+    const attempts = (broadcast.attempts || 0) + 1;
+    const retrying = attempts < MAX_SEND_ATTEMPTS;
+
+    try {
+      await updateDoc(broadcastRef, {
+        status: retrying ? BROADCAST_STATUS.SCHEDULED : BROADCAST_STATUS.FAILED,
+        // Broadcasts sent straight away have no time yet; due now means the next scheduler pass
+        scheduledFor: broadcast.scheduledFor || Timestamp.now(),
+        attempts,
+        error: error.message || 'Failed to send broadcast'
+      });
+    } catch (updateError) {
+      console.error('Error recording broadcast failure:', updateError);
+    }
+
+    return { success: false, error: error.message || 'Failed to send broadcast', retrying };
+  }
+};
+
+/**
+ * Create a broadcast, sending it straight away unless it is scheduled
+ * @param {Object} broadcast - { type, title, message, target, routeInfo, scheduledFor, createdBy }
+ * @returns {Promise<Object>} { success, id, recipientCount }
+ */
+export const createBroadcast = async ({ scheduledFor = null, ...broadcast }) => {
+  try {
+    const isScheduled = scheduledFor && scheduledFor.getTime() > Date.now();
+    const broadcastRef = await addDoc(collection(db, BROADCASTS_COLLECTION), {
+      ...broadcast,
+      status: isScheduled ? BROADCAST_STATUS.SCHEDULED : BROADCAST_STATUS.SENDING,
+      scheduledFor: isScheduled ? Timestamp.fromDate(scheduledFor) : null,
+      claimedAt: isScheduled ? null : Timestamp.now(),
+      recipientCount: 0,
+      createdAt: serverTimestamp()
+    });
+
+    if (isScheduled) {
+      return { success: true, id: broadcastRef.id, scheduled: true };
+    }
+
+    const result = await sendBroadcast(broadcastRef.id, broadcast);
+    return { ...result, id: broadcastRef.id };
+  } catch (error) {
+    console.error('Error creating broadcast:', error);
+    return { success: false, error: error.message || 'Failed to send broadcast' };
+  }
+};
+
+/**
+ * Cancel a broadcast that has not gone out yet
+ */
+export const cancelBroadcast = async (broadcastId) => {
+  try {
+    await runTransaction(db, async (transaction) => {
+      const broadcastRef = doc(db, BROADCASTS_COLLECTION, broadcastId);
+      const snapshot = await transaction.get(broadcastRef);
+      if (snapshot.data()?.status !== BROADCAST_STATUS.SCHEDULED) {
+        throw new Error('Only scheduled broadcasts can be cancelled');
+      }
+      transaction.update(broadcastRef, { status: BROADCAST_STATUS.CANCELLED });
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling broadcast:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Sending, but claimed longer than SEND_LEASE ago (or before claims were recorded)
+const isAbandoned = (broadcast, now) => (
+  broadcast?.status === BROADCAST_STATUS.SENDING &&
+  (!broadcast.claimedAt || now.getTime() - broadcast.claimedAt.toMillis() >= SEND_LEASE)
+);
+
+/**
+ * Claim a broadcast for sending. An abandoned send counts as a failed attempt,
+ * and is marked failed instead once it has used up MAX_SEND_ATTEMPTS.
+ * @returns {Promise<Object|null>} The broadcast to send, or null if it isn't ours
+ */
+const claimBroadcast = (broadcastRef, now) => runTransaction(db, async (transaction) => {
+  const snapshot = await transaction.get(broadcastRef);
+  const current = snapshot.data();
+
+  if (current?.status === BROADCAST_STATUS.SCHEDULED) {
+    transaction.update(broadcastRef, { status: BROADCAST_STATUS.SENDING, claimedAt: Timestamp.fromDate(now) });
+    return current;
+  }
+  if (!isAbandoned(current, now)) return null;
+
+  const attempts = (current.attempts || 0) + 1;
+  if (attempts >= MAX_SEND_ATTEMPTS) {
+    transaction.update(broadcastRef, {
+      status: BROADCAST_STATUS.FAILED,
+      attempts,
+      error: 'Sending was interrupted'
+    });
+    return null;
+  }
+  transaction.update(broadcastRef, { claimedAt: Timestamp.fromDate(now), attempts });
+  return { ...current, attempts };
+});
+
+/**
+ * Send every scheduled broadcast whose time has come, and pick up sends that a
+ * closed session left unfinished. Each one is claimed in a transaction first so
+ * two admin sessions never send the same broadcast.
+ * The due-date query needs the broadcasts index from firestore.indexes.json.
+ * @returns {Promise<Object>} { success, sent }
+ */
+export const processDueBroadcasts = async (now = new Date()) => {
+  try {
+    const [dueSnapshot, sendingSnapshot] = await Promise.all([
+      getDocs(query(
+        collection(db, BROADCASTS_COLLECTION),
+        where('status', '==', BROADCAST_STATUS.SCHEDULED),
+        where('scheduledFor', '<=', Timestamp.fromDate(now))
+      )),
+      getDocs(query(
+        collection(db, BROADCASTS_COLLECTION),
+        where('status', '==', BROADCAST_STATUS.SENDING)
+      ))
+    ]);
+    const abandoned = sendingSnapshot.docs.filter((broadcastDoc) => isAbandoned(broadcastDoc.data(), now));
+    let sent = 0;
+
+    for (const broadcastDoc of [...dueSnapshot.docs, ...abandoned]) {
+      let claimed = null;
+      try {
+        claimed = await claimBroadcast(broadcastDoc.ref, now);
+      } catch (error) {
+        // Left scheduled, so the next pass tries again
+        console.error('Error claiming broadcast:', error);
+      }
+
+      if (claimed) {
+        const result = await sendBroadcast(broadcastDoc.id, claimed);
+        if (result.success) sent++;
+      }
+    }
+
+    return { success: true, sent };
+  } catch (error) {
+    console.error('Error processing scheduled broadcasts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Listen to the most recent broadcasts
+ */
+export const listenToBroadcasts = (callback, max = 20) => {
+  const q = query(
+    collection(db, BROADCASTS_COLLECTION),
+    orderBy('createdAt', 'desc'),
+    limit(max)
+  );
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+  }, (error) => {
+    console.error('Error listening to broadcasts:', error);
+    callback([]);
+  });
+};
@@ -0,0 +1,88 @@
+// CSV parsing and writing (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+
+/**
+ * Split CSV text into rows of raw string fields
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark, common in files exported from spreadsheets
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((fields) => fields.length > 1 || fields[0] !== '');
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @returns {Array<Object>}
+ */
+export const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map((column) => column.trim());
+  // Plain loops: stop_times.txt can run to hundreds of thousands of rows
+  return rows.map((fields) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise records to CSV with a header row
+ * @param {Array<string>} columns - Column names, in output order
+ * @param {Array<Object>} records - Objects keyed by column name
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (columns, records) => {
+  const lines = [columns.join(',')];
+  records.forEach((record) => {
+    lines.push(columns.map((column) => escapeCsvField(record[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,200 @@
+// Pure arrival-time prediction from live vehicle positions and route geometry
+import { projectPointOnPath } from './geoUtils.js';
+import { toMillis } from './timeUtils.js';
+import { hasCoordinates } from './stopService.js';
+
+export const ETA_DEFAULTS = {
+  // Vehicles further than this from their route line are treated as off-route
+  maxOffRouteDistance: 150,
+  // Speed assumed when neither live speed nor history is available (m/s, ~22 km/h)
+  defaultSpeed: 6,
+  // Live speeds below this are treated as stopped (traffic lights, dwell)
+  minMovingSpeed: 1,
+  // Weight of live speed against historical speed on the current segment
+  liveSpeedWeight: 0.5,
+  // Time spent at each stop when no historical segment time covers it
+  dwellSeconds: 20,
+  // A stop just passed is still listed within this distance (GPS jitter)
+  passedStopTolerance: 30,
+  // Predictions further out than this are dropped
+  maxHorizonSeconds: 2 * 60 * 60
+};
+
+const normalizeRouteKey = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Key used for the historical time between two consecutive stops
+ */
+export const getSegmentKey = (fromStopId, toStopId) => `${fromStopId}__${toStopId}`;
+
+/**
+ * Find the route a vehicle (or trip) is running, matching the route ID when
+ * present and otherwise the free-text route against route number or name
+ * @param {Object} vehicle - Driver location or trip with routeId/route fields
+ * @param {Array} routes - Route documents
+ * @returns {Object|null} Matching route
+ */
+export const findRouteForVehicle = (vehicle, routes) => {
+  if (vehicle.routeId) {
+    const byId = routes.find((route) => route.id === vehicle.routeId);
+    if (byId) return byId;
+  }
+
+  const key = normalizeRouteKey(vehicle.route);
+  if (!key) return null;
+
+  return routes.find((route) =>
+    normalizeRouteKey(route.routeNumber) === key || normalizeRouteKey(route.routeName) === key
+  ) || null;
+};
+
+/**
+ * Distance of each of a route's placed stops along its path, in route order
+ * @param {Object} route - Route with path and stopIds
+ * @param {Object} stopsById - Map of stop ID to stop
+ * @returns {Array} [{ stop, distanceAlong }]
+ */
+export const getStopPositions = (route, stopsById) => {
+  if (!Array.isArray(route.path) || route.path.length < 2) return [];
+
+  return (route.stopIds || [])
+    .map((id) => stopsById[id])
+    .filter((stop) => stop && hasCoordinates(stop))
+    .map((stop) => ({
+      stop,
+      distanceAlong: route.stopDistances?.[stop.id] ?? projectPointOnPath(stop, route.path).distanceAlong
+    }));
+};
+
+/**
+ * Where a vehicle currently sits along its route
+ * @returns {Object|null} { distanceAlong, offset } or null when off-route
+ */
+export const projectVehicleOnRoute = (vehicle, route, config = ETA_DEFAULTS) => {
+  if (!hasCoordinates(vehicle) || !Array.isArray(route.path) || route.path.length < 2) {
+    return null;
+  }
+
+  const projection = projectPointOnPath(vehicle, route.path);
+  if (projection.offset > config.maxOffRouteDistance) return null;
+
+  return { distanceAlong: projection.distanceAlong, offset: projection.offset };
+};
+
+/**
+ * Predict arrival times at every downstream stop for one vehicle
+ * @param {Object} vehicle - Live driver location (speed in m/s)
+ * @param {Object} route - Route with path and stopIds
+ * @param {Object} stopsById - Map of stop ID to stop
+ * @param {Object} segmentStats - { [segmentKey]: { meanSeconds, samples } }
+ * @param {number} now - Current time in ms
+ * @param {Object} config - Overrides for ETA_DEFAULTS
+ * @returns {Array} [{ stopId, etaSeconds, arrivalTime, distanceMeters, source }]
+ */
+export const predictArrivals = (
+  vehicle,
+  route,
+  stopsById,
+  segmentStats = {},
+  now = Date.now(),
+  config = ETA_DEFAULTS
+) => {
+  const settings = { ...ETA_DEFAULTS, ...config };
+  const position = projectVehicleOnRoute(vehicle, route, settings);
+  if (!position) return [];
+
+  const stopPositions = getStopPositions(route, stopsById);
+  const nextIndex = stopPositions.findIndex(
+    ({ distanceAlong }) => distanceAlong + settings.passedStopTolerance >= position.distanceAlong
+  );
+  if (nextIndex === -1) return [];
+
+  const liveSpeed = vehicle.speed >= settings.minMovingSpeed ? vehicle.speed : null;
+
+  // Historical speed over a segment, derived from the recorded stop-to-stop time
+  const historicalSpeed = (fromIndex, toIndex) => {
+    if (fromIndex < 0) return null;
+    const from = stopPositions[fromIndex];
+    const to = stopPositions[toIndex];
+    const stats = segmentStats[getSegmentKey(from.stop.id, to.stop.id)];
+    const length = to.distanceAlong - from.distanceAlong;
+    if (!stats?.meanSeconds || length <= 0) return null;
+    return length / stats.meanSeconds;
+  };
+
+  // Time since the fix was taken; the bus has kept moving since then
+  const fixTime = toMillis(vehicle.recordedAt || vehicle.timestamp) || now;
+  const ageSeconds = Math.max(0, (now - fixTime) / 1000);
+
+  const arrivals = [];
+  let elapsed = 0;
+  let cursor = position.distanceAlong;
+
+  for (let i = nextIndex; i < stopPositions.length; i++) {
+    const target = stopPositions[i];
+    const distance = Math.max(0, target.distanceAlong - cursor);
+    const history = historicalSpeed(i - 1, i);
+
+    let speed;
+    let source;
+    if (i === nextIndex && liveSpeed && history) {
+      speed = liveSpeed * settings.liveSpeedWeight + history * (1 - settings.liveSpeedWeight);
+      source = 'blend';
+    } else if (history) {
+      speed = history;
+      source = 'history';
+    } else {
+      speed = (i === nextIndex && liveSpeed) || settings.defaultSpeed;
+      source = i === nextIndex && liveSpeed ? 'live' : 'estimate';
+    }
+
+    elapsed += distance / speed;
+    // Historical stop-to-stop times already include dwell at the previous stop
+    if (i > nextIndex && !history) elapsed += settings.dwellSeconds;
+
+    const etaSeconds = Math.max(0, Math.round(elapsed - ageSeconds));
+    if (elapsed > settings.maxHorizonSeconds) break;
+
+    arrivals.push({
+      stopId: target.stop.id,
+      etaSeconds,
+      arrivalTime: now + etaSeconds * 1000,
+      distanceMeters: Math.round(target.distanceAlong - position.distanceAlong),
+      source
+    });
+    cursor = target.distanceAlong;
+  }
+
+  return arrivals;
+};
+
+/**
+ * Times at which a recorded track passed each stop
+ * @param {Array} points - Track points ordered by time ({ latitude, longitude, recordedAt })
+ * @param {Object} route - Route the track was recorded on
+ * @param {Array} stopPositions - Output of getStopPositions
+ * @param {Object} config - Overrides for ETA_DEFAULTS
+ * @returns {Array<number|null>} Crossing time in ms per stop (null if never reached)
+ */
+export const getStopCrossingTimes = (points, route, stopPositions, config = ETA_DEFAULTS) => {
+  const settings = { ...ETA_DEFAULTS, ...config };
+  const samples = points
+    .map((point) => ({
+      time: toMillis(point.recordedAt),
+      position: projectVehicleOnRoute(point, route, settings)
+    }))
+    .filter((sample) => sample.time && sample.position);
+
+  return stopPositions.map(({ distanceAlong }) => {
+    for (let i = 1; i < samples.length; i++) {
+      const before = samples[i - 1];
+      const after = samples[i];
+      if (before.position.distanceAlong <= distanceAlong && after.position.distanceAlong >= distanceAlong) {
+        const span = after.position.distanceAlong - before.position.distanceAlong;
+        const fraction = span === 0 ? 0 : (distanceAlong - before.position.distanceAlong) / span;
+        return before.time + (after.time - before.time) * fraction;
+      }
+    }
+    return null;
+  });
+};
@@ -0,0 +1,115 @@
+// ETA service: historical stop-to-stop travel times built from trip history
+import {
+  collection,
+  doc,
+  setDoc,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { listAllTrips, getTripTrack } from './tripHistoryService.js';
+import {
+  findRouteForVehicle,
+  getStopPositions,
+  getStopCrossingTimes,
+  getSegmentKey
+} from './etaEngine.js';
+
+const SEGMENT_STATS_COLLECTION = 'routeSegmentStats';
+
+// How much trip history feeds the averages
+export const SEGMENT_HISTORY_DAYS = 30;
+export const SEGMENT_HISTORY_MAX_TRIPS = 30;
+
+// Stop-to-stop times outside this range are treated as bad data (e.g. a layover)
+const MIN_SEGMENT_SECONDS = 5;
+const MAX_SEGMENT_SECONDS = 60 * 60;
+
+/**
+ * Listen to historical segment times for every route
+ * @param {Function} callback - Receives { [routeId]: { [segmentKey]: { meanSeconds, samples } } }
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToSegmentStats = (callback) => {
+  return onSnapshot(collection(db, SEGMENT_STATS_COLLECTION), (snapshot) => {
+    const stats = {};
+    snapshot.forEach((doc) => {
+      stats[doc.id] = doc.data().segments || {};
+    });
+    callback(stats);
+  }, (error) => {
+    console.error('Error listening to segment stats:', error);
+    callback({});
+  });
+};
+
+/**
+ * Recompute a route's average stop-to-stop times from recent recorded trips
+ * @param {Object} route - Route with path and stopIds
+ * @param {Array} routes - All routes, used to match trips to this route
+ * @param {Object} stopsById - Map of stop ID to stop
+ * @returns {Promise<Object>} { success, tripsUsed, segments }
+ */
+export const rebuildSegmentStats = async (route, routes, stopsById) => {
+  try {
+    const stopPositions = getStopPositions(route, stopsById);
+    if (stopPositions.length < 2) {
+      return { success: false, error: 'Route needs a drawn path and at least two placed stops' };
+    }
+
+    const from = new Date(Date.now() - SEGMENT_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const tripsResult = await listAllTrips({ from });
+    if (!tripsResult.success) {
+      return { success: false, error: tripsResult.error };
+    }
+
+    const trips = tripsResult.data
+      .filter((trip) => findRouteForVehicle(trip, routes)?.id === route.id)
+      .slice(0, SEGMENT_HISTORY_MAX_TRIPS);
+
+    const totals = {};
+    let tripsUsed = 0;
+
+    for (const trip of trips) {
+      const trackResult = await getTripTrack(trip.userId, trip.id);
+      if (!trackResult.success || trackResult.data.length < 2) continue;
+
+      const crossings = getStopCrossingTimes(trackResult.data, route, stopPositions);
+      let used = false;
+
+      for (let i = 1; i < crossings.length; i++) {
+        if (crossings[i - 1] === null || crossings[i] === null) continue;
+
+        const seconds = (crossings[i] - crossings[i - 1]) / 1000;
+        if (seconds < MIN_SEGMENT_SECONDS || seconds > MAX_SEGMENT_SECONDS) continue;
+
+        const key = getSegmentKey(stopPositions[i - 1].stop.id, stopPositions[i].stop.id);
+        totals[key] = totals[key] || { totalSeconds: 0, samples: 0 };
+        totals[key].totalSeconds += seconds;
+        totals[key].samples += 1;
+        used = true;
+      }
+
+      if (used) tripsUsed++;
+    }
+
+    const segments = Object.fromEntries(
+      Object.entries(totals).map(([key, { totalSeconds, samples }]) => [
+        key,
+        { meanSeconds: Math.round(totalSeconds / samples), samples }
+      ])
+    );
+
+    await setDoc(doc(db, SEGMENT_STATS_COLLECTION, route.id), {
+      routeId: route.id,
+      segments,
+      tripsUsed,
+      updatedAt: serverTimestamp()
+    });
+
+    return { success: true, tripsUsed, segments };
+  } catch (error) {
+    console.error('Error rebuilding segment stats:', error);
+    return { success: false, error: error.message || 'Failed to rebuild travel times' };
+  }
+};
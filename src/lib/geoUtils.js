@@ -0,0 +1,184 @@
+// Geographic helper functions shared by location features
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points in meters
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Linear interpolation between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @param {number} fraction - 0 returns a, 1 returns b
+ * @returns {Object} { latitude, longitude }
+ */
+export const interpolatePoint = (a, b, fraction) => ({
+  latitude: a.latitude + (b.latitude - a.latitude) * fraction,
+  longitude: a.longitude + (b.longitude - a.longitude) * fraction
+});
+
+/**
+ * Interpolate between two compass headings along the shortest turn
+ * @returns {number} Heading in degrees (0-360)
+ */
+export const interpolateHeading = (from, to, fraction) => {
+  const delta = ((((to - from) % 360) + 540) % 360) - 180;
+  return (from + delta * fraction + 360) % 360;
+};
+
+/**
+ * Point reached by travelling a distance along a compass bearing
+ * @param {Object} start - { latitude, longitude }
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distance - Meters
+ * @returns {Object} { latitude, longitude }
+ */
+export const destinationPoint = (start, bearing, distance) => {
+  const angular = distance / EARTH_RADIUS_METERS;
+  const theta = toRadians(bearing);
+  const lat1 = toRadians(start.latitude);
+  const lng1 = toRadians(start.longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) +
+    Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: (lat2 * 180) / Math.PI,
+    longitude: ((((lng2 * 180) / Math.PI) + 540) % 360) - 180
+  };
+};
+
+/**
+ * Initial compass bearing from one point to another
+ * @returns {number} Degrees clockwise from north (0-360)
+ */
+export const bearingBetween = (a, b) => {
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * Total length of a polyline in meters
+ * @param {Array<Object>} path - Ordered { latitude, longitude } vertices
+ * @returns {number} Length in meters
+ */
+export const pathLength = (path) => {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += haversineDistance(path[i - 1], path[i]);
+  }
+  return length;
+};
+
+/**
+ * Closest point on a single segment, using a local flat projection
+ * (accurate enough for the few hundred meters between route vertices)
+ */
+const projectPointOnSegment = (point, a, b) => {
+  const scale = Math.cos(toRadians(a.latitude));
+  const bx = (b.longitude - a.longitude) * scale;
+  const by = b.latitude - a.latitude;
+  const px = (point.longitude - a.longitude) * scale;
+  const py = point.latitude - a.latitude;
+
+  const lengthSquared = bx * bx + by * by;
+  const fraction = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+
+  return { fraction, point: interpolatePoint(a, b, fraction) };
+};
+
+/**
+ * Snap a point onto the closest position of a polyline
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array<Object>} path - Ordered { latitude, longitude } vertices
+ * @returns {Object|null} { latitude, longitude, distanceAlong, offset, segmentIndex }
+ *   where distanceAlong is meters from the path start and offset is meters from the point
+ */
+export const projectPointOnPath = (point, path) => {
+  if (!path || path.length === 0) return null;
+  if (path.length === 1) {
+    return {
+      ...path[0],
+      distanceAlong: 0,
+      offset: haversineDistance(point, path[0]),
+      segmentIndex: 0
+    };
+  }
+
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const segmentLength = haversineDistance(path[i - 1], path[i]);
+    const projection = projectPointOnSegment(point, path[i - 1], path[i]);
+    const offset = haversineDistance(point, projection.point);
+
+    if (!best || offset < best.offset) {
+      best = {
+        latitude: projection.point.latitude,
+        longitude: projection.point.longitude,
+        distanceAlong: travelled + segmentLength * projection.fraction,
+        offset,
+        segmentIndex: i - 1
+      };
+    }
+    travelled += segmentLength;
+  }
+
+  return best;
+};
+
+/**
+ * Point located a given distance along a polyline
+ * @param {Array<Object>} path - Ordered { latitude, longitude } vertices
+ * @param {number} distance - Meters from the path start (clamped to the path)
+ * @returns {Object|null} { latitude, longitude }
+ */
+export const pointAlongPath = (path, distance) => {
+  if (!path || path.length === 0) return null;
+  if (distance <= 0) return { latitude: path[0].latitude, longitude: path[0].longitude };
+
+  let travelled = 0;
+  for (let i = 1; i < path.length; i++) {
+    const segmentLength = haversineDistance(path[i - 1], path[i]);
+    if (travelled + segmentLength >= distance) {
+      const fraction = segmentLength === 0 ? 0 : (distance - travelled) / segmentLength;
+      return interpolatePoint(path[i - 1], path[i], fraction);
+    }
+    travelled += segmentLength;
+  }
+
+  const last = path[path.length - 1];
+  return { latitude: last.latitude, longitude: last.longitude };
+};
@@ -0,0 +1,366 @@
+// Simulated navigator.geolocation that replays a track, for testing the driver flow
+import { pathLength, pointAlongPath, bearingBetween, destinationPoint } from './geoUtils.js';
+
+export const GPS_SIMULATOR_DEFAULTS = {
+  // Travel speed along the track in m/s
+  speed: 10,
+  // Typical position error in meters (scale of a normal distribution)
+  noise: 5,
+  // Share of fixes (0-1) that never arrive
+  dropoutRate: 0,
+  // 'granted', 'prompt' (granted on first request) or 'denied'
+  permission: 'granted',
+  // Milliseconds between fixes delivered to watchers
+  interval: 1000,
+  // Start over at the beginning after the end of the track
+  loop: true
+};
+
+// Codes used by the browser's GeolocationPositionError
+export const GEOLOCATION_ERRORS = {
+  PERMISSION_DENIED: 1,
+  POSITION_UNAVAILABLE: 2,
+  TIMEOUT: 3
+};
+
+const STORAGE_KEY = 'gpsSimulator';
+
+// Distance either side of a fix used to derive its heading
+const HEADING_SPAN = 5;
+
+// Accuracy never reported better than this, like a real receiver
+const MIN_ACCURACY = 3;
+
+/**
+ * Points of a GPX track or route, in order
+ * @param {string} text - GPX document
+ * @returns {Array} [{ latitude, longitude }]
+ */
+export const parseGpx = (text) => {
+  const points = [];
+  const pointPattern = /<(?:trkpt|rtept)\b([^>]*)>/g;
+  let match;
+  while ((match = pointPattern.exec(text)) !== null) {
+    const lat = /\blat\s*=\s*["']([^"']+)["']/.exec(match[1]);
+    const lon = /\blon\s*=\s*["']([^"']+)["']/.exec(match[1]);
+    if (lat && lon) {
+      points.push({ latitude: Number(lat[1]), longitude: Number(lon[1]) });
+    }
+  }
+  return points.filter((point) => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+};
+
+/**
+ * Points of the LineString/MultiLineString geometries in a GeoJSON document
+ * @param {string|Object} input - GeoJSON text or object
+ * @returns {Array} [{ latitude, longitude }]
+ */
+export const parseGeoJson = (input) => {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const lines = [];
+
+  const collect = (geometry) => {
+    if (!geometry) return;
+    if (geometry.type === 'LineString') lines.push(geometry.coordinates);
+    if (geometry.type === 'MultiLineString') lines.push(...geometry.coordinates);
+    if (geometry.type === 'GeometryCollection') geometry.geometries.forEach(collect);
+  };
+
+  if (geojson.type === 'FeatureCollection') {
+    geojson.features.forEach((feature) => collect(feature.geometry));
+  } else if (geojson.type === 'Feature') {
+    collect(geojson.geometry);
+  } else {
+    collect(geojson);
+  }
+
+  return lines.flat().map(([longitude, latitude]) => ({ latitude, longitude }));
+};
+
+/**
+ * Track from an uploaded GPX or GeoJSON file
+ * @param {string} text - File contents
+ * @returns {Array} [{ latitude, longitude }]
+ */
+export const parseTrackFile = (text) => {
+  const trimmed = text.trim();
+  const points = trimmed.startsWith('{') ? parseGeoJson(trimmed) : parseGpx(trimmed);
+  if (points.length < 2) {
+    throw new Error('No track found: expected a GPX track/route or a GeoJSON LineString');
+  }
+  return points;
+};
+
+/**
+ * Normally distributed random number (Box-Muller)
+ */
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const createError = (code, message) => ({ code, message, ...GEOLOCATION_ERRORS });
+
+/**
+ * A drop-in replacement for navigator.geolocation that moves along a track
+ * at a fixed speed. Positions follow the simulator's clock, so a watcher and
+ * getCurrentPosition agree on where the bus is.
+ * @param {Object} settings - { track, ...GPS_SIMULATOR_DEFAULTS }
+ * @param {Object} deps - { now, random } to drive the simulator from tests
+ * @returns {Object} Geolocation API plus { update, getState, permissionStatus }
+ */
+export const createGeolocationSimulator = (settings, { now = Date.now, random = Math.random } = {}) => {
+  let options = { ...GPS_SIMULATOR_DEFAULTS, ...settings };
+  let trackLength = pathLength(options.track || []);
+  let distance = 0;
+  let lastTick = now();
+  let nextWatchId = 1;
+  const watches = new Map();
+
+  const permissionStatus = new EventTarget();
+  permissionStatus.state = options.permission;
+
+  const setPermission = (state) => {
+    if (permissionStatus.state === state) return;
+    permissionStatus.state = state;
+    permissionStatus.dispatchEvent(new Event('change'));
+  };
+
+  // Advance along the track by the time passed since the last reading
+  const advance = () => {
+    const current = now();
+    distance += (options.speed * (current - lastTick)) / 1000;
+    lastTick = current;
+
+    if (distance >= trackLength) {
+      distance = options.loop && trackLength > 0 ? distance % trackLength : trackLength;
+    }
+  };
+
+  const readPosition = () => {
+    advance();
+    const track = options.track;
+    const point = pointAlongPath(track, distance);
+    const behind = pointAlongPath(track, distance - HEADING_SPAN);
+    const ahead = pointAlongPath(track, distance + HEADING_SPAN);
+    const moving = options.speed > 0 && distance < trackLength;
+
+    const errorMeters = Math.abs(gaussian(random)) * options.noise;
+    const reported = errorMeters > 0
+      ? destinationPoint(point, random() * 360, errorMeters)
+      : point;
+
+    return {
+      coords: {
+        latitude: reported.latitude,
+        longitude: reported.longitude,
+        accuracy: Math.max(MIN_ACCURACY, Math.round(options.noise * 2)),
+        altitude: null,
+        altitudeAccuracy: null,
+        heading: moving ? bearingBetween(behind, ahead) : null,
+        speed: moving ? options.speed : 0
+      },
+      timestamp: lastTick
+    };
+  };
+
+  // Permission check shared by both entry points; 'prompt' is answered with yes
+  const checkPermission = (errorCallback) => {
+    if (permissionStatus.state === 'denied') {
+      if (errorCallback) errorCallback(createError(GEOLOCATION_ERRORS.PERMISSION_DENIED, 'User denied Geolocation'));
+      return false;
+    }
+    setPermission('granted');
+    return true;
+  };
+
+  const hasTrack = (errorCallback) => {
+    if (options.track && options.track.length >= 2) return true;
+    if (errorCallback) errorCallback(createError(GEOLOCATION_ERRORS.POSITION_UNAVAILABLE, 'Simulator has no track loaded'));
+    return false;
+  };
+
+  const getCurrentPosition = (successCallback, errorCallback, positionOptions = {}) => {
+    setTimeout(() => {
+      if (!checkPermission(errorCallback) || !hasTrack(errorCallback)) return;
+
+      if (random() < options.dropoutRate) {
+        // A lost fix surfaces as a timeout, reported sooner than a real one would be
+        const timeout = Number.isFinite(positionOptions.timeout) ? positionOptions.timeout : 0;
+        setTimeout(() => {
+          if (errorCallback) errorCallback(createError(GEOLOCATION_ERRORS.TIMEOUT, 'Timeout expired'));
+        }, Math.min(timeout, options.interval * 5));
+        return;
+      }
+      successCallback(readPosition());
+    }, 0);
+  };
+
+  const scheduleWatch = (id) => {
+    const watch = watches.get(id);
+    if (!watch) return;
+
+    watch.timer = setTimeout(() => {
+      if (!watches.has(id)) return;
+      if (!checkPermission(watch.errorCallback) || !hasTrack(watch.errorCallback)) {
+        watches.delete(id);
+        return;
+      }
+      // Dropped fixes are simply never delivered, as in a tunnel
+      if (random() >= options.dropoutRate) {
+        watch.successCallback(readPosition());
+      } else {
+        advance();
+      }
+      scheduleWatch(id);
+    }, watch.delivered ? options.interval : 0);
+    watch.delivered = true;
+  };
+
+  const watchPosition = (successCallback, errorCallback) => {
+    const id = nextWatchId++;
+    watches.set(id, { successCallback, errorCallback, delivered: false, timer: null });
+    scheduleWatch(id);
+    return id;
+  };
+
+  const clearWatch = (id) => {
+    const watch = watches.get(id);
+    if (watch) clearTimeout(watch.timer);
+    watches.delete(id);
+  };
+
+  /**
+   * Change settings while running. Loading a new track starts from its beginning.
+   */
+  const update = (changes) => {
+    advance();
+    if (changes.track && changes.track !== options.track) {
+      trackLength = pathLength(changes.track);
+      distance = 0;
+    }
+    options = { ...options, ...changes };
+    if (changes.permission) setPermission(changes.permission);
+  };
+
+  const getState = () => ({
+    distance,
+    trackLength,
+    watching: watches.size,
+    permission: permissionStatus.state
+  });
+
+  const stop = () => [...watches.keys()].forEach(clearWatch);
+
+  return { getCurrentPosition, watchPosition, clearWatch, update, getState, stop, permissionStatus };
+};
+
+/**
+ * Put a simulator in place of navigator.geolocation, and answer permission
+ * queries for geolocation from it
+ * @param {Object} simulator - From createGeolocationSimulator
+ * @param {Object} target - Object to patch, navigator in the browser
+ * @returns {Function} Restores the original geolocation and permissions
+ */
+export const installGeolocationSimulator = (simulator, target = navigator) => {
+  const originalGeolocation = Object.getOwnPropertyDescriptor(target, 'geolocation');
+  const originalQuery = target.permissions?.query;
+
+  Object.defineProperty(target, 'geolocation', {
+    configurable: true,
+    get: () => simulator
+  });
+
+  if (target.permissions) {
+    target.permissions.query = (descriptor) => (
+      descriptor?.name === 'geolocation'
+        ? Promise.resolve(simulator.permissionStatus)
+        : originalQuery.call(target.permissions, descriptor)
+    );
+  }
+
+  return () => {
+    simulator.stop();
+    if (originalGeolocation) {
+      Object.defineProperty(target, 'geolocation', originalGeolocation);
+    } else {
+      delete target.geolocation;
+    }
+    if (target.permissions && originalQuery) target.permissions.query = originalQuery;
+  };
+};
+
+/**
+ * Simulator settings saved on this device, or null when it is switched off
+ */
+export const loadSimulatorSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.enabled ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remember simulator settings (including the track) across reloads
+ */
+export const saveSimulatorSettings = (settings) => {
+  try {
+    if (settings) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage full or unavailable: the simulator still runs for this session
+  }
+};
+
+// Developer builds, or any build with VITE_GPS_SIMULATOR=true
+export const GPS_SIMULATOR_AVAILABLE = Boolean(
+  import.meta.env?.DEV || import.meta.env?.VITE_GPS_SIMULATOR === 'true'
+);
+
+// The simulator currently standing in for navigator.geolocation
+let activeSimulator = null;
+let uninstallSimulator = null;
+
+export const getActiveGpsSimulator = () => activeSimulator;
+
+/**
+ * Replace navigator.geolocation with a simulator, or update the running one
+ * @param {Object} settings - { track, ...GPS_SIMULATOR_DEFAULTS }
+ * @returns {Object} The active simulator
+ */
+export const enableGpsSimulator = (settings) => {
+  if (activeSimulator) {
+    activeSimulator.update(settings);
+  } else {
+    activeSimulator = createGeolocationSimulator(settings);
+    uninstallSimulator = installGeolocationSimulator(activeSimulator);
+  }
+  saveSimulatorSettings({ ...settings, enabled: true });
+  return activeSimulator;
+};
+
+/**
+ * Put the real navigator.geolocation back
+ */
+export const disableGpsSimulator = () => {
+  if (uninstallSimulator) uninstallSimulator();
+  activeSimulator = null;
+  uninstallSimulator = null;
+  saveSimulatorSettings(null);
+};
+
+/**
+ * Re-enable a simulator saved on this device; called once at startup so the
+ * app never touches the real GPS while simulating
+ */
+export const restoreGpsSimulator = () => {
+  if (!GPS_SIMULATOR_AVAILABLE || typeof navigator === 'undefined') return null;
+  const saved = loadSimulatorSettings();
+  return saved ? enableGpsSimulator(saved) : null;
+};
@@ -0,0 +1,293 @@
+// GTFS static export: validate the network and turn it into a GTFS feed
+import { toCsv } from './csv.js';
+import { createZip } from './zip.js';
+import { haversineDistance, projectPointOnPath } from './geoUtils.js';
+import { hasCoordinates, hasLegacyStops } from './stopService.js';
+import { hasRouteGeometry } from './routeService.js';
+import { getScheduleTrips, parseTimeOfDay, parseFrequencyMinutes } from './scheduleAdherence.js';
+
+// GTFS route_type for buses
+const ROUTE_TYPE_BUS = 3;
+
+// How long the exported calendar stays valid
+const SERVICE_DAYS = 365;
+
+const CALENDAR_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const GTFS_COLUMNS = {
+  'agency.txt': ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang'],
+  'stops.txt': ['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon', 'wheelchair_boarding'],
+  'routes.txt': ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type', 'route_color'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'block_id', 'shape_id'],
+  'stop_times.txt': ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled'],
+  'calendar.txt': ['service_id', ...CALENDAR_DAYS, 'start_date', 'end_date'],
+  'frequencies.txt': ['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'],
+  'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled']
+};
+
+const AGENCY_ID = 'agency';
+
+const isActive = (document) => document.isActive !== false;
+
+/**
+ * GTFS ID for a route, stop or schedule. Imported documents keep their
+ * original GTFS IDs so round trips (and realtime feeds) stay stable.
+ */
+export const gtfsIdOf = (document) => document.gtfsId || document.id;
+
+const formatGtfsTime = (minutes) => {
+  const totalSeconds = Math.round(minutes * 60);
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = Math.floor((totalSeconds % 3600) / 60);
+  const secs = totalSeconds % 60;
+  return [hours, mins, secs].map((part) => String(part).padStart(2, '0')).join(':');
+};
+
+/**
+ * Format a date as a GTFS service date (YYYYMMDD)
+ */
+export const formatGtfsDate = (date) => {
+  return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const serviceIdFor = (daysOfWeek) => {
+  return CALENDAR_DAYS.map((day) => (daysOfWeek.includes(day) ? day.slice(0, 2) : '__')).join('');
+};
+
+/**
+ * Check the network is complete enough to publish. Errors block the export;
+ * warnings describe data that will be left out or simplified.
+ * @param {Object} network - { routes, stops, schedules }
+ * @param {Object} agency - { name, url, timezone }
+ * @returns {Object} { errors, warnings } lists of messages
+ */
+export const validateNetworkForExport = ({ routes, stops, schedules }, agency = {}) => {
+  const errors = [];
+  const warnings = [];
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop]));
+  const activeRoutes = routes.filter(isActive);
+  const routesById = new Map(activeRoutes.map((route) => [route.id, route]));
+
+  if (!agency.name) errors.push('Agency name is required');
+  if (!/^https?:\/\//.test(agency.url || '')) errors.push('Agency URL must start with http:// or https://');
+  if (!agency.timezone) errors.push('Agency timezone is required');
+
+  const activeSchedules = schedules.filter(isActive);
+  if (activeSchedules.length === 0) errors.push('There are no active schedules to export');
+
+  const scheduledRouteIds = new Set(activeSchedules.map((schedule) => schedule.routeId));
+  const usedStopIds = new Set();
+
+  activeRoutes.forEach((route) => {
+    const label = `Route ${route.routeNumber || route.id}`;
+    if (!scheduledRouteIds.has(route.id)) {
+      warnings.push(`${label} has no active schedules and will be left out`);
+      return;
+    }
+
+    if (!route.routeNumber && !route.routeName) errors.push(`${label} needs a route number or name`);
+
+    const stopIds = route.stopIds || [];
+    if (stopIds.length < 2) {
+      errors.push(hasLegacyStops(route)
+        ? `${label} still uses text stops; convert them to stop records first`
+        : `${label} needs at least two stops`);
+    }
+
+    stopIds.forEach((stopId) => {
+      usedStopIds.add(stopId);
+      if (!stopsById.has(stopId)) errors.push(`${label} references a stop that no longer exists`);
+    });
+
+    if (!hasRouteGeometry(route)) warnings.push(`${label} has no drawn path; no shape will be exported`);
+  });
+
+  usedStopIds.forEach((stopId) => {
+    const stop = stopsById.get(stopId);
+    if (!stop) return;
+    if (!hasCoordinates(stop)) errors.push(`Stop ${stop.name || stop.code || stop.id} is missing coordinates`);
+    if (!stop.name) errors.push(`Stop ${stop.code || stop.id} is missing a name`);
+  });
+
+  activeSchedules.forEach((schedule) => {
+    const label = `Schedule ${schedule.routeNumber || ''} ${schedule.departureTime || ''}`.trim();
+    if (!routesById.has(schedule.routeId)) {
+      warnings.push(`${label} belongs to a missing or inactive route and will be left out`);
+      return;
+    }
+    if (parseTimeOfDay(schedule.departureTime) === null) errors.push(`${label} has no valid departure time`);
+    if (parseTimeOfDay(schedule.arrivalTime) === null) errors.push(`${label} has no valid arrival time`);
+    if ((schedule.daysOfWeek || []).length === 0) errors.push(`${label} doesn't run on any day`);
+    if (schedule.frequency && !parseFrequencyMinutes(schedule.frequency)) {
+      warnings.push(`${label} has an unreadable frequency "${schedule.frequency}" and is exported as a single trip`);
+    }
+  });
+
+  return { errors: [...new Set(errors)], warnings: [...new Set(warnings)] };
+};
+
+/**
+ * Minutes after departure at which a trip reaches each stop. Uses the stop's
+ * distance along the drawn path when known, otherwise spaces stops evenly.
+ */
+const getStopOffsets = (route, routeStops, runningMinutes) => {
+  const distances = routeStops.map((stop) => {
+    if (route.stopDistances?.[stop.id] !== undefined) return route.stopDistances[stop.id];
+    if (hasRouteGeometry(route) && hasCoordinates(stop)) return projectPointOnPath(stop, route.path).distanceAlong;
+    return null;
+  });
+
+  const total = distances[distances.length - 1];
+  const usable = distances.every((distance, i) => distance !== null && (i === 0 || distance >= distances[i - 1]));
+  if (usable && total > distances[0]) {
+    return distances.map((distance) => ((distance - distances[0]) / (total - distances[0])) * runningMinutes);
+  }
+
+  return routeStops.map((stop, i) => (routeStops.length > 1 ? (i / (routeStops.length - 1)) * runningMinutes : 0));
+};
+
+/**
+ * Build the GTFS tables for the network. Run validateNetworkForExport first;
+ * anything it warns about is skipped here.
+ * @returns {Object} { [fileName]: records }
+ */
+export const buildGtfsTables = ({ routes, stops, schedules }, agency, now = new Date()) => {
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop]));
+  const exportedRoutes = routes.filter((route) => isActive(route) && (route.stopIds || []).length >= 2);
+  const routesById = new Map(exportedRoutes.map((route) => [route.id, route]));
+  const exportedSchedules = schedules.filter((schedule) => isActive(schedule) && routesById.has(schedule.routeId));
+  const scheduledRouteIds = new Set(exportedSchedules.map((schedule) => schedule.routeId));
+
+  const tables = {
+    'agency.txt': [{
+      agency_id: AGENCY_ID,
+      agency_name: agency.name,
+      agency_url: agency.url,
+      agency_timezone: agency.timezone,
+      agency_lang: agency.lang || ''
+    }],
+    'stops.txt': [],
+    'routes.txt': [],
+    'trips.txt': [],
+    'stop_times.txt': [],
+    'calendar.txt': [],
+    'frequencies.txt': [],
+    'shapes.txt': []
+  };
+
+  const usedStopIds = new Set();
+
+  exportedRoutes.filter((route) => scheduledRouteIds.has(route.id)).forEach((route) => {
+    tables['routes.txt'].push({
+      route_id: gtfsIdOf(route),
+      agency_id: AGENCY_ID,
+      route_short_name: route.routeNumber || '',
+      route_long_name: route.routeName || '',
+      route_desc: route.description || '',
+      route_type: ROUTE_TYPE_BUS,
+      route_color: (route.color || '').replace('#', '').toUpperCase()
+    });
+
+    if (hasRouteGeometry(route)) {
+      let travelled = 0;
+      route.path.forEach((point, i) => {
+        if (i > 0) travelled += haversineDistance(route.path[i - 1], point);
+        tables['shapes.txt'].push({
+          shape_id: `shape_${gtfsIdOf(route)}`,
+          shape_pt_lat: point.latitude,
+          shape_pt_lon: point.longitude,
+          shape_pt_sequence: i + 1,
+          shape_dist_traveled: Math.round(travelled)
+        });
+      });
+    }
+  });
+
+  const serviceDays = new Map();
+
+  exportedSchedules.forEach((schedule) => {
+    const route = routesById.get(schedule.routeId);
+    const routeStops = route.stopIds.map((stopId) => stopsById.get(stopId)).filter(Boolean);
+    const [firstTrip] = getScheduleTrips(schedule);
+    if (!firstTrip || routeStops.length < 2) return;
+
+    const serviceId = serviceIdFor(schedule.daysOfWeek || []);
+    serviceDays.set(serviceId, schedule.daysOfWeek || []);
+
+    const tripId = gtfsIdOf(schedule);
+    const runningMinutes = firstTrip.arrival - firstTrip.departure;
+    const offsets = getStopOffsets(route, routeStops, runningMinutes);
+
+    tables['trips.txt'].push({
+      route_id: gtfsIdOf(route),
+      service_id: serviceId,
+      trip_id: tripId,
+      trip_headsign: schedule.headsign || route.endPoint || '',
+      block_id: schedule.busNumber || '',
+      shape_id: hasRouteGeometry(route) ? `shape_${gtfsIdOf(route)}` : ''
+    });
+
+    routeStops.forEach((stop, i) => {
+      usedStopIds.add(stop.id);
+      const time = formatGtfsTime(firstTrip.departure + offsets[i]);
+      tables['stop_times.txt'].push({
+        trip_id: tripId,
+        arrival_time: time,
+        departure_time: time,
+        stop_id: gtfsIdOf(stop),
+        stop_sequence: i + 1,
+        shape_dist_traveled: route.stopDistances?.[stop.id] ?? ''
+      });
+    });
+
+    // Frequency-based schedules become one template trip repeated by frequencies.txt
+    const headway = parseFrequencyMinutes(schedule.frequency);
+    if (headway) {
+      const trips = getScheduleTrips(schedule);
+      tables['frequencies.txt'].push({
+        trip_id: tripId,
+        start_time: formatGtfsTime(firstTrip.departure),
+        end_time: formatGtfsTime(trips[trips.length - 1].departure + headway),
+        headway_secs: Math.round(headway * 60),
+        exact_times: 1
+      });
+    }
+  });
+
+  usedStopIds.forEach((stopId) => {
+    const stop = stopsById.get(stopId);
+    tables['stops.txt'].push({
+      stop_id: gtfsIdOf(stop),
+      stop_code: stop.code || '',
+      stop_name: stop.name,
+      stop_desc: stop.description || '',
+      stop_lat: stop.latitude,
+      stop_lon: stop.longitude,
+      wheelchair_boarding: stop.accessibility?.wheelchairAccessible ? 1 : 0
+    });
+  });
+
+  const endDate = new Date(now.getTime() + SERVICE_DAYS * 24 * 60 * 60 * 1000);
+  serviceDays.forEach((days, serviceId) => {
+    tables['calendar.txt'].push({
+      service_id: serviceId,
+      ...Object.fromEntries(CALENDAR_DAYS.map((day) => [day, days.includes(day) ? 1 : 0])),
+      start_date: formatGtfsDate(now),
+      end_date: formatGtfsDate(endDate)
+    });
+  });
+
+  return tables;
+};
+
+/**
+ * Zip the GTFS tables into a feed. Empty optional files are left out.
+ * @returns {Promise<Blob>}
+ */
+export const createGtfsFeed = async (tables) => {
+  const optional = ['frequencies.txt', 'shapes.txt'];
+  const files = Object.entries(tables)
+    .filter(([fileName, records]) => records.length > 0 || !optional.includes(fileName))
+    .map(([fileName, records]) => ({ name: fileName, content: toCsv(GTFS_COLUMNS[fileName], records) }));
+  return createZip(files);
+};
@@ -0,0 +1,388 @@
+// GTFS static import: parse a feed and plan upserts into routes, stops and schedules
+import { readZipTextFiles } from './zip.js';
+import { parseCsv } from './csv.js';
+import { pathLength } from './geoUtils.js';
+import { computeStopDistances } from './routeService.js';
+import { hasCoordinates, EMPTY_ACCESSIBILITY } from './stopService.js';
+import { parseTimeOfDay, formatTimeOfDay } from './scheduleAdherence.js';
+
+export const GTFS_IMPORT_FILES = [
+  'agency.txt',
+  'routes.txt',
+  'stops.txt',
+  'trips.txt',
+  'stop_times.txt',
+  'calendar.txt',
+  'shapes.txt'
+];
+
+export const REQUIRED_GTFS_FILES = ['agency.txt', 'routes.txt', 'stops.txt', 'trips.txt', 'stop_times.txt'];
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged'
+};
+
+// calendar.txt columns in the order our daysOfWeek values use them
+const CALENDAR_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Document ID for an imported entity. Encoding keeps GTFS IDs with slashes valid.
+ */
+export const gtfsDocumentId = (kind, gtfsId) => `gtfs_${kind}_${encodeURIComponent(gtfsId)}`;
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const value = row[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  return groups;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// GTFS times may exceed 24:00 for trips after midnight; schedules store wall-clock time
+const toClockTime = (gtfsTime) => {
+  const minutes = parseTimeOfDay(gtfsTime);
+  return minutes === null ? '' : formatTimeOfDay(minutes);
+};
+
+const todayKey = (now) => {
+  const date = new Date(now);
+  return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Unzip a GTFS feed and parse the tables the importer uses
+ * @param {ArrayBuffer} buffer - GTFS zip contents
+ * @returns {Promise<Object>} { tables: { [fileName]: rows }, missing: [fileName] }
+ */
+export const readGtfsArchive = async (buffer) => {
+  const files = await readZipTextFiles(buffer, (fileName) => GTFS_IMPORT_FILES.includes(fileName));
+  const tables = {};
+  Object.entries(files).forEach(([fileName, text]) => {
+    tables[fileName] = parseCsv(text);
+  });
+
+  return {
+    tables,
+    missing: REQUIRED_GTFS_FILES.filter((fileName) => !tables[fileName])
+  };
+};
+
+/**
+ * Group a route's trips by direction and stop order. A route document holds one
+ * stop order, so each group is imported as a route of its own. The longest
+ * pattern of each direction gets the ID `${route_id}:${direction_id}`; short
+ * turns and branches add their end stops, so IDs stay the same between imports.
+ * @returns {Array} [{ gtfsId, direction, stopIds, trips }], main outbound pattern first
+ */
+const getStopPatterns = (routeId, trips, tripStops) => {
+  const patterns = new Map();
+  trips.forEach((trip) => {
+    const direction = trip.direction_id || '0';
+    const { stopIds } = tripStops.get(trip.trip_id);
+    const key = [direction, ...stopIds].join('\n');
+    if (!patterns.has(key)) patterns.set(key, { key, direction, stopIds, trips: [] });
+    patterns.get(key).trips.push(trip);
+  });
+
+  const ordered = [...patterns.values()].sort((a, b) =>
+    a.direction.localeCompare(b.direction) ||
+    b.stopIds.length - a.stopIds.length ||
+    b.trips.length - a.trips.length ||
+    a.key.localeCompare(b.key)
+  );
+
+  const usedIds = new Set();
+  return ordered.map((pattern, i) => {
+    const isMain = i === 0 || ordered[i - 1].direction !== pattern.direction;
+    const baseId = isMain
+      ? `${routeId}:${pattern.direction}`
+      : `${routeId}:${pattern.direction}:${pattern.stopIds[0]}-${pattern.stopIds[pattern.stopIds.length - 1]}`;
+    let gtfsId = baseId;
+    for (let n = 2; usedIds.has(gtfsId); n++) gtfsId = `${baseId}:${n}`;
+    usedIds.add(gtfsId);
+    return { ...pattern, gtfsId };
+  });
+};
+
+/**
+ * Turn GTFS tables into the app's stops, routes and schedules. References
+ * between them are still GTFS IDs; planGtfsImport resolves them to documents.
+ * @param {Object} tables - Output of readGtfsArchive
+ * @returns {Object} { stops, routes, schedules, warnings }
+ */
+export const buildGtfsNetwork = (tables, now = Date.now()) => {
+  const warnings = [];
+  const agencies = tables['agency.txt'] || [];
+  const agencyNames = new Map(agencies.map((agency) => [agency.agency_id || '', agency.agency_name]));
+  const defaultAgency = agencies[0]?.agency_name || '';
+
+  // Stops and platforms only; stations and entrances aren't boarding points
+  const stops = (tables['stops.txt'] || [])
+    .filter((stop) => !stop.location_type || stop.location_type === '0')
+    .map((stop) => ({
+      gtfsId: stop.stop_id,
+      data: {
+        code: stop.stop_code || stop.stop_id,
+        name: stop.stop_name || stop.stop_id,
+        latitude: toNumber(stop.stop_lat),
+        longitude: toNumber(stop.stop_lon),
+        description: stop.stop_desc || '',
+        accessibility: {
+          ...EMPTY_ACCESSIBILITY,
+          wheelchairAccessible: stop.wheelchair_boarding === '1'
+        },
+        gtfsId: stop.stop_id
+      }
+    }));
+  const stopsByGtfsId = new Map(stops.map((stop) => [stop.gtfsId, stop]));
+
+  const missingCoordinates = stops.filter((stop) => !hasCoordinates(stop.data)).length;
+  if (missingCoordinates > 0) {
+    warnings.push(`${missingCoordinates} stop(s) have no coordinates`);
+  }
+
+  const services = new Map((tables['calendar.txt'] || []).map((service) => [service.service_id, service]));
+  if (!tables['calendar.txt']) {
+    warnings.push('No calendar.txt: imported schedules run every day');
+  }
+
+  const shapes = groupBy(tables['shapes.txt'] || [], 'shape_id');
+  const getShapePath = (shapeId) => (shapes.get(shapeId) || [])
+    .slice()
+    .sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence))
+    .map((point) => ({ latitude: toNumber(point.shape_pt_lat), longitude: toNumber(point.shape_pt_lon) }))
+    .filter(hasCoordinates);
+
+  // Each trip's stops in order, with its first departure and last arrival
+  const stopTimesByTrip = groupBy(tables['stop_times.txt'] || [], 'trip_id');
+  const tripStops = new Map();
+  stopTimesByTrip.forEach((stopTimes, tripId) => {
+    const ordered = stopTimes
+      .slice()
+      .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+    tripStops.set(tripId, {
+      stopIds: ordered.map((stopTime) => stopTime.stop_id).filter((stopId) => stopsByGtfsId.has(stopId)),
+      departure: ordered[0]?.departure_time || ordered[0]?.arrival_time || '',
+      arrival: ordered[ordered.length - 1]?.arrival_time || ordered[ordered.length - 1]?.departure_time || ''
+    });
+  });
+
+  const tripsByRoute = groupBy(tables['trips.txt'] || [], 'route_id');
+  const routes = [];
+  const schedules = [];
+
+  (tables['routes.txt'] || []).forEach((gtfsRoute) => {
+    const routeTrips = (tripsByRoute.get(gtfsRoute.route_id) || []).filter((trip) => tripStops.has(trip.trip_id));
+    if (routeTrips.length === 0) {
+      warnings.push(`Route ${gtfsRoute.route_short_name || gtfsRoute.route_id} has no trips and was skipped`);
+      return;
+    }
+
+    const routeNumber = gtfsRoute.route_short_name || gtfsRoute.route_id;
+    const baseName = gtfsRoute.route_long_name || routeNumber;
+    const patterns = getStopPatterns(gtfsRoute.route_id, routeTrips, tripStops);
+
+    patterns.forEach((pattern, patternIndex) => {
+      const { trips, stopIds } = pattern;
+      const firstStop = stopsByGtfsId.get(stopIds[0]);
+      const lastStop = stopsByGtfsId.get(stopIds[stopIds.length - 1]);
+
+      const shapeTrip = trips.find((trip) => trip.shape_id);
+      const shapePath = shapeTrip ? getShapePath(shapeTrip.shape_id) : [];
+      const path = shapePath.length >= 2
+        ? shapePath
+        : stopIds
+          .map((stopId) => stopsByGtfsId.get(stopId).data)
+          .filter(hasCoordinates)
+          .map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+      const times = trips.map((trip) => tripStops.get(trip.trip_id));
+      const departures = times.map((tripTimes) => parseTimeOfDay(tripTimes.departure)).filter((m) => m !== null);
+      const arrivals = times.map((tripTimes) => parseTimeOfDay(tripTimes.arrival)).filter((m) => m !== null);
+      const runningMinutes = parseTimeOfDay(times[0].arrival) - parseTimeOfDay(times[0].departure);
+
+      // Directions and variants share the route number, so the name says where each one goes
+      const destination = trips[0].trip_headsign || lastStop?.data.name || '';
+      const routeName = patterns.length > 1 && destination ? `${baseName} to ${destination}` : baseName;
+
+      routes.push({
+        gtfsId: pattern.gtfsId,
+        // Routes imported before directions were split used the bare route_id
+        legacyGtfsId: patternIndex === 0 ? gtfsRoute.route_id : null,
+        stopGtfsIds: [...new Set(stopIds)],
+        data: {
+          routeNumber,
+          routeName,
+          startPoint: firstStop?.data.name || '',
+          endPoint: lastStop?.data.name || '',
+          description: gtfsRoute.route_desc || '',
+          estimatedDuration: Number.isFinite(runningMinutes) && runningMinutes > 0 ? `${runningMinutes} minutes` : '',
+          operatingHours: departures.length > 0 && arrivals.length > 0
+            ? `${formatTimeOfDay(Math.min(...departures))} - ${formatTimeOfDay(Math.max(...arrivals))}`
+            : '',
+          agencyName: agencyNames.get(gtfsRoute.agency_id || '') || defaultAgency,
+          path,
+          ...(gtfsRoute.route_color ? { color: `#${gtfsRoute.route_color.toLowerCase()}` } : {}),
+          isActive: true,
+          gtfsId: pattern.gtfsId,
+          gtfsRouteId: gtfsRoute.route_id,
+          directionId: Number(pattern.direction)
+        }
+      });
+
+      trips.forEach((trip) => {
+        const tripTimes = tripStops.get(trip.trip_id);
+        const service = services.get(trip.service_id);
+        if (tables['calendar.txt'] && !service) {
+          warnings.push(`Trip ${trip.trip_id} uses unknown service ${trip.service_id} and was skipped`);
+          return;
+        }
+
+        schedules.push({
+          gtfsId: trip.trip_id,
+          routeGtfsId: pattern.gtfsId,
+          data: {
+            routeNumber,
+            routeName,
+            busNumber: trip.block_id || trip.trip_short_name || trip.trip_id,
+            departureTime: toClockTime(tripTimes.departure),
+            arrivalTime: toClockTime(tripTimes.arrival),
+            frequency: '',
+            daysOfWeek: service
+              ? CALENDAR_DAYS.filter((day) => service[day] === '1')
+              : [...CALENDAR_DAYS],
+            headsign: trip.trip_headsign || '',
+            isActive: !service?.end_date || service.end_date >= todayKey(now),
+            gtfsId: trip.trip_id
+          }
+        });
+      });
+    });
+  });
+
+  return { stops, routes, schedules, warnings };
+};
+
+const isEqualValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const diffFields = (data, existing) => {
+  if (!existing) return Object.keys(data);
+  return Object.keys(data).filter((key) => !isEqualValue(data[key], existing[key]));
+};
+
+const planEntry = (id, data, existing, label) => {
+  const changes = diffFields(data, existing);
+  let action = IMPORT_ACTIONS.UPDATE;
+  if (!existing) action = IMPORT_ACTIONS.CREATE;
+  else if (changes.length === 0) action = IMPORT_ACTIONS.UNCHANGED;
+  return { id, action, data, changes: existing ? changes : [], label };
+};
+
+// Accessibility features set by hand stay set; GTFS only knows about wheelchairs
+const pickTrue = (attributes = {}) => Object.fromEntries(
+  Object.entries(attributes).filter(([, value]) => value === true)
+);
+
+const summarize = (entries) => entries.reduce((summary, entry) => ({
+  ...summary,
+  [entry.action]: summary[entry.action] + 1
+}), { [IMPORT_ACTIONS.CREATE]: 0, [IMPORT_ACTIONS.UPDATE]: 0, [IMPORT_ACTIONS.UNCHANGED]: 0 });
+
+/**
+ * Match a built network against the current collections and work out what an
+ * import would create or change. Nothing is ever deleted. Documents match by
+ * their GTFS ID first, then by route number or stop code so hand-made routes
+ * and stops are updated instead of duplicated.
+ * @param {Object} network - Output of buildGtfsNetwork
+ * @param {Object} existing - { routes, stops, schedules } current documents
+ * @returns {Object} { routes, stops, schedules, summary, warnings } where each
+ *   entry is { id, action, data, changes, label }
+ */
+export const planGtfsImport = (network, existing) => {
+  const findExisting = (documents, gtfsId, naturalKey, naturalValue) =>
+    documents.find((document) => document.gtfsId === gtfsId) ||
+    (naturalKey ? documents.find((document) => !document.gtfsId && document[naturalKey] === naturalValue) : null);
+
+  const stopMatches = new Map();
+  network.stops.forEach((stop) => {
+    const match = findExisting(existing.stops, stop.gtfsId, 'code', stop.data.code);
+    stopMatches.set(stop.gtfsId, { id: match?.id || gtfsDocumentId('stop', stop.gtfsId), existing: match });
+  });
+
+  // Only a route's main pattern takes over a hand-made route or one imported
+  // before directions were split; the other patterns always get documents of their own
+  const routeMatches = new Map();
+  network.routes.forEach((route) => {
+    const match = existing.routes.find((document) => document.gtfsId === route.gtfsId) ||
+      (route.legacyGtfsId
+        ? findExisting(existing.routes, route.legacyGtfsId, 'routeNumber', route.data.routeNumber)
+        : null);
+    routeMatches.set(route.gtfsId, { id: match?.id || gtfsDocumentId('route', route.gtfsId), existing: match });
+  });
+
+  // Served routes per stop, keeping any links to routes outside the feed
+  const servedRoutes = new Map();
+  network.routes.forEach((route) => {
+    route.stopGtfsIds.forEach((stopGtfsId) => {
+      if (!servedRoutes.has(stopGtfsId)) servedRoutes.set(stopGtfsId, []);
+      servedRoutes.get(stopGtfsId).push(routeMatches.get(route.gtfsId).id);
+    });
+  });
+
+  const stops = network.stops.map((stop) => {
+    const { id, existing: match } = stopMatches.get(stop.gtfsId);
+    const routeIds = [...new Set([...(match?.routeIds || []), ...(servedRoutes.get(stop.gtfsId) || [])])];
+    return planEntry(id, {
+      ...stop.data,
+      accessibility: { ...stop.data.accessibility, ...pickTrue(match?.accessibility) },
+      routeIds
+    }, match, stop.data.name);
+  });
+  const stopsById = new Map(stops.map((stop) => [stop.id, stop.data]));
+
+  const routes = network.routes.map((route) => {
+    const { id, existing: match } = routeMatches.get(route.gtfsId);
+    const stopIds = route.stopGtfsIds.map((stopGtfsId) => stopMatches.get(stopGtfsId).id);
+    const routeStops = stopIds.map((stopId) => ({ id: stopId, ...stopsById.get(stopId) }));
+    const path = route.data.path;
+
+    return planEntry(id, {
+      ...route.data,
+      stopIds,
+      pathLength: path.length >= 2 ? Math.round(pathLength(path)) : 0,
+      stopDistances: computeStopDistances(path, routeStops)
+    }, match, `${route.data.routeNumber} - ${route.data.routeName}`);
+  });
+
+  const schedules = network.schedules.map((schedule) => {
+    const match = findExisting(existing.schedules, schedule.gtfsId);
+    const routeId = routeMatches.get(schedule.routeGtfsId)?.id;
+    return planEntry(
+      match?.id || gtfsDocumentId('trip', schedule.gtfsId),
+      { ...schedule.data, routeId },
+      match,
+      `${schedule.data.routeNumber} ${schedule.data.departureTime} (${schedule.data.busNumber})`
+    );
+  });
+
+  return {
+    routes,
+    stops,
+    schedules,
+    summary: {
+      routes: summarize(routes),
+      stops: summarize(stops),
+      schedules: summarize(schedules)
+    },
+    warnings: network.warnings
+  };
+};
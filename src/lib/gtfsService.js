@@ -0,0 +1,72 @@
+// GTFS service: read the current network and write planned GTFS imports
+import {
+  collection,
+  doc,
+  getDocs,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { IMPORT_ACTIONS } from './gtfsImport.js';
+
+// Firestore allows 500 writes per batch; stay below it
+const IMPORT_BATCH_SIZE = 400;
+
+const readCollection = async (name) => {
+  const snapshot = await getDocs(collection(db, name));
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Load every route, stop and schedule for diffing against a feed
+ * @returns {Promise<Object>} { success, data: { routes, stops, schedules } }
+ */
+export const loadNetwork = async () => {
+  try {
+    const [routes, stops, schedules] = await Promise.all([
+      readCollection('routes'),
+      readCollection('stops'),
+      readCollection('schedules')
+    ]);
+    return { success: true, data: { routes, stops, schedules } };
+  } catch (error) {
+    console.error('Error loading network:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Write the creates and updates of an import plan. Updates merge, so fields the
+ * feed doesn't know about (notes, hand-drawn colours) are kept.
+ * @param {Object} plan - Output of planGtfsImport
+ * @param {Function} onProgress - Optional (written, total) callback
+ * @returns {Promise<Object>} { success, written }
+ */
+export const applyGtfsImport = async (plan, onProgress) => {
+  const writes = ['stops', 'routes', 'schedules'].flatMap((collectionName) =>
+    plan[collectionName]
+      .filter((entry) => entry.action !== IMPORT_ACTIONS.UNCHANGED)
+      .map((entry) => ({ collectionName, entry }))
+  );
+
+  try {
+    for (let i = 0; i < writes.length; i += IMPORT_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + IMPORT_BATCH_SIZE).forEach(({ collectionName, entry }) => {
+        const ref = doc(db, collectionName, entry.id);
+        if (entry.action === IMPORT_ACTIONS.CREATE) {
+          batch.set(ref, { ...entry.data, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+        } else {
+          batch.set(ref, { ...entry.data, updatedAt: serverTimestamp() }, { merge: true });
+        }
+      });
+      await batch.commit();
+      onProgress?.(Math.min(i + IMPORT_BATCH_SIZE, writes.length), writes.length);
+    }
+
+    return { success: true, written: writes.length };
+  } catch (error) {
+    console.error('Error applying GTFS import:', error);
+    return { success: false, error: error.message || 'Failed to import GTFS feed' };
+  }
+};
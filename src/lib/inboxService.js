@@ -0,0 +1,196 @@
+// Inbox service: read state, archiving and paged listening for a user's notifications
+import {
+  collection,
+  doc,
+  getDocs,
+  getCountFromServer,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  updateDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+
+export const INBOX_PAGE_SIZE = 20;
+
+// Unread counts above this show as "99+"
+export const UNREAD_COUNT_LIMIT = 100;
+
+// Firestore allows 500 writes per batch; stay below it
+const MARK_READ_BATCH_SIZE = 400;
+const BACKFILL_BATCH_SIZE = 400;
+
+// Notifications sent only by push or email are not shown in the inbox
+const isInAppNotification = (notification) => notification.inApp !== false;
+
+/**
+ * Listen to one page-extended window of a user's inbox. Growing `max` and
+ * re-subscribing gives infinite scrolling that stays live.
+ * @param {string} userId - Signed-in user ID
+ * @param {Object} options - { type, archived, max }
+ * @param {Function} callback - Receives (notifications, hasMore)
+ * @param {Function} onError - Receives the error, e.g. a missing index (see firestore.indexes.json)
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToInbox = (userId, { type = null, archived = false, max = INBOX_PAGE_SIZE }, callback, onError) => {
+  const constraints = [
+    where('userId', '==', userId),
+    where('archived', '==', archived)
+  ];
+  if (type) constraints.push(where('type', '==', type));
+
+  // One extra document tells whether another page exists
+  const q = query(
+    collection(db, 'notifications'),
+    ...constraints,
+    orderBy('createdAt', 'desc'),
+    limit(max + 1)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const notifications = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    callback(
+      notifications.slice(0, max).filter(isInAppNotification),
+      notifications.length > max
+    );
+  }, (error) => {
+    console.error('Error listening to inbox:', error);
+    onError?.(error);
+  });
+};
+
+/**
+ * Listen to the number of unread, unarchived notifications
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToUnreadCount = (userId, callback, onError) => {
+  const q = query(
+    collection(db, 'notifications'),
+    where('userId', '==', userId),
+    where('read', '==', false),
+    where('archived', '==', false),
+    limit(UNREAD_COUNT_LIMIT)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.filter((doc) => isInAppNotification(doc.data())).length);
+  }, (error) => {
+    console.error('Error listening to unread count:', error);
+    onError?.(error);
+  });
+};
+
+/**
+ * Count notifications written before the inbox existed. They have no
+ * `archived` field, so the inbox queries never match them.
+ * @returns {Promise<Object>} { success, count }
+ */
+export const countNotificationsMissingInboxFields = async () => {
+  try {
+    const notifications = collection(db, 'notifications');
+    const [all, withField] = await Promise.all([
+      getCountFromServer(notifications),
+      getCountFromServer(query(notifications, where('archived', 'in', [true, false])))
+    ]);
+    return { success: true, count: all.data().count - withField.data().count };
+  } catch (error) {
+    console.error('Error counting notifications without inbox fields:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Give older notifications the `archived` and `read` fields the inbox queries on
+ * @returns {Promise<Object>} { success, updated }
+ */
+export const backfillInboxFields = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'notifications'));
+    const missing = snapshot.docs.filter((notificationDoc) => notificationDoc.data().archived === undefined);
+
+    for (let i = 0; i < missing.length; i += BACKFILL_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      missing.slice(i, i + BACKFILL_BATCH_SIZE).forEach((notificationDoc) => {
+        const updates = { archived: false };
+        if (notificationDoc.data().read === undefined) updates.read = false;
+        batch.update(notificationDoc.ref, updates);
+      });
+      await batch.commit();
+    }
+
+    return { success: true, updated: missing.length };
+  } catch (error) {
+    console.error('Error backfilling inbox fields:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Mark a single notification read or unread
+ */
+export const setNotificationRead = async (notificationId, read = true) => {
+  try {
+    await updateDoc(doc(db, 'notifications', notificationId), {
+      read,
+      readAt: read ? serverTimestamp() : null
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating notification read state:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Archive or restore a notification. Archiving also marks it read.
+ */
+export const setNotificationArchived = async (notificationId, archived = true) => {
+  try {
+    const updates = {
+      archived,
+      archivedAt: archived ? serverTimestamp() : null
+    };
+    if (archived) {
+      updates.read = true;
+      updates.readAt = serverTimestamp();
+    }
+
+    await updateDoc(doc(db, 'notifications', notificationId), updates);
+    return { success: true };
+  } catch (error) {
+    console.error('Error archiving notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Mark every unread inbox notification as read
+ * @returns {Promise<Object>} { success, updated }
+ */
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    const q = query(
+      collection(db, 'notifications'),
+      where('userId', '==', userId),
+      where('read', '==', false)
+    );
+    const snapshot = await getDocs(q);
+
+    for (let i = 0; i < snapshot.docs.length; i += MARK_READ_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      snapshot.docs.slice(i, i + MARK_READ_BATCH_SIZE).forEach((notificationDoc) => {
+        batch.update(notificationDoc.ref, { read: true, readAt: serverTimestamp() });
+      });
+      await batch.commit();
+    }
+
+    return { success: true, updated: snapshot.size };
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return { success: false, error: error.message };
+  }
+};
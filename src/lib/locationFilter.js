@@ -0,0 +1,181 @@
+// GPS noise filter between watchPosition and location uploads
+import { haversineDistance, bearingBetween } from './geoUtils.js';
+import { serializePosition } from './locationQueue.js';
+
+export const DEFAULT_FILTER_CONFIG = {
+  // Fixes less accurate than this (meters) are dropped, e.g. cell-tower fixes
+  maxAccuracy: 100,
+  // Implied speed (m/s) above which a fix is treated as a jump (~144 km/h)
+  maxSpeed: 40,
+  // After this many consecutive jump rejections the filter re-anchors on the new position
+  maxConsecutiveRejections: 5,
+  // Kalman process noise in m/s: how quickly the bus is expected to change course
+  processNoise: 3,
+  // Below this speed (m/s) and inside this radius (m) the bus counts as parked
+  stationarySpeed: 0.8,
+  stationaryRadius: 15,
+  // Consecutive parked fixes before the position is pinned
+  stationaryFixes: 3
+};
+
+export const FILTER_REASONS = {
+  ACCEPTED: 'accepted',
+  STATIONARY: 'stationary',
+  POOR_ACCURACY: 'poor-accuracy',
+  IMPLAUSIBLE_SPEED: 'implausible-speed',
+  OUT_OF_ORDER: 'out-of-order',
+  REANCHORED: 'reanchored'
+};
+
+const toPoint = (coords) => ({ latitude: coords.latitude, longitude: coords.longitude });
+
+/**
+ * Create a stateful filter for one location sharing session
+ * @param {Object} config - Overrides for DEFAULT_FILTER_CONFIG
+ * @returns {Object} { process, reset, config }
+ */
+export const createLocationFilter = (config = {}) => {
+  const settings = { ...DEFAULT_FILTER_CONFIG, ...config };
+
+  // Kalman estimate: position plus variance in m^2
+  let estimate = null;
+  let lastAccepted = null;
+  let consecutiveRejections = 0;
+  let stationaryAnchor = null;
+  let stationaryCount = 0;
+  let pinnedPoint = null;
+
+  const reset = () => {
+    estimate = null;
+    lastAccepted = null;
+    consecutiveRejections = 0;
+    stationaryAnchor = null;
+    stationaryCount = 0;
+    pinnedPoint = null;
+  };
+
+  const applyKalman = (raw) => {
+    const accuracy = Math.max(raw.coords.accuracy || 1, 1);
+
+    if (!estimate) {
+      estimate = { ...toPoint(raw.coords), variance: accuracy ** 2, timestamp: raw.timestamp };
+      return;
+    }
+
+    const dt = Math.max((raw.timestamp - estimate.timestamp) / 1000, 0);
+    const variance = estimate.variance + dt * settings.processNoise ** 2;
+    const gain = variance / (variance + accuracy ** 2);
+
+    estimate = {
+      latitude: estimate.latitude + gain * (raw.coords.latitude - estimate.latitude),
+      longitude: estimate.longitude + gain * (raw.coords.longitude - estimate.longitude),
+      variance: (1 - gain) * variance,
+      timestamp: raw.timestamp
+    };
+  };
+
+  const buildFiltered = (raw, point, overrides = {}) => {
+    let heading = raw.coords.heading;
+    if ((heading === null || heading === undefined) && lastAccepted) {
+      const moved = haversineDistance(lastAccepted.coords, point);
+      heading = moved > settings.stationaryRadius
+        ? bearingBetween(lastAccepted.coords, point)
+        : lastAccepted.coords.heading;
+    }
+
+    return {
+      coords: {
+        ...raw.coords,
+        ...point,
+        accuracy: Math.sqrt(estimate.variance),
+        heading: heading ?? null,
+        ...overrides
+      },
+      timestamp: raw.timestamp
+    };
+  };
+
+  const decide = (raw, accepted, reason, filtered = null) => {
+    const decision = {
+      accepted,
+      reason,
+      raw,
+      filtered,
+      timestamp: raw.timestamp,
+      rawAccuracy: raw.coords.accuracy,
+      correction: filtered ? haversineDistance(raw.coords, filtered.coords) : null
+    };
+    if (accepted) {
+      lastAccepted = filtered;
+      consecutiveRejections = 0;
+    } else {
+      consecutiveRejections++;
+    }
+    return decision;
+  };
+
+  /**
+   * Run one fix through the filter
+   * @param {Object} position - GeolocationPosition or serialized fix
+   * @returns {Object} { accepted, reason, raw, filtered, rawAccuracy, correction }
+   */
+  const process = (position) => {
+    const raw = serializePosition(position);
+
+    if (lastAccepted && raw.timestamp <= lastAccepted.timestamp) {
+      return decide(raw, false, FILTER_REASONS.OUT_OF_ORDER);
+    }
+
+    if (raw.coords.accuracy > settings.maxAccuracy) {
+      return decide(raw, false, FILTER_REASONS.POOR_ACCURACY);
+    }
+
+    let reason = FILTER_REASONS.ACCEPTED;
+    if (lastAccepted) {
+      const dt = (raw.timestamp - lastAccepted.timestamp) / 1000;
+      const distance = haversineDistance(lastAccepted.coords, raw.coords);
+      // Allow for the uncertainty of both fixes before calling it a jump
+      const slack = raw.coords.accuracy + lastAccepted.coords.accuracy;
+      const impliedSpeed = Math.max(distance - slack, 0) / Math.max(dt, 1);
+
+      if (impliedSpeed > settings.maxSpeed) {
+        if (consecutiveRejections + 1 < settings.maxConsecutiveRejections) {
+          return decide(raw, false, FILTER_REASONS.IMPLAUSIBLE_SPEED);
+        }
+        // The earlier fixes were probably the outliers; start over from here
+        reset();
+        reason = FILTER_REASONS.REANCHORED;
+      }
+    }
+
+    applyKalman(raw);
+    const smoothed = { latitude: estimate.latitude, longitude: estimate.longitude };
+
+    // Stationary detection: pin the position while the bus is parked
+    const rawSpeed = raw.coords.speed;
+    const slow = rawSpeed === null || rawSpeed < settings.stationarySpeed;
+    const nearAnchor = stationaryAnchor &&
+      haversineDistance(stationaryAnchor, raw.coords) < Math.max(settings.stationaryRadius, raw.coords.accuracy);
+
+    if (slow && nearAnchor) {
+      stationaryCount++;
+    } else {
+      stationaryAnchor = toPoint(raw.coords);
+      stationaryCount = 0;
+      pinnedPoint = null;
+    }
+
+    if (stationaryCount >= settings.stationaryFixes) {
+      pinnedPoint = pinnedPoint || smoothed;
+      const pinned = buildFiltered(raw, pinnedPoint, {
+        speed: 0,
+        heading: lastAccepted?.coords.heading ?? null
+      });
+      return decide(raw, true, FILTER_REASONS.STATIONARY, pinned);
+    }
+
+    return decide(raw, true, reason, buildFiltered(raw, smoothed));
+  };
+
+  return { process, reset, config: settings };
+};
@@ -0,0 +1,211 @@
+// Persistent outbound queue for driver location fixes (IndexedDB-backed)
+
+const DB_NAME = 'bus-tracker';
+const DB_VERSION = 1;
+const STORE_NAME = 'locationQueue';
+
+// Retry backoff bounds for failed flushes
+export const BASE_RETRY_DELAY = 2000;
+export const MAX_RETRY_DELAY = 60000;
+
+// How long a single upload may take before it is treated as failed
+export const UPLOAD_TIMEOUT = 15000;
+
+let dbPromise = null;
+
+// In-memory fallback for browsers without IndexedDB (private mode, old WebViews)
+const memoryQueue = [];
+let memoryQueueId = 0;
+
+const isIndexedDbAvailable = () => {
+  return typeof indexedDB !== 'undefined';
+};
+
+const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const openQueueDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('userId', 'userId', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openQueueDb();
+  const transaction = db.transaction(STORE_NAME, mode);
+  return callback(transaction.objectStore(STORE_NAME));
+};
+
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const timeoutPromise = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      resolve({ success: false, error: 'Location upload timed out' });
+    }, timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Convert a GeolocationPosition into a plain, storable object.
+ * GeolocationPosition instances cannot be structured-cloned into IndexedDB.
+ */
+export const serializePosition = (position) => ({
+  coords: {
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    altitude: position.coords.altitude ?? null,
+    heading: position.coords.heading ?? null,
+    speed: position.coords.speed ?? null
+  },
+  timestamp: position.timestamp || Date.now()
+});
+
+/**
+ * Add a location fix to the outbound queue
+ */
+export const enqueueLocation = async (userId, position, extra = {}) => {
+  const entry = {
+    userId,
+    position: serializePosition(position),
+    queuedAt: Date.now(),
+    ...extra
+  };
+
+  try {
+    if (!isIndexedDbAvailable()) {
+      memoryQueueId += 1;
+      memoryQueue.push({ ...entry, id: memoryQueueId });
+      return { success: true, id: memoryQueueId };
+    }
+
+    const id = await withStore('readwrite', (store) => requestToPromise(store.add(entry)));
+    return { success: true, id };
+  } catch (error) {
+    console.error('Error queueing location:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get all queued fixes for a driver, oldest first
+ */
+export const getQueuedLocations = async (userId) => {
+  try {
+    if (!isIndexedDbAvailable()) {
+      return memoryQueue.filter((entry) => entry.userId === userId);
+    }
+
+    return await withStore('readonly', (store) =>
+      requestToPromise(store.index('userId').getAll(userId))
+    );
+  } catch (error) {
+    console.error('Error reading location queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Remove a single fix from the queue once it has been uploaded
+ */
+export const removeQueuedLocation = async (id) => {
+  if (!isIndexedDbAvailable()) {
+    const index = memoryQueue.findIndex((entry) => entry.id === id);
+    if (index !== -1) memoryQueue.splice(index, 1);
+    return;
+  }
+
+  await withStore('readwrite', (store) => requestToPromise(store.delete(id)));
+};
+
+/**
+ * Count queued fixes for a driver
+ */
+export const countQueuedLocations = async (userId) => {
+  try {
+    if (!isIndexedDbAvailable()) {
+      return memoryQueue.filter((entry) => entry.userId === userId).length;
+    }
+
+    return await withStore('readonly', (store) =>
+      requestToPromise(store.index('userId').count(userId))
+    );
+  } catch (error) {
+    console.error('Error counting location queue:', error);
+    return 0;
+  }
+};
+
+/**
+ * Drop every queued fix for a driver (e.g. after sharing is stopped)
+ */
+export const clearLocationQueue = async (userId) => {
+  const entries = await getQueuedLocations(userId);
+  for (const entry of entries) {
+    await removeQueuedLocation(entry.id);
+  }
+};
+
+/**
+ * Upload queued fixes in order. Stops at the first failure so the
+ * remaining fixes keep their order for the next attempt.
+ * @param {string} userId - Driver user ID
+ * @param {Function} upload - Async function receiving a queue entry, returns { success }
+ * @returns {Promise<Object>} { success, flushed, remaining, error }
+ */
+export const flushLocationQueue = async (userId, upload, { timeout = UPLOAD_TIMEOUT } = {}) => {
+  const entries = await getQueuedLocations(userId);
+  let flushed = 0;
+
+  for (const entry of entries) {
+    let result;
+    try {
+      result = await withTimeout(upload(entry), timeout);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      return {
+        success: false,
+        flushed,
+        remaining: entries.length - flushed,
+        error: result.error
+      };
+    }
+
+    await removeQueuedLocation(entry.id);
+    flushed++;
+  }
+
+  return { success: true, flushed, remaining: 0 };
+};
+
+/**
+ * Exponential backoff delay for the given retry attempt (0-based)
+ */
+export const getRetryDelay = (attempt) => {
+  return Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+};
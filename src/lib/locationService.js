@@ -2,14 +2,62 @@
 import { 
   doc, 
   setDoc, 
+  updateDoc,
   deleteDoc, 
   collection, 
-  onSnapshot,
+  getDocs,
+  writeBatch,
   serverTimestamp,
   query,
   where 
 } from 'firebase/firestore';
 import { db } from './firebase.js';
+import { toMillis } from './timeUtils.js';
+import { locationsRepository } from './repositories/index.js';
+
+// Heartbeat/lease model for live drivers
+export const HEARTBEAT_INTERVAL = 30000;
+// Missed heartbeats before a driver is shown as stale, then treated as offline
+export const STALE_AFTER_MISSED_HEARTBEATS = 2;
+export const OFFLINE_AFTER_MISSED_HEARTBEATS = 10;
+// Offline location docs older than this are moved to the archive by the sweeper
+export const ARCHIVE_AFTER = 24 * 60 * 60 * 1000;
+// How often listeners re-evaluate driver status without new snapshots
+const STATUS_REFRESH_INTERVAL = 15000;
+
+const ARCHIVE_COLLECTION = 'driverLocationArchive';
+
+// Archiving a doc takes two writes and Firestore allows 500 per batch; stay below it
+const SWEEP_BATCH_SIZE = 200;
+
+export const DRIVER_STATUS = {
+  ONLINE: 'online',
+  STALE: 'stale',
+  OFFLINE: 'offline'
+};
+
+/**
+ * Driver location document written when sharing starts. Hardware trackers
+ * write the same shape so the map shows them like any other driver.
+ * @param {Object} position - GeolocationPosition or serialized fix
+ */
+export const buildDriverLocation = (userId, userEmail, driverInfo, position) => ({
+  userId,
+  email: userEmail,
+  displayName: driverInfo.displayName || 'Driver',
+  busNumber: driverInfo.busNumber || 'Unknown',
+  route: driverInfo.route || 'Unknown Route',
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  heading: position.coords.heading || 0,
+  speed: position.coords.speed || 0,
+  timestamp: serverTimestamp(),
+  isActive: true,
+  status: DRIVER_STATUS.ONLINE,
+  lastSeen: serverTimestamp(),
+  createdAt: serverTimestamp()
+});
 
 /**
  * Start sharing live location for a driver
@@ -34,23 +82,7 @@ export const startLocationSharing = async (userId, userEmail, driverInfo) => {
     console.log('Position obtained:', position);
 
     const locationRef = doc(db, 'driverLocations', userId);
-    
-    const locationData = {
-      userId,
-      email: userEmail,
-      displayName: driverInfo.displayName || 'Driver',
-      busNumber: driverInfo.busNumber || 'Unknown',
-      route: driverInfo.route || 'Unknown Route',
-      latitude: position.coords.latitude,
-      longitude: position.coords.longitude,
-      accuracy: position.coords.accuracy,
-      heading: position.coords.heading || 0,
-      speed: position.coords.speed || 0,
-      timestamp: serverTimestamp(),
-      isActive: true,
-      lastSeen: serverTimestamp(),
-      createdAt: serverTimestamp()
-    };
+    const locationData = buildDriverLocation(userId, userEmail, driverInfo, position);
 
     console.log('Saving location data to Firestore:', locationData);
 
@@ -69,6 +101,7 @@ export const startLocationSharing = async (userId, userEmail, driverInfo) => {
 
 /**
  * Update driver location
+ * Accepts a GeolocationPosition or a serialized fix from the location queue.
  */
 export const updateDriverLocation = async (userId, position) => {
   try {
@@ -80,9 +113,11 @@ export const updateDriverLocation = async (userId, position) => {
       accuracy: position.coords.accuracy,
       heading: position.coords.heading || 0,
       speed: position.coords.speed || 0,
+      recordedAt: new Date(position.timestamp || Date.now()),
       timestamp: serverTimestamp(),
       lastSeen: serverTimestamp(),
-      isActive: true
+      isActive: true,
+      status: DRIVER_STATUS.ONLINE
     };
 
     await setDoc(locationRef, updateData, { merge: true });
@@ -203,24 +238,155 @@ export const watchPosition = (callback, errorCallback, options = {}) => {
 };
 
 /**
- * Listen to all active driver locations
+ * Renew a driver's lease without moving their position
  */
-export const listenToDriverLocations = (callback) => {
-  const q = query(
-    collection(db, 'driverLocations'),
-    where('isActive', '==', true)
-  );
-  
-  return onSnapshot(q, (snapshot) => {
-    const drivers = [];
-    snapshot.forEach((doc) => {
-      drivers.push({
-        id: doc.id,
-        ...doc.data()
-      });
+export const sendHeartbeat = async (userId) => {
+  try {
+    await updateDoc(doc(db, 'driverLocations', userId), {
+      lastSeen: serverTimestamp(),
+      isActive: true,
+      status: DRIVER_STATUS.ONLINE
     });
+    return { success: true };
+  } catch (error) {
+    console.error('Error sending heartbeat:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Derive a driver's online/stale/offline status from missed heartbeats
+ * @param {Object} driver - driverLocations document data
+ * @param {number} now - Epoch milliseconds
+ * @returns {string} One of DRIVER_STATUS
+ */
+export const getDriverStatus = (driver, now = Date.now()) => {
+  if (driver.isActive === false || driver.status === DRIVER_STATUS.OFFLINE) {
+    return DRIVER_STATUS.OFFLINE;
+  }
+
+  const lastSeen = toMillis(driver.lastSeen || driver.timestamp);
+  if (!lastSeen) return DRIVER_STATUS.STALE;
+
+  const missed = (now - lastSeen) / HEARTBEAT_INTERVAL;
+  if (missed >= OFFLINE_AFTER_MISSED_HEARTBEATS) return DRIVER_STATUS.OFFLINE;
+  if (missed >= STALE_AFTER_MISSED_HEARTBEATS) return DRIVER_STATUS.STALE;
+  return DRIVER_STATUS.ONLINE;
+};
+
+/**
+ * Listen to all active driver locations
+ * Each driver carries a `status` (online/stale/offline) that is re-evaluated
+ * periodically, so consumers are told when a driver goes quiet.
+ */
+export const listenToDriverLocations = (callback, onError = () => {}) => {
+  let drivers = [];
+
+  const withStatus = (list) => {
+    const now = Date.now();
+    return list.map((driver) => ({ ...driver, status: getDriverStatus(driver, now) }));
+  };
+
+  // Pending server timestamps read as estimates, so a driver's own writes don't read as stale
+  const unsubscribe = locationsRepository.listenToActive((records) => {
+    drivers = withStatus(records);
     callback(drivers);
+  }, (error) => {
+    console.error('Error listening to driver locations:', error);
+    onError(error);
   });
+
+  const refreshTimer = setInterval(() => {
+    const refreshed = withStatus(drivers);
+    if (refreshed.some((driver, index) => driver.status !== drivers[index].status)) {
+      drivers = refreshed;
+      callback(drivers);
+    }
+  }, STATUS_REFRESH_INTERVAL);
+
+  return () => {
+    clearInterval(refreshTimer);
+    unsubscribe();
+  };
+};
+
+// Fleet records migrated from the legacy buses collection (VEHICLE_SOURCES.LEGACY)
+// never send heartbeats, so the sweeper leaves them alone
+const isHeartbeatSource = (location) => location.source !== 'legacy';
+
+/**
+ * Mark drivers that stopped sending heartbeats as offline and archive
+ * long-offline location docs (admin function). Writes are committed in
+ * chunks, and the counts only include docs whose chunk was committed.
+ * @returns {Promise<Object>} { success, markedOffline, archived }
+ */
+export const sweepStaleDrivers = async (now = Date.now()) => {
+  let markedOffline = 0;
+  let archived = 0;
+
+  try {
+    const offlineRefs = [];
+    const archiveDocs = [];
+
+    const activeSnapshot = await getDocs(query(
+      collection(db, 'driverLocations'),
+      where('isActive', '==', true)
+    ));
+
+    activeSnapshot.forEach((locationDoc) => {
+      if (!isHeartbeatSource(locationDoc.data())) return;
+      if (getDriverStatus(locationDoc.data(), now) === DRIVER_STATUS.OFFLINE) {
+        offlineRefs.push(locationDoc.ref);
+      }
+    });
+
+    const offlineSnapshot = await getDocs(query(
+      collection(db, 'driverLocations'),
+      where('isActive', '==', false)
+    ));
+
+    offlineSnapshot.forEach((locationDoc) => {
+      const data = locationDoc.data();
+      if (!isHeartbeatSource(data)) return;
+      const offlineAt = toMillis(data.offlineAt || data.lastSeen);
+      if (offlineAt && now - offlineAt >= ARCHIVE_AFTER) {
+        archiveDocs.push(locationDoc);
+      }
+    });
+
+    for (let i = 0; i < offlineRefs.length; i += SWEEP_BATCH_SIZE) {
+      const chunk = offlineRefs.slice(i, i + SWEEP_BATCH_SIZE);
+      const batch = writeBatch(db);
+      chunk.forEach((ref) => batch.update(ref, {
+        isActive: false,
+        status: DRIVER_STATUS.OFFLINE,
+        offlineAt: serverTimestamp()
+      }));
+      await batch.commit();
+      markedOffline += chunk.length;
+    }
+
+    for (let i = 0; i < archiveDocs.length; i += SWEEP_BATCH_SIZE) {
+      const chunk = archiveDocs.slice(i, i + SWEEP_BATCH_SIZE);
+      const batch = writeBatch(db);
+      chunk.forEach((locationDoc) => {
+        const data = locationDoc.data();
+        batch.set(doc(collection(db, ARCHIVE_COLLECTION)), {
+          ...data,
+          userId: data.userId || locationDoc.id,
+          archivedAt: serverTimestamp()
+        });
+        batch.delete(locationDoc.ref);
+      });
+      await batch.commit();
+      archived += chunk.length;
+    }
+
+    return { success: true, markedOffline, archived };
+  } catch (error) {
+    console.error('Error sweeping stale drivers:', error);
+    return { success: false, error: error.message, markedOffline, archived };
+  }
 };
 
 /**
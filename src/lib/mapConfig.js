@@ -0,0 +1,27 @@
+// Shared Leaflet settings for every map in the app
+
+// Default center (New York City)
+export const DEFAULT_MAP_CENTER = [40.7128, -74.0060];
+
+export const TILE_LAYER = {
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  maxZoom: 19,
+  minZoom: 3,
+  tileSize: 256,
+  zoomOffset: 0
+};
+
+// Palette offered when colouring a route overlay
+export const ROUTE_COLORS = [
+  '#2563eb',
+  '#dc2626',
+  '#16a34a',
+  '#9333ea',
+  '#ea580c',
+  '#0891b2',
+  '#db2777',
+  '#65a30d'
+];
+
+export const DEFAULT_ROUTE_COLOR = ROUTE_COLORS[0];
@@ -0,0 +1,76 @@
+// Motion model for smoothing live markers between GPS fixes
+import { interpolatePoint, destinationPoint } from './geoUtils.js';
+
+export const MOTION_DEFAULTS = {
+  // Longest time spent gliding from the displayed position to a new fix
+  maxTransitionMs: 5000,
+  minTransitionMs: 300,
+  // Dead-reckoning stops after this long without a new fix...
+  extrapolationHorizonMs: 20000,
+  // ...or after drifting this far from the last fix
+  maxExtrapolationMeters: 250,
+  // Slower than this (m/s) is treated as stopped
+  minExtrapolationSpeed: 1
+};
+
+const easeOutQuad = (t) => t * (2 - t);
+
+/**
+ * Create motion state for a marker's first fix
+ * @param {Object} fix - { latitude, longitude, speed, heading }
+ * @param {number} now - performance/epoch milliseconds
+ */
+export const createMotionState = (fix, now) => ({
+  from: { latitude: fix.latitude, longitude: fix.longitude },
+  to: fix,
+  transitionStart: now,
+  transitionEnd: now,
+  lastFixAt: now
+});
+
+/**
+ * Retarget a marker to a new fix, starting from wherever it is currently drawn
+ */
+export const updateMotionTarget = (state, fix, now, options = MOTION_DEFAULTS) => {
+  const current = getDisplayedPosition(state, now, { ...options, extrapolate: true });
+  // Glide over roughly the gap between fixes so the marker is still moving when the next one lands
+  const duration = Math.min(
+    Math.max(now - state.lastFixAt, options.minTransitionMs),
+    options.maxTransitionMs
+  );
+
+  return {
+    from: current,
+    to: fix,
+    transitionStart: now,
+    transitionEnd: now + duration,
+    lastFixAt: now
+  };
+};
+
+/**
+ * Position to draw at a given moment: interpolated toward the latest fix,
+ * then dead-reckoned along its speed and heading for a capped horizon.
+ * @returns {Object} { latitude, longitude, settled } where settled means no further movement
+ */
+export const getDisplayedPosition = (state, now, options = {}) => {
+  const { extrapolate = true, ...rest } = options;
+  const config = { ...MOTION_DEFAULTS, ...rest };
+
+  if (now < state.transitionEnd) {
+    const span = state.transitionEnd - state.transitionStart;
+    const fraction = easeOutQuad((now - state.transitionStart) / span);
+    return { ...interpolatePoint(state.from, state.to, fraction), settled: false };
+  }
+
+  const speed = state.to.speed || 0;
+  if (!extrapolate || speed < config.minExtrapolationSpeed) {
+    return { latitude: state.to.latitude, longitude: state.to.longitude, settled: true };
+  }
+
+  const elapsed = Math.min(now - state.transitionEnd, config.extrapolationHorizonMs);
+  const distance = Math.min((speed * elapsed) / 1000, config.maxExtrapolationMeters);
+  const settled = elapsed >= config.extrapolationHorizonMs || distance >= config.maxExtrapolationMeters;
+
+  return { ...destinationPoint(state.to, state.to.heading || 0, distance), settled };
+};
@@ -0,0 +1,169 @@
+// Per-user notification preferences: channels, quiet hours, digest and route/stop overrides
+import { NOTIFICATION_TYPES } from './notificationTypes.js';
+import { parseTimeOfDay } from './scheduleAdherence.js';
+
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: 'inApp',
+  PUSH: 'push',
+  EMAIL: 'email'
+};
+
+export const CHANNEL_LABELS = {
+  [NOTIFICATION_CHANNELS.IN_APP]: 'In-app',
+  [NOTIFICATION_CHANNELS.PUSH]: 'Push',
+  [NOTIFICATION_CHANNELS.EMAIL]: 'Email'
+};
+
+export const DELIVERY_MODES = {
+  INSTANT: 'instant',
+  DIGEST: 'digest'
+};
+
+// Global on/off switch in userSettings.notifications for each type
+export const TYPE_SETTINGS = {
+  [NOTIFICATION_TYPES.ARRIVAL]: 'busArrival',
+  [NOTIFICATION_TYPES.DELAY]: 'busDelay',
+  [NOTIFICATION_TYPES.ROUTE_CHANGE]: 'routeChanges',
+  [NOTIFICATION_TYPES.EMERGENCY]: 'emergencyAlerts'
+};
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  busArrival: true,
+  busDelay: true,
+  routeChanges: true,
+  emergencyAlerts: true,
+  selectedRoutes: [],
+  selectedStops: [],
+  channels: {
+    [NOTIFICATION_TYPES.ARRIVAL]: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.PUSH],
+    [NOTIFICATION_TYPES.DELAY]: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.PUSH],
+    [NOTIFICATION_TYPES.ROUTE_CHANGE]: [NOTIFICATION_CHANNELS.IN_APP],
+    [NOTIFICATION_TYPES.EMERGENCY]: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.PUSH]
+  },
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  delivery: { mode: DELIVERY_MODES.INSTANT, digestTime: '18:00' },
+  // { [routeId]: { [type]: false } } turns a type off for one route only
+  routePreferences: {},
+  // { [stopId]: { approachMinutes } } overrides the arrival lead time per stop
+  stopPreferences: {}
+};
+
+/**
+ * Fill in defaults for settings saved before a field existed
+ */
+export const normalizeNotificationSettings = (prefs = {}) => ({
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  ...prefs,
+  channels: { ...DEFAULT_NOTIFICATION_SETTINGS.channels, ...prefs.channels },
+  quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...prefs.quietHours },
+  delivery: { ...DEFAULT_NOTIFICATION_SETTINGS.delivery, ...prefs.delivery },
+  routePreferences: prefs.routePreferences || {},
+  stopPreferences: prefs.stopPreferences || {}
+});
+
+/**
+ * Whether a user wants a notification type at all, optionally for one route.
+ * Emergencies always go out.
+ */
+export const wantsNotification = (prefs, type, routeId = null) => {
+  if (type === NOTIFICATION_TYPES.EMERGENCY) return true;
+
+  const settings = normalizeNotificationSettings(prefs);
+  if (settings[TYPE_SETTINGS[type]] === false) return false;
+  if (routeId && settings.routePreferences[routeId]?.[type] === false) return false;
+  return true;
+};
+
+/**
+ * Arrival lead time for a watched stop
+ */
+export const getStopApproachMinutes = (prefs, stopId, fallback) => {
+  const minutes = prefs?.stopPreferences?.[stopId]?.approachMinutes;
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : fallback;
+};
+
+/**
+ * Whether local time falls inside the user's quiet hours (windows may wrap midnight)
+ */
+export const isInQuietHours = (prefs, now = Date.now()) => {
+  const { quietHours } = normalizeNotificationSettings(prefs);
+  if (!quietHours.enabled) return false;
+
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const date = new Date(now);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Decide how a notification reaches a user right now.
+ * In-app copies are always kept as the inbox record. Push and email are held
+ * for a digest: the daily one in digest mode, or one sent when quiet hours end.
+ * Emergencies ignore quiet hours and digests.
+ * @returns {Object} { channels, inApp, digest, quiet } where channels are the
+ *   external channels (push, email) to send immediately
+ */
+export const planDelivery = (prefs, type, now = Date.now()) => {
+  const settings = normalizeNotificationSettings(prefs);
+  const chosen = settings.channels[type] || [NOTIFICATION_CHANNELS.IN_APP];
+  const external = chosen.filter((channel) => channel !== NOTIFICATION_CHANNELS.IN_APP);
+  const inApp = chosen.includes(NOTIFICATION_CHANNELS.IN_APP);
+
+  if (type === NOTIFICATION_TYPES.EMERGENCY) {
+    return { channels: external, inApp: true, digest: false, quiet: false };
+  }
+
+  if (settings.delivery.mode === DELIVERY_MODES.DIGEST && external.length > 0) {
+    return { channels: [], inApp, digest: true, quiet: false };
+  }
+
+  if (isInQuietHours(settings, now)) {
+    return { channels: [], inApp, digest: external.length > 0, quiet: true };
+  }
+
+  return { channels: external, inApp, digest: false, quiet: false };
+};
+
+/**
+ * Channels a digest is sent through: every external channel the user picked for any type
+ */
+export const getDigestChannels = (prefs) => {
+  const settings = normalizeNotificationSettings(prefs);
+  const channels = new Set(Object.values(settings.channels).flat());
+  channels.delete(NOTIFICATION_CHANNELS.IN_APP);
+  return [...channels];
+};
+
+/**
+ * Cutoff for held notifications that are ready to send: today's digest time in
+ * digest mode, or now once quiet hours are over. Null while they have to wait.
+ * @returns {number|null} Timestamp ms; notifications created before it belong in the digest
+ */
+export const getDigestCutoff = (prefs, now = Date.now()) => {
+  const settings = normalizeNotificationSettings(prefs);
+  if (isInQuietHours(settings, now)) return null;
+  if (settings.delivery.mode !== DELIVERY_MODES.DIGEST) return now;
+
+  const digestMinutes = parseTimeOfDay(settings.delivery.digestTime);
+  if (digestMinutes === null) return null;
+
+  const cutoff = new Date(now);
+  cutoff.setHours(Math.floor(digestMinutes / 60), digestMinutes % 60, 0, 0);
+  return cutoff.getTime() <= now ? cutoff.getTime() : null;
+};
+
+/**
+ * Summarise held notifications into one digest message
+ */
+export const buildDigest = (notifications) => {
+  const lines = notifications.map((notification) => `• ${notification.title}: ${notification.message}`);
+  return {
+    title: `Bus Tracker digest: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+    message: lines.join('\n')
+  };
+};
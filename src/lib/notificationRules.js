@@ -0,0 +1,156 @@
+// Pure rules that turn live bus positions into per-user notifications
+import { DRIVER_STATUS } from './locationService.js';
+import { findRouteForVehicle, predictArrivals } from './etaEngine.js';
+import { computeAdherence, ADHERENCE_STATUS } from './scheduleAdherence.js';
+import { NOTIFICATION_TYPES } from './notificationTypes.js';
+import { wantsNotification, getStopApproachMinutes } from './notificationPreferences.js';
+
+export { NOTIFICATION_TYPES };
+
+export const NOTIFICATION_RULE_DEFAULTS = {
+  // Warn when the bus is this close to a watched stop
+  approachMinutes: 5,
+  // Only report delays at least this large
+  delayMinutes: 5,
+  // Minimum gap between two alerts of the same kind for one user and route
+  arrivalCooldownMinutes: 10,
+  delayCooldownMinutes: 30
+};
+
+const localDateKey = (now) => {
+  const date = new Date(now);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Cooldown bucket for a notification: per user, type and route, and per stop
+ * for arrival alerts so two watched stops don't silence each other
+ */
+export const getCooldownKey = (notification) => {
+  const base = `${notification.userId}:${notification.type}:${notification.routeInfo?.routeId || ''}`;
+  return notification.stopId ? `${base}:${notification.stopId}` : base;
+};
+
+/**
+ * Work out which notifications are due right now. IDs are deterministic per
+ * user, bus, stop/schedule and trip so re-running the rules (or running them
+ * from two admin sessions) never produces the same alert twice.
+ * @param {Object} input - { subscribers, drivers, routes, stopsById, segmentStats, schedules, now }
+ *   where subscribers are [{ userId, notifications }] from userSettings
+ * @param {Object} config - Overrides for NOTIFICATION_RULE_DEFAULTS
+ * @returns {Array} Notification drafts with id, userId, type, title, message, routeInfo
+ */
+export const evaluateNotificationRules = (
+  { subscribers, drivers, routes, stopsById, segmentStats = {}, schedules = [], now = Date.now() },
+  config = NOTIFICATION_RULE_DEFAULTS
+) => {
+  const settings = { ...NOTIFICATION_RULE_DEFAULTS, ...config };
+  const dateKey = localDateKey(now);
+  const drafts = [];
+
+  drivers.forEach((driver) => {
+    if (driver.status === DRIVER_STATUS.OFFLINE) return;
+
+    const route = findRouteForVehicle(driver, routes);
+    if (!route) return;
+
+    const routeInfo = {
+      routeId: route.id,
+      routeNumber: route.routeNumber,
+      busNumber: driver.busNumber || null
+    };
+    const tripKey = driver.currentTripId || dateKey;
+    const busLabel = driver.busNumber ? `Bus ${driver.busNumber}` : 'Your bus';
+    const routeStopIds = route.stopIds || [];
+
+    // Only online buses are trusted for "approaching" alerts
+    const arrivals = driver.status === DRIVER_STATUS.ONLINE
+      ? predictArrivals(driver, route, stopsById, segmentStats[route.id], now)
+      : [];
+    const adherence = computeAdherence(driver, schedules, routes, now);
+
+    subscribers.forEach(({ userId, notifications: prefs = {} }) => {
+      const selectedRoutes = prefs.selectedRoutes || [];
+      const selectedStops = prefs.selectedStops || [];
+      const watchedStops = selectedStops.filter((stopId) => routeStopIds.includes(stopId));
+      const followsRoute = selectedRoutes.includes(route.id) || watchedStops.length > 0;
+
+      if (wantsNotification(prefs, NOTIFICATION_TYPES.ARRIVAL, route.id)) {
+        arrivals
+          .filter((arrival) => watchedStops.includes(arrival.stopId))
+          .filter((arrival) => arrival.etaSeconds <=
+            getStopApproachMinutes(prefs, arrival.stopId, settings.approachMinutes) * 60)
+          .forEach((arrival) => {
+            const stop = stopsById[arrival.stopId];
+            const minutes = Math.max(1, Math.round(arrival.etaSeconds / 60));
+            drafts.push({
+              id: `arrival_${userId}_${driver.id}_${arrival.stopId}_${tripKey}`,
+              userId,
+              type: NOTIFICATION_TYPES.ARRIVAL,
+              title: `Route ${routeInfo.routeNumber} bus approaching`,
+              message: `${busLabel} will reach ${stop?.name || 'your stop'} in about ${minutes} min.`,
+              routeInfo,
+              stopId: arrival.stopId,
+              driverId: driver.id
+            });
+          });
+      }
+
+      if (wantsNotification(prefs, NOTIFICATION_TYPES.DELAY, route.id) && followsRoute && adherence &&
+          adherence.status === ADHERENCE_STATUS.LATE &&
+          adherence.deviationMinutes >= settings.delayMinutes) {
+        drafts.push({
+          id: `delay_${userId}_${driver.id}_${adherence.scheduleId}_${adherence.tripDeparture.replace(':', '')}_${dateKey}`,
+          userId,
+          type: NOTIFICATION_TYPES.DELAY,
+          title: `Route ${routeInfo.routeNumber} is running late`,
+          message: `The ${adherence.tripDeparture} departure is about ${adherence.deviationMinutes} min behind schedule.`,
+          routeInfo,
+          scheduleId: adherence.scheduleId,
+          driverId: driver.id
+        });
+      }
+    });
+  });
+
+  return drafts;
+};
+
+/**
+ * Drop drafts that fall inside a cooldown and return the updated cooldown map
+ * @param {Array} drafts - Output of evaluateNotificationRules
+ * @param {Object} lastSent - { [cooldownKey]: timestamp ms }
+ * @param {number} now - Current time in ms
+ * @param {Object} config - Overrides for NOTIFICATION_RULE_DEFAULTS
+ * @returns {Object} { due, lastSent }
+ */
+export const applyCooldowns = (drafts, lastSent = {}, now = Date.now(), config = NOTIFICATION_RULE_DEFAULTS) => {
+  const settings = { ...NOTIFICATION_RULE_DEFAULTS, ...config };
+  const next = { ...lastSent };
+  const due = [];
+
+  drafts.forEach((draft) => {
+    const key = getCooldownKey(draft);
+    const cooldownMinutes = draft.type === NOTIFICATION_TYPES.DELAY
+      ? settings.delayCooldownMinutes
+      : settings.arrivalCooldownMinutes;
+
+    if (next[key] && now - next[key] < cooldownMinutes * 60 * 1000) return;
+
+    next[key] = now;
+    due.push(draft);
+  });
+
+  return { due, lastSent: next };
+};
+
+/**
+ * Start the cooldown for drafts that were actually delivered
+ * @param {Array} delivered - Drafts whose notification was written
+ * @param {Object} lastSent - { [cooldownKey]: timestamp ms }
+ * @returns {Object} The updated cooldown map
+ */
+export const recordCooldowns = (delivered, lastSent = {}, now = Date.now()) => ({
+  ...lastSent,
+  ...Object.fromEntries(delivered.map((draft) => [getCooldownKey(draft), now]))
+});
@@ -0,0 +1,238 @@
+// Notification service for generating per-user notification documents
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  updateDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { getUserProfile } from './userRoleService.js';
+import { buildPushPayload } from './pushService.js';
+import { toMillis } from './timeUtils.js';
+import { notificationsRepository } from './repositories/index.js';
+import {
+  NOTIFICATION_CHANNELS,
+  planDelivery,
+  getDigestChannels,
+  getDigestCutoff,
+  buildDigest
+} from './notificationPreferences.js';
+
+export const DIGEST_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent'
+};
+
+/**
+ * Notification document fields describing how it was delivered
+ * @param {Object} plan - Output of planDelivery
+ */
+export const getDeliveryFields = (plan) => ({
+  channels: plan.channels,
+  inApp: plan.inApp,
+  quiet: plan.quiet,
+  digestStatus: plan.digest ? DIGEST_STATUS.PENDING : null
+});
+
+/**
+ * Listen to every user's notification settings (admin only)
+ * @param {Function} callback - Receives [{ userId, notifications }]
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToNotificationSubscribers = (callback) => {
+  return notificationsRepository.listenToSubscribers(callback, (error) => {
+    console.error('Error listening to notification settings:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Hand a notification to the push and email channels. Push messages go to the
+ * `pushOutbox` collection for the Web Push sender; email uses the `mail`
+ * collection read by the Firebase Trigger Email extension.
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { id, type, title, message }
+ * @param {Array} channels - External channels to use
+ * @returns {Promise<Object>} { success, sent }
+ */
+export const sendNotificationChannels = async (userId, notification, channels) => {
+  try {
+    let sent = 0;
+
+    if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
+      await addDoc(collection(db, 'pushOutbox'), {
+        userId,
+        payload: buildPushPayload(notification),
+        createdAt: serverTimestamp()
+      });
+      sent++;
+    }
+
+    if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
+      const profile = await getUserProfile(userId);
+      if (profile.success && profile.data.email) {
+        await addDoc(collection(db, 'mail'), {
+          to: profile.data.email,
+          message: {
+            subject: notification.title,
+            text: notification.message
+          },
+          userId,
+          createdAt: serverTimestamp()
+        });
+        sent++;
+      }
+    }
+
+    return { success: true, sent };
+  } catch (error) {
+    console.error('Error sending notification channels:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create a notification unless one with the same ID already exists
+ * @param {Object} draft - { id, userId, type, title, message, ...extra }
+ * @returns {Promise<Object>} { success, created }
+ */
+export const createNotificationOnce = async ({ id, ...notification }) => {
+  try {
+    const notificationRef = doc(db, 'notifications', id);
+    const created = await runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(notificationRef);
+      if (existing.exists()) return false;
+
+      transaction.set(notificationRef, {
+        ...notification,
+        read: false,
+        archived: false,
+        createdAt: serverTimestamp()
+      });
+      return true;
+    });
+
+    return { success: true, created };
+  } catch (error) {
+    console.error('Error creating notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Leave a notification for processDigests to send, as if it had been held back
+const holdForDigest = async (notificationId) => {
+  try {
+    await updateDoc(doc(db, 'notifications', notificationId), { digestStatus: DIGEST_STATUS.PENDING });
+  } catch (error) {
+    console.error('Error holding notification for digest:', error);
+  }
+};
+
+/**
+ * Write a batch of notification drafts, skipping ones already delivered, and
+ * send each new one through the channels the recipient chose. When push or
+ * email can't be queued, the notification is handed to the digest instead,
+ * which retries on every pass like any other held-back notification.
+ * @param {Array} drafts - Notification drafts
+ * @param {Object} settingsByUser - { [userId]: userSettings.notifications }
+ * @returns {Promise<Object>} { success, created, failed, delivered } where
+ *   delivered are the drafts whose notification and channel messages went out
+ */
+export const deliverNotifications = async (drafts, settingsByUser = {}, now = Date.now()) => {
+  let created = 0;
+  let failed = 0;
+  const delivered = [];
+
+  for (const draft of drafts) {
+    const plan = planDelivery(settingsByUser[draft.userId], draft.type, now);
+    const result = await createNotificationOnce({
+      ...draft,
+      ...getDeliveryFields(plan),
+      source: 'rules'
+    });
+
+    if (!result.success) {
+      failed++;
+      continue;
+    }
+
+    if (result.created) {
+      created++;
+      if (plan.channels.length > 0) {
+        const channelResult = await sendNotificationChannels(draft.userId, draft, plan.channels);
+        if (!channelResult.success) {
+          failed++;
+          await holdForDigest(draft.id);
+          continue;
+        }
+      }
+    }
+    delivered.push(draft);
+  }
+
+  return { success: failed === 0, created, failed, delivered };
+};
+
+/**
+ * Send digests for users whose digest time has passed or whose quiet hours
+ * have ended. Each digest collects the notifications held back since the
+ * previous one.
+ * @param {Object} settingsByUser - { [userId]: userSettings.notifications }
+ * @returns {Promise<Object>} { success, sent }
+ */
+export const processDigests = async (settingsByUser, now = Date.now()) => {
+  try {
+    const q = query(
+      collection(db, 'notifications'),
+      where('digestStatus', '==', DIGEST_STATUS.PENDING)
+    );
+    const snapshot = await getDocs(q);
+
+    const pendingByUser = {};
+    snapshot.forEach((doc) => {
+      const notification = { id: doc.id, ref: doc.ref, ...doc.data() };
+      if (!pendingByUser[notification.userId]) pendingByUser[notification.userId] = [];
+      pendingByUser[notification.userId].push(notification);
+    });
+
+    let sent = 0;
+    for (const [userId, pending] of Object.entries(pendingByUser)) {
+      const cutoff = getDigestCutoff(settingsByUser[userId], now);
+      if (cutoff === null) continue;
+
+      const due = pending
+        .filter((notification) => (toMillis(notification.createdAt) || 0) <= cutoff)
+        .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+      if (due.length === 0) continue;
+
+      const digest = buildDigest(due);
+      const result = await sendNotificationChannels(
+        userId,
+        { id: `digest_${userId}_${cutoff}`, type: 'digest', ...digest },
+        getDigestChannels(settingsByUser[userId])
+      );
+      if (!result.success) continue;
+
+      const batch = writeBatch(db);
+      due.forEach((notification) => {
+        batch.update(notification.ref, {
+          digestStatus: DIGEST_STATUS.SENT,
+          digestSentAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+      sent++;
+    }
+
+    return { success: true, sent };
+  } catch (error) {
+    console.error('Error processing notification digests:', error);
+    return { success: false, error: error.message };
+  }
+};
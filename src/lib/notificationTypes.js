@@ -0,0 +1,8 @@
+// Notification type identifiers shared by the rules, preferences and delivery code
+
+export const NOTIFICATION_TYPES = {
+  ARRIVAL: 'arrival',
+  DELAY: 'delay',
+  EMERGENCY: 'emergency',
+  ROUTE_CHANGE: 'route_change'
+};
@@ -0,0 +1,190 @@
+// Web Push service: service worker registration and per-user push subscriptions
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+
+const SERVICE_WORKER_URL = '/sw.js';
+const SUBSCRIPTIONS_COLLECTION = 'pushSubscriptions';
+
+// Public VAPID key of whatever sends pushes; without it only the local harness works
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || '';
+
+export const PUSH_STATUS = {
+  UNSUPPORTED: 'unsupported',
+  DENIED: 'denied',
+  DISABLED: 'disabled',
+  LOCAL_ONLY: 'local-only',
+  SUBSCRIBED: 'subscribed'
+};
+
+export const isPushSupported = () => {
+  return typeof window !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window;
+};
+
+const urlBase64ToUint8Array = (base64) => {
+  const padding = '='.repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+// Stable document ID per user and endpoint, so a shared browser keeps one doc per account
+const getSubscriptionId = async (userId, endpoint) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${userId}:${endpoint}`));
+  return Array.from(new Uint8Array(digest).slice(0, 16))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Register the notification service worker (safe to call repeatedly)
+ */
+export const registerServiceWorker = async () => {
+  if (!isPushSupported()) {
+    return { success: false, error: 'Push notifications are not supported in this browser' };
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    return { success: true, registration };
+  } catch (error) {
+    console.error('Error registering service worker:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Current push state for this browser
+ * @returns {Promise<string>} One of PUSH_STATUS
+ */
+export const getPushStatus = async () => {
+  if (!isPushSupported()) return PUSH_STATUS.UNSUPPORTED;
+  if (Notification.permission === 'denied') return PUSH_STATUS.DENIED;
+  if (Notification.permission !== 'granted') return PUSH_STATUS.DISABLED;
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  if (!registration) return PUSH_STATUS.DISABLED;
+
+  const subscription = await registration.pushManager.getSubscription();
+  if (subscription) return PUSH_STATUS.SUBSCRIBED;
+  return VAPID_PUBLIC_KEY ? PUSH_STATUS.DISABLED : PUSH_STATUS.LOCAL_ONLY;
+};
+
+/**
+ * Ask for permission, subscribe this browser and store the subscription for the user
+ * @param {string} userId - Signed-in user ID
+ */
+export const subscribeToPush = async (userId) => {
+  try {
+    const registered = await registerServiceWorker();
+    if (!registered.success) return registered;
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return { success: false, error: 'Notification permission was not granted' };
+    }
+
+    if (!VAPID_PUBLIC_KEY) {
+      // Without a push sender the local test harness can still display notifications
+      return { success: true, status: PUSH_STATUS.LOCAL_ONLY };
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+      });
+
+    const { endpoint, keys } = subscription.toJSON();
+    await setDoc(doc(db, SUBSCRIPTIONS_COLLECTION, await getSubscriptionId(userId, endpoint)), {
+      userId,
+      endpoint,
+      keys,
+      userAgent: navigator.userAgent,
+      createdAt: serverTimestamp()
+    });
+
+    return { success: true, status: PUSH_STATUS.SUBSCRIBED };
+  } catch (error) {
+    console.error('Error subscribing to push:', error);
+    return { success: false, error: error.message || 'Failed to enable push notifications' };
+  }
+};
+
+/**
+ * Unsubscribe this browser and remove the user's stored subscription
+ * @param {string} userId - Signed-in user ID
+ */
+export const unsubscribeFromPush = async (userId) => {
+  try {
+    const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+    const subscription = await registration?.pushManager.getSubscription();
+    if (subscription) {
+      await deleteDoc(doc(db, SUBSCRIPTIONS_COLLECTION, await getSubscriptionId(userId, subscription.endpoint)));
+      await subscription.unsubscribe();
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error unsubscribing from push:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * All stored push subscriptions for a user (used by whatever sends pushes)
+ */
+export const getUserPushSubscriptions = async (userId) => {
+  try {
+    const q = query(collection(db, SUBSCRIPTIONS_COLLECTION), where('userId', '==', userId));
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })) };
+  } catch (error) {
+    console.error('Error getting push subscriptions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Push payload for a notification document, as the service worker expects it
+ */
+export const buildPushPayload = (notification) => ({
+  notificationId: notification.id || null,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  url: '/',
+  timestamp: Date.now()
+});
+
+/**
+ * Local test harness: hand a payload straight to the service worker, which
+ * displays it exactly as it would a real push. No push provider is involved.
+ */
+export const deliverTestPush = async (payload) => {
+  try {
+    const registered = await registerServiceWorker();
+    if (!registered.success) return registered;
+
+    if (Notification.permission !== 'granted') {
+      return { success: false, error: 'Allow notifications first' };
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    registration.active.postMessage({ type: 'TEST_PUSH', payload });
+    return { success: true };
+  } catch (error) {
+    console.error('Error delivering test push:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,58 @@
+// Generic repository over one collection of a repository backend
+
+/**
+ * @param {Function} getBackend - Returns the active backend; read on every call
+ *   so swapping backends takes effect for existing repositories
+ * @param {string} name - Collection name
+ * @returns {Object} Collection repository
+ */
+export const createCollectionRepository = (getBackend, name) => ({
+  name,
+
+  /**
+   * Live query results
+   * @param {Object} options - { where: [[field, op, value]], orderBy: [field, direction], limit }
+   * @param {Function} callback - Receives [{ id, ...data }]
+   * @param {Function} onError - Called when the listener fails
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (options, callback, onError) => getBackend().subscribe(name, options, callback, onError),
+
+  /**
+   * Live single document; the callback receives null while it doesn't exist
+   */
+  subscribeOne: (id, callback, onError) => getBackend().subscribeOne(name, id, callback, onError),
+
+  list: (options) => getBackend().list(name, options),
+
+  get: (id) => getBackend().get(name, id),
+
+  /**
+   * Add a document with createdAt/updatedAt stamps
+   * @returns {Promise<string>} New document ID
+   */
+  create: (data) => {
+    const backend = getBackend();
+    return backend.add(name, {
+      ...data,
+      createdAt: backend.serverTimestamp(),
+      updatedAt: backend.serverTimestamp()
+    });
+  },
+
+  /**
+   * Change fields of an existing document and stamp updatedAt
+   */
+  update: (id, changes) => {
+    const backend = getBackend();
+    return backend.update(name, id, { ...changes, updatedAt: backend.serverTimestamp() });
+  },
+
+  set: (id, data, options) => getBackend().set(name, id, data, options),
+
+  remove: (id) => getBackend().remove(name, id),
+
+  // Write sentinels of the active backend
+  timestamp: () => getBackend().serverTimestamp(),
+  deleteField: () => getBackend().deleteField()
+});
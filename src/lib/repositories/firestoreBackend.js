@@ -0,0 +1,87 @@
+// Repository backend backed by Cloud Firestore
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  deleteField
+} from 'firebase/firestore';
+import { db } from '../firebase.js';
+
+// Pending server timestamps read as the local estimate rather than null
+const toRecord = (snapshot) => ({
+  id: snapshot.id,
+  ...snapshot.data({ serverTimestamps: 'estimate' })
+});
+
+/**
+ * Firestore query from a repository query description
+ * @param {Object} options - { where: [[field, op, value]], orderBy: [field, direction], limit }
+ */
+const buildQuery = (database, name, { where: filters = [], orderBy: order, limit: max } = {}) => {
+  const constraints = filters.map(([field, op, value]) => where(field, op, value));
+  if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+  if (max) constraints.push(limit(max));
+  return query(collection(database, name), ...constraints);
+};
+
+const logListenerError = (name) => (error) => {
+  console.error(`Error listening to ${name}:`, error);
+};
+
+/**
+ * @param {Object} database - Firestore instance
+ * @returns {Object} Repository backend
+ */
+export const createFirestoreBackend = (database = db) => ({
+  subscribe: (name, options, onData, onError = logListenerError(name)) => {
+    return onSnapshot(
+      buildQuery(database, name, options),
+      (snapshot) => onData(snapshot.docs.map(toRecord)),
+      onError
+    );
+  },
+
+  subscribeOne: (name, id, onData, onError = logListenerError(name)) => {
+    return onSnapshot(
+      doc(database, name, id),
+      (snapshot) => onData(snapshot.exists() ? toRecord(snapshot) : null),
+      onError
+    );
+  },
+
+  list: async (name, options) => {
+    const snapshot = await getDocs(buildQuery(database, name, options));
+    return snapshot.docs.map(toRecord);
+  },
+
+  get: async (name, id) => {
+    const snapshot = await getDoc(doc(database, name, id));
+    return snapshot.exists() ? toRecord(snapshot) : null;
+  },
+
+  add: async (name, data) => {
+    const ref = await addDoc(collection(database, name), data);
+    return ref.id;
+  },
+
+  set: (name, id, data, { merge = false } = {}) => setDoc(doc(database, name, id), data, { merge }),
+
+  update: (name, id, changes) => updateDoc(doc(database, name, id), changes),
+
+  remove: (name, id) => deleteDoc(doc(database, name, id)),
+
+  serverTimestamp,
+
+  deleteField
+});
@@ -0,0 +1,35 @@
+// Data-access layer: repositories over a swappable backend (Firestore by default)
+//
+// Tests and offline demos switch every repository to memory at once:
+//
+//   setRepositoryBackend(createMemoryBackend({ routes: { r1: { routeNumber: '1' } } }));
+import { createFirestoreBackend } from './firestoreBackend.js';
+import { createUsersRepository } from './usersRepository.js';
+import { createRoutesRepository } from './routesRepository.js';
+import { createSchedulesRepository } from './schedulesRepository.js';
+import { createNotificationsRepository } from './notificationsRepository.js';
+import { createLocationsRepository } from './locationsRepository.js';
+
+export { createFirestoreBackend } from './firestoreBackend.js';
+export { createMemoryBackend } from './memoryBackend.js';
+
+let backend = null;
+
+const getBackend = () => {
+  if (!backend) backend = createFirestoreBackend();
+  return backend;
+};
+
+/**
+ * Point every repository at another backend
+ * @param {Object|null} next - A backend, or null to go back to Firestore
+ */
+export const setRepositoryBackend = (next) => {
+  backend = next;
+};
+
+export const usersRepository = createUsersRepository(getBackend);
+export const routesRepository = createRoutesRepository(getBackend);
+export const schedulesRepository = createSchedulesRepository(getBackend);
+export const notificationsRepository = createNotificationsRepository(getBackend);
+export const locationsRepository = createLocationsRepository(getBackend);
@@ -0,0 +1,17 @@
+// Live vehicle positions in driverLocations
+import { createCollectionRepository } from './collectionRepository.js';
+
+export const createLocationsRepository = (getBackend) => {
+  const locations = createCollectionRepository(getBackend, 'driverLocations');
+
+  return {
+    ...locations,
+
+    /**
+     * Vehicles currently sharing their location
+     */
+    listenToActive: (callback, onError) => locations.subscribe({
+      where: [['isActive', '==', true]]
+    }, callback, onError)
+  };
+};
@@ -0,0 +1,191 @@
+// In-memory repository backend with live subscriptions, for offline tests and demos
+import { toMillis } from '../timeUtils.js';
+
+// Write sentinels, the equivalents of Firestore's serverTimestamp() and deleteField()
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const DELETE_FIELD = Symbol('deleteField');
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+);
+
+const getField = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+const comparable = (value) => {
+  if (value instanceof Date || value?.toMillis || value?.seconds !== undefined) return toMillis(value);
+  return value;
+};
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== undefined && a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'in': (a, b) => b.includes(a),
+  'not-in': (a, b) => a !== undefined && !b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+  'array-contains-any': (a, b) => Array.isArray(a) && a.some((item) => b.includes(item))
+};
+
+const logListenerError = (name) => (error) => {
+  console.error(`Error listening to ${name}:`, error);
+};
+
+/**
+ * Records matching a repository query description, like Firestore would return them
+ */
+const runQuery = (records, { where: filters = [], orderBy: order, limit: max } = {}) => {
+  let results = records.filter((record) => filters.every(([field, op, value]) => {
+    const test = OPERATORS[op];
+    if (!test) throw new Error(`Unsupported query operator: ${op}`);
+    return test(comparable(getField(record, field)), comparable(value));
+  }));
+
+  if (order) {
+    const [field, direction = 'asc'] = order;
+    // Firestore leaves out documents that don't have the ordered field
+    results = results
+      .filter((record) => getField(record, field) !== undefined)
+      .sort((a, b) => {
+        const x = comparable(getField(a, field));
+        const y = comparable(getField(b, field));
+        const result = x < y ? -1 : x > y ? 1 : 0;
+        return direction === 'desc' ? -result : result;
+      });
+  }
+
+  return max ? results.slice(0, max) : results;
+};
+
+/**
+ * @param {Object} seed - Initial data as { collectionName: { docId: data } }
+ * @param {Object} options - { now } clock used for server timestamps
+ * @returns {Object} Repository backend, plus dump() for assertions
+ */
+export const createMemoryBackend = (seed = {}, { now = Date.now } = {}) => {
+  const collections = new Map();
+  const listeners = new Set();
+  let nextId = 1;
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  Object.entries(seed).forEach(([name, docs]) => {
+    Object.entries(docs).forEach(([id, data]) => getCollection(name).set(id, structuredClone(data)));
+  });
+
+  // Copies, so callers can't change stored data by mutating what they read
+  const readRecord = (name, id) => {
+    const data = getCollection(name).get(id);
+    return data ? { id, ...structuredClone(data) } : null;
+  };
+
+  const readAll = (name) => [...getCollection(name).keys()].map((id) => readRecord(name, id));
+
+  // A failing query ends the subscription, as onSnapshot does after its error callback
+  const deliver = (listener) => {
+    if (!listeners.has(listener)) return;
+    let data;
+    try {
+      data = listener.id
+        ? readRecord(listener.name, listener.id)
+        : runQuery(readAll(listener.name), listener.options);
+    } catch (error) {
+      listeners.delete(listener);
+      listener.onError(error);
+      return;
+    }
+    listener.onData(data);
+  };
+
+  // Listeners hear about writes asynchronously, as with onSnapshot
+  const notify = (name) => {
+    listeners.forEach((listener) => {
+      if (listener.name === name) queueMicrotask(() => deliver(listener));
+    });
+  };
+
+  /**
+   * Apply written fields over the existing ones, resolving sentinels at any depth
+   * @param {Object} options - { merge } merges nested maps into existing ones, as
+   *   set() with { merge: true } does; otherwise a written map replaces the old one
+   */
+  const resolveFields = (data, existing = {}, { merge = false } = {}) => {
+    const result = { ...existing };
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === DELETE_FIELD) {
+        delete result[key];
+      } else if (value === SERVER_TIMESTAMP) {
+        result[key] = new Date(now());
+      } else if (isPlainObject(value)) {
+        const current = merge && isPlainObject(result[key]) ? result[key] : {};
+        result[key] = resolveFields(value, current, { merge });
+      } else {
+        result[key] = structuredClone(value);
+      }
+    });
+    return result;
+  };
+
+  const addListener = (listener) => {
+    listeners.add(listener);
+    queueMicrotask(() => deliver(listener));
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    subscribe: (name, options, onData, onError = logListenerError(name)) => (
+      addListener({ name, options, onData, onError })
+    ),
+
+    subscribeOne: (name, id, onData, onError = logListenerError(name)) => (
+      addListener({ name, id, onData, onError })
+    ),
+
+    list: async (name, options) => runQuery(readAll(name), options),
+
+    get: async (name, id) => readRecord(name, id),
+
+    add: async (name, data) => {
+      const id = `mem-${nextId++}`;
+      getCollection(name).set(id, resolveFields(data));
+      notify(name);
+      return id;
+    },
+
+    set: async (name, id, data, { merge = false } = {}) => {
+      const existing = merge ? getCollection(name).get(id) : undefined;
+      getCollection(name).set(id, resolveFields(data, existing, { merge }));
+      notify(name);
+    },
+
+    update: async (name, id, changes) => {
+      const existing = getCollection(name).get(id);
+      if (!existing) throw new Error(`No document to update: ${name}/${id}`);
+      getCollection(name).set(id, resolveFields(changes, existing));
+      notify(name);
+    },
+
+    remove: async (name, id) => {
+      getCollection(name).delete(id);
+      notify(name);
+    },
+
+    serverTimestamp: () => SERVER_TIMESTAMP,
+
+    deleteField: () => DELETE_FIELD,
+
+    /**
+     * Everything stored, as { collectionName: { docId: data } }
+     */
+    dump: () => Object.fromEntries(
+      [...collections.entries()].map(([name, docs]) => [name, Object.fromEntries(
+        [...docs.entries()].map(([id, data]) => [id, structuredClone(data)])
+      )])
+    )
+  };
+};
@@ -0,0 +1,30 @@
+// Per-user notification settings, stored in userSettings
+import { createCollectionRepository } from './collectionRepository.js';
+
+export const createNotificationsRepository = (getBackend) => {
+  const settings = createCollectionRepository(getBackend, 'userSettings');
+
+  return {
+    /**
+     * A user's notification settings; the callback receives null until saved
+     */
+    listenToSettings: (userId, callback, onError) => settings.subscribeOne(userId, (record) => {
+      callback(record?.notifications || null);
+    }, onError),
+
+    saveSettings: (userId, notifications) => settings.set(userId, {
+      notifications,
+      updatedAt: settings.timestamp()
+    }, { merge: true }),
+
+    /**
+     * Every user that has notification settings
+     * @param {Function} callback - Receives [{ userId, notifications }]
+     */
+    listenToSubscribers: (callback, onError) => settings.subscribe({}, (records) => {
+      callback(records
+        .filter((record) => record.notifications)
+        .map((record) => ({ userId: record.id, notifications: record.notifications })));
+    }, onError)
+  };
+};
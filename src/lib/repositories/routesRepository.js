@@ -0,0 +1,18 @@
+// Bus routes
+import { createCollectionRepository } from './collectionRepository.js';
+
+export const createRoutesRepository = (getBackend) => {
+  const routes = createCollectionRepository(getBackend, 'routes');
+
+  return {
+    ...routes,
+
+    /**
+     * @param {Object} options - { activeOnly } skips routes marked inactive
+     */
+    listen: (callback, { activeOnly = false } = {}, onError) => routes.subscribe({}, (list) => {
+      // Routes without the flag count as active, so this can't be a query
+      callback(activeOnly ? list.filter((route) => route.isActive !== false) : list);
+    }, onError)
+  };
+};
@@ -0,0 +1,19 @@
+// Bus schedules
+import { createCollectionRepository } from './collectionRepository.js';
+
+export const createSchedulesRepository = (getBackend) => {
+  const schedules = createCollectionRepository(getBackend, 'schedules');
+
+  return {
+    ...schedules,
+
+    /**
+     * @param {Object} options - { activeOnly } only schedules in service,
+     *   { byDeparture } sorted by departure time (not combinable without an index)
+     */
+    listen: (callback, { activeOnly = false, byDeparture = false } = {}, onError) => schedules.subscribe({
+      where: activeOnly ? [['isActive', '==', true]] : [],
+      orderBy: byDeparture ? ['departureTime', 'asc'] : undefined
+    }, callback, onError)
+  };
+};
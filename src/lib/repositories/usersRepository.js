@@ -0,0 +1,30 @@
+// Users and their login activity
+import { createCollectionRepository } from './collectionRepository.js';
+
+export const createUsersRepository = (getBackend) => {
+  const users = createCollectionRepository(getBackend, 'users');
+  const logins = createCollectionRepository(getBackend, 'login');
+
+  return {
+    ...users,
+
+    listen: (callback, onError) => users.subscribe({}, callback, onError),
+
+    // Filtering on isVerified as well would need a composite index
+    listenToPending: (callback, onError) => users.subscribe({
+      where: [['isPending', '==', true]]
+    }, callback, onError),
+
+    listenToVerified: (callback, onError) => users.subscribe({
+      where: [['isVerified', '==', true]]
+    }, callback, onError),
+
+    /**
+     * Most recent login events, newest first
+     */
+    listenToRecentLogins: (count, callback, onError) => logins.subscribe({
+      orderBy: ['timestamp', 'desc'],
+      limit: count
+    }, callback, onError)
+  };
+};
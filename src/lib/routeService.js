@@ -0,0 +1,85 @@
+// Route service for route listings and route geometry
+import {
+  doc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { pathLength, projectPointOnPath } from './geoUtils.js';
+import { hasCoordinates, addStopDistanceUpdates } from './stopService.js';
+import { DEFAULT_ROUTE_COLOR } from './mapConfig.js';
+import { routesRepository } from './repositories/index.js';
+
+/**
+ * Listen to all routes
+ * @param {Function} callback - Receives the route list
+ * @param {Object} options - { activeOnly } skips routes marked inactive,
+ *   { onError } is told when the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToRoutes = (callback, { activeOnly = false, onError } = {}) => {
+  return routesRepository.listen(callback, { activeOnly }, (error) => {
+    console.error('Error listening to routes:', error);
+    callback([]);
+    if (onError) onError(error);
+  });
+};
+
+/**
+ * Whether a route has a drawable path
+ */
+export const hasRouteGeometry = (route) => {
+  return Array.isArray(route?.path) && route.path.length >= 2;
+};
+
+/**
+ * Distance of each placed stop along the route path, in meters
+ * @param {Array<Object>} path - Ordered { latitude, longitude } vertices
+ * @param {Array<Object>} stops - Stops with coordinates
+ * @returns {Object} Map of stop ID to distance along the path
+ */
+export const computeStopDistances = (path, stops) => {
+  if (path.length < 2) return {};
+
+  return stops.filter(hasCoordinates).reduce((distances, stop) => {
+    const projection = projectPointOnPath(stop, path);
+    return { ...distances, [stop.id]: Math.round(projection.distanceAlong) };
+  }, {});
+};
+
+/**
+ * Save a route's drawn path and colour, plus any stops moved in the editor
+ * @param {string} routeId - Route document ID
+ * @param {Object} geometry - { path, color, stops } where stops are the route's
+ *   stops with their edited coordinates and a `moved` flag
+ */
+export const saveRouteGeometry = async (routeId, { path, color = DEFAULT_ROUTE_COLOR, stops = [] }) => {
+  try {
+    const batch = writeBatch(db);
+    const cleanPath = path.map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+    batch.update(doc(db, 'routes', routeId), {
+      path: cleanPath,
+      color,
+      pathLength: Math.round(pathLength(cleanPath)),
+      stopDistances: computeStopDistances(cleanPath, stops),
+      updatedAt: serverTimestamp()
+    });
+
+    // Other routes through a moved stop need its new distance too
+    for (const stop of stops.filter((stop) => stop.moved && hasCoordinates(stop))) {
+      batch.update(doc(db, 'stops', stop.id), {
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        updatedAt: serverTimestamp()
+      });
+      await addStopDistanceUpdates(batch, stop.id, stop, [routeId]);
+    }
+
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving route geometry:', error);
+    return { success: false, error: error.message || 'Failed to save route geometry' };
+  }
+};
@@ -0,0 +1,173 @@
+// Adaptive, battery-aware sampling policy for driver location uploads
+import { haversineDistance } from './geoUtils.js';
+
+const PRESET_STORAGE_KEY = 'busTracker.samplingPreset';
+
+export const SAMPLING_PRESETS = {
+  highPrecision: {
+    id: 'highPrecision',
+    label: 'High precision',
+    description: 'Frequent updates for the smoothest tracking. Uses the most battery.',
+    watchOptions: { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 },
+    minInterval: 2000,
+    maxInterval: 15000,
+    minDistance: 10,
+    minHeadingChange: 20
+  },
+  balanced: {
+    id: 'balanced',
+    label: 'Balanced',
+    description: 'Updates on meaningful movement. Recommended for most trips.',
+    watchOptions: { enableHighAccuracy: true, timeout: 15000, maximumAge: 5000 },
+    minInterval: 5000,
+    maxInterval: 30000,
+    minDistance: 30,
+    minHeadingChange: 30
+  },
+  saver: {
+    id: 'saver',
+    label: 'Battery saver',
+    description: 'Coarser, less frequent updates to stretch a low battery.',
+    watchOptions: { enableHighAccuracy: false, timeout: 30000, maximumAge: 30000 },
+    minInterval: 15000,
+    maxInterval: 60000,
+    minDistance: 80,
+    minHeadingChange: 45
+  }
+};
+
+export const DEFAULT_SAMPLING_PRESET = 'balanced';
+
+// Speed bands in m/s: stopped buses only send heartbeats, fast ones trade distance for time
+export const SPEED_BANDS = [
+  { id: 'stopped', maxSpeed: 1, intervalFactor: 1, distanceFactor: 1 },
+  { id: 'city', maxSpeed: 12, intervalFactor: 1, distanceFactor: 1 },
+  { id: 'highway', maxSpeed: Infinity, intervalFactor: 0.5, distanceFactor: 3 }
+];
+
+// Battery levels (0-1) below which thresholds are stretched while discharging
+export const BATTERY_LEVELS = [
+  { maxLevel: 0.1, factor: 4 },
+  { maxLevel: 0.2, factor: 2 }
+];
+
+export const getSpeedBand = (speed) => {
+  return SPEED_BANDS.find((band) => (speed || 0) < band.maxSpeed);
+};
+
+const getBatteryFactor = (battery) => {
+  if (!battery || battery.charging) return 1;
+  const level = BATTERY_LEVELS.find((entry) => battery.level <= entry.maxLevel);
+  return level ? level.factor : 1;
+};
+
+/**
+ * Resolve a preset into concrete thresholds for the current speed and battery
+ * @param {string} presetId - Key of SAMPLING_PRESETS
+ * @param {number} speed - Current speed in m/s
+ * @param {Object|null} battery - { level, charging } or null when unknown
+ */
+export const getSamplingThresholds = (presetId, speed, battery) => {
+  const preset = SAMPLING_PRESETS[presetId] || SAMPLING_PRESETS[DEFAULT_SAMPLING_PRESET];
+  const band = getSpeedBand(speed);
+  const batteryFactor = getBatteryFactor(battery);
+
+  return {
+    band: band.id,
+    batteryFactor,
+    minInterval: preset.minInterval * band.intervalFactor * batteryFactor,
+    // The heartbeat interval is never stretched so the driver doesn't look offline
+    maxInterval: preset.maxInterval,
+    minDistance: preset.minDistance * band.distanceFactor * batteryFactor,
+    minHeadingChange: preset.minHeadingChange,
+    // Parked buses only report on the heartbeat
+    movementUploads: band.id !== 'stopped'
+  };
+};
+
+const headingDelta = (a, b) => {
+  const delta = Math.abs((a || 0) - (b || 0)) % 360;
+  return delta > 180 ? 360 - delta : delta;
+};
+
+/**
+ * Decide whether a filtered fix should be written to Firestore
+ * @param {Object|null} lastUploaded - Last uploaded fix ({ coords, timestamp })
+ * @param {Object} candidate - New fix ({ coords, timestamp })
+ * @param {Object} thresholds - Result of getSamplingThresholds
+ * @returns {Object} { upload, reason }
+ */
+export const shouldUploadFix = (lastUploaded, candidate, thresholds) => {
+  if (!lastUploaded) return { upload: true, reason: 'first-fix' };
+
+  const elapsed = candidate.timestamp - lastUploaded.timestamp;
+  if (elapsed >= thresholds.maxInterval) return { upload: true, reason: 'heartbeat' };
+  if (elapsed < thresholds.minInterval) return { upload: false, reason: 'min-interval' };
+  if (!thresholds.movementUploads) return { upload: false, reason: 'stopped' };
+
+  const distance = haversineDistance(lastUploaded.coords, candidate.coords);
+  if (distance >= thresholds.minDistance) return { upload: true, reason: 'distance' };
+
+  const turned = headingDelta(lastUploaded.coords.heading, candidate.coords.heading);
+  if (candidate.coords.heading !== null && turned >= thresholds.minHeadingChange) {
+    return { upload: true, reason: 'heading-change' };
+  }
+
+  return { upload: false, reason: 'no-movement' };
+};
+
+/**
+ * Subscribe to battery level changes via the Battery Status API when available
+ * @param {Function} callback - Receives { level, charging }
+ * @returns {Function} Unsubscribe function
+ */
+export const watchBatteryStatus = (callback) => {
+  if (typeof navigator === 'undefined' || !navigator.getBattery) {
+    return () => {};
+  }
+
+  let battery = null;
+  let cancelled = false;
+  const notify = () => callback({ level: battery.level, charging: battery.charging });
+
+  navigator.getBattery().then((result) => {
+    if (cancelled) return;
+    battery = result;
+    notify();
+    battery.addEventListener('levelchange', notify);
+    battery.addEventListener('chargingchange', notify);
+  }).catch((error) => {
+    console.warn('Battery status unavailable:', error);
+  });
+
+  return () => {
+    cancelled = true;
+    if (battery) {
+      battery.removeEventListener('levelchange', notify);
+      battery.removeEventListener('chargingchange', notify);
+    }
+  };
+};
+
+/**
+ * Load the driver's preferred preset from this device
+ */
+export const loadSamplingPreset = () => {
+  try {
+    const stored = localStorage.getItem(PRESET_STORAGE_KEY);
+    return SAMPLING_PRESETS[stored] ? stored : DEFAULT_SAMPLING_PRESET;
+  } catch {
+    return DEFAULT_SAMPLING_PRESET;
+  }
+};
+
+/**
+ * Remember the driver's preferred preset on this device
+ */
+export const saveSamplingPreset = (presetId) => {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, presetId);
+  } catch (error) {
+    console.warn('Could not save sampling preset:', error);
+  }
+};
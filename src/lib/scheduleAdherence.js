@@ -0,0 +1,215 @@
+// Pure schedule matching and early/late calculation for live vehicles
+import { pathLength } from './geoUtils.js';
+import { findRouteForVehicle, projectVehicleOnRoute } from './etaEngine.js';
+
+export const ADHERENCE_STATUS = {
+  ON_TIME: 'on-time',
+  EARLY: 'early',
+  LATE: 'late',
+  UNKNOWN: 'unknown'
+};
+
+// Badge and marker-label colours for each status
+export const ADHERENCE_COLORS = {
+  [ADHERENCE_STATUS.ON_TIME]: '#16a34a',
+  [ADHERENCE_STATUS.LATE]: '#dc2626',
+  [ADHERENCE_STATUS.EARLY]: '#d97706',
+  [ADHERENCE_STATUS.UNKNOWN]: '#6b7280'
+};
+
+// Deviation band (minutes) counted as on time, following common transit practice
+export const ADHERENCE_THRESHOLDS = {
+  earlyMinutes: 1,
+  lateMinutes: 5
+};
+
+// How far around a scheduled trip a vehicle may still be matched to it (minutes)
+const MATCH_BEFORE_DEPARTURE = 30;
+const MATCH_AFTER_ARRIVAL = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Parse an "HH:MM" time into minutes since midnight
+ * @returns {number|null}
+ */
+export const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Format minutes since midnight as "HH:MM"
+ */
+export const formatTimeOfDay = (minutes) => {
+  const wrapped = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = String(Math.floor(wrapped / 60)).padStart(2, '0');
+  const mins = String(wrapped % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+/**
+ * Read a headway in minutes out of a free-text frequency ("Every 30 minutes", "1 hour")
+ * @returns {number|null}
+ */
+export const parseFrequencyMinutes = (frequency) => {
+  const match = /(\d+(?:\.\d+)?)\s*(h|hr|hrs|hour|hours|m|min|mins|minute|minutes)?\b/i.exec(frequency || '');
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const minutes = /^h/i.test(match[2] || '') ? value * 60 : value;
+  return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Weekday name used by schedules (e.g. 'monday') for a date
+ */
+export const getWeekday = (date) => WEEKDAYS[date.getDay()];
+
+/**
+ * Expand a schedule into its trips for one day. The departure/arrival pair is
+ * the first trip; a frequency repeats it with the same running time until the
+ * end of the day.
+ * @returns {Array} [{ departure, arrival }] in minutes since midnight
+ */
+export const getScheduleTrips = (schedule) => {
+  const departure = parseTimeOfDay(schedule.departureTime);
+  const arrival = parseTimeOfDay(schedule.arrivalTime);
+  if (departure === null || arrival === null) return [];
+
+  // Trips that run past midnight keep counting minutes upward
+  const runningTime = arrival >= departure ? arrival - departure : arrival + MINUTES_PER_DAY - departure;
+  const headway = parseFrequencyMinutes(schedule.frequency);
+
+  const trips = [];
+  let start = departure;
+  do {
+    trips.push({ departure: start, arrival: start + runningTime });
+    start += headway || MINUTES_PER_DAY;
+  } while (headway && start < MINUTES_PER_DAY);
+
+  return trips;
+};
+
+/**
+ * Schedules a vehicle could be running today: same bus number (and route when
+ * both are known), falling back to any schedule on the vehicle's route
+ */
+export const findCandidateSchedules = (vehicle, schedules, routes, date = new Date()) => {
+  const weekday = getWeekday(date);
+  const route = findRouteForVehicle(vehicle, routes);
+  const busKey = normalize(vehicle.busNumber);
+
+  const runningToday = schedules.filter((schedule) =>
+    schedule.isActive !== false && (schedule.daysOfWeek || []).includes(weekday)
+  );
+
+  const byBus = runningToday.filter((schedule) =>
+    busKey && normalize(schedule.busNumber) === busKey &&
+    (!route || !schedule.routeId || schedule.routeId === route.id)
+  );
+  if (byBus.length > 0) return { route, schedules: byBus };
+
+  return {
+    route,
+    schedules: route ? runningToday.filter((schedule) => schedule.routeId === route.id) : []
+  };
+};
+
+const classify = (deviationMinutes) => {
+  if (deviationMinutes > ADHERENCE_THRESHOLDS.lateMinutes) return ADHERENCE_STATUS.LATE;
+  if (deviationMinutes < -ADHERENCE_THRESHOLDS.earlyMinutes) return ADHERENCE_STATUS.EARLY;
+  return ADHERENCE_STATUS.ON_TIME;
+};
+
+/**
+ * Compare a live vehicle against the scheduled trip it is most likely running.
+ * Progress along the drawn route gives the expected time at the current
+ * position; without geometry only running past the arrival time is detected.
+ * @param {Object} vehicle - Live driver location
+ * @param {Array} schedules - Schedule documents
+ * @param {Array} routes - Route documents
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} { status, deviationMinutes, scheduleId, routeId,
+ *   tripDeparture, expectedAt } or null when no schedule matches
+ */
+export const computeAdherence = (vehicle, schedules, routes, now = Date.now()) => {
+  const date = new Date(now);
+  const nowMinutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  const { route, schedules: candidates } = findCandidateSchedules(vehicle, schedules, routes, date);
+
+  let progress = null;
+  if (route && Array.isArray(route.path) && route.path.length >= 2) {
+    const position = projectVehicleOnRoute(vehicle, route);
+    const length = route.pathLength || pathLength(route.path);
+    if (position && length > 0) {
+      progress = Math.min(1, position.distanceAlong / length);
+    }
+  }
+
+  // Trips of yesterday's schedules that run past midnight are still on the road
+  // after 00:00; their times count on from yesterday's midnight
+  const yesterday = new Date(date);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const serviceDays = [
+    { schedules: candidates, clock: nowMinutes },
+    {
+      schedules: findCandidateSchedules(vehicle, schedules, routes, yesterday).schedules,
+      clock: nowMinutes + MINUTES_PER_DAY
+    }
+  ];
+
+  let best = null;
+  serviceDays.forEach(({ schedules: daySchedules, clock }) => {
+    daySchedules.forEach((schedule) => {
+      getScheduleTrips(schedule).forEach((trip) => {
+        if (clock < trip.departure - MATCH_BEFORE_DEPARTURE ||
+            clock > trip.arrival + MATCH_AFTER_ARRIVAL) {
+          return;
+        }
+
+        let deviation = null;
+        let expected = null;
+        if (progress !== null) {
+          expected = trip.departure + (trip.arrival - trip.departure) * progress;
+          deviation = clock - expected;
+        } else if (clock > trip.arrival) {
+          expected = trip.arrival;
+          deviation = clock - trip.arrival;
+        }
+
+        const score = deviation === null ? Infinity : Math.abs(deviation);
+        if (!best || score < best.score) {
+          best = { schedule, trip, deviation, expected, score };
+        }
+      });
+    });
+  });
+
+  if (!best) return null;
+
+  return {
+    status: best.deviation === null ? ADHERENCE_STATUS.UNKNOWN : classify(best.deviation),
+    deviationMinutes: best.deviation === null ? null : Math.round(best.deviation),
+    scheduleId: best.schedule.id,
+    routeId: best.schedule.routeId || route?.id || null,
+    tripDeparture: formatTimeOfDay(best.trip.departure),
+    expectedAt: best.expected === null ? null : formatTimeOfDay(best.expected)
+  };
+};
+
+/**
+ * Short label such as "On time", "6 min late" or "2 min early"
+ */
+export const formatAdherence = (adherence) => {
+  if (!adherence || adherence.status === ADHERENCE_STATUS.UNKNOWN) return 'Scheduled';
+  if (adherence.status === ADHERENCE_STATUS.ON_TIME) return 'On time';
+
+  const minutes = Math.abs(adherence.deviationMinutes);
+  return adherence.status === ADHERENCE_STATUS.LATE ? `${minutes} min late` : `${minutes} min early`;
+};
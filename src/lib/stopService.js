@@ -0,0 +1,298 @@
+// Stop service for managing geolocated bus stops
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  onSnapshot,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  FieldPath,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { projectPointOnPath } from './geoUtils.js';
+
+const STOPS_COLLECTION = 'stops';
+const ROUTES_COLLECTION = 'routes';
+
+// Firestore allows 500 writes per batch; stay below it
+const MIGRATION_BATCH_SIZE = 400;
+
+// Accessibility attributes recorded for each stop
+export const STOP_ACCESSIBILITY = [
+  { key: 'wheelchairAccessible', label: 'Wheelchair accessible' },
+  { key: 'shelter', label: 'Shelter' },
+  { key: 'seating', label: 'Seating' },
+  { key: 'tactilePaving', label: 'Tactile paving' },
+  { key: 'audioAnnouncements', label: 'Audio announcements' }
+];
+
+export const EMPTY_ACCESSIBILITY = STOP_ACCESSIBILITY.reduce((attributes, { key }) => ({
+  ...attributes,
+  [key]: false
+}), {});
+
+const normalizeStopData = (stopData) => ({
+  code: (stopData.code || '').trim(),
+  name: (stopData.name || '').trim(),
+  latitude: stopData.latitude === '' || stopData.latitude === null || stopData.latitude === undefined
+    ? null
+    : Number(stopData.latitude),
+  longitude: stopData.longitude === '' || stopData.longitude === null || stopData.longitude === undefined
+    ? null
+    : Number(stopData.longitude),
+  accessibility: { ...EMPTY_ACCESSIBILITY, ...stopData.accessibility },
+  description: stopData.description || ''
+});
+
+/**
+ * Whether a stop has usable coordinates
+ */
+export const hasCoordinates = (stop) => {
+  return Number.isFinite(stop?.latitude) && Number.isFinite(stop?.longitude);
+};
+
+/**
+ * Listen to all stops, sorted by name
+ * @param {Function} callback - Receives the stop list
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToStops = (callback) => {
+  return onSnapshot(collection(db, STOPS_COLLECTION), (snapshot) => {
+    const stops = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    callback(stops);
+  }, (error) => {
+    console.error('Error listening to stops:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Create a stop
+ */
+export const createStop = async (stopData) => {
+  try {
+    const stopRef = await addDoc(collection(db, STOPS_COLLECTION), {
+      ...normalizeStopData(stopData),
+      routeIds: [],
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    return { success: true, id: stopRef.id };
+  } catch (error) {
+    console.error('Error creating stop:', error);
+    return { success: false, error: error.message || 'Failed to create stop' };
+  }
+};
+
+/**
+ * Add updates to a batch that re-project a stop onto every route serving it,
+ * so the cached stopDistances used for ETAs, the GTFS export and the
+ * simulation follow the stop when it moves
+ * @param {Object} batch - Firestore write batch
+ * @param {string} stopId - Stop document ID
+ * @param {Object} stop - The stop's new { latitude, longitude }
+ * @param {Array<string>} skipRouteIds - Routes the caller recomputes itself
+ */
+export const addStopDistanceUpdates = async (batch, stopId, stop, skipRouteIds = []) => {
+  const routesSnapshot = await getDocs(query(
+    collection(db, ROUTES_COLLECTION),
+    where('stopIds', 'array-contains', stopId)
+  ));
+
+  routesSnapshot.forEach((routeDoc) => {
+    const path = routeDoc.data().path || [];
+    if (skipRouteIds.includes(routeDoc.id) || path.length < 2) return;
+
+    // A FieldPath, because imported stop IDs may contain dots
+    batch.update(
+      routeDoc.ref,
+      new FieldPath('stopDistances', stopId),
+      hasCoordinates(stop) ? Math.round(projectPointOnPath(stop, path).distanceAlong) : deleteField()
+    );
+  });
+};
+
+/**
+ * Update a stop's details (served routes are maintained from the routes side)
+ */
+export const updateStop = async (stopId, stopData) => {
+  try {
+    const stop = normalizeStopData(stopData);
+    const batch = writeBatch(db);
+
+    batch.update(doc(db, STOPS_COLLECTION, stopId), {
+      ...stop,
+      updatedAt: serverTimestamp()
+    });
+    await addStopDistanceUpdates(batch, stopId, stop);
+
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating stop:', error);
+    return { success: false, error: error.message || 'Failed to update stop' };
+  }
+};
+
+/**
+ * Delete a stop and remove it from every route that references it
+ */
+export const deleteStop = async (stopId) => {
+  try {
+    const routesSnapshot = await getDocs(query(
+      collection(db, ROUTES_COLLECTION),
+      where('stopIds', 'array-contains', stopId)
+    ));
+
+    const batch = writeBatch(db);
+    routesSnapshot.forEach((routeDoc) => {
+      batch.update(routeDoc.ref, {
+        stopIds: arrayRemove(stopId),
+        updatedAt: serverTimestamp()
+      });
+    });
+    batch.delete(doc(db, STOPS_COLLECTION, stopId));
+    await batch.commit();
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting stop:', error);
+    return { success: false, error: error.message || 'Failed to delete stop' };
+  }
+};
+
+/**
+ * Keep each stop's served routes in step with a route's ordered stop IDs
+ * @param {string} routeId - Route document ID
+ * @param {Array<string>} previousStopIds - Stop IDs before the change
+ * @param {Array<string>} nextStopIds - Stop IDs after the change
+ */
+export const syncRouteStops = async (routeId, previousStopIds = [], nextStopIds = []) => {
+  try {
+    const batch = writeBatch(db);
+    const added = nextStopIds.filter((id) => !previousStopIds.includes(id));
+    const removed = previousStopIds.filter((id) => !nextStopIds.includes(id));
+
+    added.forEach((stopId) => {
+      batch.update(doc(db, STOPS_COLLECTION, stopId), { routeIds: arrayUnion(routeId) });
+    });
+    removed.forEach((stopId) => {
+      batch.update(doc(db, STOPS_COLLECTION, stopId), { routeIds: arrayRemove(routeId) });
+    });
+
+    if (added.length > 0 || removed.length > 0) {
+      await batch.commit();
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error syncing route stops:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolve a route's ordered stop IDs into stop objects
+ * @param {Object} route - Route document
+ * @param {Object} stopsById - Map of stop ID to stop
+ * @returns {Array} Ordered stops (unknown IDs are skipped)
+ */
+export const getRouteStops = (route, stopsById) => {
+  return (route?.stopIds || []).map((id) => stopsById[id]).filter(Boolean);
+};
+
+/**
+ * Whether a route still stores stops as a list of names
+ */
+export const hasLegacyStops = (route) => {
+  return Array.isArray(route.stops) && route.stops.length > 0;
+};
+
+/**
+ * Convert routes that store stops as name strings into references to stop
+ * documents. Stops are matched by name (case-insensitive) or created without
+ * coordinates so an admin can place them afterwards.
+ * @returns {Promise<Object>} { success, routesMigrated, stopsCreated }
+ */
+export const migrateLegacyRouteStops = async () => {
+  try {
+    const [routesSnapshot, stopsSnapshot] = await Promise.all([
+      getDocs(collection(db, ROUTES_COLLECTION)),
+      getDocs(collection(db, STOPS_COLLECTION))
+    ]);
+
+    const stopsByName = {};
+    stopsSnapshot.forEach((stopDoc) => {
+      const name = (stopDoc.data().name || '').trim().toLowerCase();
+      if (name) stopsByName[name] = { id: stopDoc.id, routeIds: stopDoc.data().routeIds || [] };
+    });
+
+    const routeUpdates = [];
+    let stopsCreated = 0;
+
+    routesSnapshot.forEach((routeDoc) => {
+      const route = routeDoc.data();
+      if (!hasLegacyStops(route)) return;
+
+      const stopIds = [];
+      route.stops.forEach((stopName) => {
+        const name = String(stopName).trim();
+        if (!name) return;
+
+        const key = name.toLowerCase();
+        if (!stopsByName[key]) {
+          const stopRef = doc(collection(db, STOPS_COLLECTION));
+          stopsByName[key] = { id: stopRef.id, routeIds: [], ref: stopRef, name };
+          stopsCreated++;
+        }
+
+        const stop = stopsByName[key];
+        if (!stopIds.includes(stop.id)) stopIds.push(stop.id);
+        if (!stop.routeIds.includes(routeDoc.id)) stop.routeIds.push(routeDoc.id);
+        stop.changed = true;
+      });
+
+      routeUpdates.push((batch) => batch.update(routeDoc.ref, {
+        stopIds,
+        stops: deleteField(),
+        updatedAt: serverTimestamp()
+      }));
+    });
+
+    const stopWrites = Object.values(stopsByName)
+      .filter((stop) => stop.ref || stop.changed)
+      .map((stop) => (batch) => {
+        if (stop.ref) {
+          batch.set(stop.ref, {
+            ...normalizeStopData({ name: stop.name }),
+            routeIds: stop.routeIds,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+          });
+        } else {
+          batch.update(doc(db, STOPS_COLLECTION, stop.id), { routeIds: stop.routeIds });
+        }
+      });
+
+    // Stops go first, so a route only loses its stop names once its stops exist.
+    // If a batch fails, running the migration again picks up where it stopped.
+    const writes = [...stopWrites, ...routeUpdates];
+    for (let i = 0; i < writes.length; i += MIGRATION_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + MIGRATION_BATCH_SIZE).forEach((write) => write(batch));
+      await batch.commit();
+    }
+
+    return { success: true, routesMigrated: routeUpdates.length, stopsCreated };
+  } catch (error) {
+    console.error('Error migrating route stops:', error);
+    return { success: false, error: error.message || 'Failed to migrate stops' };
+  }
+};
@@ -0,0 +1,29 @@
+// Time helpers shared by services and components
+
+/**
+ * Convert a Firestore timestamp, Date or number to epoch milliseconds
+ */
+export const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  if (typeof timestamp === 'number') return timestamp;
+  if (timestamp.toMillis) return timestamp.toMillis();
+  if (timestamp.seconds !== undefined) return timestamp.seconds * 1000;
+  return new Date(timestamp).getTime();
+};
+
+/**
+ * Relative label for a timestamp ("Just now", "5m ago", "2h ago" or a date)
+ */
+export const formatLastUpdated = (timestamp) => {
+  const millis = toMillis(timestamp);
+  if (!millis) return 'Unknown';
+
+  const diffMins = Math.floor((Date.now() - millis) / 60000);
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+
+  const diffHours = Math.floor(diffMins / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+
+  return new Date(millis).toLocaleDateString();
+};
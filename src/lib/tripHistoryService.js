@@ -0,0 +1,231 @@
+// Trip history service for recording per-trip location breadcrumbs
+import {
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  collectionGroup,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  writeBatch,
+  updateDoc,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from './firebase.js';
+import { haversineDistance } from './geoUtils.js';
+
+const DRIVER_LOCATIONS_COLLECTION = 'driverLocations';
+const TRIPS_SUBCOLLECTION = 'trips';
+const POINTS_SUBCOLLECTION = 'points';
+
+export const TRIP_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed'
+};
+
+const getTripRef = (userId, tripId) =>
+  doc(db, DRIVER_LOCATIONS_COLLECTION, userId, TRIPS_SUBCOLLECTION, tripId);
+
+const getPointsRef = (userId, tripId) =>
+  collection(db, DRIVER_LOCATIONS_COLLECTION, userId, TRIPS_SUBCOLLECTION, tripId, POINTS_SUBCOLLECTION);
+
+// Point IDs are the fix timestamp so re-uploads of the same fix are idempotent
+const getPointId = (position) => String(position.timestamp);
+
+const applyDateRange = (constraints, { from, to } = {}) => {
+  if (from) constraints.push(where('startedAt', '>=', Timestamp.fromDate(new Date(from))));
+  if (to) constraints.push(where('startedAt', '<=', Timestamp.fromDate(new Date(to))));
+  return constraints;
+};
+
+/**
+ * Start a new trip for a driver and link it from their live location doc
+ */
+export const startTrip = async (userId, driverInfo = {}) => {
+  try {
+    const tripRef = doc(collection(db, DRIVER_LOCATIONS_COLLECTION, userId, TRIPS_SUBCOLLECTION));
+    const batch = writeBatch(db);
+
+    batch.set(tripRef, {
+      tripId: tripRef.id,
+      userId,
+      displayName: driverInfo.displayName || 'Driver',
+      busNumber: driverInfo.busNumber || 'Unknown',
+      route: driverInfo.route || 'Unknown Route',
+      status: TRIP_STATUS.ACTIVE,
+      startedAt: serverTimestamp(),
+      endedAt: null,
+      firstPointAt: null,
+      lastPointAt: null,
+      lastPoint: null,
+      pointCount: 0,
+      distanceMeters: 0
+    });
+
+    batch.set(doc(db, DRIVER_LOCATIONS_COLLECTION, userId), {
+      currentTripId: tripRef.id
+    }, { merge: true });
+
+    await batch.commit();
+    return { success: true, tripId: tripRef.id };
+  } catch (error) {
+    console.error('Error starting trip:', error);
+    return { success: false, error: error.message || 'Failed to start trip' };
+  }
+};
+
+/**
+ * Append an accepted fix to a trip's track and update the trip totals
+ * Accepts a GeolocationPosition or a serialized fix from the location queue.
+ */
+export const appendTripPoint = async (userId, tripId, position) => {
+  try {
+    const tripRef = getTripRef(userId, tripId);
+    const pointRef = doc(getPointsRef(userId, tripId), getPointId(position));
+
+    await runTransaction(db, async (transaction) => {
+      const [tripSnap, pointSnap] = await Promise.all([
+        transaction.get(tripRef),
+        transaction.get(pointRef)
+      ]);
+
+      if (!tripSnap.exists()) {
+        throw new Error('Trip not found');
+      }
+
+      // Already recorded by an earlier attempt
+      if (pointSnap.exists()) return;
+
+      const trip = tripSnap.data();
+      const point = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        altitude: position.coords.altitude ?? null,
+        heading: position.coords.heading || 0,
+        speed: position.coords.speed || 0
+      };
+      const recordedAt = Timestamp.fromMillis(position.timestamp || Date.now());
+      const distanceDelta = trip.lastPoint ? haversineDistance(trip.lastPoint, point) : 0;
+
+      transaction.set(pointRef, {
+        ...point,
+        recordedAt,
+        receivedAt: serverTimestamp()
+      });
+
+      transaction.update(tripRef, {
+        firstPointAt: trip.firstPointAt || recordedAt,
+        lastPointAt: recordedAt,
+        lastPoint: { latitude: point.latitude, longitude: point.longitude },
+        pointCount: (trip.pointCount || 0) + 1,
+        distanceMeters: (trip.distanceMeters || 0) + distanceDelta
+      });
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error appending trip point:', error);
+    return { success: false, error: error.message || 'Failed to record trip point' };
+  }
+};
+
+/**
+ * Mark a trip as completed
+ */
+export const endTrip = async (userId, tripId) => {
+  try {
+    await updateDoc(getTripRef(userId, tripId), {
+      status: TRIP_STATUS.COMPLETED,
+      endedAt: serverTimestamp()
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error ending trip:', error);
+    return { success: false, error: error.message || 'Failed to end trip' };
+  }
+};
+
+/**
+ * Get a single trip's metadata
+ */
+export const getTrip = async (userId, tripId) => {
+  try {
+    const tripSnap = await getDoc(getTripRef(userId, tripId));
+    if (!tripSnap.exists()) {
+      return { success: false, error: 'Trip not found' };
+    }
+    return { success: true, data: { id: tripSnap.id, ...tripSnap.data() } };
+  } catch (error) {
+    console.error('Error getting trip:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List a driver's trips, newest first
+ * @param {string} userId - Driver user ID
+ * @param {Object} range - Optional { from, to } dates filtering on trip start
+ */
+export const listTrips = async (userId, range = {}) => {
+  try {
+    const constraints = applyDateRange([], range);
+    const q = query(
+      collection(db, DRIVER_LOCATIONS_COLLECTION, userId, TRIPS_SUBCOLLECTION),
+      ...constraints,
+      orderBy('startedAt', 'desc')
+    );
+
+    const snapshot = await getDocs(q);
+    const trips = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return { success: true, data: trips };
+  } catch (error) {
+    console.error('Error listing trips:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * List trips across all drivers (admin function), newest first. Needs the
+ * collection-group indexes on trips from firestore.indexes.json.
+ * @param {Object} filters - Optional { from, to, busNumber }
+ */
+export const listAllTrips = async (filters = {}) => {
+  try {
+    const constraints = applyDateRange([], filters);
+    if (filters.busNumber) {
+      constraints.push(where('busNumber', '==', filters.busNumber));
+    }
+
+    const q = query(
+      collectionGroup(db, TRIPS_SUBCOLLECTION),
+      ...constraints,
+      orderBy('startedAt', 'desc')
+    );
+
+    const snapshot = await getDocs(q);
+    const trips = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return { success: true, data: trips };
+  } catch (error) {
+    console.error('Error listing all trips:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fetch a trip's recorded track, oldest point first
+ */
+export const getTripTrack = async (userId, tripId) => {
+  try {
+    const q = query(getPointsRef(userId, tripId), orderBy('recordedAt', 'asc'));
+    const snapshot = await getDocs(q);
+    const points = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return { success: true, data: points };
+  } catch (error) {
+    console.error('Error getting trip track:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,62 @@
+// Helpers for replaying recorded trip tracks
+import { interpolatePoint, interpolateHeading } from './geoUtils.js';
+import { toMillis } from './timeUtils.js';
+
+/**
+ * Get the time span covered by a track
+ * @param {Array} points - Track points ordered by recordedAt
+ * @returns {Object} { start, end } in epoch milliseconds
+ */
+export const getTrackTimeRange = (points) => {
+  if (!points || points.length === 0) return { start: 0, end: 0 };
+  return {
+    start: toMillis(points[0].recordedAt),
+    end: toMillis(points[points.length - 1].recordedAt)
+  };
+};
+
+/**
+ * Find where the bus was at a given moment of a recorded track
+ * @param {Array} points - Track points ordered by recordedAt
+ * @param {number} time - Epoch milliseconds
+ * @returns {Object|null} { latitude, longitude, speed, heading, index, time }
+ */
+export const getReplayFrame = (points, time) => {
+  if (!points || points.length === 0) return null;
+
+  const first = points[0];
+  if (points.length === 1 || time <= toMillis(first.recordedAt)) {
+    return { ...first, index: 0, time: toMillis(first.recordedAt) };
+  }
+
+  const last = points[points.length - 1];
+  if (time >= toMillis(last.recordedAt)) {
+    return { ...last, index: points.length - 1, time: toMillis(last.recordedAt) };
+  }
+
+  // Binary search for the segment containing the requested time
+  let low = 0;
+  let high = points.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (toMillis(points[mid].recordedAt) <= time) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const from = points[low];
+  const to = points[high];
+  const fromTime = toMillis(from.recordedAt);
+  const span = toMillis(to.recordedAt) - fromTime;
+  const fraction = span > 0 ? (time - fromTime) / span : 0;
+
+  return {
+    ...interpolatePoint(from, to, fraction),
+    speed: (from.speed || 0) + ((to.speed || 0) - (from.speed || 0)) * fraction,
+    heading: interpolateHeading(from.heading || 0, to.heading || 0, fraction),
+    index: low,
+    time
+  };
+};
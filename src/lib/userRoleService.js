@@ -12,6 +12,7 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { db } from './firebase.js';
+import { usersRepository } from './repositories/index.js';
 
 // User roles
 export const USER_ROLES = {
@@ -112,34 +113,33 @@ export const requestDriverVerification = async (userId, driverInfo) => {
 export const verifyUser = async (userId, isApproved, adminNotes = '') => {
   try {
     // First check if the user document exists
-    const userRef = doc(db, 'users', userId);
-    const userSnap = await getDoc(userRef);
+    const currentUser = await usersRepository.get(userId);
     
-    if (!userSnap.exists()) {
+    if (!currentUser) {
       throw new Error('User document not found');
     }
     
-    const currentData = userSnap.data();
+    const { id: _id, ...currentData } = currentUser;
     
     const updateData = {
       ...currentData, // Preserve existing data
       adminNotes,
       isPending: false,
-      updatedAt: serverTimestamp()
+      updatedAt: usersRepository.timestamp()
     };
     
     if (isApproved) {
       updateData.isVerified = true;
       updateData.isRejected = false;
-      updateData.verifiedAt = serverTimestamp();
+      updateData.verifiedAt = usersRepository.timestamp();
     } else {
       updateData.isVerified = false;
       updateData.isRejected = true;
-      updateData.rejectedAt = serverTimestamp();
+      updateData.rejectedAt = usersRepository.timestamp();
     }
     
-    // Use setDoc with merge instead of updateDoc to avoid permission issues
-    await setDoc(userRef, updateData, { merge: true });
+    // Use a merging set instead of an update to avoid permission issues
+    await usersRepository.set(userId, updateData, { merge: true });
     
     return { success: true };
   } catch (error) {
@@ -249,3 +249,29 @@ export const getVerifiedDrivers = async () => {
   }
 };
 
+
+/**
+ * Get all users, optionally limited to one role
+ */
+export const getAllUsers = async (role = null) => {
+  try {
+    const q = role
+      ? query(collection(db, 'users'), where('role', '==', role))
+      : collection(db, 'users');
+
+    const querySnapshot = await getDocs(q);
+    const users = [];
+
+    querySnapshot.forEach((doc) => {
+      users.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return { success: true, data: users };
+  } catch (error) {
+    console.error('Error getting users:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,119 @@
+// Single vehicle-position model shared by the map, sidebar and info panels
+import { DRIVER_STATUS, getDriverStatus } from './locationService.js';
+import { toMillis } from './timeUtils.js';
+
+// Where a vehicle's position comes from
+export const VEHICLE_SOURCES = {
+  DRIVER: 'driver',
+  TRACKER: 'tracker',
+  LEGACY: 'legacy',
+  SIMULATION: 'simulation'
+};
+
+export const VEHICLE_SOURCE_LABELS = {
+  [VEHICLE_SOURCES.DRIVER]: "Driver's phone",
+  [VEHICLE_SOURCES.TRACKER]: 'GPS tracker',
+  [VEHICLE_SOURCES.LEGACY]: 'Fleet record',
+  [VEHICLE_SOURCES.SIMULATION]: 'Simulation'
+};
+
+// Prefix for driverLocations documents migrated from the legacy buses collection
+export const LEGACY_VEHICLE_PREFIX = 'legacy-';
+
+const KMH_TO_MPS = 1 / 3.6;
+
+/**
+ * Vehicle from a driverLocations document. driverLocations is the canonical
+ * store: speed in m/s, heading in degrees, accuracy in meters.
+ * @param {Object} location - driverLocations document with id and status
+ * @returns {Object} Vehicle
+ */
+export const fromDriverLocation = (location) => {
+  const source = Object.values(VEHICLE_SOURCES).includes(location.source)
+    ? location.source
+    : VEHICLE_SOURCES.DRIVER;
+
+  return {
+    ...location,
+    source,
+    busNumber: location.busNumber || '',
+    route: location.route || '',
+    displayName: location.displayName || '',
+    speed: location.speed || 0,
+    heading: location.heading || 0,
+    accuracy: location.accuracy ?? null,
+    updatedAt: toMillis(location.recordedAt || location.timestamp || location.lastSeen),
+    status: location.status || DRIVER_STATUS.ONLINE
+  };
+};
+
+/**
+ * Fields of a legacy `buses` document in driverLocations form: busId becomes
+ * busNumber, km/h becomes m/s and the fleet status decides whether it is live
+ */
+export const legacyBusToLocation = (bus) => ({
+  userId: `${LEGACY_VEHICLE_PREFIX}${bus.id}`,
+  source: VEHICLE_SOURCES.LEGACY,
+  displayName: '',
+  busNumber: bus.busId || bus.busNumber || bus.id,
+  route: bus.route || '',
+  latitude: bus.latitude,
+  longitude: bus.longitude,
+  accuracy: null,
+  heading: bus.heading || 0,
+  speed: (bus.speed || 0) * KMH_TO_MPS,
+  serviceStatus: bus.status || null,
+  isActive: bus.status === 'active',
+  lastSeen: bus.lastUpdated || null
+});
+
+/**
+ * Vehicle from a legacy `buses` document (compatibility layer until the
+ * collection is migrated)
+ * @param {Object} bus - buses document with id
+ * @param {number} now - Current time in ms
+ * @returns {Object} Vehicle
+ */
+export const fromLegacyBus = (bus, now = Date.now()) => {
+  const location = legacyBusToLocation(bus);
+  return fromDriverLocation({
+    ...location,
+    id: location.userId,
+    timestamp: bus.lastUpdated,
+    status: getDriverStatus(location, now)
+  });
+};
+
+/**
+ * One list of vehicles. A bus reporting live takes precedence over a legacy
+ * record for the same bus number.
+ * @param {Array} liveVehicles - Vehicles from driverLocations
+ * @param {Array} legacyVehicles - Vehicles from the legacy buses collection
+ * @returns {Array} Vehicles sorted by bus number
+ */
+export const mergeVehicles = (liveVehicles, legacyVehicles = []) => {
+  const liveBusNumbers = new Set(
+    liveVehicles.map((vehicle) => vehicle.busNumber.trim().toLowerCase()).filter(Boolean)
+  );
+
+  return [
+    ...liveVehicles,
+    ...legacyVehicles.filter((vehicle) => !liveBusNumbers.has(vehicle.busNumber.trim().toLowerCase()))
+  ].sort((a, b) => a.busNumber.localeCompare(b.busNumber, undefined, { numeric: true }));
+};
+
+/**
+ * Speed label for a vehicle speed in m/s
+ */
+export const formatVehicleSpeed = (speed) => {
+  if (!speed) return 'Stationary';
+  return `${Math.round(speed * 3.6)} km/h`;
+};
+
+/**
+ * Name shown for a vehicle: its bus number, falling back to the driver
+ */
+export const getVehicleTitle = (vehicle) => {
+  if (vehicle.busNumber && vehicle.busNumber !== 'Unknown') return `Bus ${vehicle.busNumber}`;
+  return vehicle.displayName || 'Bus';
+};
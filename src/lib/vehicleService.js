@@ -0,0 +1,150 @@
+// Vehicle service: live vehicles from driverLocations plus the legacy buses collection,
+// or simulated buses when VITE_VEHICLE_SOURCE=simulation
+import { collection, doc, getDocs, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase.js';
+import { listenToDriverLocations, getDriverStatus } from './locationService.js';
+import { subscribeToBusLocations, BUSES_COLLECTION } from './busService.js';
+import { listenToRoutes } from './routeService.js';
+import { simulateVehicles } from './vehicleSimulation.js';
+import {
+  fromDriverLocation,
+  fromLegacyBus,
+  legacyBusToLocation,
+  mergeVehicles
+} from './vehicleModel.js';
+
+// Keeps each migration batch under Firestore's 500-write limit (two writes per bus)
+const MIGRATION_BATCH_SIZE = 200;
+
+// Where the vehicle list comes from, chosen with VITE_VEHICLE_SOURCE
+export const VEHICLE_DATA_SOURCES = {
+  LIVE: 'live',
+  SIMULATION: 'simulation'
+};
+
+const resolveDataSource = (value) => {
+  if (!value) return VEHICLE_DATA_SOURCES.LIVE;
+  if (Object.values(VEHICLE_DATA_SOURCES).includes(value)) return value;
+  console.warn(`Unknown VITE_VEHICLE_SOURCE "${value}", using live data`);
+  return VEHICLE_DATA_SOURCES.LIVE;
+};
+
+export const VEHICLE_DATA_SOURCE = resolveDataSource(import.meta.env?.VITE_VEHICLE_SOURCE);
+
+// Simulated positions are recomputed this often
+const SIMULATION_TICK = 2000;
+
+/**
+ * Live vehicles: driverLocations merged with the legacy buses collection
+ */
+const listenToLiveVehicles = (callback, onError) => {
+  let liveVehicles = [];
+  let legacyVehicles = [];
+
+  const emit = () => callback(mergeVehicles(liveVehicles, legacyVehicles));
+
+  const unsubscribeLive = listenToDriverLocations((drivers) => {
+    liveVehicles = drivers.map(fromDriverLocation);
+    emit();
+  }, onError);
+
+  const unsubscribeLegacy = subscribeToBusLocations((buses) => {
+    const now = Date.now();
+    // Buses out of service have no position worth showing, as after migration
+    legacyVehicles = buses.map((bus) => fromLegacyBus(bus, now)).filter((vehicle) => vehicle.isActive);
+    emit();
+  }, onError);
+
+  return () => {
+    unsubscribeLive();
+    unsubscribeLegacy();
+  };
+};
+
+/**
+ * Simulated buses driven along the active routes
+ */
+const listenToSimulatedVehicles = (callback, onError) => {
+  let routes = [];
+  const emit = () => callback(simulateVehicles(routes, Date.now()));
+
+  const unsubscribeRoutes = listenToRoutes((routeList) => {
+    routes = routeList;
+    emit();
+  }, { activeOnly: true, onError });
+
+  const timer = setInterval(emit, SIMULATION_TICK);
+
+  return () => {
+    clearInterval(timer);
+    unsubscribeRoutes();
+  };
+};
+
+/**
+ * Listen to every vehicle as one list in the vehicle model, from the
+ * configured data source
+ * @param {Function} callback - Receives the vehicle list
+ * @param {Function} onError - Called when a listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const listenToVehicles = (callback, onError = () => {}) => {
+  if (VEHICLE_DATA_SOURCE === VEHICLE_DATA_SOURCES.SIMULATION) {
+    return listenToSimulatedVehicles(callback, onError);
+  }
+  return listenToLiveVehicles(callback, onError);
+};
+
+/**
+ * Number of documents left in the legacy buses collection
+ */
+export const countLegacyBuses = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, BUSES_COLLECTION));
+    return { success: true, count: snapshot.size };
+  } catch (error) {
+    console.error('Error counting legacy buses:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Move legacy buses documents into driverLocations (as legacy-<id>) and
+ * delete the originals. Records without coordinates are dropped.
+ * @returns {Promise<Object>} { success, migrated, skipped }
+ */
+export const migrateLegacyBuses = async (now = Date.now()) => {
+  try {
+    const snapshot = await getDocs(collection(db, BUSES_COLLECTION));
+    let migrated = 0;
+    let skipped = 0;
+
+    for (let i = 0; i < snapshot.docs.length; i += MIGRATION_BATCH_SIZE) {
+      const batch = writeBatch(db);
+
+      snapshot.docs.slice(i, i + MIGRATION_BATCH_SIZE).forEach((busDoc) => {
+        const bus = { id: busDoc.id, ...busDoc.data() };
+        if (typeof bus.latitude === 'number' && typeof bus.longitude === 'number') {
+          const location = legacyBusToLocation(bus);
+          batch.set(doc(db, 'driverLocations', location.userId), {
+            ...location,
+            status: getDriverStatus(location, now),
+            timestamp: bus.lastUpdated || null,
+            migratedAt: serverTimestamp()
+          });
+          migrated++;
+        } else {
+          skipped++;
+        }
+        batch.delete(busDoc.ref);
+      });
+
+      await batch.commit();
+    }
+
+    return { success: true, migrated, skipped };
+  } catch (error) {
+    console.error('Error migrating legacy buses:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,124 @@
+// Synthetic buses driven along route geometry, for demos and development
+import { pathLength, pointAlongPath, bearingBetween } from './geoUtils.js';
+import { hasRouteGeometry } from './routeService.js';
+import { DRIVER_STATUS } from './locationService.js';
+import { VEHICLE_SOURCES, fromDriverLocation } from './vehicleModel.js';
+
+export const SIMULATION_DEFAULTS = {
+  busesPerRoute: 2,
+  // Cruising speeds in m/s (about 25-40 km/h in city traffic)
+  minSpeed: 7,
+  maxSpeed: 11,
+  // Seconds spent at each stop and at the end of the line
+  stopDwell: 20,
+  terminalLayover: 120
+};
+
+// Distance either side of a bus used to derive its heading from the path
+const HEADING_LOOKAHEAD = 15;
+
+/**
+ * Time profile of one trip along a route: legs between stops driven at a
+ * constant speed, each followed by a dwell
+ * @returns {Object} { legs, duration } with durations in seconds
+ */
+const buildTripProfile = (route, speed, config) => {
+  const length = route.pathLength || pathLength(route.path);
+  // stopDistances can keep entries for stops since removed from the route
+  const stopDistances = (route.stopIds || [])
+    .map((stopId) => route.stopDistances?.[stopId])
+    .filter((distance) => Number.isFinite(distance) && distance > 0 && distance < length)
+    .sort((a, b) => a - b);
+
+  const legs = [];
+  let from = 0;
+  [...stopDistances, length].forEach((to, index, ends) => {
+    const isLast = index === ends.length - 1;
+    legs.push({
+      from,
+      to,
+      driveTime: (to - from) / speed,
+      dwellTime: isLast ? config.terminalLayover : config.stopDwell
+    });
+    from = to;
+  });
+
+  const duration = legs.reduce((total, leg) => total + leg.driveTime + leg.dwellTime, 0);
+  return { legs, duration };
+};
+
+/**
+ * Distance along the path and current speed at a point in the trip
+ */
+const positionInTrip = (profile, elapsed, speed) => {
+  let remaining = elapsed;
+  for (const leg of profile.legs) {
+    if (remaining < leg.driveTime) {
+      return { distanceAlong: leg.from + remaining * speed, speed };
+    }
+    remaining -= leg.driveTime;
+    if (remaining < leg.dwellTime) {
+      return { distanceAlong: leg.to, speed: 0 };
+    }
+    remaining -= leg.dwellTime;
+  }
+  const last = profile.legs[profile.legs.length - 1];
+  return { distanceAlong: last.to, speed: 0 };
+};
+
+/**
+ * Positions of every simulated bus at a moment in time. Buses run each route
+ * from start to end, lay over, then start the next trip from the beginning.
+ * The result depends only on `now`, so every client shows the same buses.
+ * @param {Array} routes - Routes with path geometry
+ * @param {number} now - Current time in ms
+ * @param {Object} config - Overrides for SIMULATION_DEFAULTS
+ * @returns {Array} Vehicles in the vehicle model
+ */
+export const simulateVehicles = (routes, now = Date.now(), config = {}) => {
+  const settings = { ...SIMULATION_DEFAULTS, ...config };
+  const vehicles = [];
+
+  routes.filter(hasRouteGeometry).forEach((route, routeIndex) => {
+    const routeName = route.routeNumber || route.routeName || route.id;
+
+    for (let n = 0; n < settings.busesPerRoute; n++) {
+      // Vary speeds between buses so they don't move in lockstep
+      const variation = ((routeIndex * settings.busesPerRoute + n) * 0.37) % 1;
+      const cruiseSpeed = settings.minSpeed + (settings.maxSpeed - settings.minSpeed) * variation;
+      const profile = buildTripProfile(route, cruiseSpeed, settings);
+      if (profile.duration <= 0) continue;
+
+      // Spread buses on the same route evenly over the trip
+      const offset = (profile.duration * n) / settings.busesPerRoute;
+      const elapsed = (now / 1000 + offset) % profile.duration;
+      const { distanceAlong, speed } = positionInTrip(profile, elapsed, cruiseSpeed);
+
+      const position = pointAlongPath(route.path, distanceAlong);
+      const behind = pointAlongPath(route.path, distanceAlong - HEADING_LOOKAHEAD);
+      const ahead = pointAlongPath(route.path, distanceAlong + HEADING_LOOKAHEAD);
+      const id = `sim-${route.id}-${n + 1}`;
+
+      vehicles.push(fromDriverLocation({
+        id,
+        userId: id,
+        source: VEHICLE_SOURCES.SIMULATION,
+        busNumber: `${routeName}-${n + 1}`,
+        route: routeName,
+        routeId: route.id,
+        displayName: 'Simulated bus',
+        latitude: position.latitude,
+        longitude: position.longitude,
+        accuracy: 5,
+        speed,
+        heading: bearingBetween(behind, ahead),
+        isActive: true,
+        lastSeen: now,
+        timestamp: now,
+        status: DRIVER_STATUS.ONLINE
+      }));
+    }
+  });
+
+  return vehicles;
+};
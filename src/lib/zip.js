@@ -0,0 +1,204 @@
+// Minimal ZIP archive reader and writer built on the browser's compression streams
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const textDecoder = new TextDecoder();
+
+const findEndOfCentralDirectory = (view) => {
+  const stop = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+  for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a ZIP file');
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress ZIP files');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * List the files in a ZIP archive
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Array} [{ name, method, compressedSize, size, localHeaderOffset }]
+ */
+export const listZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = textDecoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.push({
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries.filter((entry) => !entry.name.endsWith('/'));
+};
+
+/**
+ * Extract one entry's contents
+ * @returns {Promise<Uint8Array>}
+ */
+export const readZipEntry = async (buffer, entry) => {
+  const view = new DataView(buffer);
+  const offset = entry.localHeaderOffset;
+  if (view.getUint32(offset, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+  const data = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+  switch (entry.method) {
+    case METHOD_STORED:
+      return data.slice();
+    case METHOD_DEFLATE:
+      return inflateRaw(data);
+    default:
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  }
+};
+
+/**
+ * Extract the text files of an archive, keyed by file name without folders
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {Function} filter - Optional (fileName) => boolean to skip unneeded files
+ * @returns {Promise<Object>} { [fileName]: text }
+ */
+export const readZipTextFiles = async (buffer, filter = () => true) => {
+  const files = {};
+  for (const entry of listZipEntries(buffer)) {
+    const fileName = entry.name.split('/').pop();
+    if (!filter(fileName)) continue;
+    files[fileName] = textDecoder.decode(await readZipEntry(buffer, entry));
+  }
+  return files;
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const deflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// MS-DOS date and time fields used by ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive. Files are deflated when the browser supports
+ * CompressionStream and stored otherwise.
+ * @param {Array} files - [{ name, content }] where content is a string or Uint8Array
+ * @returns {Promise<Blob>} application/zip blob
+ */
+export const createZip = async (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const canDeflate = typeof CompressionStream !== 'undefined';
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const compressed = canDeflate ? await deflateRaw(data) : data;
+    const method = canDeflate ? METHOD_DEFLATE : METHOD_STORED;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, compressed);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './lib/pushService.js'
+import { restoreGpsSimulator } from './lib/gpsSimulator.js'
+
+// Before anything asks for a position
+restoreGpsSimulator()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+registerServiceWorker()
@@ -0,0 +1,167 @@
+// Simulated geolocation, driven by an injected clock and random source. Run with:
+//
+//   pnpm test
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeolocationSimulator, GEOLOCATION_ERRORS } from '../../src/lib/gpsSimulator.js';
+import { haversineDistance } from '../../src/lib/geoUtils.js';
+
+// About 1.1 km due north along the prime meridian
+const START = { latitude: 0, longitude: 0 };
+const TRACK = [START, { latitude: 0.01, longitude: 0 }];
+
+const createClock = (start = 0) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+};
+
+// Noise-free, never-dropping simulator on a manual clock
+const createSimulator = (settings = {}, random = () => 0.5) => {
+  const now = createClock();
+  const simulator = createGeolocationSimulator({ track: TRACK, noise: 0, ...settings }, { now, random });
+  return { simulator, now };
+};
+
+const locate = (simulator, options) => new Promise((resolve) => {
+  simulator.getCurrentPosition(
+    (position) => resolve({ position }),
+    (error) => resolve({ error }),
+    options
+  );
+});
+
+const travelled = (position) => haversineDistance(START, position.coords);
+
+describe('createGeolocationSimulator', () => {
+  it('moves along the track at the configured speed as the clock advances', async () => {
+    const { simulator, now } = createSimulator({ speed: 10 });
+
+    now.advance(30000);
+    const { position } = await locate(simulator);
+
+    assert.ok(Math.abs(travelled(position) - 300) < 0.5);
+    assert.equal(position.timestamp, 30000);
+    assert.equal(position.coords.speed, 10);
+    assert.ok(position.coords.heading < 0.5 || position.coords.heading > 359.5);
+    assert.equal(simulator.getState().distance, 300);
+  });
+
+  it('loops back to the start after the end of the track', async () => {
+    const { simulator, now } = createSimulator({ speed: 10 });
+    const { trackLength } = simulator.getState();
+
+    now.advance((trackLength + 100) * 100);
+    const { position } = await locate(simulator);
+
+    assert.ok(Math.abs(travelled(position) - 100) < 0.5);
+  });
+
+  it('stops at the end of the track when looping is off', async () => {
+    const { simulator, now } = createSimulator({ speed: 10, loop: false });
+    const { trackLength } = simulator.getState();
+
+    now.advance((trackLength + 100) * 100);
+    const { position } = await locate(simulator);
+
+    assert.ok(Math.abs(travelled(position) - trackLength) < 0.5);
+    assert.equal(position.coords.speed, 0);
+    assert.equal(position.coords.heading, null);
+  });
+
+  it('offsets fixes by the noise and reports a matching accuracy', async () => {
+    const { simulator } = createSimulator({ noise: 10 });
+
+    const { position } = await locate(simulator);
+
+    // With random() = 0.5 the normal sample is about -1.18, so the fix is ~11.8 m off
+    assert.ok(Math.abs(travelled(position) - 11.77) < 0.1);
+    assert.equal(position.coords.accuracy, 20);
+  });
+
+  it('reports a denied permission as PERMISSION_DENIED', async () => {
+    const { simulator } = createSimulator({ permission: 'denied' });
+
+    const { error } = await locate(simulator);
+
+    assert.equal(error.code, GEOLOCATION_ERRORS.PERMISSION_DENIED);
+    assert.equal(error.PERMISSION_DENIED, 1);
+  });
+
+  it('grants a prompt permission on the first request', async () => {
+    const { simulator } = createSimulator({ permission: 'prompt' });
+    const changes = [];
+    simulator.permissionStatus.addEventListener('change', () => changes.push(simulator.permissionStatus.state));
+
+    const { position } = await locate(simulator);
+
+    assert.ok(position);
+    assert.deepEqual(changes, ['granted']);
+  });
+
+  it('reports POSITION_UNAVAILABLE without a track', async () => {
+    const { simulator } = createSimulator({ track: [] });
+
+    const { error } = await locate(simulator);
+
+    assert.equal(error.code, GEOLOCATION_ERRORS.POSITION_UNAVAILABLE);
+  });
+
+  it('turns a dropped fix into a TIMEOUT', async () => {
+    const { simulator } = createSimulator({ dropoutRate: 0.6 });
+
+    const { error } = await locate(simulator, { timeout: 0 });
+
+    assert.equal(error.code, GEOLOCATION_ERRORS.TIMEOUT);
+  });
+
+  it('delivers watched fixes every interval until the watch is cleared', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { simulator, now } = createSimulator({ speed: 10, interval: 1000 });
+    const distances = [];
+
+    const id = simulator.watchPosition((position) => distances.push(Math.round(travelled(position))));
+    t.mock.timers.tick(0);
+    for (let i = 0; i < 3; i++) {
+      now.advance(1000);
+      t.mock.timers.tick(1000);
+    }
+    simulator.clearWatch(id);
+    now.advance(1000);
+    t.mock.timers.tick(1000);
+
+    assert.deepEqual(distances, [0, 10, 20, 30]);
+    assert.equal(simulator.getState().watching, 0);
+  });
+
+  it('skips dropped fixes in a watch but keeps moving', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    // Each fix draws once for the dropout and, when delivered, twice for the noise
+    const draws = [0.9, 0.5, 0.5, 0.1];
+    const { simulator, now } = createSimulator({ speed: 10, interval: 1000, dropoutRate: 0.5 }, () => draws.shift() ?? 0.9);
+    const distances = [];
+
+    simulator.watchPosition((position) => distances.push(Math.round(travelled(position))));
+    t.mock.timers.tick(0);
+    now.advance(1000);
+    t.mock.timers.tick(1000);
+    now.advance(1000);
+    t.mock.timers.tick(1000);
+    simulator.stop();
+
+    assert.deepEqual(distances, [0, 20]);
+  });
+
+  it('starts a newly loaded track from its beginning', async () => {
+    const { simulator, now } = createSimulator({ speed: 10 });
+    now.advance(30000);
+
+    const track = [{ latitude: 1, longitude: 1 }, { latitude: 1.01, longitude: 1 }];
+    simulator.update({ track });
+    const { position } = await locate(simulator);
+
+    assert.equal(simulator.getState().distance, 0);
+    assert.ok(haversineDistance(track[0], position.coords) < 0.5);
+  });
+});
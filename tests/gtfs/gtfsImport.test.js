@@ -0,0 +1,146 @@
+// GTFS static import: building routes from a feed and planning the upserts. Run with:
+//
+//   pnpm test
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGtfsNetwork, planGtfsImport, gtfsDocumentId, IMPORT_ACTIONS } from '../../src/lib/gtfsImport.js';
+
+const NOW = Date.UTC(2025, 0, 6, 8, 0);
+
+const STOPS = ['north', 'library', 'union', 'south'];
+
+const stopTimes = (tripId, stopIds, start) => stopIds.map((stopId, i) => {
+  const time = `${String(start + i).padStart(2, '0')}:00:00`;
+  return { trip_id: tripId, stop_id: stopId, stop_sequence: String(i + 1), arrival_time: time, departure_time: time };
+});
+
+const trip = (tripId, directionId, headsign) => ({
+  route_id: 'R1',
+  service_id: 'weekday',
+  trip_id: tripId,
+  direction_id: directionId,
+  trip_headsign: headsign
+});
+
+// One route run in both directions, plus a short turn
+const twoDirectionFeed = () => ({
+  'agency.txt': [{ agency_id: 'A', agency_name: 'Campus Transit' }],
+  'routes.txt': [{ route_id: 'R1', agency_id: 'A', route_short_name: '1', route_long_name: 'Campus Line' }],
+  'stops.txt': STOPS.map((stopId, i) => ({
+    stop_id: stopId,
+    stop_name: stopId,
+    stop_lat: String(40 + i / 100),
+    stop_lon: '-74'
+  })),
+  'trips.txt': [
+    trip('out-1', '0', 'South'),
+    trip('out-2', '0', 'South'),
+    trip('in-1', '1', 'North'),
+    trip('short-1', '0', 'Union')
+  ],
+  'stop_times.txt': [
+    ...stopTimes('out-1', STOPS, 6),
+    ...stopTimes('out-2', STOPS, 12),
+    ...stopTimes('in-1', [...STOPS].reverse(), 9),
+    ...stopTimes('short-1', STOPS.slice(0, 3), 15)
+  ],
+  'calendar.txt': [{
+    service_id: 'weekday',
+    monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1', saturday: '0', sunday: '0',
+    start_date: '20250101',
+    end_date: '20251231'
+  }]
+});
+
+const EMPTY_NETWORK = { routes: [], stops: [], schedules: [] };
+
+const byGtfsId = (entries) => Object.fromEntries(entries.map((entry) => [entry.gtfsId, entry]));
+
+describe('buildGtfsNetwork', () => {
+  it('imports each direction and stop pattern as its own route', () => {
+    const network = buildGtfsNetwork(twoDirectionFeed(), NOW);
+    const routes = byGtfsId(network.routes);
+
+    assert.deepEqual(Object.keys(routes), ['R1:0', 'R1:0:north-union', 'R1:1']);
+    assert.deepEqual(routes['R1:0'].stopGtfsIds, STOPS);
+    assert.deepEqual(routes['R1:1'].stopGtfsIds, [...STOPS].reverse());
+    assert.deepEqual(routes['R1:0:north-union'].stopGtfsIds, ['north', 'library', 'union']);
+    assert.deepEqual(network.warnings, []);
+  });
+
+  it('names each pattern after where it goes and keeps the GTFS route and direction', () => {
+    const routes = byGtfsId(buildGtfsNetwork(twoDirectionFeed(), NOW).routes);
+
+    assert.equal(routes['R1:0'].data.routeName, 'Campus Line to South');
+    assert.equal(routes['R1:1'].data.routeName, 'Campus Line to North');
+    assert.equal(routes['R1:1'].data.startPoint, 'south');
+    assert.equal(routes['R1:1'].data.endPoint, 'north');
+    assert.equal(routes['R1:1'].data.gtfsRouteId, 'R1');
+    assert.equal(routes['R1:1'].data.directionId, 1);
+    assert.equal(routes['R1:0'].data.operatingHours, '06:00 - 15:00');
+    assert.equal(routes['R1:0'].data.path.length, 4);
+  });
+
+  it('attaches every trip to the route of its own pattern', () => {
+    const schedules = byGtfsId(buildGtfsNetwork(twoDirectionFeed(), NOW).schedules);
+
+    assert.equal(schedules['out-1'].routeGtfsId, 'R1:0');
+    assert.equal(schedules['out-2'].routeGtfsId, 'R1:0');
+    assert.equal(schedules['in-1'].routeGtfsId, 'R1:1');
+    assert.equal(schedules['short-1'].routeGtfsId, 'R1:0:north-union');
+    assert.equal(schedules['in-1'].data.departureTime, '09:00');
+    assert.deepEqual(schedules['in-1'].data.daysOfWeek, ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']);
+  });
+
+  it('keeps the bare route name when a route has a single pattern', () => {
+    const feed = twoDirectionFeed();
+    feed['trips.txt'] = feed['trips.txt'].filter((row) => row.trip_id.startsWith('out'));
+    const [route] = buildGtfsNetwork(feed, NOW).routes;
+
+    assert.equal(route.gtfsId, 'R1:0');
+    assert.equal(route.data.routeName, 'Campus Line');
+  });
+});
+
+describe('planGtfsImport', () => {
+  it('creates a route per pattern with its own stops and distances', () => {
+    const plan = planGtfsImport(buildGtfsNetwork(twoDirectionFeed(), NOW), EMPTY_NETWORK);
+    const inbound = plan.routes.find((route) => route.id === gtfsDocumentId('route', 'R1:1'));
+
+    assert.equal(plan.summary.routes[IMPORT_ACTIONS.CREATE], 3);
+    assert.deepEqual(inbound.data.stopIds, [...STOPS].reverse().map((stopId) => gtfsDocumentId('stop', stopId)));
+    assert.equal(inbound.data.stopDistances[gtfsDocumentId('stop', 'south')], 0);
+
+    const south = plan.stops.find((stop) => stop.id === gtfsDocumentId('stop', 'south'));
+    assert.deepEqual(south.data.routeIds, [gtfsDocumentId('route', 'R1:0'), gtfsDocumentId('route', 'R1:1')]);
+  });
+
+  it('is idempotent when the same feed is imported again', () => {
+    const network = buildGtfsNetwork(twoDirectionFeed(), NOW);
+    const first = planGtfsImport(network, EMPTY_NETWORK);
+    const existing = Object.fromEntries(['routes', 'stops', 'schedules'].map((kind) => [
+      kind,
+      first[kind].map((entry) => ({ id: entry.id, ...entry.data }))
+    ]));
+
+    const second = planGtfsImport(buildGtfsNetwork(twoDirectionFeed(), NOW), existing);
+
+    assert.deepEqual(second.routes.map((route) => route.id), first.routes.map((route) => route.id));
+    assert.equal(second.summary.routes[IMPORT_ACTIONS.UNCHANGED], 3);
+    assert.equal(second.summary.schedules[IMPORT_ACTIONS.UNCHANGED], 4);
+  });
+
+  it('moves a route imported before directions were split onto the main outbound pattern', () => {
+    const existing = {
+      ...EMPTY_NETWORK,
+      routes: [{ id: 'gtfs_route_R1', gtfsId: 'R1', routeNumber: '1', routeName: 'Campus Line' }]
+    };
+
+    const plan = planGtfsImport(buildGtfsNetwork(twoDirectionFeed(), NOW), existing);
+    const ids = plan.routes.map((route) => route.id);
+
+    assert.deepEqual(ids, ['gtfs_route_R1', gtfsDocumentId('route', 'R1:0:north-union'), gtfsDocumentId('route', 'R1:1')]);
+    assert.equal(plan.routes[0].action, IMPORT_ACTIONS.UPDATE);
+    assert.equal(plan.routes[0].data.gtfsId, 'R1:0');
+  });
+});
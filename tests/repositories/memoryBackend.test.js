@@ -0,0 +1,147 @@
+// In-memory repository backend: queries, writes and live subscriptions. Run with:
+//
+//   pnpm test
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../../src/lib/repositories/memoryBackend.js';
+
+const NOW = Date.UTC(2025, 0, 6, 8, 0);
+
+const routes = {
+  'route-1': { name: 'Campus Loop', isActive: true, stopIds: ['stop-a', 'stop-b'], order: 2 },
+  'route-2': { name: 'Downtown', isActive: false, stopIds: ['stop-b'], order: 1 },
+  'route-3': { name: 'Night Owl', isActive: true, stopIds: ['stop-c'] }
+};
+
+const createBackend = () => createMemoryBackend({ routes }, { now: () => NOW });
+
+// Resolves with the next few deliveries to a subscription
+const collect = (subscribe, count) => new Promise((resolve, reject) => {
+  const received = [];
+  const unsubscribe = subscribe((data) => {
+    received.push(data);
+    if (received.length === count) {
+      unsubscribe();
+      resolve(received);
+    }
+  }, reject);
+});
+
+const ids = (records) => records.map((record) => record.id);
+
+describe('queries', () => {
+  it('filters with the Firestore operators', async () => {
+    const backend = createBackend();
+    assert.deepEqual(ids(await backend.list('routes', { where: [['isActive', '==', true]] })), ['route-1', 'route-3']);
+    assert.deepEqual(ids(await backend.list('routes', { where: [['stopIds', 'array-contains', 'stop-b']] })), ['route-1', 'route-2']);
+    assert.deepEqual(ids(await backend.list('routes', { where: [['name', 'in', ['Downtown', 'Night Owl']]] })), ['route-2', 'route-3']);
+  });
+
+  it('orders, limits and leaves out records without the ordered field', async () => {
+    const backend = createBackend();
+    assert.deepEqual(ids(await backend.list('routes', { orderBy: ['order'] })), ['route-2', 'route-1']);
+    assert.deepEqual(ids(await backend.list('routes', { orderBy: ['order', 'desc'], limit: 1 })), ['route-1']);
+  });
+
+  it('rejects unsupported operators', async () => {
+    const backend = createBackend();
+    await assert.rejects(backend.list('routes', { where: [['name', 'like', 'Campus']] }), /Unsupported query operator: like/);
+  });
+});
+
+describe('writes', () => {
+  it('hands out copies that callers cannot change stored data through', async () => {
+    const backend = createBackend();
+    const route = await backend.get('routes', 'route-1');
+    route.stopIds.push('stop-z');
+    assert.deepEqual((await backend.get('routes', 'route-1')).stopIds, ['stop-a', 'stop-b']);
+  });
+
+  it('resolves server timestamps and deleted fields, also inside maps', async () => {
+    const backend = createBackend();
+    await backend.update('routes', 'route-1', {
+      order: backend.deleteField(),
+      updatedAt: backend.serverTimestamp(),
+      stats: { rebuiltAt: backend.serverTimestamp() }
+    });
+    const route = await backend.get('routes', 'route-1');
+    assert.equal('order' in route, false);
+    assert.equal(route.updatedAt.getTime(), NOW);
+    assert.equal(route.stats.rebuiltAt.getTime(), NOW);
+  });
+
+  it('replaces the document on set without merge', async () => {
+    const backend = createBackend();
+    await backend.set('routes', 'route-1', { name: 'Renamed' });
+    assert.deepEqual(await backend.get('routes', 'route-1'), { id: 'route-1', name: 'Renamed' });
+  });
+
+  it('merges nested maps on set with merge, like Firestore', async () => {
+    const backend = createMemoryBackend({
+      userSettings: {
+        'user-1': { notifications: { push: true, email: false, quietHours: { start: '22:00', end: '07:00' } }, theme: 'dark' }
+      }
+    });
+    await backend.set('userSettings', 'user-1', {
+      notifications: { email: true, quietHours: { end: '06:30' }, digest: backend.deleteField() }
+    }, { merge: true });
+    assert.deepEqual(await backend.get('userSettings', 'user-1'), {
+      id: 'user-1',
+      notifications: { push: true, email: true, quietHours: { start: '22:00', end: '06:30' } },
+      theme: 'dark'
+    });
+  });
+
+  it('replaces nested maps on update', async () => {
+    const backend = createMemoryBackend({ userSettings: { 'user-1': { notifications: { push: true, email: false } } } });
+    await backend.update('userSettings', 'user-1', { notifications: { email: true } });
+    assert.deepEqual((await backend.get('userSettings', 'user-1')).notifications, { email: true });
+  });
+
+  it('refuses to update a missing document', async () => {
+    const backend = createBackend();
+    await assert.rejects(backend.update('routes', 'route-9', { name: 'Nowhere' }), /No document to update: routes\/route-9/);
+  });
+});
+
+describe('subscriptions', () => {
+  it('delivers the current results and then every change', async () => {
+    const backend = createBackend();
+    const deliveries = collect((onData, onError) => (
+      backend.subscribe('routes', { where: [['isActive', '==', true]] }, onData, onError)
+    ), 2);
+    await Promise.resolve();
+    await backend.update('routes', 'route-2', { isActive: true });
+    const [initial, changed] = await deliveries;
+    assert.deepEqual(ids(initial), ['route-1', 'route-3']);
+    assert.deepEqual(ids(changed), ['route-1', 'route-2', 'route-3']);
+  });
+
+  it('follows a single document until it is removed', async () => {
+    const backend = createBackend();
+    const deliveries = collect((onData, onError) => backend.subscribeOne('routes', 'route-3', onData, onError), 2);
+    await Promise.resolve();
+    await backend.remove('routes', 'route-3');
+    const [initial, removed] = await deliveries;
+    assert.equal(initial.name, 'Night Owl');
+    assert.equal(removed, null);
+  });
+
+  it('stops delivering after unsubscribe', async () => {
+    const backend = createBackend();
+    let calls = 0;
+    const unsubscribe = backend.subscribe('routes', {}, () => { calls++; });
+    unsubscribe();
+    await backend.add('routes', { name: 'Express' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.equal(calls, 0);
+  });
+
+  it('reports failing queries to onError instead of onData', async () => {
+    const backend = createBackend();
+    const error = await new Promise((resolve, reject) => {
+      backend.subscribe('routes', { where: [['name', 'like', 'Campus']] }, () => reject(new Error('got data')), resolve);
+    });
+    assert.match(error.message, /Unsupported query operator: like/);
+  });
+});
@@ -0,0 +1,69 @@
+// Firestore emulator clients for the security rules tests
+//
+// Every client is its own Firebase app, connected with a mock ID token so the
+// emulator evaluates firebase_rules.txt as that user.
+import assert from 'node:assert/strict';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getFirestore, connectFirestoreEmulator, doc, setDoc } from 'firebase/firestore';
+
+export const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-bus-tracker';
+
+const [HOST, PORT] = (process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080').split(':');
+
+let apps = [];
+
+const connect = (mockUserToken) => {
+  const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key' }, `rules-test-${apps.length}`);
+  const db = getFirestore(app);
+  connectFirestoreEmulator(db, HOST, Number(PORT), mockUserToken ? { mockUserToken } : {});
+  apps.push(app);
+  return db;
+};
+
+/**
+ * Firestore as a signed-in user
+ * @param {string} uid - Becomes request.auth.uid
+ * @param {Object} claims - Extra token claims, e.g. { email }
+ */
+export const signedIn = (uid, claims = {}) => connect({ sub: uid, user_id: uid, ...claims });
+
+export const signedOut = () => connect();
+
+// The emulator skips rules for the "owner" token
+const owner = () => connect('owner');
+
+/**
+ * Write documents without going through the rules
+ * @param {Object} documents - { 'collection/id': data }
+ */
+export const seed = async (documents) => {
+  const db = owner();
+  await Promise.all(Object.entries(documents).map(([path, data]) => setDoc(doc(db, path), data)));
+};
+
+/**
+ * Delete every document in the emulator
+ */
+export const clearFirestore = async () => {
+  const url = `http://${HOST}:${PORT}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' }).catch(() => null);
+  if (!response?.ok) {
+    throw new Error(`Could not clear the Firestore emulator at ${HOST}:${PORT}; is it running?`);
+  }
+};
+
+/**
+ * Shut down the clients created since the last call
+ */
+export const closeClients = async () => {
+  const open = apps;
+  apps = [];
+  await Promise.all(open.map((app) => deleteApp(app)));
+};
+
+export const assertSucceeds = (promise) => assert.doesNotReject(promise);
+
+export const assertFails = (promise) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, 'permission-denied');
+  return true;
+});
@@ -0,0 +1,431 @@
+// Security rules for every collection, per role. Needs the Firestore emulator:
+//
+//   pnpm run test:rules
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  signedIn,
+  signedOut,
+  seed,
+  clearFirestore,
+  closeClients,
+  assertSucceeds,
+  assertFails
+} from './emulator.js';
+
+const ADMIN = 'admin-1';
+const STUDENT = 'student-1';
+const DRIVER = 'driver-1';
+const PENDING_DRIVER = 'driver-2';
+
+const driverInfo = {
+  licenseNumber: 'DL-1234',
+  busNumber: 'B-12',
+  route: 'Route 1',
+  phoneNumber: '555-0100',
+  additionalInfo: ''
+};
+
+const users = {
+  [`users/${ADMIN}`]: { email: 'admin@example.com', role: 'admin', isVerified: true, isPending: false },
+  [`users/${STUDENT}`]: {
+    email: 'student@example.com',
+    displayName: 'Student',
+    role: 'student',
+    isVerified: true,
+    isPending: false,
+    isRejected: false
+  },
+  [`users/${DRIVER}`]: {
+    email: 'driver@example.com',
+    displayName: 'Driver',
+    role: 'driver',
+    isVerified: true,
+    isPending: false,
+    isRejected: false,
+    driverInfo
+  },
+  [`users/${PENDING_DRIVER}`]: {
+    email: 'pending@example.com',
+    role: 'driver',
+    isVerified: false,
+    isPending: true,
+    isRejected: false,
+    driverInfo
+  }
+};
+
+// Shape written by authService when an account signs up
+const newProfile = (uid, role) => ({
+  uid,
+  email: `${uid}@example.com`,
+  displayName: 'New User',
+  role,
+  isVerified: false,
+  isPending: true,
+  createdAt: serverTimestamp(),
+  verifiedAt: null,
+  verifiedBy: null
+});
+
+// Shape written by requestDriverVerification
+const verificationRequest = () => ({
+  role: 'driver',
+  isPending: true,
+  isVerified: false,
+  isRejected: false,
+  driverInfo: { ...driverInfo, requestedAt: serverTimestamp() },
+  updatedAt: serverTimestamp()
+});
+
+const loginEntry = (uid, action = 'login') => ({
+  userId: uid,
+  email: `${uid}@example.com`,
+  displayName: '',
+  action,
+  timestamp: serverTimestamp(),
+  emailVerified: true,
+  userAgent: 'node',
+  ipAddress: 'client-side'
+});
+
+const location = (uid) => ({
+  userId: uid,
+  latitude: 40.7128,
+  longitude: -74.006,
+  isActive: true,
+  timestamp: serverTimestamp(),
+  lastSeen: serverTimestamp()
+});
+
+beforeEach(async () => {
+  await clearFirestore();
+  await seed(users);
+});
+
+afterEach(closeClients);
+
+describe('users', () => {
+  it('lets users read their own profile and admins read any', async () => {
+    await assertSucceeds(getDoc(doc(signedIn(STUDENT), 'users', STUDENT)));
+    await assertSucceeds(getDoc(doc(signedIn(ADMIN), 'users', STUDENT)));
+    await assertFails(getDoc(doc(signedIn(DRIVER), 'users', STUDENT)));
+    await assertFails(getDoc(doc(signedOut(), 'users', STUDENT)));
+  });
+
+  it('lets only admins list users', async () => {
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), 'users')));
+    await assertFails(getDocs(collection(signedIn(STUDENT), 'users')));
+  });
+
+  it('lets new accounts create their own unverified profile', async () => {
+    await assertSucceeds(setDoc(doc(signedIn('new-student'), 'users', 'new-student'), newProfile('new-student', 'student')));
+    await assertSucceeds(setDoc(doc(signedIn('new-driver'), 'users', 'new-driver'), newProfile('new-driver', 'driver')));
+  });
+
+  it('creates the default profile written by useUserRole', async () => {
+    const db = signedIn('new-user');
+    await assertSucceeds(setDoc(doc(db, 'users', 'new-user'), {
+      email: 'new-user@example.com',
+      displayName: 'User',
+      role: 'student',
+      verificationStatus: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    }, { merge: true }));
+  });
+
+  it('rejects self-created admins and pre-verified profiles', async () => {
+    const db = signedIn('new-user');
+    const ref = doc(db, 'users', 'new-user');
+    await assertFails(setDoc(ref, newProfile('new-user', 'admin')));
+    await assertFails(setDoc(ref, { ...newProfile('new-user', 'driver'), isVerified: true }));
+    await assertFails(setDoc(ref, { ...newProfile('new-user', 'student'), verifiedBy: 'new-user' }));
+    await assertFails(setDoc(ref, { ...newProfile('new-user', 'student'), adminNotes: 'ok' }));
+    await assertFails(setDoc(ref, { ...newProfile('new-user', 'driver'), verificationStatus: 'approved' }));
+  });
+
+  it("rejects profiles created for someone else", async () => {
+    await assertFails(setDoc(doc(signedIn(STUDENT), 'users', 'someone-else'), newProfile('someone-else', 'student')));
+  });
+
+  it('lets users change their display name', async () => {
+    await assertSucceeds(updateDoc(doc(signedIn(STUDENT), 'users', STUDENT), {
+      displayName: 'Renamed',
+      updatedAt: serverTimestamp()
+    }));
+  });
+
+  it('blocks self-promotion to admin', async () => {
+    const ref = doc(signedIn(STUDENT), 'users', STUDENT);
+    await assertFails(updateDoc(ref, { role: 'admin' }));
+    await assertFails(setDoc(ref, { role: 'admin' }, { merge: true }));
+    await assertFails(updateDoc(doc(signedIn(DRIVER), 'users', DRIVER), { role: 'admin' }));
+  });
+
+  it('blocks users from verifying themselves', async () => {
+    const ref = doc(signedIn(PENDING_DRIVER), 'users', PENDING_DRIVER);
+    await assertFails(updateDoc(ref, { isVerified: true, isPending: false }));
+    await assertFails(updateDoc(ref, { verifiedAt: serverTimestamp(), verifiedBy: PENDING_DRIVER }));
+    await assertFails(updateDoc(ref, { adminNotes: 'approved' }));
+  });
+
+  it('blocks changes to email and account fields', async () => {
+    const ref = doc(signedIn(STUDENT), 'users', STUDENT);
+    await assertFails(updateDoc(ref, { email: 'other@example.com' }));
+    await assertFails(updateDoc(ref, { uid: ADMIN }));
+  });
+
+  it('lets students request driver verification', async () => {
+    await assertSucceeds(setDoc(doc(signedIn(STUDENT), 'users', STUDENT), verificationRequest(), { merge: true }));
+  });
+
+  it('lets rejected drivers request verification again', async () => {
+    await seed({ 'users/rejected': { role: 'driver', isVerified: false, isPending: false, isRejected: true } });
+    await assertSucceeds(setDoc(doc(signedIn('rejected'), 'users', 'rejected'), verificationRequest(), { merge: true }));
+    await assertFails(updateDoc(doc(signedIn('rejected'), 'users', 'rejected'), { isRejected: false }));
+  });
+
+  it('sends verified drivers back to review when their driver details change', async () => {
+    const ref = doc(signedIn(DRIVER), 'users', DRIVER);
+    await assertFails(updateDoc(ref, { driverInfo: { ...driverInfo, busNumber: 'B-99' } }));
+    await assertSucceeds(setDoc(ref, verificationRequest(), { merge: true }));
+  });
+
+  it('lets admins verify, reject and delete users', async () => {
+    const db = signedIn(ADMIN);
+    await assertSucceeds(setDoc(doc(db, 'users', PENDING_DRIVER), {
+      isVerified: true,
+      isRejected: false,
+      isPending: false,
+      adminNotes: 'Checked licence',
+      verifiedAt: serverTimestamp()
+    }, { merge: true }));
+    await assertSucceeds(updateDoc(doc(db, 'users', STUDENT), { role: 'admin' }));
+    await assertSucceeds(deleteDoc(doc(db, 'users', DRIVER)));
+  });
+
+  it('lets only admins delete profiles', async () => {
+    await assertFails(deleteDoc(doc(signedIn(STUDENT), 'users', STUDENT)));
+  });
+});
+
+describe('login', () => {
+  it('lets users log their own sign-ins', async () => {
+    const db = signedIn(STUDENT);
+    for (const action of ['signup', 'login', 'logout', 'auth_state_change']) {
+      await assertSucceeds(addDoc(collection(db, 'login'), loginEntry(STUDENT, action)));
+    }
+  });
+
+  it("rejects entries for another user, unknown actions and client timestamps", async () => {
+    const db = signedIn(STUDENT);
+    await assertFails(addDoc(collection(db, 'login'), loginEntry(DRIVER)));
+    await assertFails(addDoc(collection(db, 'login'), loginEntry(STUDENT, 'promote')));
+    await assertFails(addDoc(collection(db, 'login'), { ...loginEntry(STUDENT), timestamp: new Date(0) }));
+  });
+
+  it('accepts signed-out password reset requests and nothing else', async () => {
+    const db = signedOut();
+    const reset = {
+      email: 'student@example.com',
+      action: 'password_reset_request',
+      timestamp: serverTimestamp(),
+      userAgent: 'node'
+    };
+    await assertSucceeds(addDoc(collection(db, 'login'), reset));
+    await assertFails(addDoc(collection(db, 'login'), { ...reset, userId: STUDENT }));
+    await assertFails(addDoc(collection(db, 'login'), { ...reset, action: 'login' }));
+    await assertFails(addDoc(collection(db, 'login'), loginEntry(STUDENT)));
+  });
+
+  it('is readable only by admins and never rewritten', async () => {
+    await seed({ 'login/entry-1': { userId: STUDENT, action: 'login' } });
+
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), 'login')));
+    await assertFails(getDocs(collection(signedIn(STUDENT), 'login')));
+    await assertFails(getDoc(doc(signedIn(STUDENT), 'login', 'entry-1')));
+
+    for (const uid of [STUDENT, ADMIN]) {
+      const ref = doc(signedIn(uid), 'login', 'entry-1');
+      await assertFails(updateDoc(ref, { action: 'signup' }));
+      await assertFails(deleteDoc(ref));
+    }
+  });
+});
+
+describe('driverLocations', () => {
+  it('is readable by anyone signed in', async () => {
+    await seed({ [`driverLocations/${DRIVER}`]: { userId: DRIVER, isActive: true } });
+    await assertSucceeds(getDocs(collection(signedIn(STUDENT), 'driverLocations')));
+    await assertFails(getDocs(collection(signedOut(), 'driverLocations')));
+  });
+
+  it('lets verified drivers share only their own location', async () => {
+    const db = signedIn(DRIVER);
+    await assertSucceeds(setDoc(doc(db, 'driverLocations', DRIVER), location(DRIVER)));
+    await assertSucceeds(updateDoc(doc(db, 'driverLocations', DRIVER), { isActive: false }));
+    await assertFails(setDoc(doc(db, 'driverLocations', PENDING_DRIVER), location(PENDING_DRIVER)));
+  });
+
+  it('rejects students and drivers awaiting verification', async () => {
+    await assertFails(setDoc(doc(signedIn(STUDENT), 'driverLocations', STUDENT), location(STUDENT)));
+    await assertFails(setDoc(doc(signedIn(PENDING_DRIVER), 'driverLocations', PENDING_DRIVER), location(PENDING_DRIVER)));
+  });
+
+  it('lets admins write tracker locations and clean up', async () => {
+    await seed({ [`driverLocations/${DRIVER}`]: { userId: DRIVER, isActive: false } });
+    const db = signedIn(ADMIN);
+    await assertSucceeds(setDoc(doc(db, 'driverLocations', 'tracker-42'), location('tracker-42')));
+    await assertSucceeds(deleteDoc(doc(db, 'driverLocations', DRIVER)));
+  });
+
+  it('keeps trip history private to the driver and admins', async () => {
+    const trip = `driverLocations/${DRIVER}/trips/trip-1`;
+    const driverDb = signedIn(DRIVER);
+    await assertSucceeds(setDoc(doc(driverDb, trip), { userId: DRIVER, startedAt: serverTimestamp() }));
+    await assertSucceeds(addDoc(collection(driverDb, trip, 'points'), { latitude: 1, longitude: 2 }));
+
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), trip, 'points')));
+    await assertSucceeds(getDocs(collectionGroup(signedIn(ADMIN), 'trips')));
+
+    await assertFails(getDoc(doc(signedIn(STUDENT), trip)));
+    await assertFails(getDocs(collectionGroup(signedIn(DRIVER), 'trips')));
+    await assertFails(setDoc(doc(signedIn(ADMIN), trip), { userId: DRIVER }));
+    await assertFails(setDoc(doc(signedIn(PENDING_DRIVER), `driverLocations/${PENDING_DRIVER}/trips/trip-1`), {
+      userId: PENDING_DRIVER
+    }));
+  });
+});
+
+describe('driverLocationArchive', () => {
+  it('is admin only', async () => {
+    await assertSucceeds(addDoc(collection(signedIn(ADMIN), 'driverLocationArchive'), { userId: DRIVER }));
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), 'driverLocationArchive')));
+    await assertFails(getDocs(collection(signedIn(DRIVER), 'driverLocationArchive')));
+    await assertFails(addDoc(collection(signedIn(DRIVER), 'driverLocationArchive'), { userId: DRIVER }));
+  });
+});
+
+describe('adherenceEvents', () => {
+  it('takes readings from their own driver and shows them to admins', async () => {
+    await assertSucceeds(addDoc(collection(signedIn(DRIVER), 'adherenceEvents'), { userId: DRIVER, delaySeconds: 60 }));
+    await assertFails(addDoc(collection(signedIn(DRIVER), 'adherenceEvents'), { userId: PENDING_DRIVER }));
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), 'adherenceEvents')));
+    await assertFails(getDocs(collection(signedIn(DRIVER), 'adherenceEvents')));
+  });
+});
+
+describe('buses', () => {
+  it('is readable while it exists and only deletable by admins', async () => {
+    await seed({ 'buses/bus-1': { busNumber: '12' } });
+    await assertSucceeds(getDoc(doc(signedIn(STUDENT), 'buses', 'bus-1')));
+    await assertFails(getDoc(doc(signedOut(), 'buses', 'bus-1')));
+    await assertFails(deleteDoc(doc(signedIn(DRIVER), 'buses', 'bus-1')));
+    await assertFails(setDoc(doc(signedIn(ADMIN), 'buses', 'bus-2'), { busNumber: '13' }));
+    await assertSucceeds(deleteDoc(doc(signedIn(ADMIN), 'buses', 'bus-1')));
+  });
+});
+
+describe('network data', () => {
+  for (const name of ['routes', 'stops', 'schedules', 'routeSegmentStats']) {
+    it(`${name} is readable when signed in and written by admins`, async () => {
+      await assertSucceeds(getDocs(collection(signedIn(STUDENT), name)));
+      await assertFails(getDocs(collection(signedOut(), name)));
+
+      await assertSucceeds(setDoc(doc(signedIn(ADMIN), name, 'item-1'), { name: 'Item' }));
+      await assertFails(setDoc(doc(signedIn(DRIVER), name, 'item-2'), { name: 'Item' }));
+      await assertFails(updateDoc(doc(signedIn(STUDENT), name, 'item-1'), { name: 'Changed' }));
+      await assertFails(deleteDoc(doc(signedIn(STUDENT), name, 'item-1')));
+    });
+  }
+});
+
+describe('notifications', () => {
+  beforeEach(() => seed({
+    'notifications/note-1': { userId: STUDENT, title: 'Delay', message: 'Route 1 is late', read: false }
+  }));
+
+  it('is readable by its recipient and admins', async () => {
+    await assertSucceeds(getDoc(doc(signedIn(STUDENT), 'notifications', 'note-1')));
+    await assertSucceeds(getDoc(doc(signedIn(ADMIN), 'notifications', 'note-1')));
+    await assertFails(getDoc(doc(signedIn(DRIVER), 'notifications', 'note-1')));
+  });
+
+  it('lets recipients change only the read and archive state', async () => {
+    const ref = doc(signedIn(STUDENT), 'notifications', 'note-1');
+    await assertSucceeds(updateDoc(ref, { read: true, readAt: serverTimestamp() }));
+    await assertSucceeds(updateDoc(ref, { archived: true, archivedAt: serverTimestamp() }));
+    await assertFails(updateDoc(ref, { message: 'Changed' }));
+    await assertFails(deleteDoc(ref));
+    await assertFails(updateDoc(doc(signedIn(DRIVER), 'notifications', 'note-1'), { read: true }));
+  });
+
+  it('is created by admins only', async () => {
+    await assertSucceeds(addDoc(collection(signedIn(ADMIN), 'notifications'), { userId: DRIVER, title: 'Hi' }));
+    await assertFails(addDoc(collection(signedIn(STUDENT), 'notifications'), { userId: STUDENT, title: 'Hi' }));
+  });
+});
+
+describe('admin-only collections', () => {
+  for (const name of ['broadcasts', 'pushOutbox', 'mail']) {
+    it(`${name} is read and written by admins only`, async () => {
+      await assertSucceeds(addDoc(collection(signedIn(ADMIN), name), { userId: STUDENT }));
+      await assertSucceeds(getDocs(collection(signedIn(ADMIN), name)));
+      await assertFails(getDocs(collection(signedIn(STUDENT), name)));
+      await assertFails(addDoc(collection(signedIn(DRIVER), name), { userId: DRIVER }));
+    });
+  }
+});
+
+describe('pushSubscriptions', () => {
+  const subscription = (uid) => ({ userId: uid, endpoint: 'https://push.example.com/1', keys: {} });
+
+  it('lets users manage their own subscriptions', async () => {
+    const ref = doc(signedIn(STUDENT), 'pushSubscriptions', 'sub-1');
+    await assertSucceeds(setDoc(ref, subscription(STUDENT)));
+    await assertSucceeds(getDoc(ref));
+    await assertSucceeds(updateDoc(ref, { keys: { auth: 'a' } }));
+    await assertSucceeds(deleteDoc(ref));
+  });
+
+  it("protects other users' subscriptions", async () => {
+    await seed({ 'pushSubscriptions/sub-1': subscription(STUDENT) });
+    const ref = doc(signedIn(DRIVER), 'pushSubscriptions', 'sub-1');
+    await assertFails(getDoc(ref));
+    await assertFails(setDoc(ref, subscription(DRIVER)));
+    await assertFails(deleteDoc(ref));
+    await assertFails(setDoc(doc(signedIn(DRIVER), 'pushSubscriptions', 'sub-2'), subscription(STUDENT)));
+    await assertSucceeds(getDoc(doc(signedIn(ADMIN), 'pushSubscriptions', 'sub-1')));
+  });
+});
+
+describe('userSettings', () => {
+  it('belongs to its user and is readable by admins', async () => {
+    await assertSucceeds(setDoc(doc(signedIn(STUDENT), 'userSettings', STUDENT), { notifications: { push: true } }));
+    await assertSucceeds(getDoc(doc(signedIn(STUDENT), 'userSettings', STUDENT)));
+    await assertSucceeds(getDocs(collection(signedIn(ADMIN), 'userSettings')));
+    await assertFails(getDoc(doc(signedIn(DRIVER), 'userSettings', STUDENT)));
+    await assertFails(setDoc(doc(signedIn(ADMIN), 'userSettings', STUDENT), { notifications: {} }));
+  });
+});
+
+describe('other collections', () => {
+  it('are closed to everyone', async () => {
+    await seed({ 'unlisted/doc-1': { secret: true } });
+    await assertFails(getDoc(doc(signedIn(STUDENT), 'unlisted', 'doc-1')));
+    await assertFails(getDoc(doc(signedIn(ADMIN), 'unlisted', 'doc-1')));
+    await assertFails(setDoc(doc(signedIn(ADMIN), 'unlisted', 'doc-2'), { secret: false }));
+  });
+});